@@ -0,0 +1,89 @@
+/**
+ * Simulate study over an exported progress file
+ *
+ * Usage:
+ *   bun scripts/simulate.js <backup.json> [--days 90] [--seed 1] [--new 0]
+ *     [--config a.json] [--compare b.json]
+ *
+ * The file is a backup archive from the options page (its progress and saved
+ * algorithm settings are used) or a bare progress object. --config overrides
+ * settings of the first run; --compare adds a second run with its own
+ * overrides, shown side by side. --new adds that many never-seen cards to
+ * introduce at the new card limit.
+ */
+
+import { readFileSync } from 'fs';
+import { compareConfigs, simulate } from '../src/core/simulator.js';
+import { BACKUP_FORMAT } from '../src/core/backup.js';
+import { STORAGE_KEYS } from '../src/utils/constants.js';
+
+// Parse --name value pairs after the positional file argument
+function parseArgs(argv) {
+  const options = { days: 90, seed: 1, new: 0, config: null, compare: null };
+  const [file, ...rest] = argv;
+  for (let index = 0; index < rest.length; index += 2) {
+    const name = rest[index].replace(/^--/, '');
+    if (!(name in options)) {
+      throw new Error(`Unknown option ${rest[index]}`);
+    }
+    options[name] = ['config', 'compare'].includes(name) ? rest[index + 1] : Number(rest[index + 1]);
+  }
+  return { file, options };
+}
+
+// Read a JSON file
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+// Format a rate from 0 to 1 as a percentage
+function formatRate(rate) {
+  return rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: bun scripts/simulate.js <backup.json> [--days 90] [--seed 1] [--new 0] [--config a.json] [--compare b.json]');
+    process.exit(1);
+  }
+
+  const input = readJson(file);
+  const isArchive = input.format === BACKUP_FORMAT;
+  const progress = isArchive ? input.data[STORAGE_KEYS.PROGRESS] : input;
+  const savedConfig = (isArchive && input.data[STORAGE_KEYS.ALGORITHM_CONFIG]) || {};
+  if (!progress || !progress.flashcardData) {
+    console.error(`${file} holds no flashcard progress`);
+    process.exit(1);
+  }
+
+  const configA = { ...savedConfig, ...(options.config ? readJson(options.config) : {}) };
+  const newCardKeys = Array.from({ length: options.new }, (_, index) => `simulated/new-${index}`);
+  const simulation = { flashcardData: progress.flashcardData, newCardKeys, days: options.days, seed: options.seed };
+  const runs = options.compare
+    ? compareConfigs(simulation, configA, { ...configA, ...readJson(options.compare) })
+    : [simulate({ ...simulation, config: configA })];
+
+  const header = ['Day', ...runs.flatMap((_, index) => {
+    const name = runs.length > 1 ? ` ${'AB'[index]}` : '';
+    return [`Reviews${name}`, `New${name}`, `Retention${name}`];
+  })];
+  console.log(header.join('\t'));
+  for (let day = 0; day < options.days; day++) {
+    const cells = runs.flatMap(run => {
+      const result = run.days[day];
+      return [result.reviews, result.newCards, formatRate(result.retention)];
+    });
+    console.log([day + 1, ...cells].join('\t'));
+  }
+
+  console.log('');
+  runs.forEach((run, index) => {
+    const { reviews, newCards, lapses, averageRetention } = run.totals;
+    const name = runs.length > 1 ? `${'AB'[index]}: ` : '';
+    console.log(`${name}${reviews} reviews (${(reviews / options.days).toFixed(1)}/day), ${newCards} new cards, ` +
+      `${lapses} forgotten, average retention ${formatRate(averageRetention)}`);
+  });
+}
+
+main();
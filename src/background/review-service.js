@@ -0,0 +1,423 @@
+/**
+ * Scheduling state owned by the service worker
+ * Content scripts, the popup and the control panel send messages here instead
+ * of keeping their own copy of the progress, so reviews made in different tabs
+ * never overwrite each other. Operations run one at a time in arrival order.
+ */
+
+import { flashcardManager } from '../core/flashcards.js';
+import { parseCardKey } from '../core/decks.js';
+import { scheduler } from '../core/scheduler.js';
+import { algorithm } from '../core/algorithm.js';
+import { storage } from '../core/storage.js';
+import { reviewLog, createLogEntry } from '../core/review-log.js';
+import { groupHistories } from '../core/optimizer.js';
+import { planReschedule, planSpread, createUndoBatch, planUndo } from '../core/reschedule.js';
+import { loadDebugSettings } from '../core/debug.js';
+import { STORAGE_KEYS, MESSAGE_ACTIONS } from '../utils/constants.js';
+
+// Storage keys whose changes require reloading the cards
+const CARD_KEYS = [STORAGE_KEYS.USER_DECKS, STORAGE_KEYS.DECK_SETTINGS, STORAGE_KEYS.USER_CARDS];
+
+class ReviewService {
+  constructor() {
+    this.ready = null;
+    this.gate = Promise.resolve();
+    this.queue = Promise.resolve();
+    this.stale = { progress: false, cards: false, config: false, debug: false };
+  }
+
+  /**
+   * Hold back loading until a task has settled
+   * Used for the storage migrations that run after an update, which must
+   * finish before progress is read (and moved into IndexedDB)
+   * @param {Promise} task - Task to wait for
+   */
+  waitFor(task) {
+    this.gate = Promise.all([this.gate, task.catch(() => {})]);
+  }
+
+  /**
+   * Load cards, progress and algorithm configuration once
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.ready) {
+      scheduler.setDependencies(flashcardManager, algorithm);
+      this.ready = (async () => {
+        await this.gate;
+        await loadDebugSettings();
+        await algorithm.ensureConfigLoaded();
+        await flashcardManager.init();
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Note storage changes made outside this service (popup, options page, sync)
+   * The affected state is reloaded before the next operation
+   * @param {Object} changes - Changes from chrome.storage.onChanged
+   */
+  handleStorageChange(changes) {
+    if (STORAGE_KEYS.PROGRESS in changes) this.stale.progress = true;
+    // Card writes made here come from flashcardManager, whose copy is already
+    // current; full rewrites (sync, reset) and other contexts' writes are reloaded
+    const update = changes[STORAGE_KEYS.PROGRESS_UPDATED];
+    if (update && !(storage.isOwnProgressChange(update) && update.newValue.keys)) {
+      this.stale.progress = true;
+    }
+    if (STORAGE_KEYS.ALGORITHM_CONFIG in changes) this.stale.config = true;
+    if (CARD_KEYS.some(key => key in changes)) this.stale.cards = true;
+    if (STORAGE_KEYS.DEBUG_SETTINGS in changes) this.stale.debug = true;
+  }
+
+  /**
+   * Reload state that changed in storage
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const { progress, cards, config, debug } = this.stale;
+    this.stale = { progress: false, cards: false, config: false, debug: false };
+
+    if (debug) {
+      await loadDebugSettings();
+    }
+    if (config) {
+      algorithm.configLoaded = false;
+      await algorithm.ensureConfigLoaded();
+    }
+    if (cards) {
+      await flashcardManager.loadFlashcards();
+    }
+    if (progress) {
+      await flashcardManager.loadProgress();
+    }
+  }
+
+  /**
+   * Run an operation after all earlier ones have finished
+   * @param {Function} task - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  enqueue(task) {
+    const run = this.queue.then(async () => {
+      await this.init();
+      await this.refresh();
+      return task();
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get the next flashcard to review
+   * @returns {Promise<Object|null>} { flashcard, progress } or null
+   */
+  getNext() {
+    return this.enqueue(() => scheduler.getNextFlashcard());
+  }
+
+  /**
+   * Record a review result and append it to the review log
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @param {string} difficulty - Review difficulty
+   * @param {Object} details - Time taken (duration, ms) and page domain, for the log
+   * @returns {Promise<Object>} Updated progress of the card
+   */
+  recordReview(key, difficulty, details = {}) {
+    return this.enqueue(async () => {
+      const before = flashcardManager.getFlashcardProgress(key);
+      await scheduler.recordReview(key, difficulty);
+      const after = flashcardManager.getFlashcardProgress(key);
+
+      if (reviewLog.isAvailable()) {
+        try {
+          await reviewLog.append(createLogEntry(key, before, after, details));
+        } catch (error) {
+          // The review itself is saved; only its history entry is missing
+          console.error('Error writing review log entry:', error);
+        }
+      }
+      return after;
+    });
+  }
+
+  /**
+   * Mark a flashcard for later review
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @returns {Promise<void>}
+   */
+  markForLater(key) {
+    return this.enqueue(() => scheduler.markForLater(key));
+  }
+
+  /**
+   * Suspend a card or put it back into rotation
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @param {boolean} suspended - True to suspend, false to unsuspend (clearing the leech flag)
+   * @returns {Promise<void>}
+   */
+  suspendCard(key, suspended) {
+    return this.enqueue(() => scheduler.setSuspended(key, suspended));
+  }
+
+  /**
+   * Bury a card until the next study day
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @returns {Promise<void>}
+   */
+  buryCard(key) {
+    return this.enqueue(() => scheduler.bury(key));
+  }
+
+  /**
+   * List the cards flagged as leeches
+   * @returns {Promise<Object[]>} Leeches with their question, deck and failure counts
+   */
+  getLeeches() {
+    return this.enqueue(() => scheduler.getLeeches().map(({ key, flashcard, progress }) => ({
+      key,
+      question: flashcard ? flashcard.question : null,
+      lapses: progress.lapses || 0,
+      hardCount: progress.hardCount || 0,
+      suspended: Boolean(progress.suspended),
+      reverse: Boolean(flashcard && flashcard.reverseOf)
+    })));
+  }
+
+  /**
+   * Delete a card from its deck along with its progress
+   * For a generated reverse card, reverse is turned off for its source card
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @returns {Promise<boolean>} Success status
+   */
+  deleteCard(key) {
+    return this.enqueue(() => {
+      const { deckId, cardId } = parseCardKey(key);
+      return flashcardManager.deleteCard(deckId, cardId);
+    });
+  }
+
+  /**
+   * Get progress and scheduling statistics for the active decks
+   * @returns {Promise<Object>} Progress stats plus due/new/later counts
+   */
+  getStats() {
+    return this.enqueue(() => ({
+      ...flashcardManager.getProgressStats(),
+      scheduling: scheduler.getSchedulingStats()
+    }));
+  }
+
+  /**
+   * Reset all progress
+   * @returns {Promise<void>}
+   */
+  resetProgress() {
+    return this.enqueue(() => flashcardManager.resetProgress());
+  }
+
+  /**
+   * Get the raw progress data
+   * @returns {Promise<Object>} Progress data
+   */
+  getProgress() {
+    return this.enqueue(() => flashcardManager.progress);
+  }
+
+  /**
+   * Estimate the daily reviews at the saved and at another desired retention
+   * @param {number} requestRetention - Desired retention to estimate for
+   * @returns {Promise<{current: number, estimate: number}>} Reviews per day
+   */
+  estimateWorkload(requestRetention) {
+    return this.enqueue(() => {
+      const { flashcardData } = flashcardManager.progress;
+      return {
+        current: algorithm.estimateWorkload(flashcardData),
+        estimate: algorithm.estimateWorkload(flashcardData, requestRetention)
+      };
+    });
+  }
+
+  /**
+   * Save a configuration, converting every card's state first if it
+   * switches algorithm. Must run inside a queued operation
+   * @param {Object} config - New algorithm configuration
+   * @returns {Promise<void>}
+   */
+  async applyConfig(config) {
+    if (config.algorithm && config.algorithm !== algorithm.getActiveAlgorithm().id) {
+      flashcardManager.progress = algorithm.convertProgress(flashcardManager.progress, config.algorithm);
+      await flashcardManager.saveProgress();
+    }
+    await algorithm.updateConfig(config);
+  }
+
+  /**
+   * Switch to another algorithm, converting every card's state
+   * Cards keep their due dates; what they learned carries over as the new
+   * algorithm's state instead of being reset
+   * @param {Object} config - New algorithm configuration (including algorithm)
+   * @returns {Promise<void>}
+   */
+  switchAlgorithm(config) {
+    return this.enqueue(() => this.applyConfig(config));
+  }
+
+  /**
+   * Read the review log grouped by card, for replaying under new settings
+   * @returns {Promise<Map<string, Object[]>>} Entries by card key, oldest first (empty without a log)
+   */
+  async loadHistories() {
+    if (!reviewLog.isAvailable()) {
+      return new Map();
+    }
+    try {
+      const histories = groupHistories(await reviewLog.getEntries());
+      return new Map(histories.map(history => [history[0].cardKey, history]));
+    } catch (error) {
+      console.error('Error loading the review log:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Count the cards rescheduling under a configuration would move, without
+   * changing anything
+   * @param {Object} config - Algorithm configuration (missing settings keep their saved values)
+   * @returns {Promise<{changed: number, earlier: number, later: number, unchanged: number}>} Card counts
+   */
+  previewReschedule(config) {
+    return this.enqueue(async () => {
+      const target = { ...algorithm.config, ...config };
+      const progress = target.algorithm !== algorithm.getActiveAlgorithm().id
+        ? algorithm.convertProgress(flashcardManager.progress, target.algorithm)
+        : flashcardManager.progress;
+      const { changes, earlier, later, unchanged } = planReschedule(progress.flashcardData, target, await this.loadHistories(), algorithm.clock.now());
+      return { changed: changes.length, earlier, later, unchanged };
+    });
+  }
+
+  /**
+   * Save a configuration and reschedule the cards in review under it
+   * The moved cards' previous entries replace the last undo batch
+   * @param {Object} config - New algorithm configuration
+   * @returns {Promise<{changed: number, earlier: number, later: number, unchanged: number}>} Card counts
+   */
+  rescheduleCards(config) {
+    return this.enqueue(async () => {
+      await this.applyConfig(config);
+      const now = algorithm.clock.now();
+      const { flashcardData } = flashcardManager.progress;
+      const { changes, earlier, later, unchanged } = planReschedule(flashcardData, algorithm.config, await this.loadHistories(), now);
+
+      if (changes.length > 0) {
+        changes.forEach(({ key, after }) => {
+          flashcardData[key] = { ...after, updatedAt: now };
+        });
+        await flashcardManager.saveProgress(changes.map(({ key }) => key));
+        await storage.saveRescheduleUndo(createUndoBatch(changes, now));
+      }
+      return { changed: changes.length, earlier, later, unchanged };
+    });
+  }
+
+  /**
+   * Spread the overdue cards in review over the coming study days
+   * The moved cards' previous entries replace the last undo batch, so the
+   * spread is undone like a reschedule
+   * @param {number} days - Number of study days to spread over, today included
+   * @returns {Promise<{overdue: number, moved: number, perDay: number}>} Card counts and the daily reviews aimed for
+   */
+  spreadOverdue(days) {
+    return this.enqueue(async () => {
+      const now = algorithm.clock.now();
+      const { flashcardData } = flashcardManager.progress;
+      const { changes, overdue, perDay } = planSpread(flashcardData, algorithm.config, days, now);
+
+      if (changes.length > 0) {
+        changes.forEach(({ key, after }) => {
+          flashcardData[key] = { ...after, updatedAt: now };
+        });
+        await flashcardManager.saveProgress(changes.map(({ key }) => key));
+        await storage.saveRescheduleUndo(createUndoBatch(changes, now));
+      }
+      return { overdue, moved: changes.length, perDay };
+    });
+  }
+
+  /**
+   * Put the cards moved by the last reschedule back where they were
+   * Cards reviewed since keep their new progress
+   * @returns {Promise<{restored: number, skipped: number}>} Card counts
+   */
+  undoReschedule() {
+    return this.enqueue(async () => {
+      const batch = await storage.getRescheduleUndo();
+      if (!batch) {
+        return { restored: 0, skipped: 0 };
+      }
+
+      const { restored, skipped } = planUndo(flashcardManager.progress.flashcardData, batch);
+      const keys = Object.keys(restored);
+      if (keys.length > 0) {
+        const now = algorithm.clock.now();
+        keys.forEach(key => {
+          flashcardManager.progress.flashcardData[key] = { ...restored[key], updatedAt: now };
+        });
+        await flashcardManager.saveProgress(keys);
+      }
+      await storage.saveRescheduleUndo(null);
+      return { restored: keys.length, skipped };
+    });
+  }
+
+  /**
+   * Handle a message from another extension context
+   * @param {Object} request - Message with an action from MESSAGE_ACTIONS
+   * @returns {Promise<Object>|null} Response, or null if the action is not handled here
+   */
+  handleMessage(request) {
+    switch (request.action) {
+      case MESSAGE_ACTIONS.GET_NEXT:
+        return this.getNext().then(next => ({ next }));
+      case MESSAGE_ACTIONS.RECORD_REVIEW:
+        return this.recordReview(request.key, request.difficulty, request.details).then(progress => ({ success: true, progress }));
+      case MESSAGE_ACTIONS.MARK_FOR_LATER:
+        return this.markForLater(request.key).then(() => ({ success: true }));
+      case MESSAGE_ACTIONS.STATS:
+        return this.getStats().then(stats => ({ stats }));
+      case MESSAGE_ACTIONS.RESET_PROGRESS:
+        return this.resetProgress().then(() => ({ success: true }));
+      case MESSAGE_ACTIONS.GET_PROGRESS:
+        return this.getProgress().then(progress => ({ progress }));
+      case MESSAGE_ACTIONS.ESTIMATE_WORKLOAD:
+        return this.estimateWorkload(request.retention).then(workload => ({ workload }));
+      case MESSAGE_ACTIONS.SWITCH_ALGORITHM:
+        return this.switchAlgorithm(request.config).then(() => ({ success: true }));
+      case MESSAGE_ACTIONS.PREVIEW_RESCHEDULE:
+        return this.previewReschedule(request.config).then(preview => ({ preview }));
+      case MESSAGE_ACTIONS.RESCHEDULE_CARDS:
+        return this.rescheduleCards(request.config).then(result => ({ success: true, result }));
+      case MESSAGE_ACTIONS.UNDO_RESCHEDULE:
+        return this.undoReschedule().then(result => ({ success: true, result }));
+      case MESSAGE_ACTIONS.SUSPEND_CARD:
+        return this.suspendCard(request.key, request.suspended !== false).then(() => ({ success: true }));
+      case MESSAGE_ACTIONS.BURY_CARD:
+        return this.buryCard(request.key).then(() => ({ success: true }));
+      case MESSAGE_ACTIONS.GET_LEECHES:
+        return this.getLeeches().then(leeches => ({ leeches }));
+      case MESSAGE_ACTIONS.DELETE_CARD:
+        return this.deleteCard(request.key).then(success => ({ success }));
+      case MESSAGE_ACTIONS.SPREAD_OVERDUE:
+        return this.spreadOverdue(request.days).then(result => ({ success: true, result }));
+      default:
+        return null;
+    }
+  }
+}
+
+// Export singleton instance
+export const reviewService = new ReviewService();
@@ -1,16 +1,34 @@
 /**
  * Background service worker for Chrome extension
- * Handles extension lifecycle and initialization
+ * Handles extension lifecycle and initialization, and owns the scheduling
+ * state that content scripts and the popup access through messages
  */
 
+import { runMigrations, MIGRATIONS, CURRENT_SCHEMA_VERSION } from '../core/migrations.js';
+import { syncManager, SYNC_META_KEY, SYNC_SHARD_PREFIX } from '../core/sync.js';
+import { reviewService } from './review-service.js';
+import { storage } from '../core/storage.js';
+import { progressStore } from '../core/idb-storage.js';
+import { reviewLog } from '../core/review-log.js';
+import { MESSAGE_ACTIONS, STORAGE_KEYS } from '../utils/constants.js';
+
+// Progress lives in IndexedDB, one record per card
+storage.useProgressStore(progressStore);
+
+// Wait for reviews to settle before pushing them to chrome.storage.sync,
+// which allows at most 120 writes per minute
+const SYNC_DEBOUNCE_MS = 5000;
+let syncTimer = null;
+
 // Extension installation handler
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     // First time installation
     initializeExtension();
   } else if (details.reason === 'update') {
-    // Extension update
-    handleUpdate(details.previousVersion);
+    // Extension update; reviews wait for the migrations
+    reviewService.waitFor(handleUpdate(details.previousVersion));
+    compactReviewLog();
   }
 });
 
@@ -21,22 +39,33 @@ async function initializeExtension() {
   try {
     // Set default values in chrome.storage
     const defaults = {
-      flashcards_progress: {
-        completed: [],
-        repeatLater: [],
-        flashcardData: {}
-      },
       excluded_pages: [],
+      user_decks: [],
+      deck_settings: {},
       algorithm_config: {
-        algorithm: "OSR's variant of SM-2",
+        algorithm: 'sm2',
         baseEase: 250,
         intervalChangeHard: 50,
         easyBonus: 130,
+        lapseIntervalPercent: 0,
+        requestRetention: 0.9,
+        fsrsWeights: null,
+        learningSteps: [1, 10],
+        relearningSteps: [10],
+        newCardsPerDay: 20,
+        reviewsPerDay: 200,
+        dayRolloverHour: 4,
         enableLoadBalancer: true,
+        loadBalancerDayWeights: [100, 100, 100, 100, 100, 100, 100],
         maxIntervalDays: 36525,
-        maxLinkContribution: 50
+        maxLinkContribution: 50,
+        leechThreshold: 8,
+        leechCountsHard: false,
+        leechAction: 'suspend'
       },
-      flashcards_enabled: true
+      flashcards_enabled: true,
+      review_log_settings: { retentionDays: 0, compactAfterDays: 90 },
+      schema_version: CURRENT_SCHEMA_VERSION
     };
 
     // Set defaults only if they don't exist
@@ -59,28 +88,28 @@ async function initializeExtension() {
  */
 async function handleUpdate(previousVersion) {
   console.log(`Extension updated from version ${previousVersion}`);
-  
-  // Perform any necessary data migrations here
-  // For now, just log the update
+
+  const result = await runMigrations(chrome.storage.local, MIGRATIONS, progressStore);
+  if (!result.success) {
+    console.error(`Data migration failed, data kept at schema version ${result.from}:`, result.error);
+  }
 }
 
 // Listen for messages from content scripts or popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'getProgress') {
-    chrome.storage.local.get(['flashcards_progress'], (result) => {
-      sendResponse({ progress: result.flashcards_progress });
+  const response = reviewService.handleMessage(request);
+  if (response) {
+    response.then(sendResponse).catch(error => {
+      console.error(`Error handling ${request.action}:`, error);
+      sendResponse({ error: error.message });
     });
     return true; // Indicates we will send a response asynchronously
   }
 
-  if (request.action === 'resetProgress') {
-    const defaultProgress = {
-      completed: [],
-      repeatLater: [],
-      flashcardData: {}
-    };
-    chrome.storage.local.set({ flashcards_progress: defaultProgress }, () => {
-      sendResponse({ success: true });
+  if (request.action === MESSAGE_ACTIONS.SYNC_NOW) {
+    runSync().then(status => sendResponse({ status })).catch(error => {
+      console.error('Error syncing progress:', error);
+      sendResponse({ error: error.message });
     });
     return true;
   }
@@ -88,6 +117,58 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Add more message handlers as needed
 });
 
+/**
+ * Sync progress between reviews, so a merge never overwrites one in flight
+ * @returns {Promise<Object>} Sync status
+ */
+function runSync() {
+  return reviewService.enqueue(() => syncManager.sync());
+}
+
+/**
+ * Schedule a sync once changes stop coming in
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    runSync().catch(error => console.error('Error syncing progress:', error));
+  }, SYNC_DEBOUNCE_MS);
+}
+
+// Keep the review service's copy of the data current and sync when progress
+// changes locally, when another device pushed changes, or when sync is turned on
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local') {
+    reviewService.handleStorageChange(changes);
+  }
+  if (areaName === 'local' && [STORAGE_KEYS.PROGRESS, STORAGE_KEYS.PROGRESS_UPDATED, STORAGE_KEYS.SYNC_SETTINGS].some(key => key in changes)) {
+    scheduleSync();
+  }
+  if (areaName === 'sync' && Object.keys(changes).some(key => key === SYNC_META_KEY || key.startsWith(SYNC_SHARD_PREFIX))) {
+    scheduleSync();
+  }
+});
+
+/**
+ * Apply the review log retention settings
+ */
+async function compactReviewLog() {
+  try {
+    const { deleted, compacted } = await reviewLog.compact(await storage.getReviewLogSettings());
+    if (deleted > 0 || compacted > 0) {
+      console.log(`Review log: deleted ${deleted} old entries, compacted ${compacted}`);
+    }
+  } catch (error) {
+    console.error('Error compacting the review log:', error);
+  }
+}
+
+chrome.runtime.onStartup.addListener(() => {
+  runSync().catch(error => console.error('Error syncing progress:', error));
+  compactReviewLog();
+});
+
 // Optional: Handle tab updates to inject content script if needed
 // This is usually handled by manifest.json content_scripts configuration
 
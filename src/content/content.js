@@ -1,6 +1,7 @@
 /**
  * Main content script orchestrator
- * Coordinates overlay, control panel, and scheduler
+ * Coordinates overlay, control panel, and the review service in the
+ * service worker, which owns the scheduling state for all tabs
  * Uses dynamic imports to load ES modules
  */
 
@@ -32,27 +33,38 @@ function injectCSS() {
     // Dynamically import all modules using chrome.runtime.getURL
     // All these files must be in web_accessible_resources in manifest.json
     const { storage } = await import(chrome.runtime.getURL('src/core/storage.js'));
+    const { STORAGE_KEYS } = await import(chrome.runtime.getURL('src/utils/constants.js'));
     const { urlMatcher } = await import(chrome.runtime.getURL('src/utils/url-matcher.js'));
-    const { flashcardManager } = await import(chrome.runtime.getURL('src/core/flashcards.js'));
+    const { deckRegistry } = await import(chrome.runtime.getURL('src/core/decks.js'));
     const { algorithm } = await import(chrome.runtime.getURL('src/core/algorithm.js'));
-    const { scheduler } = await import(chrome.runtime.getURL('src/core/scheduler.js'));
+    const { loadDebugSettings } = await import(chrome.runtime.getURL('src/core/debug.js'));
+    const { reviewClient } = await import(chrome.runtime.getURL('src/core/review-client.js'));
     const { overlay } = await import(chrome.runtime.getURL('src/content/overlay.js'));
     const { controlPanel } = await import(chrome.runtime.getURL('src/content/control-panel.js'));
 
     // Set dependencies (needed because modules are loaded dynamically)
-    // First set scheduler dependencies
-    scheduler.setDependencies(flashcardManager, algorithm);
-    // Then set overlay and control panel dependencies
-    overlay.setScheduler(scheduler);
+    // Scheduling goes through the review client; the algorithm is only used
+    // locally for the time estimates on the review buttons
+    overlay.setScheduler(reviewClient);
     overlay.setAlgorithm(algorithm);
     controlPanel.setDependencies({
       overlay,
-      scheduler,
-      flashcardManager,
+      scheduler: reviewClient,
       storage,
       urlMatcher
     });
 
+    // Reviews made in other tabs, imports and setting changes show up here too
+    reviewClient.onChange(keys => {
+      if (keys.includes(STORAGE_KEYS.ALGORITHM_CONFIG)) {
+        algorithm.configLoaded = false;
+      }
+      if (keys.includes(STORAGE_KEYS.DEBUG_SETTINGS)) {
+        loadDebugSettings();
+      }
+      controlPanel.updateProgress();
+    });
+
     /**
      * Main Flashcards API
      */
@@ -63,11 +75,9 @@ function injectCSS() {
        */
       async init(config = {}) {
         try {
-          // Load algorithm config
+          // Load algorithm config, and the time travel offset the interval previews use
           await algorithm.ensureConfigLoaded();
-
-          // Initialize flashcard manager
-          await flashcardManager.init();
+          await loadDebugSettings();
 
           // Inject control panel
           controlPanel.init();
@@ -137,7 +147,7 @@ function injectCSS() {
         }
 
         // Get next flashcard
-        const nextFlashcard = scheduler.getNextFlashcard();
+        const nextFlashcard = await reviewClient.getNextFlashcard();
         
         if (nextFlashcard) {
           await overlay.show(nextFlashcard, () => {
@@ -155,7 +165,7 @@ function injectCSS() {
           return; // Already showing a flashcard
         }
 
-        const nextFlashcard = scheduler.getNextFlashcard();
+        const nextFlashcard = await reviewClient.getNextFlashcard();
         if (nextFlashcard) {
           await overlay.show(nextFlashcard, () => {
             controlPanel.updateProgress();
@@ -190,16 +200,43 @@ function injectCSS() {
        * Reset all progress
        */
       async resetProgress() {
-        await flashcardManager.resetProgress();
+        await reviewClient.resetProgress();
         controlPanel.updateProgress();
       },
 
       /**
        * Get progress statistics
-       * @returns {Object} Progress statistics
+       * @returns {Promise<Object|null>} Progress and scheduling statistics
+       */
+      async getProgress() {
+        return await reviewClient.getStats();
+      },
+
+      /**
+       * Get all decks with their enabled state
+       * @returns {Promise<Array>} Deck summaries
        */
-      getProgress() {
-        return flashcardManager.getProgressStats();
+      async getDecks() {
+        await deckRegistry.load();
+        return deckRegistry.getAllDecks().map(deck => ({
+          id: deck.id,
+          name: deck.name,
+          description: deck.description,
+          cardCount: deck.flashcards.length,
+          bundled: deck.bundled,
+          enabled: deckRegistry.isDeckEnabled(deck.id)
+        }));
+      },
+
+      /**
+       * Turn a deck on or off; the review service reloads the active flashcards
+       * @param {string} deckId - Deck ID
+       * @param {boolean} enabled - Enabled state
+       */
+      async setDeckEnabled(deckId, enabled) {
+        await deckRegistry.load();
+        await deckRegistry.setDeckEnabled(deckId, enabled);
+        controlPanel.updateProgress();
       },
 
       /**
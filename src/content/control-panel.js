@@ -9,18 +9,17 @@ class ControlPanel {
     this.isEnabled = true;
     this.overlay = null;
     this.scheduler = null;
-    this.flashcardManager = null;
     this.storage = null;
     this.urlMatcher = null;
   }
 
   /**
    * Set dependencies (called after modules are loaded)
+   * The scheduler is the review client, which asks the service worker
    */
-  setDependencies({ overlay, scheduler, flashcardManager, storage, urlMatcher }) {
+  setDependencies({ overlay, scheduler, storage, urlMatcher }) {
     this.overlay = overlay;
     this.scheduler = scheduler;
-    this.flashcardManager = flashcardManager;
     this.storage = storage;
     this.urlMatcher = urlMatcher;
   }
@@ -38,9 +37,6 @@ class ControlPanel {
     document.body.appendChild(this.panel);
     this.updateProgress();
     this.updateToggleState();
-
-    // Update progress periodically
-    setInterval(() => this.updateProgress(), 5000);
   }
 
   /**
@@ -116,11 +112,12 @@ class ControlPanel {
   /**
    * Update progress display
    */
-  updateProgress() {
+  async updateProgress() {
     if (!this.progressElement) return;
-    if (!this.flashcardManager) return;
+    if (!this.scheduler) return;
 
-    const stats = this.flashcardManager.getProgressStats();
+    const stats = await this.scheduler.getStats();
+    if (!stats || !this.progressElement) return;
     this.progressElement.textContent = `${stats.completed}/${stats.total} completed`;
   }
 
@@ -172,7 +169,7 @@ class ControlPanel {
       return; // Already showing a flashcard
     }
 
-    const nextFlashcard = this.scheduler.getNextFlashcard();
+    const nextFlashcard = await this.scheduler.getNextFlashcard();
     if (nextFlashcard) {
       await this.overlay.show(nextFlashcard, () => {
         this.updateProgress();
@@ -5,15 +5,18 @@
 import { REVIEW_DIFFICULTY } from '../utils/constants.js';
 import { UI_DEFAULTS } from '../utils/constants.js';
 import { storage } from '../core/storage.js';
+import { clock } from '../utils/clock.js';
 
 class OverlayManager {
   constructor() {
     this.overlay = null;
     this.currentFlashcard = null;
     this.isFlipped = false;
+    this.shownAt = null; // When the current card was shown, for the time taken
     this.onCloseCallback = null;
     this.scheduler = null; // Will be set from outside
     this.algorithm = null; // Will be set from outside
+    this.clock = clock;
   }
 
   /**
@@ -32,6 +35,14 @@ class OverlayManager {
     this.algorithm = algorithmInstance;
   }
 
+  /**
+   * Set the clock used for the time taken and the interval previews
+   * @param {Object} clockInstance - Clock with a now() method (see src/utils/clock.js)
+   */
+  setClock(clockInstance) {
+    this.clock = clockInstance;
+  }
+
   /**
    * Create and show overlay with flashcard
    * @param {Object} flashcardData - Flashcard data from scheduler
@@ -56,6 +67,7 @@ class OverlayManager {
     this.currentFlashcard = flashcardData;
     this.onCloseCallback = onClose;
     this.isFlipped = false;
+    this.shownAt = this.clock.now();
 
     // Remove existing overlay if present (without clearing currentFlashcard)
     if (this.overlay) {
@@ -165,6 +177,17 @@ class OverlayManager {
     actions.className = 'flashcard-actions';
     actions.style.display = 'none';
 
+    const againBtn = document.createElement('button');
+    againBtn.className = 'flashcard-btn flashcard-btn-again';
+    const againLabel = document.createElement('span');
+    againLabel.className = 'flashcard-btn-label';
+    againLabel.textContent = 'Again';
+    const againTime = document.createElement('span');
+    againTime.className = 'flashcard-btn-time';
+    againBtn.appendChild(againLabel);
+    againBtn.appendChild(againTime);
+    againBtn.addEventListener('click', () => this.handleReview(REVIEW_DIFFICULTY.AGAIN));
+
     const hardBtn = document.createElement('button');
     hardBtn.className = 'flashcard-btn flashcard-btn-hard';
     const hardLabel = document.createElement('span');
@@ -203,10 +226,25 @@ class OverlayManager {
     laterBtn.textContent = 'Repeat Later'; // Will be updated when overlay is shown
     laterBtn.addEventListener('click', () => this.handleLater());
 
+    const buryBtn = document.createElement('button');
+    buryBtn.className = 'flashcard-btn flashcard-btn-set-aside';
+    buryBtn.textContent = 'Bury';
+    buryBtn.title = 'Hide this card until tomorrow';
+    buryBtn.addEventListener('click', () => this.handleBury());
+
+    const suspendBtn = document.createElement('button');
+    suspendBtn.className = 'flashcard-btn flashcard-btn-set-aside';
+    suspendBtn.textContent = 'Suspend';
+    suspendBtn.title = 'Stop showing this card until it is unsuspended in the popup';
+    suspendBtn.addEventListener('click', () => this.handleSuspend());
+
+    actions.appendChild(againBtn);
     actions.appendChild(hardBtn);
     actions.appendChild(goodBtn);
     actions.appendChild(easyBtn);
     actions.appendChild(laterBtn);
+    actions.appendChild(buryBtn);
+    actions.appendChild(suspendBtn);
 
     controls.appendChild(closeBtn);
     controls.appendChild(actions);
@@ -253,8 +291,29 @@ class OverlayManager {
       return;
     }
 
-    const flashcardId = this.currentFlashcard.flashcard.id;
-    await this.scheduler.recordReview(flashcardId, difficulty);
+    const flashcardId = this.currentFlashcard.flashcard.key;
+    await this.scheduler.recordReview(flashcardId, difficulty, {
+      duration: this.clock.now() - this.shownAt,
+      domain: location.hostname
+    });
+    this.hide();
+  }
+
+  /**
+   * Bury the current card until the next study day
+   */
+  async handleBury() {
+    if (!this.currentFlashcard || !this.scheduler) return;
+    await this.scheduler.buryCard(this.currentFlashcard.flashcard.key);
+    this.hide();
+  }
+
+  /**
+   * Suspend the current card
+   */
+  async handleSuspend() {
+    if (!this.currentFlashcard || !this.scheduler) return;
+    await this.scheduler.suspendCard(this.currentFlashcard.flashcard.key);
     this.hide();
   }
 
@@ -383,7 +442,8 @@ class OverlayManager {
   }
 
   /**
-   * Calculate and update time estimates for Hard/Good/Easy buttons
+   * Calculate and update time estimates for Again/Hard/Good/Easy buttons
+   * Cards in their learning steps show minutes until the next step
    */
   async updateTimeEstimates() {
     if (!this.overlay || !this.currentFlashcard || !this.algorithm) return;
@@ -392,20 +452,20 @@ class OverlayManager {
       // Ensure algorithm config is loaded
       await this.algorithm.ensureConfigLoaded();
 
-      const flashcardId = this.currentFlashcard.flashcard.id;
       const currentProgress = this.currentFlashcard.progress;
+      const now = this.clock.now();
 
       // Calculate next review time for each difficulty
       const difficulties = [
+        { difficulty: REVIEW_DIFFICULTY.AGAIN, button: '.flashcard-btn-again', timeEl: '.flashcard-btn-again .flashcard-btn-time' },
         { difficulty: REVIEW_DIFFICULTY.HARD, button: '.flashcard-btn-hard', timeEl: '.flashcard-btn-hard .flashcard-btn-time' },
         { difficulty: REVIEW_DIFFICULTY.GOOD, button: '.flashcard-btn-good', timeEl: '.flashcard-btn-good .flashcard-btn-time' },
         { difficulty: REVIEW_DIFFICULTY.EASY, button: '.flashcard-btn-easy', timeEl: '.flashcard-btn-easy .flashcard-btn-time' }
       ];
 
       for (const { difficulty, timeEl } of difficulties) {
-        const updatedProgress = this.algorithm.calculateReview(currentProgress, difficulty);
-        const now = Date.now();
-        const timeUntil = updatedProgress.dueDate - now;
+        const updatedProgress = this.algorithm.calculateReview(currentProgress, difficulty, [], now);
+        const timeUntil = updatedProgress.dueDate - updatedProgress.lastReview;
         const formattedTime = this.formatTimeUntilReview(timeUntil);
 
         const timeElement = this.overlay.querySelector(timeEl);
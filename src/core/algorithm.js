@@ -1,15 +1,56 @@
 /**
- * SM-2 variant spaced repetition algorithm implementation
- * Based on OSR's variant of SM-2 with configurable parameters
+ * Spaced repetition scheduling
+ * New and lapsed cards go through learning steps measured in minutes; once a
+ * card graduates, the configured algorithm from the registry (OSR's variant
+ * of SM-2 or FSRS) computes its interval and per-card state. The settings every
+ * algorithm shares are applied here: the steps, load balancing, the maximum
+ * interval and the due date
  */
 
-import { DEFAULT_ALGORITHM_CONFIG, REVIEW_DIFFICULTY, DEFAULT_INTERVALS } from '../utils/constants.js';
+import { DEFAULT_ALGORITHM_CONFIG, REVIEW_DIFFICULTY, CARD_PHASES } from '../utils/constants.js';
 import { storage } from './storage.js';
+import { getAlgorithm, getAlgorithms, normalizeConfig, convertProgress } from './algorithms/registry.js';
+import { retrievability, retentionScale } from './algorithms/fsrs.js';
+import { clock } from '../utils/clock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Delay for Again when no steps are configured
+const AGAIN_DELAY_MINUTES = 1;
+
+// How far the load balancer may move a due date, as a share of the interval
+// (Anki's fuzz ranges). Intervals shorter than the first range are not moved
+const FUZZ_RANGES = [
+  { start: 2.5, end: 7, factor: 0.15 },
+  { start: 7, end: 20, factor: 0.1 },
+  { start: 20, end: Infinity, factor: 0.05 }
+];
+
+/**
+ * Get the start of the local day containing a time
+ * @param {number} time - Timestamp
+ * @returns {number} Timestamp of local midnight
+ */
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
 
 class SpacedRepetitionAlgorithm {
   constructor() {
     this.config = DEFAULT_ALGORITHM_CONFIG;
     this.configLoaded = false;
+    this.clock = clock;
+  }
+
+  /**
+   * Set the clock that gives the current time
+   * @param {Object} clockInstance - Clock with a now() method (see src/utils/clock.js)
+   */
+  setClock(clockInstance) {
+    this.clock = clockInstance;
   }
 
   /**
@@ -39,110 +80,300 @@ class SpacedRepetitionAlgorithm {
    * @param {Object} newConfig - Partial configuration to update
    */
   async updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    this.config = normalizeConfig({ ...this.config, ...newConfig }, DEFAULT_ALGORITHM_CONFIG);
     await storage.saveAlgorithmConfig(this.config);
   }
 
+  /**
+   * Get the configured algorithm
+   * @returns {Object} Algorithm from the registry
+   */
+  getActiveAlgorithm() {
+    return getAlgorithm(this.config.algorithm);
+  }
+
+  /**
+   * Get all algorithms that can be selected
+   * @returns {Array<{id: string, name: string}>} Algorithm ids and names
+   */
+  getAvailableAlgorithms() {
+    return getAlgorithms().map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Convert progress to another algorithm's card state
+   * Does not change the configuration; save it with updateConfig afterwards
+   * @param {Object} progress - Progress data
+   * @param {string} algorithmId - Algorithm to convert to
+   * @returns {Object} Converted progress
+   */
+  convertProgress(progress, algorithmId) {
+    return convertProgress(progress, this.config.algorithm, algorithmId, this.config);
+  }
+
+  /**
+   * Get where a card is in its life cycle
+   * @param {Object} flashcardData - Flashcard data
+   * @returns {string} Phase from CARD_PHASES
+   */
+  getPhase(flashcardData) {
+    if (flashcardData.phase) {
+      return flashcardData.phase;
+    }
+    // Saved before phases existed
+    return flashcardData.reviewCount > 0 ? CARD_PHASES.REVIEW : CARD_PHASES.NEW;
+  }
+
   /**
    * Calculate new interval based on review difficulty
    * @param {Object} flashcardData - Current flashcard data
-   * @param {string} difficulty - Review difficulty (hard/good/easy)
-   * @returns {Object} Updated flashcard data with new interval and ease
+   * @param {string} difficulty - Review difficulty (again/hard/good/easy)
+   * @param {number[]|Map<number, number>} dueDates - Due dates of the other cards (or their counts by day), for the load balancer
+   * @param {number} now - Review time (simulations pass their own)
+   * @returns {Object} Updated flashcard data with the new phase, interval, due date and algorithm state
    */
-  calculateReview(flashcardData, difficulty) {
+  calculateReview(flashcardData, difficulty, dueDates = [], now = this.clock.now()) {
     // Config should be loaded by now, but use defaults if not
     if (!this.configLoaded) {
       this.config = DEFAULT_ALGORITHM_CONFIG;
     }
-    const {
-      reviewCount = 0,
-      ease = this.config.baseEase,
-      interval = 0,
-      lastReview = null
-    } = flashcardData;
-
-    let newInterval;
-    let newEase = ease;
-    const now = Date.now();
+    const { reviewCount = 0 } = flashcardData;
+    const entry = { ...flashcardData, reviewCount };
+    const phase = this.getPhase(entry);
 
-    if (reviewCount === 0) {
-      // First review - use default intervals
-      newInterval = DEFAULT_INTERVALS[difficulty];
+    let result;
+    if (phase === CARD_PHASES.NEW) {
+      // Counts towards the new card limit of the study day
+      result = { introducedAt: now, ...this.stepLearning(entry, phase, difficulty, dueDates, now) };
+    } else if (phase !== CARD_PHASES.REVIEW) {
+      result = this.stepLearning(entry, phase, difficulty, dueDates, now);
+    } else if (difficulty === REVIEW_DIFFICULTY.AGAIN) {
+      result = this.lapse(entry, now);
     } else {
-      // Subsequent reviews
-      switch (difficulty) {
-        case REVIEW_DIFFICULTY.HARD:
-          // newInterval = oldInterval * intervalChange / 100
-          newInterval = interval * (this.config.intervalChangeHard / 100);
-          // Slightly decrease ease for hard reviews
-          newEase = Math.max(130, ease - 20);
-          break;
-
-        case REVIEW_DIFFICULTY.GOOD:
-          // Standard interval calculation
-          newInterval = interval * (ease / 100);
-          // Ease remains the same for good reviews
-          break;
-
-        case REVIEW_DIFFICULTY.EASY:
-          // Apply easy bonus: newInterval = oldInterval * ease * easyBonus / 10000
-          newInterval = interval * (ease / 100) * (this.config.easyBonus / 100);
-          // Slightly increase ease for easy reviews
-          newEase = ease + 15;
-          break;
-
-        default:
-          newInterval = interval;
+      result = this.scheduleReview(entry, difficulty, dueDates, now);
+      if (difficulty === REVIEW_DIFFICULTY.HARD) {
+        result.hardCount = (entry.hardCount || 0) + 1;
       }
     }
 
+    return {
+      ...flashcardData,
+      ...result,
+      reviewCount: reviewCount + 1,
+      lastReview: now,
+      difficulty: difficulty
+    };
+  }
+
+  /**
+   * Schedule a card in review with the configured algorithm
+   * @param {Object} entry - Current flashcard data (reviewCount 0 for a card graduating from learning)
+   * @param {string} difficulty - Review difficulty (hard/good/easy)
+   * @param {number[]} dueDates - Due dates of the other cards
+   * @param {number} now - Review time
+   * @returns {Object} Algorithm state, phase, interval and due date
+   */
+  scheduleReview(entry, difficulty, dueDates, now) {
+    const { interval, state } = this.getActiveAlgorithm().review(entry, difficulty, this.config, now);
+    return {
+      ...state,
+      phase: CARD_PHASES.REVIEW,
+      step: 0,
+      ...this.scheduleInterval(interval, dueDates, now)
+    };
+  }
+
+  /**
+   * Apply the load balancer and the maximum interval to an interval
+   * @param {number} interval - Interval in days
+   * @param {number[]} dueDates - Due dates of the other cards
+   * @param {number} now - Review time
+   * @returns {{interval: number, dueDate: number}} Final interval and due date
+   */
+  scheduleInterval(interval, dueDates, now) {
+    let newInterval = interval;
+
     // Apply load balancer if enabled
     if (this.config.enableLoadBalancer && newInterval >= 1) {
-      newInterval = this.applyLoadBalancer(newInterval);
+      newInterval = this.applyLoadBalancer(newInterval, dueDates, now);
     }
 
     // Cap interval at maximum
     newInterval = Math.min(newInterval, this.config.maxIntervalDays);
 
-    // Calculate due date
-    const dueDate = now + (newInterval * 24 * 60 * 60 * 1000);
-
     return {
-      ...flashcardData,
-      reviewCount: reviewCount + 1,
-      ease: Math.round(newEase),
       interval: Math.round(newInterval * 100) / 100, // Round to 2 decimal places
-      lastReview: now,
-      dueDate: dueDate,
-      difficulty: difficulty
+      dueDate: now + (newInterval * DAY_MS)
+    };
+  }
+
+  /**
+   * Handle Again on a card in review: count the lapse, let the algorithm
+   * shrink the interval and send the card through the relearning steps
+   * @param {Object} entry - Current flashcard data
+   * @param {number} now - Review time
+   * @returns {Object} Algorithm state, lapses, phase, interval and due date
+   */
+  lapse(entry, now) {
+    const { interval, state } = this.getActiveAlgorithm().review(entry, REVIEW_DIFFICULTY.AGAIN, this.config, now);
+    const lapseInterval = Math.min(interval, this.config.maxIntervalDays);
+    const steps = this.config.relearningSteps || [];
+    const result = {
+      ...state,
+      lapses: (entry.lapses || 0) + 1,
+      // Used once the card has been relearned
+      interval: Math.round(lapseInterval * 100) / 100
     };
+
+    if (steps.length === 0) {
+      return { ...result, phase: CARD_PHASES.REVIEW, step: 0, dueDate: now + lapseInterval * DAY_MS };
+    }
+    return { ...result, phase: CARD_PHASES.RELEARNING, step: 0, dueDate: now + steps[0] * MINUTE_MS };
   }
 
   /**
-   * Apply load balancer to slightly tweak interval for consistent daily reviews
-   * Similar to Anki's fuzz but picks the day with least reviews
+   * Move a new, learning or relearning card through its steps
+   * Again goes back to the first step, Hard repeats the step (halfway to the
+   * second step when on the first one), Good moves to the next step and Easy
+   * graduates straight away. A card graduates after its last step
+   * @param {Object} entry - Current flashcard data
+   * @param {string} phase - Phase from CARD_PHASES (not review)
+   * @param {string} difficulty - Review difficulty
+   * @param {number[]} dueDates - Due dates of the other cards
+   * @param {number} now - Review time
+   * @returns {Object} Phase, step and due date, plus the interval and algorithm state on graduation
+   */
+  stepLearning(entry, phase, difficulty, dueDates, now) {
+    const relearning = phase === CARD_PHASES.RELEARNING;
+    const steps = (relearning ? this.config.relearningSteps : this.config.learningSteps) || [];
+    const step = phase === CARD_PHASES.NEW ? 0 : Math.min(entry.step || 0, steps.length);
+    const stepPhase = relearning ? CARD_PHASES.RELEARNING : CARD_PHASES.LEARNING;
+
+    switch (difficulty) {
+      case REVIEW_DIFFICULTY.AGAIN:
+        return { phase: stepPhase, step: 0, dueDate: now + (steps[0] ?? AGAIN_DELAY_MINUTES) * MINUTE_MS };
+
+      case REVIEW_DIFFICULTY.HARD:
+        if (step < steps.length) {
+          const delay = step === 0 && steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[step];
+          return { phase: stepPhase, step, dueDate: now + delay * MINUTE_MS };
+        }
+        break;
+
+      case REVIEW_DIFFICULTY.GOOD:
+        if (step + 1 < steps.length) {
+          return { phase: stepPhase, step: step + 1, dueDate: now + steps[step + 1] * MINUTE_MS };
+        }
+        break;
+    }
+
+    // Graduate
+    if (relearning) {
+      // The interval was already shrunk when the card lapsed
+      return { phase: CARD_PHASES.REVIEW, step: 0, ...this.scheduleInterval(entry.interval || 1, dueDates, now) };
+    }
+    return this.scheduleReview({ ...entry, reviewCount: 0 }, difficulty, dueDates, now);
+  }
+
+  /**
+   * Get how many days the load balancer may move a card either way
    * @param {number} interval - Base interval in days
+   * @returns {number} Whole days (0 if the card should not be moved)
+   */
+  getFuzzRange(interval) {
+    if (interval < FUZZ_RANGES[0].start) {
+      return 0;
+    }
+    const range = FUZZ_RANGES.reduce(
+      (days, { start, end, factor }) => days + factor * Math.max(0, Math.min(interval, end) - start),
+      1
+    );
+    return Math.round(range);
+  }
+
+  /**
+   * Get the load balancer weight of a weekday
+   * @param {number} weekday - Day of the week (0 = Sunday)
+   * @returns {number} Share of a normal day's reviews (0 = keep the day free)
+   */
+  getDayWeight(weekday) {
+    const weights = this.config.loadBalancerDayWeights || DEFAULT_ALGORITHM_CONFIG.loadBalancerDayWeights;
+    return Math.max(0, weights[weekday] ?? 100) / 100;
+  }
+
+  /**
+   * Count due cards per local day
+   * @param {number[]} dueDates - Due dates
+   * @returns {Map<number, number>} Number of cards by start of day
+   */
+  countDueByDay(dueDates) {
+    const counts = new Map();
+    dueDates.forEach(dueDate => this.addDueCount(counts, dueDate, 1));
+    return counts;
+  }
+
+  /**
+   * Add a due date to (or take it off) counts from countDueByDay
+   * @param {Map<number, number>} counts - Number of cards by start of day
+   * @param {number|null} dueDate - Due date
+   * @param {number} change - 1 to add the due date, -1 to take it off
+   */
+  addDueCount(counts, dueDate, change) {
+    if (dueDate) {
+      const day = startOfDay(dueDate);
+      counts.set(day, (counts.get(day) || 0) + change);
+    }
+  }
+
+  /**
+   * Apply load balancer to spread reviews evenly over the days
+   * Like Anki's fuzz, but instead of a random day it picks the day in the
+   * fuzz window with the fewest cards already due, relative to the weekday's
+   * weight. Ties go to the day closest to the original interval
+   * @param {number} interval - Base interval in days
+   * @param {number[]|Map<number, number>} dueDates - Due dates of the other cards, or their counts from countDueByDay
+   * @param {number} now - Review time
    * @returns {number} Adjusted interval
    */
-  applyLoadBalancer(interval) {
-    // Only apply to intervals >= 1 day
-    if (interval < 1) {
+  applyLoadBalancer(interval, dueDates = [], now = this.clock.now()) {
+    const range = this.getFuzzRange(interval);
+    if (range === 0) {
       return interval;
     }
 
-    // Add small random variation (±5%) to distribute reviews
-    // In a real implementation, this would check actual review distribution
-    const variation = 0.05; // 5% variation
-    const randomFactor = 1 + (Math.random() * 2 - 1) * variation;
-    
-    return interval * randomFactor;
+    const counts = dueDates instanceof Map ? dueDates : this.countDueByDay(dueDates);
+    let best = interval;
+    let bestLoad = Infinity;
+
+    // Try offsets from the closest outwards: 0, -1, +1, -2, +2, ...
+    for (let distance = 0; distance <= range; distance++) {
+      const offsets = distance === 0 ? [0] : [-distance, distance];
+      offsets.forEach(offset => {
+        const candidate = interval + offset;
+        if (candidate < 1 || candidate > this.config.maxIntervalDays) {
+          return;
+        }
+        const day = startOfDay(now + candidate * DAY_MS);
+        const weight = this.getDayWeight(new Date(day).getDay());
+        if (weight === 0) {
+          return;
+        }
+        const load = ((counts.get(day) || 0) + 1) / weight;
+        if (load < bestLoad) {
+          best = candidate;
+          bestLoad = load;
+        }
+      });
+    }
+
+    return best;
   }
 
   /**
    * Calculate initial ease for a new flashcard
-   * Can incorporate linked notes' weighted ease if applicable
+   * Can incorporate linked cards' weighted ease if applicable (see links.js)
    * @param {Object} options - Options for ease calculation
-   * @param {number} options.linkedEase - Weighted ease from linked notes
+   * @param {number} options.linkedEase - Weighted ease from linked cards
    * @returns {number} Initial ease factor
    */
   calculateInitialEase(options = {}) {
@@ -158,6 +389,61 @@ class SpacedRepetitionAlgorithm {
     return Math.max(130, Math.round(ease));
   }
 
+  /**
+   * Get the start of the study day containing a time
+   * Study days start at the configured rollover hour instead of midnight, so
+   * reviews just after midnight still count towards the previous day
+   * @param {number} time - Timestamp
+   * @returns {number} Timestamp of the start of the study day
+   */
+  getStudyDayStart(time = this.clock.now()) {
+    const rolloverHour = this.config.dayRolloverHour ?? DEFAULT_ALGORITHM_CONFIG.dayRolloverHour;
+    const date = new Date(time);
+    if (date.getHours() < rolloverHour) {
+      date.setDate(date.getDate() - 1);
+    }
+    date.setHours(rolloverHour, 0, 0, 0);
+    return date.getTime();
+  }
+
+  /**
+   * Check if a card is in its learning or relearning steps
+   * @param {Object} flashcardData - Flashcard data
+   * @returns {boolean} True if the card is learning or relearning
+   */
+  isLearning(flashcardData) {
+    const phase = this.getPhase(flashcardData);
+    return phase === CARD_PHASES.LEARNING || phase === CARD_PHASES.RELEARNING;
+  }
+
+  /**
+   * Count the failed answers that make a card a leech
+   * @param {Object} flashcardData - Flashcard data
+   * @returns {number} Lapses, plus Hard answers in review if leechCountsHard is on
+   */
+  getLeechCount(flashcardData) {
+    const hard = this.config.leechCountsHard ? (flashcardData.hardCount || 0) : 0;
+    return (flashcardData.lapses || 0) + hard;
+  }
+
+  /**
+   * Check if an answer turned a card into a leech
+   * As in Anki, a card becomes a leech when its count reaches the threshold
+   * and again every half threshold after that, so a leech that was fixed
+   * and still fails is caught again
+   * @param {Object} before - Flashcard data before the answer
+   * @param {Object} after - Flashcard data after the answer
+   * @returns {boolean} True if the answer reached a leech threshold
+   */
+  isNewLeech(before, after) {
+    const threshold = this.config.leechThreshold;
+    const count = this.getLeechCount(after);
+    if (!(threshold > 0) || count <= this.getLeechCount(before) || count < threshold) {
+      return false;
+    }
+    return (count - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+  }
+
   /**
    * Check if a flashcard is due for review
    * @param {Object} flashcardData - Flashcard data with dueDate
@@ -167,7 +453,47 @@ class SpacedRepetitionAlgorithm {
     if (!flashcardData.dueDate) {
       return true; // New flashcard is always due
     }
-    return Date.now() >= flashcardData.dueDate;
+    return this.clock.now() >= flashcardData.dueDate;
+  }
+
+  /**
+   * Estimate the probability of recalling a card now
+   * Uses the FSRS forgetting curve with the active algorithm's stability
+   * @param {Object} flashcardData - Flashcard data
+   * @param {number} now - Time to estimate for
+   * @returns {number|null} Retrievability from 0 to 1, or null for new cards
+   */
+  getRetrievability(flashcardData, now = this.clock.now()) {
+    if (!flashcardData.reviewCount || !flashcardData.lastReview) {
+      return null;
+    }
+    const { stability } = this.getActiveAlgorithm().toMemory(flashcardData, this.config);
+    return retrievability((now - flashcardData.lastReview) / DAY_MS, stability);
+  }
+
+  /**
+   * Estimate the reviews per day needed to keep a desired retention
+   * Each card's memory stability gives the interval at which its recall falls
+   * to the target; a card reviewed every I days costs 1 / I reviews a day.
+   * Cards without a stability yet (new and learning cards) are left out
+   * @param {Object} flashcardData - Progress entries by card key
+   * @param {number} requestRetention - Target recall probability
+   * @returns {number} Reviews per day, rounded to one decimal
+   */
+  estimateWorkload(flashcardData, requestRetention = this.config.requestRetention) {
+    const definition = this.getActiveAlgorithm();
+    const scale = retentionScale(requestRetention);
+    let workload = 0;
+    Object.values(flashcardData).forEach(entry => {
+      if (!entry || !entry.reviewCount) {
+        return;
+      }
+      const { stability } = definition.toMemory(entry, this.config);
+      if (stability > 0) {
+        workload += 1 / Math.min(this.config.maxIntervalDays, Math.max(1, stability * scale));
+      }
+    });
+    return Math.round(workload * 10) / 10;
   }
 
   /**
@@ -179,8 +505,7 @@ class SpacedRepetitionAlgorithm {
     if (!flashcardData.dueDate) {
       return 0;
     }
-    const now = Date.now();
-    const diff = flashcardData.dueDate - now;
+    const diff = flashcardData.dueDate - this.clock.now();
     return Math.round(diff / (24 * 60 * 60 * 1000));
   }
 
@@ -190,14 +515,20 @@ class SpacedRepetitionAlgorithm {
    * @returns {Object} Reset flashcard data
    */
   resetFlashcard(flashcardData) {
+    const result = { ...flashcardData };
+    getAlgorithms().forEach(definition => definition.stateFields.forEach(field => delete result[field]));
+    delete result.easeLinks;
     return {
-      ...flashcardData,
+      ...result,
       reviewCount: 0,
-      ease: this.config.baseEase,
       interval: 0,
       lastReview: null,
       dueDate: null,
-      difficulty: null
+      difficulty: null,
+      introducedAt: null,
+      phase: CARD_PHASES.NEW,
+      step: 0,
+      lapses: 0
     };
   }
 }
@@ -205,3 +536,17 @@ class SpacedRepetitionAlgorithm {
 // Export singleton instance
 export const algorithm = new SpacedRepetitionAlgorithm();
 
+/**
+ * Create a separate instance with its own configuration
+ * Used by simulations, which must not change the configuration every other
+ * module schedules with
+ * @param {Object} config - Algorithm configuration (missing settings use the defaults)
+ * @returns {SpacedRepetitionAlgorithm} Instance with the configuration loaded
+ */
+export function createAlgorithm(config = {}) {
+  const instance = new SpacedRepetitionAlgorithm();
+  instance.config = normalizeConfig({ ...DEFAULT_ALGORITHM_CONFIG, ...config }, DEFAULT_ALGORITHM_CONFIG);
+  instance.configLoaded = true;
+  return instance;
+}
+
@@ -0,0 +1,201 @@
+/**
+ * FSRS (Free Spaced Repetition Scheduler), version 4.5
+ * Each card keeps a memory stability (days until recall probability drops to
+ * 90%) and a difficulty from 1 to 10. Retrievability, the probability of
+ * recalling the card now, follows from the stability and the time elapsed
+ * since the last review. Intervals are chosen so retrievability has fallen to
+ * the requested retention when the card comes due.
+ */
+
+import { REVIEW_DIFFICULTY } from '../../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Forgetting curve R(t, S) = (1 + FACTOR * t / S) ^ DECAY, with R(S, S) = 0.9
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 10;
+const MIN_STABILITY = 0.01;
+
+// Default FSRS-4.5 parameters
+export const DEFAULT_FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+// FSRS grades (1 = again, 2 = hard, 3 = good, 4 = easy)
+const GRADES = {
+  [REVIEW_DIFFICULTY.AGAIN]: 1,
+  [REVIEW_DIFFICULTY.HARD]: 2,
+  [REVIEW_DIFFICULTY.GOOD]: 3,
+  [REVIEW_DIFFICULTY.EASY]: 4
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Probability of recalling a card
+ * @param {number} elapsedDays - Days since the last review
+ * @param {number} stability - Memory stability in days
+ * @returns {number} Retrievability from 0 to 1
+ */
+export function retrievability(elapsedDays, stability) {
+  if (!(stability > 0)) {
+    return 0;
+  }
+  return Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / stability, DECAY);
+}
+
+/**
+ * Interval after which retrievability falls to the requested retention
+ * @param {number} stability - Memory stability in days
+ * @param {number} requestRetention - Target recall probability
+ * @returns {number} Interval in days
+ */
+export function intervalForRetention(stability, requestRetention) {
+  return stability / FACTOR * (Math.pow(requestRetention, 1 / DECAY) - 1);
+}
+
+/**
+ * How much longer than the stability an interval is for a desired retention
+ * Exactly 1 at 90%, the retention the stability is defined by
+ * @param {number} requestRetention - Target recall probability
+ * @returns {number} Interval divided by stability
+ */
+export function retentionScale(requestRetention) {
+  return (Math.pow(requestRetention, 1 / DECAY) - 1) / (Math.pow(0.9, 1 / DECAY) - 1);
+}
+
+/**
+ * Initial difficulty for a first-review grade
+ * @param {number[]} w - FSRS weights
+ * @param {number} grade - FSRS grade
+ * @returns {number} Difficulty (not clamped)
+ */
+function initialDifficulty(w, grade) {
+  return w[4] - (grade - 3) * w[5];
+}
+
+/**
+ * Difficulty after a review, pulled back towards the default
+ * @param {number[]} w - FSRS weights
+ * @param {number} difficulty - Current difficulty
+ * @param {number} grade - FSRS grade
+ * @returns {number} New difficulty
+ */
+function nextDifficulty(w, difficulty, grade) {
+  const next = difficulty - w[6] * (grade - 3);
+  return clamp(w[7] * initialDifficulty(w, 3) + (1 - w[7]) * next, MIN_DIFFICULTY, MAX_DIFFICULTY);
+}
+
+/**
+ * Stability after a successful recall
+ * @param {number[]} w - FSRS weights
+ * @param {number} difficulty - Difficulty before the review
+ * @param {number} stability - Stability before the review
+ * @param {number} recall - Retrievability at the review
+ * @param {number} grade - FSRS grade
+ * @returns {number} New stability
+ */
+function recallStability(w, difficulty, stability, recall, grade) {
+  const hardPenalty = grade === 2 ? w[15] : 1;
+  const easyBonus = grade === 4 ? w[16] : 1;
+  return stability * (1 + Math.exp(w[8]) * (11 - difficulty) * Math.pow(stability, -w[9]) *
+    (Math.exp(w[10] * (1 - recall)) - 1) * hardPenalty * easyBonus);
+}
+
+/**
+ * Stability after the card was forgotten
+ * @param {number[]} w - FSRS weights
+ * @param {number} difficulty - Difficulty before the review
+ * @param {number} stability - Stability before the review
+ * @param {number} recall - Retrievability at the review
+ * @returns {number} New stability
+ */
+function forgetStability(w, difficulty, stability, recall) {
+  const next = w[11] * Math.pow(difficulty, -w[12]) * (Math.pow(stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - recall));
+  return Math.min(next, stability);
+}
+
+export const fsrs = {
+  id: 'fsrs',
+  name: 'FSRS',
+
+  // Settings this algorithm reads from algorithm_config
+  configSchema: {
+    fsrsWeights: { label: 'FSRS Parameters', length: DEFAULT_FSRS_WEIGHTS.length }
+  },
+
+  // Per-card fields this algorithm keeps in flashcardData
+  stateFields: ['stability', 'fsrsDifficulty'],
+
+  /**
+   * Compute the next interval and card state
+   * @param {Object} entry - Current flashcard data
+   * @param {string} difficulty - Review difficulty
+   * @param {Object} config - Algorithm configuration
+   * @param {number} now - Review time
+   * @returns {{interval: number, state: Object}} Interval in days and new state fields
+   */
+  review(entry, difficulty, config, now) {
+    const w = config.fsrsWeights || DEFAULT_FSRS_WEIGHTS;
+    const grade = GRADES[difficulty] ?? 3;
+    let stability;
+    let cardDifficulty;
+
+    if (!entry.reviewCount || !(entry.stability > 0)) {
+      if (entry.reviewCount > 0) {
+        // Reviewed under another algorithm without a conversion: start from its interval
+        stability = Math.max(MIN_STABILITY, entry.interval || w[grade - 1]);
+        cardDifficulty = nextDifficulty(w, clamp(initialDifficulty(w, 3), MIN_DIFFICULTY, MAX_DIFFICULTY), grade);
+      } else {
+        stability = w[grade - 1];
+        cardDifficulty = clamp(initialDifficulty(w, grade), MIN_DIFFICULTY, MAX_DIFFICULTY);
+      }
+    } else {
+      const elapsedDays = entry.lastReview ? (now - entry.lastReview) / DAY_MS : 0;
+      const recall = retrievability(elapsedDays, entry.stability);
+      const current = entry.fsrsDifficulty ?? initialDifficulty(w, 3);
+      stability = grade === 1
+        ? forgetStability(w, current, entry.stability, recall)
+        : recallStability(w, current, entry.stability, recall, grade);
+      cardDifficulty = nextDifficulty(w, current, grade);
+    }
+
+    stability = Math.max(MIN_STABILITY, stability);
+    return {
+      interval: intervalForRetention(stability, config.requestRetention),
+      state: {
+        stability: Math.round(stability * 10000) / 10000,
+        fsrsDifficulty: Math.round(cardDifficulty * 10000) / 10000
+      }
+    };
+  },
+
+  /**
+   * Describe a card's memory in algorithm-neutral terms
+   * @param {Object} entry - Flashcard data
+   * @returns {{stability: number, difficulty: number}} Stability in days and difficulty from 0 (easy) to 1 (hard)
+   */
+  toMemory(entry) {
+    const difficulty = entry.fsrsDifficulty ?? initialDifficulty(DEFAULT_FSRS_WEIGHTS, 3);
+    return {
+      stability: entry.stability || entry.interval || 0,
+      difficulty: clamp((difficulty - MIN_DIFFICULTY) / (MAX_DIFFICULTY - MIN_DIFFICULTY), 0, 1)
+    };
+  },
+
+  /**
+   * Build this algorithm's card state from an algorithm-neutral memory
+   * @param {{stability: number, difficulty: number}} memory - Memory from toMemory
+   * @returns {Object} State fields
+   */
+  fromMemory(memory) {
+    return {
+      stability: Math.max(MIN_STABILITY, Math.round(memory.stability * 10000) / 10000),
+      fsrsDifficulty: Math.round((MIN_DIFFICULTY + memory.difficulty * (MAX_DIFFICULTY - MIN_DIFFICULTY)) * 10000) / 10000
+    };
+  }
+};
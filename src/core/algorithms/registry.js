@@ -0,0 +1,159 @@
+/**
+ * Registry of scheduling algorithms
+ * An algorithm is an object with:
+ * - id, name: stored in algorithm_config.algorithm / shown in the popup
+ * - configSchema: the algorithm_config settings it reads, with limits
+ *   (min/max for numbers, length for fixed-size arrays, list for any length,
+ *   options for one of a set of values)
+ * - stateFields: the per-card fields it keeps in flashcardData
+ * - review(entry, difficulty, config, now): next interval in days and state fields
+ * - toMemory(entry, config) / fromMemory(memory, config): convert card state
+ *   through an algorithm-neutral {stability, difficulty} so switching
+ *   algorithms keeps what was learned
+ * Every algorithm keeps a memory stability (days until recall falls to 90%)
+ * and turns it into an interval with the shared requestRetention setting.
+ * Fields every algorithm shares (reviewCount, interval, lastReview, dueDate,
+ * difficulty, phase, step, lapses, hardCount) are handled by SpacedRepetitionAlgorithm in
+ * algorithm.js, which also runs the learning steps; review() is only called
+ * for reviews of graduated cards, the answer that graduates a new card and
+ * lapses (Again on a card in review).
+ */
+
+import { sm2 } from './sm2.js';
+import { fsrs } from './fsrs.js';
+import { LEECH_ACTIONS } from '../../utils/constants.js';
+
+export const DEFAULT_ALGORITHM_ID = sm2.id;
+
+// Settings that apply whichever algorithm is active
+export const SHARED_CONFIG_SCHEMA = {
+  requestRetention: { label: 'Desired Retention', min: 0.7, max: 0.99 },
+  learningSteps: { label: 'Learning Steps (minutes)', list: true, min: 0 },
+  relearningSteps: { label: 'Relearning Steps (minutes)', list: true, min: 0 },
+  newCardsPerDay: { label: 'New Cards per Day', min: 0 },
+  reviewsPerDay: { label: 'Reviews per Day', min: 0 },
+  dayRolloverHour: { label: 'Next Day Starts At (hour)', min: 0, max: 23 },
+  enableLoadBalancer: { label: 'Enable Load Balancer' },
+  loadBalancerDayWeights: { label: 'Load Balancer Day Weights (%)', length: 7, min: 0, max: 100 },
+  maxIntervalDays: { label: 'Maximum Interval (days)', min: 1 },
+  maxLinkContribution: { label: 'Maximum Link Contribution', min: 0, max: 100 },
+  leechThreshold: { label: 'Leech Threshold', min: 0 },
+  leechCountsHard: { label: 'Count Hard Answers Towards Leeches' },
+  leechAction: { label: 'Leech Action', options: Object.values(LEECH_ACTIONS) }
+};
+
+const algorithms = new Map();
+
+/**
+ * Clamp a number to the limits of a schema field
+ * @param {number} value - Value
+ * @param {Object} field - Schema field with optional min and max
+ * @returns {number} Clamped value
+ */
+function clampToField(value, field) {
+  return Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, value));
+}
+
+/**
+ * Add an algorithm to the registry
+ * @param {Object} definition - Algorithm (see the module comment for its shape)
+ */
+export function registerAlgorithm(definition) {
+  const missing = ['id', 'name', 'configSchema', 'stateFields', 'review', 'toMemory', 'fromMemory']
+    .filter(field => !(field in definition));
+  if (missing.length > 0) {
+    throw new Error(`Algorithm "${definition.id}" is missing ${missing.join(', ')}`);
+  }
+  algorithms.set(definition.id, definition);
+}
+
+registerAlgorithm(sm2);
+registerAlgorithm(fsrs);
+
+/**
+ * Get all registered algorithms
+ * @returns {Object[]} Algorithms
+ */
+export function getAlgorithms() {
+  return [...algorithms.values()];
+}
+
+/**
+ * Get an algorithm by id or display name
+ * Configs saved before the registry stored the display name
+ * @param {string} idOrName - Algorithm id or name
+ * @returns {Object} Algorithm, or the default one if unknown
+ */
+export function getAlgorithm(idOrName) {
+  return algorithms.get(idOrName) ||
+    getAlgorithms().find(definition => definition.name === idOrName) ||
+    algorithms.get(DEFAULT_ALGORITHM_ID);
+}
+
+/**
+ * Keep configuration values within the limits of their schemas
+ * Out-of-range numbers are clamped; malformed values fall back to the defaults
+ * @param {Object} config - Algorithm configuration
+ * @param {Object} defaults - Default configuration
+ * @returns {Object} Configuration with valid values
+ */
+export function normalizeConfig(config, defaults) {
+  const schema = Object.assign({}, SHARED_CONFIG_SCHEMA, ...getAlgorithms().map(definition => definition.configSchema));
+  const result = { ...config, algorithm: getAlgorithm(config.algorithm).id };
+
+  Object.entries(schema).forEach(([key, field]) => {
+    const value = result[key];
+    if (value === undefined) {
+      return;
+    }
+    if (field.length !== undefined || field.list) {
+      const valid = Array.isArray(value) && (field.list || value.length === field.length) && value.every(Number.isFinite);
+      result[key] = valid ? value.map(item => clampToField(item, field)) : defaults[key];
+    } else if (field.min !== undefined || field.max !== undefined) {
+      result[key] = Number.isFinite(value) ? clampToField(value, field) : defaults[key];
+    } else if (field.options) {
+      result[key] = field.options.includes(value) ? value : defaults[key];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Convert one card's state from one algorithm to another
+ * Cards that were never reviewed are left alone; the interval and due date
+ * are kept, so the card comes due when it already would have
+ * @param {Object} entry - flashcardData entry
+ * @param {Object} from - Algorithm the state belongs to
+ * @param {Object} to - Algorithm to convert to
+ * @param {Object} config - Algorithm configuration
+ * @returns {Object} Converted entry
+ */
+export function convertCardState(entry, from, to, config) {
+  if (!entry || !entry.reviewCount || from.id === to.id) {
+    return entry;
+  }
+
+  const memory = from.toMemory(entry, config);
+  const result = { ...entry };
+  from.stateFields.forEach(field => delete result[field]);
+  return { ...result, ...to.fromMemory(memory, config) };
+}
+
+/**
+ * Convert all progress to another algorithm
+ * @param {Object} progress - Progress data
+ * @param {string} fromId - Current algorithm id or name
+ * @param {string} toId - New algorithm id or name
+ * @param {Object} config - Algorithm configuration
+ * @returns {Object} Progress with converted flashcardData
+ */
+export function convertProgress(progress, fromId, toId, config) {
+  const from = getAlgorithm(fromId);
+  const to = getAlgorithm(toId);
+  const flashcardData = {};
+  Object.entries(progress.flashcardData || {}).forEach(([key, entry]) => {
+    flashcardData[key] = convertCardState(entry, from, to, config);
+  });
+  return { ...progress, flashcardData };
+}
@@ -0,0 +1,159 @@
+/**
+ * OSR's variant of SM-2
+ * Each card keeps an ease factor: Good multiplies the interval by the ease,
+ * Easy adds the easy bonus and raises the ease, Hard shrinks the interval and
+ * lowers the ease, Again (a lapse) cuts the interval to the lapse percentage
+ * and lowers the ease further.
+ * The multiplications apply to the card's memory stability, the interval at
+ * which recall falls to 90%. The interval itself is the stability stretched
+ * or shrunk to the desired retention (the same at 90%), so changing the
+ * target does not compound from one review to the next.
+ * A card answered after its due date was remembered for longer than its
+ * interval, so the days it was overdue are added to its stability before the
+ * multiplication: in full for Easy, half for Good and a quarter for Hard, as
+ * Anki does.
+ */
+
+import { REVIEW_DIFFICULTY, DEFAULT_INTERVALS } from '../../utils/constants.js';
+import { retentionScale } from './fsrs.js';
+
+const MIN_EASE = 130;
+// Shortest interval in days after a lapse
+const MIN_LAPSE_INTERVAL = 1;
+// Ease that counts as the easiest card when converting to another algorithm
+const CONVERSION_MAX_EASE = 350;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the overdue days added to the stability for each answer
+const OVERDUE_CREDIT = {
+  [REVIEW_DIFFICULTY.HARD]: 0.25,
+  [REVIEW_DIFFICULTY.GOOD]: 0.5,
+  [REVIEW_DIFFICULTY.EASY]: 1
+};
+
+/**
+ * Stability credit for the days a card was answered after its interval ended
+ * The overdue days are converted from the desired retention back to the 90%
+ * the stability is defined by
+ * @param {Object} entry - Current flashcard data
+ * @param {string} difficulty - Review difficulty
+ * @param {Object} config - Algorithm configuration
+ * @param {number} now - Review time
+ * @returns {number} Days to add to the stability
+ */
+function overdueCredit(entry, difficulty, config, now) {
+  if (!OVERDUE_CREDIT[difficulty] || !entry.lastReview || !(entry.interval > 0)) {
+    return 0;
+  }
+  const overdueDays = (now - entry.lastReview) / DAY_MS - entry.interval;
+  if (overdueDays <= 0) {
+    return 0;
+  }
+  return overdueDays * OVERDUE_CREDIT[difficulty] / retentionScale(config.requestRetention ?? 0.9);
+}
+
+/**
+ * Next stability and ease for an answer
+ * @param {number} stability - Current stability in days
+ * @param {number} ease - Current ease
+ * @param {string} difficulty - Review difficulty
+ * @param {Object} config - Algorithm configuration
+ * @returns {{stability: number, ease: number}} New stability and ease
+ */
+function nextMemory(stability, ease, difficulty, config) {
+  switch (difficulty) {
+    case REVIEW_DIFFICULTY.AGAIN:
+      // newInterval = oldInterval * lapseIntervalPercent / 100, ease decreases
+      return {
+        stability: Math.max(MIN_LAPSE_INTERVAL, stability * (config.lapseIntervalPercent / 100)),
+        ease: Math.max(MIN_EASE, ease - 20)
+      };
+
+    case REVIEW_DIFFICULTY.HARD:
+      // newInterval = oldInterval * intervalChange / 100, ease decreases slightly
+      return { stability: stability * (config.intervalChangeHard / 100), ease: Math.max(MIN_EASE, ease - 20) };
+
+    case REVIEW_DIFFICULTY.GOOD:
+      // Standard interval calculation, ease unchanged
+      return { stability: stability * (ease / 100), ease };
+
+    case REVIEW_DIFFICULTY.EASY:
+      // newInterval = oldInterval * ease * easyBonus / 10000, ease increases slightly
+      return { stability: stability * (ease / 100) * (config.easyBonus / 100), ease: ease + 15 };
+
+    default:
+      return { stability, ease };
+  }
+}
+
+export const sm2 = {
+  id: 'sm2',
+  name: "OSR's variant of SM-2",
+
+  // Settings this algorithm reads from algorithm_config
+  configSchema: {
+    baseEase: { label: 'Base Ease', min: MIN_EASE },
+    intervalChangeHard: { label: 'Interval Change (Hard)', min: 0, max: 100 },
+    easyBonus: { label: 'Easy Bonus', min: 100 },
+    lapseIntervalPercent: { label: 'New Interval After Lapse (%)', min: 0, max: 100 }
+  },
+
+  // Per-card fields this algorithm keeps in flashcardData
+  stateFields: ['ease', 'stability'],
+
+  /**
+   * Compute the next interval and card state
+   * @param {Object} entry - Current flashcard data
+   * @param {string} difficulty - Review difficulty
+   * @param {Object} config - Algorithm configuration
+   * @param {number} now - Review time
+   * @returns {{interval: number, state: Object}} Interval in days and new state fields
+   */
+  review(entry, difficulty, config, now) {
+    const { reviewCount = 0 } = entry;
+    const ease = entry.ease ?? config.baseEase;
+    // Cards scheduled before stability was kept: their interval was scheduled for 90%
+    const stability = entry.stability ?? entry.interval ?? 0;
+
+    const memory = reviewCount === 0
+      // First review - use default intervals
+      ? { stability: DEFAULT_INTERVALS[difficulty], ease }
+      : nextMemory(stability + overdueCredit(entry, difficulty, config, now), ease, difficulty, config);
+
+    let interval = memory.stability * retentionScale(config.requestRetention ?? 0.9);
+    if (reviewCount > 0 && difficulty === REVIEW_DIFFICULTY.AGAIN) {
+      interval = Math.max(MIN_LAPSE_INTERVAL, interval);
+    }
+    return {
+      interval,
+      state: { ease: memory.ease, stability: Math.round(memory.stability * 10000) / 10000 }
+    };
+  },
+
+  /**
+   * Describe a card's memory in algorithm-neutral terms
+   * @param {Object} entry - Flashcard data
+   * @param {Object} config - Algorithm configuration
+   * @returns {{stability: number, difficulty: number}} Stability in days and difficulty from 0 (easy) to 1 (hard)
+   */
+  toMemory(entry, config) {
+    const ease = entry.ease ?? config.baseEase;
+    const difficulty = (CONVERSION_MAX_EASE - ease) / (CONVERSION_MAX_EASE - MIN_EASE);
+    return {
+      stability: entry.stability ?? entry.interval ?? 0,
+      difficulty: Math.min(1, Math.max(0, difficulty))
+    };
+  },
+
+  /**
+   * Build this algorithm's card state from an algorithm-neutral memory
+   * @param {{stability: number, difficulty: number}} memory - Memory from toMemory
+   * @returns {Object} State fields
+   */
+  fromMemory(memory) {
+    return {
+      ease: Math.round(CONVERSION_MAX_EASE - memory.difficulty * (CONVERSION_MAX_EASE - MIN_EASE)),
+      stability: Math.round(memory.stability * 10000) / 10000
+    };
+  }
+};
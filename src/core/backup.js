@@ -0,0 +1,297 @@
+/**
+ * Backup and restore of all extension data
+ * A backup is a versioned JSON archive holding every STORAGE_KEYS entry
+ * (progress, settings, exclusions, user decks and card edits)
+ */
+
+import { storage } from './storage.js';
+import { getCardKey } from './decks.js';
+import { migrateData, getSchemaVersion, CURRENT_SCHEMA_VERSION } from './migrations.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+export const BACKUP_FORMAT = 'ext-flashcards-backup';
+export const BACKUP_VERSION = 1;
+
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Shape checks per storage key; each returns an error message or null
+const VALIDATORS = {
+  [STORAGE_KEYS.PROGRESS]: value =>
+    isObject(value) && isStringArray(value.completed) && isStringArray(value.repeatLater) && isObject(value.flashcardData)
+      ? null : 'must have completed, repeatLater and flashcardData',
+  [STORAGE_KEYS.EXCLUDED_PAGES]: value => isStringArray(value) ? null : 'must be a list of URLs',
+  [STORAGE_KEYS.ALGORITHM_CONFIG]: value => value === null || isObject(value) ? null : 'must be an object',
+  [STORAGE_KEYS.ENABLED]: value => typeof value === 'boolean' ? null : 'must be true or false',
+  [STORAGE_KEYS.STOP_DURATION]: value => typeof value === 'number' && value > 0 ? null : 'must be a positive number',
+  [STORAGE_KEYS.STOP_UNTIL]: value => value === null || typeof value === 'number' ? null : 'must be a timestamp',
+  [STORAGE_KEYS.USER_DECKS]: value =>
+    Array.isArray(value) && value.every(deck => isObject(deck) && typeof deck.id === 'string' && Array.isArray(deck.flashcards))
+      ? null : 'must be a list of decks with id and flashcards',
+  [STORAGE_KEYS.DECK_SETTINGS]: value => isObject(value) ? null : 'must be an object',
+  [STORAGE_KEYS.USER_CARDS]: value =>
+    isObject(value) && Object.values(value).every(edits => isObject(edits) && isObject(edits.cards || {}))
+      ? null : 'must map deck IDs to card edits',
+  [STORAGE_KEYS.SCHEMA_VERSION]: value =>
+    Number.isInteger(value) && value >= 0 ? null : 'must be a schema version number',
+  [STORAGE_KEYS.SYNC_SETTINGS]: value => isObject(value) ? null : 'must be an object',
+  [STORAGE_KEYS.SYNC_STATUS]: value => value === null || isObject(value) ? null : 'must be an object',
+  [STORAGE_KEYS.REVIEW_LOG_SETTINGS]: value => isObject(value) ? null : 'must be an object'
+};
+
+/**
+ * Build a backup archive from stored data
+ * @param {Object} data - Map of storage key to value
+ * @returns {Object} Backup archive
+ */
+export function buildArchive(data) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Validate a backup archive's format, version and data
+ * Unknown keys are ignored with a warning so older builds can read newer
+ * archives of the same version
+ * @param {Object} archive - Parsed backup file
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}} Validation result
+ */
+export function validateArchive(archive) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isObject(archive) || archive.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['Not a flashcards backup file'], warnings };
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    errors.push('Backup version is missing or invalid');
+  } else if (archive.version > BACKUP_VERSION) {
+    errors.push(`Backup version ${archive.version} was created by a newer version of the extension`);
+  }
+  if (!isObject(archive.data)) {
+    errors.push('Backup has no data');
+    return { valid: false, errors, warnings };
+  }
+
+  if (getSchemaVersion(archive.data) > CURRENT_SCHEMA_VERSION) {
+    errors.push(`Backup data uses schema version ${getSchemaVersion(archive.data)}, newer than this version of the extension supports`);
+  }
+
+  Object.entries(archive.data).forEach(([key, value]) => {
+    const validate = VALIDATORS[key];
+    if (!validate) {
+      warnings.push(`Unknown entry "${key}" will be ignored`);
+      return;
+    }
+    const error = validate(value);
+    if (error) {
+      errors.push(`"${key}" ${error}`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Merge two lists of strings keeping order and dropping duplicates
+ * @param {string[]} current - Existing items
+ * @param {string[]} incoming - Items to add
+ * @returns {string[]} Union of both lists
+ */
+function union(current = [], incoming = []) {
+  return [...new Set([...current, ...incoming])];
+}
+
+/**
+ * Merge backup data into current data
+ * Cards, progress entries, exclusions and deck settings from the backup are
+ * added (backup entries win on conflicts); current settings are kept and only
+ * filled in where they are missing
+ * @param {Object} current - Current storage data
+ * @param {Object} incoming - Backup data
+ * @returns {Object} Merged data
+ */
+export function mergeData(current, incoming) {
+  const merged = { ...incoming, ...current };
+  const has = key => incoming[key] !== undefined;
+
+  if (has(STORAGE_KEYS.PROGRESS)) {
+    const base = current[STORAGE_KEYS.PROGRESS] || { completed: [], repeatLater: [], flashcardData: {} };
+    const backup = incoming[STORAGE_KEYS.PROGRESS];
+    merged[STORAGE_KEYS.PROGRESS] = {
+      ...base,
+      completed: union(base.completed, backup.completed),
+      repeatLater: union(base.repeatLater, backup.repeatLater),
+      flashcardData: { ...base.flashcardData, ...backup.flashcardData }
+    };
+  }
+
+  if (has(STORAGE_KEYS.EXCLUDED_PAGES)) {
+    merged[STORAGE_KEYS.EXCLUDED_PAGES] = union(current[STORAGE_KEYS.EXCLUDED_PAGES], incoming[STORAGE_KEYS.EXCLUDED_PAGES]);
+  }
+
+  if (has(STORAGE_KEYS.USER_DECKS)) {
+    const decks = new Map((current[STORAGE_KEYS.USER_DECKS] || []).map(deck => [deck.id, deck]));
+    incoming[STORAGE_KEYS.USER_DECKS].forEach(deck => {
+      const existing = decks.get(deck.id);
+      if (!existing) {
+        decks.set(deck.id, deck);
+        return;
+      }
+      const cards = new Map(existing.flashcards.map(card => [card.id, card]));
+      deck.flashcards.forEach(card => cards.set(card.id, card));
+      decks.set(deck.id, { ...existing, flashcards: [...cards.values()] });
+    });
+    merged[STORAGE_KEYS.USER_DECKS] = [...decks.values()];
+  }
+
+  if (has(STORAGE_KEYS.USER_CARDS)) {
+    const userCards = { ...current[STORAGE_KEYS.USER_CARDS] };
+    Object.entries(incoming[STORAGE_KEYS.USER_CARDS]).forEach(([deckId, edits]) => {
+      const existing = userCards[deckId] || { cards: {}, deleted: [] };
+      userCards[deckId] = {
+        cards: { ...existing.cards, ...edits.cards },
+        deleted: union(existing.deleted, edits.deleted)
+      };
+    });
+    merged[STORAGE_KEYS.USER_CARDS] = userCards;
+  }
+
+  if (has(STORAGE_KEYS.DECK_SETTINGS)) {
+    merged[STORAGE_KEYS.DECK_SETTINGS] = { ...incoming[STORAGE_KEYS.DECK_SETTINGS], ...current[STORAGE_KEYS.DECK_SETTINGS] };
+  }
+
+  return merged;
+}
+
+/**
+ * Collect the keys of all user cards (user decks and edits to bundled decks)
+ * @param {Object} data - Storage data
+ * @returns {Set<string>} Card keys (deckId/cardId)
+ */
+function collectCardKeys(data) {
+  const keys = new Set();
+  (data[STORAGE_KEYS.USER_DECKS] || []).forEach(deck => {
+    deck.flashcards.forEach(card => keys.add(getCardKey(deck.id, card.id)));
+  });
+  Object.entries(data[STORAGE_KEYS.USER_CARDS] || {}).forEach(([deckId, edits]) => {
+    Object.keys(edits.cards || {}).forEach(cardId => keys.add(getCardKey(deckId, cardId)));
+  });
+  return keys;
+}
+
+/**
+ * Summarize what a restore changes
+ * @param {Object} current - Current storage data
+ * @param {Object} result - Data after the restore
+ * @returns {Object} Counts of cards gained/removed, progress entries
+ *   added/overwritten/removed, exclusions added/removed and changed settings
+ */
+export function diffData(current, result) {
+  const currentCards = collectCardKeys(current);
+  const resultCards = collectCardKeys(result);
+  const currentProgress = current[STORAGE_KEYS.PROGRESS]?.flashcardData || {};
+  const resultProgress = result[STORAGE_KEYS.PROGRESS]?.flashcardData || {};
+  const currentExcluded = current[STORAGE_KEYS.EXCLUDED_PAGES] || [];
+  const resultExcluded = result[STORAGE_KEYS.EXCLUDED_PAGES] || [];
+  const settingKeys = [STORAGE_KEYS.ALGORITHM_CONFIG, STORAGE_KEYS.ENABLED, STORAGE_KEYS.STOP_DURATION, STORAGE_KEYS.DECK_SETTINGS];
+
+  return {
+    cardsGained: [...resultCards].filter(key => !currentCards.has(key)).length,
+    cardsRemoved: [...currentCards].filter(key => !resultCards.has(key)).length,
+    progressAdded: Object.keys(resultProgress).filter(key => !(key in currentProgress)).length,
+    progressOverwritten: Object.keys(resultProgress).filter(key =>
+      key in currentProgress && JSON.stringify(currentProgress[key]) !== JSON.stringify(resultProgress[key])
+    ).length,
+    progressRemoved: Object.keys(currentProgress).filter(key => !(key in resultProgress)).length,
+    exclusionsAdded: resultExcluded.filter(page => !currentExcluded.includes(page)),
+    exclusionsRemoved: currentExcluded.filter(page => !resultExcluded.includes(page)),
+    settingsChanged: settingKeys.filter(key =>
+      JSON.stringify(current[key] ?? null) !== JSON.stringify(result[key] ?? null)
+    )
+  };
+}
+
+class BackupManager {
+  /**
+   * Read every storage entry that belongs in a backup
+   * (bookkeeping entries such as the progress change marker are left out)
+   * @returns {Promise<Object>} Map of storage key to value (missing keys omitted)
+   */
+  async readAll() {
+    const data = {};
+    for (const key of Object.keys(VALIDATORS)) {
+      const value = await storage.get(key, undefined);
+      if (value !== undefined && value !== null) {
+        data[key] = value;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Create a backup archive of all extension data
+   * @returns {Promise<Object>} Backup archive
+   */
+  async createBackup() {
+    return buildArchive(await this.readAll());
+  }
+
+  /**
+   * Compute the data a restore would write, without writing it
+   * Backups from older schema versions are migrated before merging
+   * @param {Object} archive - Validated backup archive
+   * @param {string} mode - RESTORE_MODES.MERGE or RESTORE_MODES.REPLACE
+   * @returns {Promise<{current: Object, result: Object, summary: Object}>} Current data, resulting data and diff summary
+   */
+  async previewRestore(archive, mode) {
+    const current = await this.readAll();
+    const { data: incoming } = migrateData(Object.fromEntries(
+      Object.entries(archive.data).filter(([key]) => VALIDATORS[key])
+    ));
+    const result = mode === RESTORE_MODES.REPLACE ? incoming : mergeData(current, incoming);
+    return { current, result, summary: diffData(current, result) };
+  }
+
+  /**
+   * Restore a backup archive
+   * In replace mode, entries missing from the backup are removed
+   * @param {Object} archive - Backup archive
+   * @param {string} mode - RESTORE_MODES.MERGE or RESTORE_MODES.REPLACE
+   * @returns {Promise<{success: boolean, errors: string[], summary: Object|null}>} Restore result
+   */
+  async restore(archive, mode = RESTORE_MODES.MERGE) {
+    const { valid, errors } = validateArchive(archive);
+    if (!valid) {
+      return { success: false, errors, summary: null };
+    }
+
+    const { current, result, summary } = await this.previewRestore(archive, mode);
+    let success = true;
+    for (const [key, value] of Object.entries(result)) {
+      success = await storage.set(key, value) && success;
+    }
+    for (const key of Object.keys(current)) {
+      if (!(key in result)) {
+        success = await storage.remove(key) && success;
+      }
+    }
+
+    if (!success) {
+      console.error('Restore finished with write errors');
+    }
+    return { success, errors: success ? [] : ['Some entries could not be written'], summary };
+  }
+}
+
+// Export singleton instance
+export const backupManager = new BackupManager();
@@ -0,0 +1,150 @@
+/**
+ * Flashcard schema validation and ID helpers
+ * Schema: { id, question, answer, tags, createdAt, links?, reverse? }
+ * links lists related cards by ID, deckId/cardId key or #tag (see links.js);
+ * reverse turns the generated reverse card on or off (unset follows the deck)
+ */
+
+import { CARD_KEY_SEPARATOR, REVERSE_CARD_SUFFIX } from '../utils/constants.js';
+import { TAG_LINK_PREFIX } from './links.js';
+
+const CARD_ID_PATTERN = /^[A-Za-z0-9_.:-]+$/;
+
+// Check one entry of a card's links: a #tag, a card ID or a deckId/cardId key
+function isValidLink(link) {
+  if (typeof link !== 'string' || link.trim() === '' || /\s/.test(link)) {
+    return false;
+  }
+  if (link.startsWith(TAG_LINK_PREFIX)) {
+    return link.length > TAG_LINK_PREFIX.length;
+  }
+  const parts = link.split(CARD_KEY_SEPARATOR);
+  return parts.length <= 2 && parts.every(part => part !== '') && CARD_ID_PATTERN.test(parts[parts.length - 1]);
+}
+
+// Split a comma or space separated string into a list of unique entries
+function splitList(value) {
+  const items = typeof value === 'string' ? value.split(/[\s,]+/) : (Array.isArray(value) ? value : []);
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate a flashcard against the card schema
+ * @param {Object} card - Flashcard to validate
+ * @param {Object} options - Validation options
+ * @param {string[]} options.existingIds - IDs already used in the deck (checked for duplicates)
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}} Validation result
+ */
+export function validateFlashcard(card, options = {}) {
+  const { existingIds = [] } = options;
+  const errors = [];
+
+  if (!card || typeof card !== 'object') {
+    return { valid: false, errors: [{ field: 'card', message: 'Flashcard must be an object' }] };
+  }
+
+  if (typeof card.id !== 'string' || card.id.trim() === '') {
+    errors.push({ field: 'id', message: 'ID is required' });
+  } else if (card.id.includes(CARD_KEY_SEPARATOR) || !CARD_ID_PATTERN.test(card.id)) {
+    errors.push({ field: 'id', message: 'ID may only contain letters, digits, "-", "_", "." and ":"' });
+  } else if (existingIds.includes(card.id)) {
+    errors.push({ field: 'id', message: `ID "${card.id}" is already used in this deck` });
+  }
+
+  if (typeof card.question !== 'string' || card.question.trim() === '') {
+    errors.push({ field: 'question', message: 'Question is required' });
+  }
+
+  if (typeof card.answer !== 'string' || card.answer.trim() === '') {
+    errors.push({ field: 'answer', message: 'Answer is required' });
+  }
+
+  if (!Array.isArray(card.tags)) {
+    errors.push({ field: 'tags', message: 'Tags must be an array' });
+  } else if (card.tags.some(tag => typeof tag !== 'string' || tag.trim() === '' || /\s/.test(tag))) {
+    errors.push({ field: 'tags', message: 'Tags must be non-empty strings without spaces' });
+  }
+
+  if (typeof card.createdAt !== 'string' || Number.isNaN(Date.parse(card.createdAt))) {
+    errors.push({ field: 'createdAt', message: 'createdAt must be an ISO date string' });
+  }
+
+  if (card.reverse !== undefined && typeof card.reverse !== 'boolean') {
+    errors.push({ field: 'reverse', message: 'Reverse must be true, false or left out' });
+  }
+
+  if (card.links !== undefined) {
+    if (!Array.isArray(card.links)) {
+      errors.push({ field: 'links', message: 'Links must be an array' });
+    } else if (!card.links.every(isValidLink)) {
+      errors.push({ field: 'links', message: 'Links must be card IDs, deckId/cardId keys or #tags' });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize user input into a schema-shaped flashcard
+ * Trims text fields, splits tag and link strings and fills in createdAt.
+ * An empty link list and an unset reverse are left out
+ * @param {Object} input - Raw card fields
+ * @returns {Object} Normalized flashcard
+ */
+export function normalizeFlashcard(input) {
+  const { links, reverse, ...fields } = input;
+  const linkList = splitList(links);
+
+  return {
+    ...fields,
+    id: (input.id || '').trim(),
+    question: (input.question || '').trim(),
+    answer: (input.answer || '').trim(),
+    tags: splitList(input.tags),
+    createdAt: input.createdAt || new Date().toISOString(),
+    ...(linkList.length > 0 ? { links: linkList } : {}),
+    ...(reverse !== undefined && reverse !== null && reverse !== '' ? { reverse } : {})
+  };
+}
+
+/**
+ * Build the reverse card of a card: question and answer swapped, under the
+ * card's ID with REVERSE_CARD_SUFFIX
+ * @param {Object} card - Flashcard
+ * @returns {Object} Generated reverse card, with reverseOf set to the card's ID
+ */
+export function createReverseCard(card) {
+  const { reverse, userEdited, ...fields } = card;
+  return {
+    ...fields,
+    id: `${card.id}${REVERSE_CARD_SUFFIX}`,
+    question: card.answer,
+    answer: card.question,
+    reverseOf: card.id
+  };
+}
+
+/**
+ * Get the ID of the card a generated reverse card was made from
+ * @param {string} cardId - Card ID, reverse or not
+ * @returns {string} ID of the card as stored in its deck
+ */
+export function getSourceCardId(cardId) {
+  return cardId.endsWith(REVERSE_CARD_SUFFIX) ? cardId.slice(0, -REVERSE_CARD_SUFFIX.length) : cardId;
+}
+
+/**
+ * Generate the next free card ID in "fc-001" style
+ * @param {string[]} existingIds - IDs already used in the deck
+ * @param {string} prefix - ID prefix
+ * @returns {string} Unused card ID
+ */
+export function createCardId(existingIds, prefix = 'fc') {
+  const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+  const highest = existingIds.reduce((max, id) => {
+    const match = pattern.exec(id);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+
+  return `${prefix}-${String(highest + 1).padStart(3, '0')}`;
+}
@@ -0,0 +1,36 @@
+/**
+ * Developer settings for reproducing scheduling by hand
+ * A fixed seed makes the scheduler pick new and unshown cards in the same
+ * order every time; time travel runs the scheduling clock ahead of real time
+ * so due dates and daily limits can be checked without waiting. Each context
+ * that schedules or previews intervals (the service worker, content scripts,
+ * the statistics page) applies them to its own shared clock and random source.
+ */
+
+import { storage } from './storage.js';
+import { clock } from '../utils/clock.js';
+import { randomSource } from '../utils/random.js';
+
+/**
+ * Apply debug settings to the shared clock and random source
+ * @param {Object} settings - Debug settings (seed, timeOffset)
+ */
+export function applyDebugSettings({ seed = null, timeOffset = 0 } = {}) {
+  clock.setOffset(timeOffset);
+  randomSource.setSeed(seed);
+}
+
+/**
+ * Read the debug settings from storage and apply them
+ * @returns {Promise<Object>} The applied settings
+ */
+export async function loadDebugSettings() {
+  try {
+    const settings = await storage.getDebugSettings();
+    applyDebugSettings(settings);
+    return settings;
+  } catch (error) {
+    console.error('Error loading debug settings:', error);
+    return null;
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Deck registry - bundled and user-created decks with enable/disable and
+ * reverse card settings
+ */
+
+import { storage } from './storage.js';
+import { BUNDLED_DECKS, CARD_KEY_SEPARATOR, DEFAULT_DECK_ID } from '../utils/constants.js';
+
+/**
+ * Build the namespaced progress key for a card
+ * @param {string} deckId - Deck ID
+ * @param {string} cardId - Card ID within the deck
+ * @returns {string} Namespaced key (e.g. "default/fc-001")
+ */
+export function getCardKey(deckId, cardId) {
+  return `${deckId}${CARD_KEY_SEPARATOR}${cardId}`;
+}
+
+/**
+ * Split a namespaced progress key into deck and card IDs
+ * Keys without a deck prefix are treated as belonging to the default deck
+ * @param {string} key - Namespaced key
+ * @returns {{deckId: string, cardId: string}} Deck and card IDs
+ */
+export function parseCardKey(key) {
+  const index = key.indexOf(CARD_KEY_SEPARATOR);
+  if (index === -1) {
+    return { deckId: DEFAULT_DECK_ID, cardId: key };
+  }
+  return {
+    deckId: key.slice(0, index),
+    cardId: key.slice(index + CARD_KEY_SEPARATOR.length)
+  };
+}
+
+class DeckRegistry {
+  constructor() {
+    this.decks = [];
+    this.settings = {};
+  }
+
+  /**
+   * Load bundled decks from the extension package
+   * @returns {Promise<Array>} Array of bundled deck objects
+   */
+  async loadBundledDecks() {
+    const decks = [];
+
+    for (const definition of BUNDLED_DECKS) {
+      try {
+        const response = await fetch(chrome.runtime.getURL(definition.path));
+        const data = await response.json();
+        decks.push({
+          id: definition.id,
+          name: data.name || definition.name,
+          description: data.description || definition.description,
+          flashcards: data.flashcards || [],
+          bundled: true
+        });
+      } catch (error) {
+        console.error(`Error loading bundled deck "${definition.id}":`, error);
+      }
+    }
+
+    return decks;
+  }
+
+  /**
+   * Load all decks (bundled and user-created) and their settings
+   * @returns {Promise<Array>} Array of all deck objects
+   */
+  async load() {
+    const bundled = await this.loadBundledDecks();
+    const userDecks = await storage.getUserDecks();
+    this.settings = await storage.getDeckSettings();
+
+    const bundledIds = new Set(bundled.map(deck => deck.id));
+    this.decks = [
+      ...bundled,
+      ...userDecks
+        .filter(deck => !bundledIds.has(deck.id))
+        .map(deck => ({ ...deck, flashcards: deck.flashcards || [], bundled: false }))
+    ];
+
+    return this.decks;
+  }
+
+  /**
+   * Get all decks
+   * @returns {Array} All decks
+   */
+  getAllDecks() {
+    return this.decks;
+  }
+
+  /**
+   * Get a deck by ID
+   * @param {string} id - Deck ID
+   * @returns {Object|null} Deck object or null
+   */
+  getDeck(id) {
+    return this.decks.find(deck => deck.id === id) || null;
+  }
+
+  /**
+   * Check if a deck is enabled (decks are enabled unless turned off)
+   * @param {string} id - Deck ID
+   * @returns {boolean} True if deck is enabled
+   */
+  isDeckEnabled(id) {
+    return this.settings[id]?.enabled !== false;
+  }
+
+  /**
+   * Check if a deck generates reverse cards for cards that do not set it themselves
+   * @param {string} id - Deck ID
+   * @returns {boolean} True if reverse cards are on for the deck
+   */
+  isReverseEnabled(id) {
+    return this.settings[id]?.reverse === true;
+  }
+
+  /**
+   * Get decks that are currently enabled
+   * @returns {Array} Active decks
+   */
+  getActiveDecks() {
+    return this.decks.filter(deck => this.isDeckEnabled(deck.id));
+  }
+
+  /**
+   * Turn a deck on or off
+   * @param {string} id - Deck ID
+   * @param {boolean} enabled - Enabled state
+   * @returns {Promise<boolean>} Success status
+   */
+  async setDeckEnabled(id, enabled) {
+    this.settings = {
+      ...this.settings,
+      [id]: { ...this.settings[id], enabled }
+    };
+    return await storage.saveDeckSettings(this.settings);
+  }
+
+  /**
+   * Turn reverse card generation on or off for a deck
+   * Cards with their own reverse setting keep it
+   * @param {string} id - Deck ID
+   * @param {boolean} reverse - Whether to generate reverse cards
+   * @returns {Promise<boolean>} Success status
+   */
+  async setDeckReverse(id, reverse) {
+    this.settings = {
+      ...this.settings,
+      [id]: { ...this.settings[id], reverse }
+    };
+    return await storage.saveDeckSettings(this.settings);
+  }
+
+  /**
+   * Create a user deck
+   * @param {Object} deck - Deck definition
+   * @param {string} deck.id - Unique deck ID
+   * @param {string} deck.name - Display name
+   * @param {string} [deck.description] - Description
+   * @param {Array} [deck.flashcards] - Initial flashcards
+   * @returns {Promise<Object>} Created deck
+   */
+  async createDeck({ id, name, description = '', flashcards = [] }) {
+    if (!id || id.includes(CARD_KEY_SEPARATOR)) {
+      throw new Error(`Invalid deck ID: "${id}"`);
+    }
+    if (this.getDeck(id)) {
+      throw new Error(`Deck "${id}" already exists`);
+    }
+
+    const deck = { id, name: name || id, description, flashcards, bundled: false };
+    this.decks.push(deck);
+    await this.saveUserDecks();
+    return deck;
+  }
+
+  /**
+   * Update a user deck's name, description or flashcards
+   * @param {string} id - Deck ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} Updated deck
+   */
+  async updateDeck(id, changes) {
+    const deck = this.getDeck(id);
+    if (!deck) {
+      throw new Error(`Deck "${id}" not found`);
+    }
+    if (deck.bundled) {
+      throw new Error(`Bundled deck "${id}" cannot be modified`);
+    }
+
+    const { name, description, flashcards } = changes;
+    Object.assign(deck, {
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+      ...(flashcards !== undefined && { flashcards })
+    });
+    await this.saveUserDecks();
+    return deck;
+  }
+
+  /**
+   * Delete a user deck
+   * @param {string} id - Deck ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteDeck(id) {
+    const deck = this.getDeck(id);
+    if (!deck || deck.bundled) {
+      return false;
+    }
+
+    this.decks = this.decks.filter(d => d.id !== id);
+    const { [id]: removed, ...settings } = this.settings;
+    this.settings = settings;
+    await storage.saveDeckSettings(this.settings);
+    return await this.saveUserDecks();
+  }
+
+  /**
+   * Persist user decks to storage
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveUserDecks() {
+    const userDecks = this.decks
+      .filter(deck => !deck.bundled)
+      .map(({ bundled, ...deck }) => deck);
+    return await storage.saveUserDecks(userDecks);
+  }
+}
+
+// Export singleton instance
+export const deckRegistry = new DeckRegistry();
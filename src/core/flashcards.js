@@ -3,23 +3,29 @@
  */
 
 import { storage } from './storage.js';
-import { FLASHCARD_STATES } from '../utils/constants.js';
+import { deckRegistry, getCardKey } from './decks.js';
+import { validateFlashcard, normalizeFlashcard, createCardId, createReverseCard, getSourceCardId } from './card-schema.js';
+import { namespaceLegacyProgress } from './migrations.js';
+import { FLASHCARD_STATES, REVERSE_CARD_SUFFIX } from '../utils/constants.js';
+import { clock } from '../utils/clock.js';
 
 class FlashcardManager {
   constructor() {
     this.flashcards = [];
     this.progress = null;
+    this.userCards = {};
   }
 
   /**
-   * Load flashcards from JSON file
+   * Load flashcards from the active decks
+   * Each flashcard is tagged with its deckId and a namespaced progress key
    * @returns {Promise<Array>} Array of flashcard objects
    */
   async loadFlashcards() {
     try {
-      const response = await fetch(chrome.runtime.getURL('src/data/flashcards.json'));
-      const data = await response.json();
-      this.flashcards = data.flashcards || [];
+      await deckRegistry.load();
+      this.userCards = await storage.getUserCards();
+      this.flashcards = this.buildActiveFlashcards();
       return this.flashcards;
     } catch (error) {
       console.error('Error loading flashcards:', error);
@@ -27,24 +33,264 @@ class FlashcardManager {
     }
   }
 
+  /**
+   * Build the flat card list from the active decks
+   * @returns {Array} Array of flashcard objects with deckId and key
+   */
+  buildActiveFlashcards() {
+    return deckRegistry.getActiveDecks().flatMap(deck =>
+      this.getScheduledCards(deck.id).map(fc => ({
+        ...fc,
+        deckId: deck.id,
+        key: getCardKey(deck.id, fc.id)
+      }))
+    );
+  }
+
+  /**
+   * Get the cards of a deck as they are scheduled
+   * Cards with reverse on (their own setting, or the deck's) are followed by
+   * their generated reverse card, which has its own progress
+   * @param {string} deckId - Deck ID
+   * @returns {Array} Array of flashcard objects
+   */
+  getScheduledCards(deckId) {
+    const deckReverse = deckRegistry.isReverseEnabled(deckId);
+    return this.getDeckCards(deckId).flatMap(fc =>
+      (fc.reverse ?? deckReverse) ? [fc, createReverseCard(fc)] : [fc]
+    );
+  }
+
+  /**
+   * Get the cards of a deck with user edits applied
+   * Bundled decks are merged with the user's stored edits so that edits
+   * survive extension updates; user decks store their cards directly
+   * @param {string} deckId - Deck ID
+   * @returns {Array} Array of flashcard objects
+   */
+  getDeckCards(deckId) {
+    const deck = deckRegistry.getDeck(deckId);
+    if (!deck) {
+      return [];
+    }
+    if (!deck.bundled) {
+      return deck.flashcards;
+    }
+
+    const { cards = {}, deleted = [] } = this.userCards[deckId] || {};
+    const bundledIds = new Set(deck.flashcards.map(fc => fc.id));
+    const merged = deck.flashcards
+      .filter(fc => !deleted.includes(fc.id))
+      .map(fc => cards[fc.id] ? { ...cards[fc.id], userEdited: true } : fc);
+    const added = Object.values(cards)
+      .filter(fc => !bundledIds.has(fc.id) && !deleted.includes(fc.id))
+      .map(fc => ({ ...fc, userEdited: true }));
+
+    return [...merged, ...added];
+  }
+
+  /**
+   * Create or update a card in a deck
+   * @param {string} deckId - Deck ID
+   * @param {Object} input - Card fields
+   * @param {Object} options - Save options
+   * @param {boolean} options.isNew - True when creating a card (ID must be unused)
+   * @returns {Promise<{success: boolean, errors: Array, card: Object|null}>} Save result
+   */
+  async saveCard(deckId, input, { isNew = false } = {}) {
+    const deck = deckRegistry.getDeck(deckId);
+    if (!deck) {
+      return { success: false, errors: [{ field: 'deck', message: `Deck "${deckId}" not found` }], card: null };
+    }
+
+    const { userEdited, deckId: cardDeckId, key, ...fields } = input;
+    const card = normalizeFlashcard(fields);
+    const existingIds = isNew ? this.getDeckCards(deckId).map(fc => fc.id) : [];
+    const { valid, errors } = validateFlashcard(card, { existingIds });
+    if (!valid) {
+      return { success: false, errors, card: null };
+    }
+
+    if (deck.bundled) {
+      const deckEdits = this.userCards[deckId] || { cards: {}, deleted: [] };
+      this.userCards = {
+        ...this.userCards,
+        [deckId]: {
+          cards: { ...deckEdits.cards, [card.id]: card },
+          deleted: deckEdits.deleted.filter(id => id !== card.id)
+        }
+      };
+      await storage.saveUserCards(this.userCards);
+    } else {
+      const flashcards = isNew
+        ? [...deck.flashcards, card]
+        : deck.flashcards.map(fc => fc.id === card.id ? card : fc);
+      await deckRegistry.updateDeck(deckId, { flashcards });
+    }
+
+    this.flashcards = this.buildActiveFlashcards();
+    return { success: true, errors: [], card };
+  }
+
+  /**
+   * Add already-validated cards to a deck in a single write (used by importers)
+   * @param {string} deckId - Deck ID
+   * @param {Array} cards - Cards to add (IDs must be unused in the deck)
+   * @returns {Promise<boolean>} Success status
+   */
+  async addCards(deckId, cards) {
+    const deck = deckRegistry.getDeck(deckId);
+    if (!deck || cards.length === 0) {
+      return false;
+    }
+
+    if (deck.bundled) {
+      const deckEdits = this.userCards[deckId] || { cards: {}, deleted: [] };
+      const added = Object.fromEntries(cards.map(card => [card.id, card]));
+      const addedIds = new Set(cards.map(card => card.id));
+      this.userCards = {
+        ...this.userCards,
+        [deckId]: {
+          cards: { ...deckEdits.cards, ...added },
+          deleted: deckEdits.deleted.filter(id => !addedIds.has(id))
+        }
+      };
+      await storage.saveUserCards(this.userCards);
+    } else {
+      await deckRegistry.updateDeck(deckId, { flashcards: [...deck.flashcards, ...cards] });
+    }
+
+    this.flashcards = this.buildActiveFlashcards();
+    return true;
+  }
+
+  /**
+   * Merge imported scheduling state into progress in a single write
+   * Cards with imported state count as already reviewed
+   * @param {string} deckId - Deck ID
+   * @param {Object} progressByCardId - Map of card ID to progress data
+   */
+  async importProgress(deckId, progressByCardId) {
+    // Reload first so reviews made in other tabs since this page loaded are kept
+    await this.loadProgress();
+
+    const keys = Object.entries(progressByCardId).map(([cardId, data]) => {
+      const key = getCardKey(deckId, cardId);
+      this.progress.flashcardData[key] = { ...this.progress.flashcardData[key], ...data };
+      if (!this.progress.completed.includes(key)) {
+        this.progress.completed.push(key);
+      }
+      return key;
+    });
+    await this.saveProgress(keys);
+  }
+
+  /**
+   * Delete a card from a deck along with its progress
+   * Deleting a card also drops its reverse card's progress; deleting a
+   * generated reverse card turns reverse off for the card it came from
+   * @param {string} deckId - Deck ID
+   * @param {string} cardId - Card ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteCard(deckId, cardId) {
+    const deck = deckRegistry.getDeck(deckId);
+    if (!deck) {
+      return false;
+    }
+
+    const sourceId = getSourceCardId(cardId);
+    if (sourceId !== cardId) {
+      const source = this.getDeckCards(deckId).find(fc => fc.id === sourceId);
+      if (!source || !(await this.saveCard(deckId, { ...source, reverse: false })).success) {
+        return false;
+      }
+    } else if (deck.bundled) {
+      const deckEdits = this.userCards[deckId] || { cards: {}, deleted: [] };
+      const { [cardId]: removed, ...cards } = deckEdits.cards;
+      const isBundledCard = deck.flashcards.some(fc => fc.id === cardId);
+      this.userCards = {
+        ...this.userCards,
+        [deckId]: {
+          cards,
+          deleted: isBundledCard ? [...new Set([...deckEdits.deleted, cardId])] : deckEdits.deleted
+        }
+      };
+      await storage.saveUserCards(this.userCards);
+    } else {
+      await deckRegistry.updateDeck(deckId, {
+        flashcards: deck.flashcards.filter(fc => fc.id !== cardId)
+      });
+    }
+
+    if (this.progress) {
+      // Reload first so reviews made in other tabs since this page loaded are kept
+      await this.loadProgress();
+      const keys = sourceId !== cardId
+        ? [getCardKey(deckId, cardId)]
+        : [getCardKey(deckId, cardId), getCardKey(deckId, `${cardId}${REVERSE_CARD_SUFFIX}`)];
+      keys.forEach(key => delete this.progress.flashcardData[key]);
+      this.progress.completed = this.progress.completed.filter(id => !keys.includes(id));
+      this.progress.repeatLater = this.progress.repeatLater.filter(id => !keys.includes(id));
+      await this.saveProgress(keys);
+    }
+
+    this.flashcards = this.buildActiveFlashcards();
+    return true;
+  }
+
+  /**
+   * Duplicate a card under a new ID
+   * @param {string} deckId - Deck ID
+   * @param {string} cardId - Card ID to copy
+   * @returns {Promise<{success: boolean, errors: Array, card: Object|null}>} Save result
+   */
+  async duplicateCard(deckId, cardId) {
+    const cards = this.getDeckCards(deckId);
+    const source = cards.find(fc => fc.id === cardId);
+    if (!source) {
+      return { success: false, errors: [{ field: 'id', message: `Card "${cardId}" not found` }], card: null };
+    }
+
+    return await this.saveCard(deckId, {
+      ...source,
+      id: createCardId(cards.map(fc => fc.id)),
+      createdAt: new Date().toISOString()
+    }, { isNew: true });
+  }
+
   /**
    * Load progress data from storage
    */
   async loadProgress() {
-    this.progress = await storage.getProgress();
+    this.progress = this.namespaceLegacyProgress(await storage.getProgress());
+  }
+
+  /**
+   * Move progress saved before decks existed into the default deck's namespace
+   * The service worker's schema migration does this on update; this covers
+   * pages that load before it has run and the localStorage fallback
+   * @param {Object} progress - Progress data
+   * @returns {Object} Progress data with namespaced keys
+   */
+  namespaceLegacyProgress(progress) {
+    return namespaceLegacyProgress(progress);
   }
 
   /**
    * Save progress data to storage
+   * @param {string[]|null} keys - Flashcard keys that changed; null saves everything
    */
-  async saveProgress() {
+  async saveProgress(keys = null) {
     if (!this.progress) {
       console.error('Cannot save: progress is null');
       return;
     }
 
     try {
-      const success = await storage.saveProgress(this.progress);
+      const success = keys
+        ? await storage.saveProgressEntries(this.progress, keys, key => this.getFlashcardById(key)?.tags)
+        : await storage.saveProgress(this.progress);
       if (!success) {
         console.error('Failed to save progress to storage');
       } else {
@@ -57,25 +303,50 @@ class FlashcardManager {
   }
 
   /**
-   * Get all flashcards
-   * @returns {Array} All flashcards
+   * Get all flashcards from the active decks
+   * @returns {Array} All active flashcards
    */
   getAllFlashcards() {
     return this.flashcards;
   }
 
   /**
-   * Get a flashcard by ID
-   * @param {string} id - Flashcard ID
+   * Get namespaced keys of all active flashcards
+   * @returns {Array} Array of flashcard keys
+   */
+  getActiveKeys() {
+    return this.flashcards.map(fc => fc.key);
+  }
+
+  /**
+   * Get a flashcard by its namespaced key
+   * @param {string} id - Flashcard key (deckId/cardId)
    * @returns {Object|null} Flashcard object or null
    */
   getFlashcardById(id) {
-    return this.flashcards.find(fc => fc.id === id) || null;
+    return this.flashcards.find(fc => fc.key === id) || null;
+  }
+
+  /**
+   * Get the keys of a card's active siblings: the other direction of a card
+   * with a generated reverse card
+   * @param {string} id - Flashcard key (deckId/cardId)
+   * @returns {string[]} Sibling keys
+   */
+  getSiblingKeys(id) {
+    const flashcard = this.getFlashcardById(id);
+    if (!flashcard) {
+      return [];
+    }
+    const sourceId = getSourceCardId(flashcard.id);
+    return [sourceId, `${sourceId}${REVERSE_CARD_SUFFIX}`]
+      .map(cardId => getCardKey(flashcard.deckId, cardId))
+      .filter(key => key !== id && this.getFlashcardById(key));
   }
 
   /**
    * Get flashcard progress data
-   * @param {string} id - Flashcard ID
+   * @param {string} id - Flashcard key (deckId/cardId)
    * @returns {Object} Progress data for the flashcard
    */
   getFlashcardProgress(id) {
@@ -89,9 +360,20 @@ class FlashcardManager {
     };
   }
 
+  /**
+   * Get the due dates of all reviewed cards in every deck
+   * @param {string} excludeId - Flashcard key to leave out (the card being reviewed)
+   * @returns {number[]} Due date timestamps
+   */
+  getDueDates(excludeId = null) {
+    return Object.entries(this.progress.flashcardData)
+      .filter(([key, entry]) => key !== excludeId && entry && entry.dueDate)
+      .map(([, entry]) => entry.dueDate);
+  }
+
   /**
    * Update flashcard progress data
-   * @param {string} id - Flashcard ID
+   * @param {string} id - Flashcard key (deckId/cardId)
    * @param {Object} progressData - Progress data to update
    */
   async updateFlashcardProgress(id, progressData) {
@@ -102,23 +384,49 @@ class FlashcardManager {
       ...this.progress.flashcardData[id],
       ...progressData
     };
-    await this.saveProgress();
+    await this.saveProgress([id]);
+  }
+
+  /**
+   * Apply a review with a single write
+   * Updates the scheduling data and, when the card was answered correctly,
+   * marks it as done and takes it off the repeat later list
+   * @param {string} id - Flashcard key (deckId/cardId)
+   * @param {Object} progressData - Progress data from the algorithm
+   * @param {boolean} passed - Whether the card counts as done
+   * @param {Object} otherChanges - Progress changes to other cards saved in the same write, by key (e.g. buried siblings)
+   */
+  async applyReview(id, progressData, passed, otherChanges = {}) {
+    this.progress.flashcardData[id] = {
+      ...this.progress.flashcardData[id],
+      ...progressData
+    };
+    Object.entries(otherChanges).forEach(([key, changes]) => {
+      this.progress.flashcardData[key] = { ...this.progress.flashcardData[key], ...changes };
+    });
+    if (passed) {
+      if (!this.progress.completed.includes(id)) {
+        this.progress.completed.push(id);
+      }
+      this.progress.repeatLater = this.progress.repeatLater.filter(fcId => fcId !== id);
+    }
+    await this.saveProgress([id, ...Object.keys(otherChanges)]);
   }
 
   /**
    * Mark flashcard as done
-   * @param {string} id - Flashcard ID
+   * @param {string} id - Flashcard key (deckId/cardId)
    */
   async markAsDone(id) {
     if (!this.progress.completed.includes(id)) {
       this.progress.completed.push(id);
-      await this.saveProgress();
+      await this.saveProgress([id]);
     }
   }
 
   /**
    * Mark flashcard for later review
-   * @param {string} id - Flashcard ID
+   * @param {string} id - Flashcard key (deckId/cardId)
    */
   async markForLater(id) {
     // Ensure progress is loaded
@@ -137,18 +445,18 @@ class FlashcardManager {
 
     if (!this.progress.repeatLater.includes(id)) {
       this.progress.repeatLater.push(id);
-      await this.saveProgress();
+      await this.saveProgress([id]);
       console.log('Flashcard marked for later:', id);
     }
   }
 
   /**
    * Remove flashcard from repeat later list
-   * @param {string} id - Flashcard ID
+   * @param {string} id - Flashcard key (deckId/cardId)
    */
   async removeFromLater(id) {
     this.progress.repeatLater = this.progress.repeatLater.filter(fcId => fcId !== id);
-    await this.saveProgress();
+    await this.saveProgress([id]);
   }
 
   /**
@@ -156,8 +464,7 @@ class FlashcardManager {
    * @returns {Array} Array of flashcard IDs
    */
   getUncompletedFlashcards() {
-    return this.flashcards
-      .map(fc => fc.id)
+    return this.getActiveKeys()
       .filter(id => !this.progress.completed.includes(id));
   }
 
@@ -166,7 +473,7 @@ class FlashcardManager {
    * @returns {Array} Array of flashcard IDs
    */
   getUnshownFlashcards() {
-    const allIds = this.flashcards.map(fc => fc.id);
+    const allIds = this.getActiveKeys();
     const shownIds = [
       ...this.progress.completed
     ];
@@ -183,13 +490,23 @@ class FlashcardManager {
   }
 
   /**
-   * Get progress statistics
+   * Get flashcards marked for later that belong to an active deck
+   * @returns {Array} Array of flashcard keys
+   */
+  getLaterFlashcards() {
+    const activeKeys = new Set(this.getActiveKeys());
+    return this.progress.repeatLater.filter(id => activeKeys.has(id));
+  }
+
+  /**
+   * Get progress statistics for the active decks
    * @returns {Object} Statistics object
    */
   getProgressStats() {
+    const activeKeys = new Set(this.getActiveKeys());
     const total = this.flashcards.length;
-    const completed = this.progress.completed.length;
-    const repeatLater = this.progress.repeatLater.length;
+    const completed = this.progress.completed.filter(id => activeKeys.has(id)).length;
+    const repeatLater = this.getLaterFlashcards().length;
     const unshown = this.getUnshownFlashcards().length;
 
     return {
@@ -208,7 +525,8 @@ class FlashcardManager {
     this.progress = {
       completed: [],
       repeatLater: [],
-      flashcardData: {}
+      flashcardData: {},
+      resetAt: clock.now() // Lets sync drop reviews made before the reset on other devices
     };
     await this.saveProgress();
   }
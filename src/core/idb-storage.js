@@ -0,0 +1,298 @@
+/**
+ * IndexedDB progress store
+ * Keeps one record per card instead of a single progress blob, so a review
+ * writes only the card it touched. Only extension pages and the service
+ * worker use it: IndexedDB in a content script belongs to the web page.
+ * The same database holds the review log (see review-log.js).
+ */
+
+export const PROGRESS_DB_NAME = 'ext-flashcards';
+export const PROGRESS_DB_VERSION = 2;
+export const CARD_STORE = 'cards';
+export const META_STORE = 'meta';
+export const REVIEW_STORE = 'reviews';
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+export function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Build the record of one card from progress data
+ * @param {Object} progress - Progress data (completed, repeatLater, flashcardData)
+ * @param {string} key - Flashcard key (deckId/cardId)
+ * @param {string[]} tags - Card tags
+ * @returns {Object} Card record ({key, deckId, tags, completed, laterRank, data})
+ */
+export function progressToRecord(progress, key, tags = []) {
+  const laterIndex = (progress.repeatLater || []).indexOf(key);
+  return {
+    key,
+    deckId: key.split('/')[0],
+    tags,
+    completed: (progress.completed || []).includes(key),
+    laterRank: laterIndex === -1 ? null : laterIndex,
+    data: progress.flashcardData?.[key] || null
+  };
+}
+
+/**
+ * Rebuild progress data from card records
+ * @param {Object[]} records - Card records
+ * @param {Object} meta - Stored meta values (resetAt)
+ * @returns {Object} Progress data
+ */
+export function recordsToProgress(records, meta = {}) {
+  const progress = { completed: [], repeatLater: [], flashcardData: {} };
+  records.forEach(record => {
+    if (record.data) progress.flashcardData[record.key] = record.data;
+    if (record.completed) progress.completed.push(record.key);
+  });
+  progress.repeatLater = records
+    .filter(record => record.laterRank !== null && record.laterRank !== undefined)
+    .sort((a, b) => a.laterRank - b.laterRank)
+    .map(record => record.key);
+  if (meta.resetAt !== undefined && meta.resetAt !== null) {
+    progress.resetAt = meta.resetAt;
+  }
+  return progress;
+}
+
+class ProgressStore {
+  constructor() {
+    this.factory = globalThis.indexedDB || null;
+    this.keyRange = globalThis.IDBKeyRange || null;
+    this.db = null;
+  }
+
+  /**
+   * Set the IndexedDB implementation (globalThis.indexedDB or a stand-in)
+   * Closes the current connection; the next operation opens a new one
+   * @param {IDBFactory} factory - IndexedDB factory
+   * @param {Function} keyRange - Matching IDBKeyRange
+   */
+  setFactory(factory, keyRange) {
+    if (this.db) {
+      this.db.then(db => db.close()).catch(() => {});
+    }
+    this.factory = factory;
+    this.keyRange = keyRange;
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in this context
+   * @returns {boolean} True if the store can be used
+   */
+  isAvailable() {
+    return Boolean(this.factory);
+  }
+
+  /**
+   * Open the database, creating or upgrading the stores and indexes on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.db) {
+      const request = this.factory.open(PROGRESS_DB_NAME, PROGRESS_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const cards = db.createObjectStore(CARD_STORE, { keyPath: 'key' });
+          cards.createIndex('dueDate', 'data.dueDate');
+          cards.createIndex('tags', 'tags', { multiEntry: true });
+          cards.createIndex('deckId', 'deckId');
+          db.createObjectStore(META_STORE);
+        }
+        if (event.oldVersion < 2) {
+          const reviews = db.createObjectStore(REVIEW_STORE, { keyPath: 'id', autoIncrement: true });
+          reviews.createIndex('cardKey', 'cardKey');
+          reviews.createIndex('time', 'time');
+        }
+      };
+      this.db = requestResult(request).catch(error => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Read all progress
+   * @returns {Promise<Object|null>} Progress data, or null if nothing is stored
+   */
+  async getProgress() {
+    const db = await this.open();
+    const transaction = db.transaction([CARD_STORE, META_STORE], 'readonly');
+    const [records, resetAt] = await Promise.all([
+      requestResult(transaction.objectStore(CARD_STORE).getAll()),
+      requestResult(transaction.objectStore(META_STORE).get('resetAt'))
+    ]);
+    if (records.length === 0 && resetAt === undefined) {
+      return null;
+    }
+    return recordsToProgress(records, { resetAt });
+  }
+
+  /**
+   * Replace all progress in one transaction
+   * Tags of cards that stay are kept unless getTags knows better
+   * @param {Object} progress - Progress data
+   * @param {Function} getTags - Returns a card's tags by key, or undefined if unknown
+   * @returns {Promise<void>}
+   */
+  async replaceProgress(progress, getTags = () => undefined) {
+    const db = await this.open();
+    const transaction = db.transaction([CARD_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const cards = transaction.objectStore(CARD_STORE);
+    const meta = transaction.objectStore(META_STORE);
+
+    const existing = await requestResult(cards.getAll());
+    const storedTags = new Map(existing.map(record => [record.key, record.tags]));
+    const keys = new Set([
+      ...Object.keys(progress.flashcardData || {}),
+      ...(progress.completed || []),
+      ...(progress.repeatLater || [])
+    ]);
+
+    cards.clear();
+    keys.forEach(key => {
+      cards.put(progressToRecord(progress, key, getTags(key) || storedTags.get(key) || []));
+    });
+    if (progress.resetAt !== undefined && progress.resetAt !== null) {
+      meta.put(progress.resetAt, 'resetAt');
+    } else {
+      meta.delete('resetAt');
+    }
+    await done;
+  }
+
+  /**
+   * Write the records of some cards in one transaction
+   * Cards already marked for later keep their place in the queue; newly
+   * marked ones go to the end
+   * @param {Object[]} records - Card records to write; a record with no data,
+   *   not completed and not marked for later is deleted
+   * @returns {Promise<void>}
+   */
+  async writeCards(records) {
+    const db = await this.open();
+    const transaction = db.transaction(CARD_STORE, 'readwrite');
+    const done = transactionDone(transaction);
+    const cards = transaction.objectStore(CARD_STORE);
+    const now = Date.now();
+
+    for (const [index, record] of records.entries()) {
+      if (!record.data && !record.completed && record.laterRank === null) {
+        cards.delete(record.key);
+        continue;
+      }
+      if (record.laterRank === null) {
+        cards.put(record);
+        continue;
+      }
+      const existing = await requestResult(cards.get(record.key));
+      cards.put({ ...record, laterRank: existing?.laterRank ?? now + index });
+    }
+    await done;
+  }
+
+  /**
+   * Write the progress of some cards in one transaction
+   * @param {Object} progress - Full progress data
+   * @param {string[]} keys - Flashcard keys to write
+   * @param {Function} getTags - Returns a card's tags by key
+   * @returns {Promise<void>}
+   */
+  async writeEntries(progress, keys, getTags = () => []) {
+    await this.writeCards(keys.map(key => progressToRecord(progress, key, getTags(key) || [])));
+  }
+
+  /**
+   * Get keys of cards due at or before a time, earliest first
+   * @param {number} before - Timestamp
+   * @returns {Promise<string[]>} Flashcard keys
+   */
+  async getDueKeys(before) {
+    const db = await this.open();
+    const index = db.transaction(CARD_STORE, 'readonly').objectStore(CARD_STORE).index('dueDate');
+    return await requestResult(index.getAllKeys(this.keyRange.upperBound(before)));
+  }
+
+  /**
+   * Get keys of cards with a tag
+   * @param {string} tag - Tag
+   * @returns {Promise<string[]>} Flashcard keys
+   */
+  async getKeysByTag(tag) {
+    const db = await this.open();
+    const index = db.transaction(CARD_STORE, 'readonly').objectStore(CARD_STORE).index('tags');
+    return await requestResult(index.getAllKeys(tag));
+  }
+
+  /**
+   * Count the stored card records
+   * @returns {Promise<number>} Number of records
+   */
+  async count() {
+    const db = await this.open();
+    return await requestResult(db.transaction(CARD_STORE, 'readonly').objectStore(CARD_STORE).count());
+  }
+
+  /**
+   * Delete all progress
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction([CARD_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    transaction.objectStore(CARD_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+    await done;
+  }
+
+  /**
+   * Move progress from the old single-entry blob into the store
+   * The blob is only imported into an empty store; if the store already has
+   * progress (the blob was written by a page that predates the store) it wins
+   * @param {Object|null} blob - Progress saved under flashcards_progress
+   * @returns {Promise<boolean>} True if the blob was imported
+   */
+  async importLegacyProgress(blob) {
+    if (!blob) {
+      return false;
+    }
+    if (await this.count() > 0) {
+      console.warn('Progress store already has data; ignoring the old progress entry');
+      return false;
+    }
+    await this.replaceProgress(blob);
+    return true;
+  }
+}
+
+// Export singleton instance
+export const progressStore = new ProgressStore();
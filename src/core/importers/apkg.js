@@ -0,0 +1,314 @@
+/**
+ * Anki package (.apkg) import
+ * Unpacks the package, reads its SQLite collection with sql.js (WASM) and maps
+ * notes/cards to our card schema. Review state (ivl/factor/due/reps/lapses) is
+ * translated into flashcardData so scheduling continues where Anki left off.
+ *
+ * Cards are mapped from note fields: the first field is the front and the
+ * second the back; a second template (e.g. "Basic (and reversed card)")
+ * swaps them, and cloze notes produce one card per cloze number.
+ */
+
+import { openZip } from '../../utils/zip.js';
+import { CARD_PHASES } from '../../utils/constants.js';
+import { prepareImportedCards, htmlToText, deckIdFromPath } from './common.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIELD_SEPARATOR = '\x1f';
+const ANKI_CARD_TYPE_NEW = 0;
+// Anki card types after new: 1 learning, 2 review, 3 relearning
+const ANKI_CARD_PHASES = {
+  1: CARD_PHASES.LEARNING,
+  2: CARD_PHASES.REVIEW,
+  3: CARD_PHASES.RELEARNING
+};
+const ANKI_MODEL_TYPE_CLOZE = 1;
+const DEFAULT_EASE = 250;
+
+const IMAGE_PATTERN = /<img[^>]*\ssrc=["']?([^"'>\s]+)["']?[^>]*>/gi;
+const SOUND_PATTERN = /\[sound:([^\]]+)\]/g;
+const CLOZE_PATTERN = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/gs;
+
+/**
+ * Run a query and return rows as objects
+ * @param {Object} db - sql.js Database
+ * @param {string} sql - SQL query
+ * @returns {Array<Object>} Rows
+ */
+function queryAll(db, sql) {
+  const [result] = db.exec(sql);
+  if (!result) {
+    return [];
+  }
+  return result.values.map(values =>
+    Object.fromEntries(result.columns.map((column, index) => [column, values[index]]))
+  );
+}
+
+/**
+ * Check whether a table exists in the collection
+ * @param {Object} db - sql.js Database
+ * @param {string} name - Table name
+ * @returns {boolean} True if the table exists
+ */
+function hasTable(db, name) {
+  return queryAll(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`).length > 0;
+}
+
+/**
+ * Read decks, note types, notes, cards and last review times from a collection
+ * Handles both the legacy schema (decks/models as JSON in "col") and the
+ * newer schema with separate "decks" and "notetypes" tables
+ * @param {Object} db - sql.js Database
+ * @returns {Object} Collection data
+ */
+export function readCollection(db) {
+  const [col] = queryAll(db, 'SELECT crt, models, decks FROM col');
+  if (!col) {
+    throw new Error('Not an Anki collection: "col" table is empty');
+  }
+
+  const decks = new Map();
+  Object.values(JSON.parse(col.decks || '{}')).forEach(deck => decks.set(Number(deck.id), deck.name));
+  if (hasTable(db, 'decks')) {
+    queryAll(db, 'SELECT id, name FROM decks').forEach(deck => {
+      decks.set(Number(deck.id), String(deck.name).replace(/\x1f/g, '::'));
+    });
+  }
+
+  const models = new Map();
+  Object.values(JSON.parse(col.models || '{}')).forEach(model => {
+    models.set(Number(model.id), { name: model.name, isCloze: model.type === ANKI_MODEL_TYPE_CLOZE });
+  });
+  if (hasTable(db, 'notetypes')) {
+    queryAll(db, 'SELECT id, name FROM notetypes').forEach(model => {
+      if (!models.has(Number(model.id))) {
+        models.set(Number(model.id), { name: model.name, isCloze: null });
+      }
+    });
+  }
+
+  const lastReviews = new Map();
+  if (hasTable(db, 'revlog')) {
+    queryAll(db, 'SELECT cid, MAX(id) AS last FROM revlog GROUP BY cid').forEach(row => {
+      lastReviews.set(Number(row.cid), Number(row.last));
+    });
+  }
+
+  return {
+    createdAt: Number(col.crt) * 1000,
+    decks,
+    models,
+    notes: new Map(queryAll(db, 'SELECT id, mid, tags, flds FROM notes').map(note => [Number(note.id), note])),
+    cards: queryAll(db, 'SELECT id, nid, did, odid, ord, type, queue, due, odue, ivl, factor, reps, lapses FROM cards'),
+    lastReviews
+  };
+}
+
+/**
+ * Replace media references with visible placeholders and collect their names
+ * @param {string} html - Field HTML
+ * @param {Set<string>} references - Collected media names
+ * @returns {string} HTML with placeholders
+ */
+function replaceMedia(html, references) {
+  return html
+    .replace(IMAGE_PATTERN, (match, name) => {
+      references.add(decodeURIComponent(name));
+      return `[image: ${decodeURIComponent(name)}]`;
+    })
+    .replace(SOUND_PATTERN, (match, name) => {
+      references.add(name);
+      return `[sound: ${name}]`;
+    });
+}
+
+/**
+ * Render a cloze field for one cloze number
+ * @param {string} text - Field text with {{cN::answer::hint}} deletions
+ * @param {number} number - Cloze number being asked
+ * @param {boolean} reveal - Show the answer instead of the gap
+ * @returns {string} Rendered text
+ */
+function renderCloze(text, number, reveal) {
+  return text.replace(CLOZE_PATTERN, (match, n, answer, hint) => {
+    if (Number(n) !== number || reveal) {
+      return answer;
+    }
+    return hint ? `[${hint}]` : '[...]';
+  });
+}
+
+/**
+ * Convert an Anki card's review state into flashcardData
+ * Anki stores review due dates as days since collection creation, learning
+ * due dates as epoch seconds, intervals in days (negative = seconds) and ease
+ * as permille. Learning and relearning cards keep their phase and restart at
+ * the first of our steps, since Anki counts its steps left against its own
+ * step list; a relearning card keeps the interval Anki set when it lapsed,
+ * which it returns to once relearned
+ * @param {Object} card - Row from the cards table
+ * @param {number} createdAt - Collection creation time (ms)
+ * @param {number|undefined} lastReview - Last review time from revlog (ms)
+ * @returns {Object|null} Progress data, or null for new cards
+ */
+export function ankiCardToProgress(card, createdAt, lastReview) {
+  if (card.type === ANKI_CARD_TYPE_NEW) {
+    return null;
+  }
+
+  const due = card.odid ? card.odue : card.due;
+  const interval = card.ivl > 0 ? card.ivl : Math.abs(card.ivl) / 86400;
+  const dueDate = due > 1e9 ? due * 1000 : createdAt + due * DAY_MS;
+
+  return {
+    reviewCount: card.reps,
+    ease: card.factor > 0 ? Math.round(card.factor / 10) : DEFAULT_EASE,
+    interval: Math.round(interval * 100) / 100,
+    lastReview: lastReview || Math.round(dueDate - interval * DAY_MS),
+    dueDate,
+    difficulty: null,
+    lapses: card.lapses,
+    phase: ANKI_CARD_PHASES[card.type] || CARD_PHASES.REVIEW,
+    step: 0
+  };
+}
+
+/**
+ * Map collection cards to card entries
+ * @param {Object} collection - Result of readCollection
+ * @returns {Array<Object>} Entries with row, deckName, card, progress and media references
+ */
+export function mapAnkiCards(collection) {
+  const { decks, models, notes, cards, createdAt, lastReviews } = collection;
+
+  return cards.flatMap(card => {
+    const note = notes.get(Number(card.nid));
+    if (!note) {
+      return [];
+    }
+
+    const fields = String(note.flds).split(FIELD_SEPARATOR);
+    const model = models.get(Number(note.mid)) || { isCloze: null };
+    const isCloze = model.isCloze ?? /\{\{c\d+::/.test(fields[0]);
+    const media = new Set();
+    let question;
+    let answer;
+
+    if (isCloze) {
+      const number = card.ord + 1;
+      const extra = fields[1] ? `<br><br>${fields[1]}` : '';
+      question = renderCloze(fields[0], number, false);
+      answer = renderCloze(fields[0], number, true) + extra;
+    } else {
+      const [front = '', back = ''] = fields;
+      [question, answer] = card.ord === 1 ? [back, front] : [front, back];
+    }
+
+    return [{
+      row: `card ${card.id}`,
+      deckName: decks.get(Number(card.odid || card.did)) || 'Default',
+      card: {
+        id: `anki-${card.id}`,
+        question: htmlToText(replaceMedia(question, media)),
+        answer: htmlToText(replaceMedia(answer, media)),
+        tags: String(note.tags || '').trim().split(/\s+/).filter(Boolean)
+      },
+      progress: ankiCardToProgress(card, createdAt, lastReviews.get(Number(card.id))),
+      media: [...media]
+    }];
+  });
+}
+
+/**
+ * Pick the collection file inside a package
+ * @param {Object} zip - Archive from openZip
+ * @returns {string} Collection file name
+ */
+function findCollection(zip) {
+  if (zip.has('collection.anki21')) {
+    return 'collection.anki21';
+  }
+  if (zip.has('collection.anki21b')) {
+    // Packages in the newer format only keep a placeholder in collection.anki2
+    throw new Error('This package uses the newer compressed Anki format. Export it again with "Support older Anki versions" enabled.');
+  }
+  if (zip.has('collection.anki2')) {
+    return 'collection.anki2';
+  }
+  throw new Error('Not an Anki package: no collection found');
+}
+
+/**
+ * Read the names of media files included in a package
+ * @param {Object} zip - Archive from openZip
+ * @returns {Promise<Set<string>>} Media file names
+ */
+async function readMediaNames(zip) {
+  if (!zip.has('media')) {
+    return new Set();
+  }
+  try {
+    return new Set(Object.values(JSON.parse(await zip.readText('media'))));
+  } catch (error) {
+    console.warn('Could not read Anki media list:', error);
+    return new Set();
+  }
+}
+
+/**
+ * Import an Anki package
+ * Anki decks map to "anki-<deck-name>" decks unless keepDecks is off, in which
+ * case every card goes to the target deck. Images and sounds are kept as
+ * "[image: name]" placeholders; references to files missing from the package
+ * are reported
+ * @param {ArrayBuffer} buffer - .apkg file contents
+ * @param {Object} options - Import options
+ * @param {Object} options.SQL - Initialised sql.js module
+ * @param {string} options.defaultDeckId - Deck used when keepDecks is false
+ * @param {boolean} options.keepDecks - Keep Anki's deck structure
+ * @param {Function} options.getExistingCards - Returns the existing cards of a deck ID
+ * @returns {Promise<{decks: Array, missingMedia: Array}>} Per-deck results ({deckId, deckName, cards, progress, duplicates, rejected})
+ *   and cards referencing media that is not in the package
+ */
+export async function importApkg(buffer, { SQL, defaultDeckId, keepDecks = true, getExistingCards = () => [] }) {
+  const zip = openZip(buffer);
+  const db = new SQL.Database(await zip.read(findCollection(zip)));
+  let entries;
+  try {
+    entries = mapAnkiCards(readCollection(db));
+  } finally {
+    db.close();
+  }
+
+  const mediaNames = await readMediaNames(zip);
+  const groups = new Map();
+  entries.forEach(entry => {
+    const deckId = keepDecks ? `anki-${deckIdFromPath(entry.deckName) || 'deck'}` : defaultDeckId;
+    if (!groups.has(deckId)) {
+      groups.set(deckId, { deckId, deckName: entry.deckName, entries: [] });
+    }
+    groups.get(deckId).entries.push(entry);
+  });
+
+  const missingMedia = [];
+  const decks = [...groups.values()].map(({ deckId, deckName, entries: deckEntries }) => {
+    const byRow = new Map(deckEntries.map(entry => [entry.row, entry]));
+    const { cards, accepted, duplicates, rejected } = prepareImportedCards(deckEntries, getExistingCards(deckId));
+    const progress = {};
+
+    accepted.forEach(({ row, card }) => {
+      const entry = byRow.get(row);
+      if (entry.progress) {
+        progress[card.id] = entry.progress;
+      }
+      entry.media.filter(name => !mediaNames.has(name)).forEach(name => {
+        missingMedia.push({ row, card, reason: `Media file "${name}" is not in the package` });
+      });
+    });
+
+    return { deckId, deckName, cards, progress, duplicates, rejected };
+  });
+
+  return { decks, missingMedia };
+}
@@ -0,0 +1,91 @@
+/**
+ * Helpers shared by the card importers
+ */
+
+import { validateFlashcard, normalizeFlashcard, createCardId } from '../card-schema.js';
+
+/**
+ * Normalize a question for duplicate comparison
+ * @param {string} question - Question text
+ * @returns {string} Comparison key
+ */
+function questionKey(question) {
+  return String(question || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Validate imported cards, assign missing IDs and split out duplicates
+ * A card is a duplicate when its ID or question already exists in the deck
+ * or earlier in the same import
+ * @param {Array<{row: number|string, card: Object}>} candidates - Parsed cards with their source row or location
+ * @param {Array} existingCards - Cards already in the target deck
+ * @returns {{cards: Array, accepted: Array, duplicates: Array, rejected: Array}} Import result;
+ *   accepted pairs each imported card with its source row
+ */
+export function prepareImportedCards(candidates, existingCards = []) {
+  const usedIds = existingCards.map(card => card.id);
+  const existingIds = new Set(usedIds);
+  const seenQuestions = new Set(existingCards.map(card => questionKey(card.question)));
+  const accepted = [];
+  const duplicates = [];
+  const rejected = [];
+
+  candidates.forEach(({ row, card: input }) => {
+    const card = normalizeFlashcard({
+      ...input,
+      id: input.id || createCardId(usedIds)
+    });
+
+    if (existingIds.has(card.id)) {
+      duplicates.push({ row, card, reason: `ID "${card.id}" already exists` });
+      return;
+    }
+    if (seenQuestions.has(questionKey(card.question))) {
+      duplicates.push({ row, card, reason: 'Question already exists' });
+      return;
+    }
+
+    const { valid, errors } = validateFlashcard(card);
+    if (!valid) {
+      rejected.push({ row, card, reason: errors.map(error => error.message).join('; ') });
+      return;
+    }
+
+    usedIds.push(card.id);
+    existingIds.add(card.id);
+    seenQuestions.add(questionKey(card.question));
+    accepted.push({ row, card });
+  });
+
+  return { cards: accepted.map(({ card }) => card), accepted, duplicates, rejected };
+}
+
+/**
+ * Turn a hierarchical deck name ("python/basics" or Anki's "Python::Basics")
+ * into a deck ID ("python-basics")
+ * @param {string} path - Deck path
+ * @returns {string} Deck ID
+ */
+export function deckIdFromPath(path) {
+  return path.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Convert simple HTML (as found in Anki exports) to plain text
+ * @param {string} html - HTML string
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,289 @@
+/**
+ * CSV / TSV import and export
+ * Handles plain spreadsheet exports, Anki's "Notes in Plain Text" export
+ * (with its #separator/#html/#columns header lines) and Quizlet's export
+ */
+
+import { prepareImportedCards, htmlToText } from './common.js';
+
+// Fields a column can be mapped to
+export const IMPORT_FIELDS = ['question', 'answer', 'tags', 'id'];
+
+// Header names recognised for each field
+const HEADER_ALIASES = {
+  question: ['question', 'front', 'term', 'prompt', 'q'],
+  answer: ['answer', 'back', 'definition', 'response', 'a'],
+  tags: ['tags', 'tag', 'labels'],
+  id: ['id', 'card id', 'guid']
+};
+
+// Anki's #separator values
+const ANKI_SEPARATORS = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|',
+  space: ' ',
+  colon: ':'
+};
+
+/**
+ * Parse delimited text into rows with the line each starts on
+ * Quoted fields may contain the delimiter, newlines and doubled quotes, so a
+ * row can span several lines; blank lines are dropped
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<{fields: string[], line: number}>} Rows of fields with their 1-based starting line
+ */
+export function parseDelimitedLines(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    // "\r\n" counts as one line break, on its "\n"
+    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+      line++;
+    }
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push({ fields: row, line: rowLine });
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      rowLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ fields: row, line: rowLine });
+  }
+
+  // Drop blank lines
+  return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse delimited text into rows, honouring quoted fields
+ * Quoted fields may contain the delimiter, newlines and doubled quotes
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]} Rows of fields
+ */
+export function parseDelimited(text, delimiter = ',') {
+  return parseDelimitedLines(text, delimiter).map(({ fields }) => fields);
+}
+
+/**
+ * Guess the delimiter from the first data line
+ * @param {string} text - Delimited text
+ * @returns {string} Tab, semicolon or comma
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '' && !line.startsWith('#')) || '';
+  const counts = ['\t', ';', ','].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+  return best.count > 0 ? best.delimiter : '\t';
+}
+
+/**
+ * Read Anki's "#key:value" header lines
+ * @param {string} text - Exported text
+ * @returns {{directives: Object, body: string, lineCount: number}} Parsed directives, remaining text and number of directive lines
+ */
+export function parseAnkiDirectives(text) {
+  const directives = {};
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let index = 0;
+
+  while (index < lines.length && /^#[\w ]+:/.test(lines[index])) {
+    const line = lines[index];
+    const separator = line.indexOf(':');
+    directives[line.slice(1, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    index++;
+  }
+
+  return { directives, body: lines.slice(index).join('\n'), lineCount: index };
+}
+
+/**
+ * Suggest a column mapping from header names or column positions
+ * Without a header the first two columns are question and answer
+ * @param {string[]|null} header - Header row or null
+ * @param {number} columnCount - Number of columns
+ * @returns {Object} Map of field to column index (or -1 when unmapped)
+ */
+export function suggestMapping(header, columnCount) {
+  const mapping = { question: -1, answer: -1, tags: -1, id: -1 };
+
+  if (header) {
+    header.forEach((name, index) => {
+      const normalized = name.trim().toLowerCase();
+      const field = IMPORT_FIELDS.find(f => HEADER_ALIASES[f].includes(normalized));
+      if (field && mapping[field] === -1) {
+        mapping[field] = index;
+      }
+    });
+  }
+
+  if (mapping.question === -1 && mapping.answer === -1) {
+    mapping.question = 0;
+    mapping.answer = columnCount > 1 ? 1 : -1;
+  }
+
+  return mapping;
+}
+
+/**
+ * Parse an import file for preview
+ * @param {string} text - File contents
+ * @param {Object} options - Parse options
+ * @param {string} [options.delimiter] - Delimiter (detected when omitted)
+ * @param {boolean} [options.hasHeader] - Whether the first row is a header (detected when omitted)
+ * @returns {Object} Preview with rows, the file line each row starts on, header, delimiter, suggested mapping and html flag
+ */
+export function previewDelimited(text, options = {}) {
+  const { directives, body, lineCount } = parseAnkiDirectives(text);
+  const delimiter = options.delimiter
+    || ANKI_SEPARATORS[directives.separator?.toLowerCase()]
+    || directives.separator
+    || detectDelimiter(body);
+  const parsed = parseDelimitedLines(body, delimiter);
+  const rows = parsed.map(({ fields }) => fields);
+  // 1-based line in the file, counting the directive lines before the body
+  const rowLines = parsed.map(({ line }) => line + lineCount);
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+  let header = null;
+  if (directives.columns) {
+    header = directives.columns.split(delimiter);
+  } else {
+    const looksLikeHeader = rows.length > 0 && rows[0].some(value =>
+      IMPORT_FIELDS.some(field => HEADER_ALIASES[field].includes(value.trim().toLowerCase()))
+    );
+    const hasHeader = options.hasHeader ?? looksLikeHeader;
+    if (hasHeader && rows.length > 0) {
+      header = rows.shift();
+      rowLines.shift();
+    }
+  }
+
+  const mapping = suggestMapping(header, columnCount);
+  if (directives['tags column']) {
+    mapping.tags = parseInt(directives['tags column'], 10) - 1;
+  }
+
+  return {
+    delimiter,
+    header,
+    rows,
+    rowLines,
+    columnCount,
+    mapping,
+    html: directives.html === 'true'
+  };
+}
+
+/**
+ * Turn previewed rows into cards using a column mapping
+ * @param {Object} preview - Result of previewDelimited
+ * @param {Object} mapping - Map of field to column index
+ * @param {Array} existingCards - Cards already in the target deck (for duplicate detection)
+ * @returns {{cards: Array, duplicates: Array, rejected: Array}} Import result
+ */
+export function importDelimited(preview, mapping, existingCards = []) {
+  const { rows, rowLines, html } = preview;
+  const value = (fields, field) => {
+    const index = mapping[field];
+    if (index === undefined || index < 0) return '';
+    const raw = fields[index] ?? '';
+    return html ? htmlToText(raw) : raw.trim();
+  };
+
+  const candidates = rows.map((fields, index) => ({
+    row: rowLines[index],
+    card: {
+      id: value(fields, 'id'),
+      question: value(fields, 'question'),
+      answer: value(fields, 'answer'),
+      tags: value(fields, 'tags')
+    }
+  }));
+
+  return prepareImportedCards(candidates, existingCards);
+}
+
+/**
+ * Quote a field if it contains the delimiter, quotes or newlines
+ * @param {string} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped field
+ */
+function escapeField(value, delimiter) {
+  const text = String(value ?? '');
+  if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Export cards as CSV or TSV
+ * Columns are question, answer, tags (space separated, as Anki expects) and id
+ * @param {Array} cards - Cards to export
+ * @param {Object} options - Export options
+ * @param {string} options.format - "csv" or "tsv"
+ * @param {boolean} options.header - Include a header row
+ * @returns {string} Delimited text
+ */
+export function exportDelimited(cards, { format = 'csv', header = true } = {}) {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const lines = cards.map(card => [
+    card.question,
+    card.answer,
+    (card.tags || []).join(' '),
+    card.id
+  ].map(value => escapeField(value, delimiter)).join(delimiter));
+
+  if (header) {
+    lines.unshift(['question', 'answer', 'tags', 'id'].join(delimiter));
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,320 @@
+/**
+ * Obsidian Spaced Repetition (OSR) markdown import
+ * Supports the plugin's card syntax:
+ * - "Question::Answer" and "Question:::Answer" (reversed) single-line cards
+ * - "?" and "??" (reversed) separators for multi-line cards
+ * - "==cloze==" deletions, one card per deletion
+ * - "#flashcards/deck/subdeck" deck tags on the note or on a card
+ * - "<!--SR:!2024-01-15,3,250-->" scheduling comments (due date, interval, ease)
+ */
+
+import { prepareImportedCards, deckIdFromPath } from './common.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SR_COMMENT = /<!--SR:((?:![^!>]*)+)-->/;
+const SR_COMMENT_LINE = /^\s*<!--SR:[^>]*-->\s*$/;
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_/-]+)/gu;
+const CLOZE_PATTERN = /==(.+?)==/g;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Parse an OSR scheduling comment into one schedule per card
+ * Reversed and cloze cards store one "!date,interval,ease" entry per sibling
+ * @param {string} text - Text containing a <!--SR:...--> comment
+ * @returns {Array<{dueDate: number, interval: number, ease: number}>} Schedules in sibling order
+ */
+export function parseSrComment(text) {
+  const match = SR_COMMENT.exec(text || '');
+  if (!match) {
+    return [];
+  }
+
+  return match[1].split('!').filter(Boolean).map(entry => {
+    const [date, interval, ease] = entry.split(',').map(part => part.trim());
+    const [year, month, day] = date.split('-').map(Number);
+    return {
+      dueDate: new Date(year, month - 1, day).getTime(),
+      interval: Number(interval),
+      ease: Number(ease)
+    };
+  }).filter(schedule =>
+    !Number.isNaN(schedule.dueDate) && schedule.interval > 0 && schedule.ease > 0
+  );
+}
+
+/**
+ * Convert an OSR schedule into a flashcardData entry
+ * @param {Object} schedule - Schedule from parseSrComment
+ * @returns {Object} Progress data for the card
+ */
+export function scheduleToProgress({ dueDate, interval, ease }) {
+  return {
+    reviewCount: 1,
+    ease,
+    interval,
+    lastReview: dueDate - interval * DAY_MS,
+    dueDate,
+    difficulty: null
+  };
+}
+
+/**
+ * Split hashtags in text into deck paths and plain tags
+ * @param {string} text - Text to scan
+ * @param {string} deckTag - Root deck tag (e.g. "flashcards")
+ * @returns {{deckPath: string|undefined, tags: string[]}} First deck path ('' for the bare tag) and other tags
+ */
+function readTags(text, deckTag) {
+  let deckPath;
+  const tags = [];
+
+  for (const [, , tag] of text.matchAll(TAG_PATTERN)) {
+    if (tag === deckTag || tag.startsWith(`${deckTag}/`)) {
+      if (deckPath === undefined) {
+        deckPath = tag.slice(deckTag.length + 1);
+      }
+    } else {
+      tags.push(tag);
+    }
+  }
+
+  return { deckPath, tags };
+}
+
+/**
+ * Remove deck tags and scheduling comments from card text
+ * @param {string} text - Card text
+ * @param {string} deckTag - Root deck tag
+ * @returns {string} Cleaned text
+ */
+function cleanCardText(text, deckTag) {
+  return text
+    .replace(new RegExp(SR_COMMENT.source, 'g'), '')
+    .replace(TAG_PATTERN, (match, prefix, tag) =>
+      tag === deckTag || tag.startsWith(`${deckTag}/`) ? prefix : match
+    )
+    .trim();
+}
+
+/**
+ * Read tags from YAML frontmatter ("tags: [a, b]", "tags: a b" or a "- a" list)
+ * @param {string[]} lines - Frontmatter lines
+ * @returns {string} Tags as "#tag" text so they can be scanned like body tags
+ */
+function readFrontmatterTags(lines) {
+  const tags = [];
+  let inTagList = false;
+
+  lines.forEach(line => {
+    const inline = /^tags:\s*(.*)$/.exec(line);
+    if (inline) {
+      inTagList = inline[1].trim() === '';
+      tags.push(...inline[1].replace(/[[\]"']/g, '').split(/[\s,]+/));
+    } else if (inTagList && /^\s*-\s+/.test(line)) {
+      tags.push(line.replace(/^\s*-\s+/, '').replace(/["']/g, ''));
+    } else {
+      inTagList = false;
+    }
+  });
+
+  return tags.filter(Boolean).map(tag => `#${tag.replace(/^#/, '')}`).join(' ');
+}
+
+/**
+ * Split note lines into blank-line separated blocks, skipping code fences
+ * @param {string[]} lines - Note lines
+ * @param {number} offset - Index of the first body line
+ * @returns {Array<{line: number, lines: string[]}>} Blocks with their 1-based start line
+ */
+function splitBlocks(lines, offset) {
+  const blocks = [];
+  let current = null;
+  let inFence = false;
+
+  for (let index = offset; index < lines.length; index++) {
+    const line = lines[index];
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      current = null;
+      continue;
+    }
+    if (inFence || line.trim() === '') {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse one OSR note into card entries
+ * @param {string} text - Markdown note
+ * @param {Object} options - Parse options
+ * @param {string} options.fileName - File name used in row labels
+ * @param {string} options.deckTag - Root deck tag (default "flashcards")
+ * @returns {{entries: Array, skipped: Array}} Card entries (with deckPath and schedule) and skipped cards
+ */
+export function parseOsrNote(text, { fileName = 'note.md', deckTag = 'flashcards' } = {}) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const rawEntries = [];
+  let noteTagText = '';
+  let offset = 0;
+
+  if (lines[0]?.trim() === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) {
+      noteTagText += ` ${readFrontmatterTags(lines.slice(1, end))}`;
+      offset = end + 1;
+    }
+  }
+
+  const addCard = (line, question, answer, schedules, siblings) => {
+    const cardText = `${question}\n${answer}`;
+    const { deckPath, tags } = readTags(cardText, deckTag);
+    siblings(cleanCardText(question, deckTag), cleanCardText(answer, deckTag)).forEach(([q, a, label], index) => {
+      rawEntries.push({
+        row: `${fileName}:${line}${label ? ` (${label})` : ''}`,
+        deckPath,
+        card: { question: q, answer: a, tags },
+        schedule: schedules[index] || null
+      });
+    });
+  };
+  const basic = (q, a) => [[q, a]];
+  const reversed = (q, a) => [[q, a], [a, q, 'reverse']];
+
+  splitBlocks(lines, offset).forEach(block => {
+    const separator = block.lines.findIndex(line => line.trim() === '?' || line.trim() === '??');
+
+    // Multi-line card: question lines, "?" or "??", answer lines
+    if (separator > 0) {
+      const blockText = block.lines.join('\n');
+      const answerLines = block.lines.slice(separator + 1).filter(line => !SR_COMMENT_LINE.test(line));
+      addCard(
+        block.line,
+        block.lines.slice(0, separator).join('\n'),
+        answerLines.join('\n'),
+        parseSrComment(blockText),
+        block.lines[separator].trim() === '??' ? reversed : basic
+      );
+      return;
+    }
+
+    // Single-line cards: "Question::Answer" or "Question:::Answer"
+    let hasSingleLine = false;
+    let looseText = '';
+    block.lines.forEach((line, index) => {
+      if (SR_COMMENT_LINE.test(line)) return;
+      const isReversed = line.includes(':::');
+      const marker = isReversed ? ':::' : '::';
+      const position = line.indexOf(marker);
+      if (position <= 0) {
+        looseText += ` ${line}`;
+        return;
+      }
+
+      hasSingleLine = true;
+      const nextLine = block.lines[index + 1] || '';
+      const commentText = SR_COMMENT.test(line) ? line : (SR_COMMENT_LINE.test(nextLine) ? nextLine : '');
+      addCard(
+        block.line + index,
+        line.slice(0, position),
+        line.slice(position + marker.length),
+        parseSrComment(commentText),
+        isReversed ? reversed : basic
+      );
+    });
+    if (hasSingleLine) {
+      // Lines next to single-line cards (e.g. a tag line) may carry note-level tags
+      noteTagText += looseText;
+      return;
+    }
+
+    // Cloze card: one card per ==deletion==
+    const textLines = block.lines.filter(line => !SR_COMMENT_LINE.test(line));
+    const blockText = textLines.join('\n');
+    const deletions = [...blockText.matchAll(CLOZE_PATTERN)];
+    if (deletions.length > 0) {
+      const answer = blockText.replace(CLOZE_PATTERN, '$1');
+      addCard(block.line, blockText, answer, parseSrComment(block.lines.join('\n')), (q, a) =>
+        deletions.map((deletion, index) => {
+          let current = -1;
+          const question = q.replace(CLOZE_PATTERN, (match, inner) => {
+            current++;
+            return current === index ? '[...]' : inner;
+          });
+          return [question, a, deletions.length > 1 ? `cloze ${index + 1}` : null];
+        })
+      );
+      return;
+    }
+
+    // Anything else may carry note-level tags
+    noteTagText += ` ${blockText}`;
+  });
+
+  const noteDeckPath = readTags(noteTagText, deckTag).deckPath;
+  const entries = [];
+  const skipped = [];
+  rawEntries.forEach(entry => {
+    const deckPath = entry.deckPath ?? noteDeckPath;
+    if (deckPath === undefined) {
+      skipped.push({ row: entry.row, card: entry.card, reason: `No #${deckTag} tag on the card or note` });
+    } else {
+      entries.push({ ...entry, deckPath });
+    }
+  });
+
+  return { entries, skipped };
+}
+
+/**
+ * Import OSR notes into decks
+ * Cards tagged with a sub-deck ("#flashcards/python") go to a deck derived from
+ * the tag path; cards tagged with the bare root tag go to the default deck
+ * @param {Array<{name: string, text: string}>} files - Markdown files
+ * @param {Object} options - Import options
+ * @param {string} options.defaultDeckId - Deck for cards tagged with the bare root tag
+ * @param {Function} options.getExistingCards - Returns the existing cards of a deck ID
+ * @param {string} options.deckTag - Root deck tag (default "flashcards")
+ * @returns {{decks: Array, skipped: Array}} Per-deck results ({deckId, deckName, cards, progress, duplicates, rejected}) and skipped cards
+ */
+export function importOsrNotes(files, { defaultDeckId, getExistingCards = () => [], deckTag = 'flashcards' }) {
+  const groups = new Map();
+  const skipped = [];
+
+  files.forEach(file => {
+    const result = parseOsrNote(file.text, { fileName: file.name, deckTag });
+    skipped.push(...result.skipped);
+    result.entries.forEach(entry => {
+      const deckId = entry.deckPath ? deckIdFromPath(entry.deckPath) : defaultDeckId;
+      if (!groups.has(deckId)) {
+        groups.set(deckId, { deckId, deckName: entry.deckPath || null, entries: [] });
+      }
+      groups.get(deckId).entries.push(entry);
+    });
+  });
+
+  const decks = [...groups.values()].map(({ deckId, deckName, entries }) => {
+    const schedules = new Map(entries.map(entry => [entry.row, entry.schedule]));
+    const { cards, accepted, duplicates, rejected } = prepareImportedCards(entries, getExistingCards(deckId));
+    const progress = {};
+    accepted.forEach(({ row, card }) => {
+      const schedule = schedules.get(row);
+      if (schedule) {
+        progress[card.id] = scheduleToProgress(schedule);
+      }
+    });
+
+    return { deckId, deckName, cards, progress, duplicates, rejected };
+  });
+
+  return { decks, skipped };
+}
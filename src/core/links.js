@@ -0,0 +1,72 @@
+/**
+ * Card links
+ * A card can list related cards in its `links` field: a card ID in the same
+ * deck ("fc-001"), a card key in another deck ("deck/fc-001") or a tag
+ * ("#closures", every other active card carrying it). When a new card is
+ * first answered, the ease of its linked cards that are already reviewed is
+ * averaged, weighted by how many links reach each, and mixed into its initial
+ * ease up to the Maximum Link Contribution setting, as Obsidian Spaced
+ * Repetition (OSR) does with linked notes. A tag counts as one link shared
+ * among the cards it reaches, so a broad tag does not outweigh a direct link.
+ */
+
+import { getCardKey } from './decks.js';
+import { CARD_KEY_SEPARATOR } from '../utils/constants.js';
+
+export const TAG_LINK_PREFIX = '#';
+
+/**
+ * Resolve a card's links to the keys of the cards they reach
+ * Links to missing or inactive cards, and to the card itself, reach nothing
+ * @param {Object} card - Flashcard with links
+ * @param {string} deckId - Deck the card belongs to
+ * @param {Array} cards - Active flashcards (with deckId and key)
+ * @returns {Array<{link: string, key: string, weight: number}>} Reached cards with the link that reached them and its weight
+ */
+export function resolveLinks(card, deckId, cards) {
+  const ownKey = getCardKey(deckId, card.id);
+  const others = cards.filter(fc => fc.key !== ownKey);
+
+  return (card.links || []).flatMap(link => {
+    if (link.startsWith(TAG_LINK_PREFIX)) {
+      const tag = link.slice(TAG_LINK_PREFIX.length);
+      const tagged = others.filter(fc => (fc.tags || []).includes(tag));
+      return tagged.map(fc => ({ link, key: fc.key, weight: 1 / tagged.length }));
+    }
+
+    const key = link.includes(CARD_KEY_SEPARATOR) ? link : getCardKey(deckId, link);
+    return others.some(fc => fc.key === key) ? [{ link, key, weight: 1 }] : [];
+  });
+}
+
+/**
+ * Work out the weighted ease of a card's reviewed linked cards
+ * @param {Object} card - Flashcard with links
+ * @param {string} deckId - Deck the card belongs to
+ * @param {Array} cards - Active flashcards (with deckId and key)
+ * @param {Object} flashcardData - Progress entries by card key
+ * @returns {{linkedEase: number|null, contributors: Array<{key: string, links: string[], ease: number, weight: number}>}} Weighted ease (null when no linked card is reviewed) and the cards it came from
+ */
+export function getLinkedEase(card, deckId, cards, flashcardData) {
+  const contributors = new Map();
+
+  resolveLinks(card, deckId, cards).forEach(({ link, key, weight }) => {
+    const entry = flashcardData[key];
+    if (!entry || !entry.reviewCount || typeof entry.ease !== 'number') {
+      return;
+    }
+    const contributor = contributors.get(key) || { key, links: [], ease: entry.ease, weight: 0 };
+    contributor.links.push(link);
+    contributor.weight += weight;
+    contributors.set(key, contributor);
+  });
+
+  const list = [...contributors.values()];
+  const totalWeight = list.reduce((sum, { weight }) => sum + weight, 0);
+  if (totalWeight === 0) {
+    return { linkedEase: null, contributors: [] };
+  }
+
+  const linkedEase = list.reduce((sum, { ease, weight }) => sum + ease * weight, 0) / totalWeight;
+  return { linkedEase, contributors: list };
+}
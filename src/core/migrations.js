@@ -0,0 +1,216 @@
+/**
+ * Storage schema migrations
+ * Stored data carries a schemaVersion (STORAGE_KEYS.SCHEMA_VERSION). Data
+ * without one predates versioning and counts as version 0. Each migration
+ * takes a snapshot of all stored entries and returns the upgraded entries;
+ * migrations never touch storage themselves, so a run either writes every
+ * step's result at once or nothing.
+ */
+
+import {
+  STORAGE_KEYS,
+  DEFAULT_DECK_ID,
+  CARD_KEY_SEPARATOR,
+  DEFAULT_ALGORITHM_CONFIG
+} from '../utils/constants.js';
+
+/**
+ * Move progress saved before decks existed into the default deck's namespace
+ * @param {Object} progress - Progress data
+ * @returns {Object} Progress data with namespaced keys
+ */
+export function namespaceLegacyProgress(progress) {
+  const toKey = id => id.includes(CARD_KEY_SEPARATOR) ? id : `${DEFAULT_DECK_ID}${CARD_KEY_SEPARATOR}${id}`;
+  const flashcardData = {};
+  Object.entries(progress.flashcardData || {}).forEach(([id, data]) => {
+    flashcardData[toKey(id)] = data;
+  });
+
+  return {
+    ...progress,
+    completed: (progress.completed || []).map(toKey),
+    repeatLater: (progress.repeatLater || []).map(toKey),
+    flashcardData
+  };
+}
+
+// Fields every flashcardData entry has from schema version 2 on. Ease is left
+// out: a card without one is scheduled with the configured base ease, which a
+// stored null would override
+const PROGRESS_ENTRY_DEFAULTS = {
+  reviewCount: 0,
+  interval: 0,
+  lastReview: null,
+  dueDate: null,
+  difficulty: null
+};
+
+/**
+ * Ordered list of migrations; each upgrades data to its version
+ * Add new migrations at the end with the next version number
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Namespace progress keys by deck (fc-001 -> default/fc-001)',
+    migrate(data) {
+      const progress = data[STORAGE_KEYS.PROGRESS];
+      if (!progress) {
+        return data;
+      }
+      return { ...data, [STORAGE_KEYS.PROGRESS]: namespaceLegacyProgress(progress) };
+    }
+  },
+  {
+    version: 2,
+    description: 'Fill in missing progress fields and algorithm settings',
+    migrate(data) {
+      const result = { ...data };
+      const progress = data[STORAGE_KEYS.PROGRESS];
+
+      if (progress) {
+        const flashcardData = {};
+        Object.entries(progress.flashcardData || {}).forEach(([key, entry]) => {
+          if (entry && typeof entry === 'object') {
+            flashcardData[key] = { ...PROGRESS_ENTRY_DEFAULTS, ...entry };
+          }
+        });
+        result[STORAGE_KEYS.PROGRESS] = {
+          ...progress,
+          completed: [...new Set(progress.completed || [])],
+          repeatLater: [...new Set(progress.repeatLater || [])],
+          flashcardData
+        };
+      }
+
+      if (data[STORAGE_KEYS.ALGORITHM_CONFIG]) {
+        result[STORAGE_KEYS.ALGORITHM_CONFIG] = { ...DEFAULT_ALGORITHM_CONFIG, ...data[STORAGE_KEYS.ALGORITHM_CONFIG] };
+      }
+
+      return result;
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of stored data
+ * @param {Object} data - Map of storage key to value
+ * @returns {number} Schema version (0 for unversioned data)
+ */
+export function getSchemaVersion(data) {
+  return data[STORAGE_KEYS.SCHEMA_VERSION] ?? 0;
+}
+
+/**
+ * Apply every migration newer than the data's schema version
+ * Works on a copy; the input is never modified. A failing step throws and
+ * leaves nothing half-applied
+ * @param {Object} data - Map of storage key to value
+ * @param {Array} migrations - Migrations to apply (defaults to MIGRATIONS)
+ * @returns {{data: Object, applied: number[]}} Migrated data and the versions applied
+ */
+export function migrateData(data, migrations = MIGRATIONS) {
+  const from = getSchemaVersion(data);
+  let result = structuredClone(data);
+  const applied = [];
+
+  [...migrations]
+    .sort((a, b) => a.version - b.version)
+    .filter(migration => migration.version > from)
+    .forEach(migration => {
+      try {
+        result = migration.migrate(result);
+      } catch (error) {
+        throw new Error(`Migration to schema version ${migration.version} failed: ${error.message}`);
+      }
+      result[STORAGE_KEYS.SCHEMA_VERSION] = migration.version;
+      applied.push(migration.version);
+    });
+
+  return { data: result, applied };
+}
+
+/**
+ * Migrate everything in a storage area to the current schema
+ * The area is snapshotted first; if writing the migrated data fails the
+ * snapshot is written back. When a progress store is given and holds
+ * progress, that progress is migrated with the rest under
+ * STORAGE_KEYS.PROGRESS and written back to the store, which is restored too
+ * if anything fails
+ * @param {Object} area - Storage area with promise-based get/set/remove (e.g. chrome.storage.local)
+ * @param {Array} migrations - Migrations to apply (defaults to MIGRATIONS)
+ * @param {Object|null} progressStore - IndexedDB progress store (see idb-storage.js), or null if progress lives in the area
+ * @returns {Promise<{success: boolean, from: number, to: number, applied: number[], error?: string}>} Migration result
+ */
+export async function runMigrations(area, migrations = MIGRATIONS, progressStore = null) {
+  const snapshot = await area.get(null);
+  const from = getSchemaVersion(snapshot);
+  const latest = Math.max(0, ...migrations.map(migration => migration.version));
+
+  if (from > latest) {
+    console.warn(`Stored schema version ${from} is newer than this build (${latest}); skipping migrations`);
+    return { success: true, from, to: from, applied: [] };
+  }
+  if (from === latest) {
+    return { success: true, from, to: from, applied: [] };
+  }
+
+  let storedProgress = null;
+  try {
+    if (progressStore && progressStore.isAvailable()) {
+      storedProgress = await progressStore.getProgress();
+    }
+  } catch (error) {
+    console.error('Reading progress for migration failed, data left unchanged:', error);
+    return { success: false, from, to: from, applied: [], error: error.message };
+  }
+
+  // Progress in the store wins over an old entry still left in the area,
+  // which is kept as it is
+  const areaData = { ...snapshot };
+  if (storedProgress) {
+    delete areaData[STORAGE_KEYS.PROGRESS];
+  }
+
+  let migrated;
+  try {
+    const data = storedProgress ? { ...areaData, [STORAGE_KEYS.PROGRESS]: storedProgress } : areaData;
+    migrated = migrateData(data, migrations);
+  } catch (error) {
+    console.error('Storage migration failed, data left unchanged:', error);
+    return { success: false, from, to: from, applied: [], error: error.message };
+  }
+
+  const { [STORAGE_KEYS.PROGRESS]: migratedProgress, ...migratedArea } = migrated.data;
+  const areaResult = storedProgress ? migratedArea : migrated.data;
+  const removedKeys = Object.keys(areaData).filter(key => !(key in areaResult));
+  try {
+    await area.set(areaResult);
+    if (removedKeys.length > 0) {
+      await area.remove(removedKeys);
+    }
+    if (storedProgress) {
+      if (migratedProgress) {
+        await progressStore.replaceProgress(migratedProgress);
+      } else {
+        await progressStore.clear();
+      }
+    }
+  } catch (error) {
+    console.error('Writing migrated data failed, restoring snapshot:', error);
+    const addedKeys = Object.keys(areaResult).filter(key => !(key in snapshot));
+    await area.set(snapshot);
+    if (addedKeys.length > 0) {
+      await area.remove(addedKeys);
+    }
+    if (storedProgress) {
+      await progressStore.replaceProgress(storedProgress);
+    }
+    return { success: false, from, to: from, applied: [], error: error.message };
+  }
+
+  console.log(`Storage migrated from schema version ${from} to ${latest}`);
+  return { success: true, from, to: latest, applied: migrated.applied };
+}
@@ -0,0 +1,279 @@
+/**
+ * Parameter optimizer
+ * Fits the active algorithm's settings to the review log. Each card's history
+ * is replayed under candidate settings; at every review of a graduated card
+ * the replayed memory stability predicts the probability of recall after the
+ * time that actually passed (FSRS forgetting curve), and the candidates are
+ * scored by the log loss of those predictions against what was answered
+ * (anything but Again counts as recalled). The search is a coordinate
+ * descent: one setting at a time moves to its best value until a full round
+ * no longer improves the loss.
+ */
+
+import { getAlgorithm } from './algorithms/registry.js';
+import { retrievability, DEFAULT_FSRS_WEIGHTS } from './algorithms/fsrs.js';
+import { REVIEW_DIFFICULTY, CARD_PHASES, DEFAULT_ALGORITHM_CONFIG } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Predictions are kept away from 0 and 1 so one surprise cannot dominate the loss
+const PROBABILITY_LIMIT = 0.001;
+
+// Fewer reviews than this cannot say much about the settings
+export const MIN_OPTIMIZER_REVIEWS = 50;
+
+// Values tried for the SM-2 settings
+const SM2_SEARCH_SPACE = {
+  baseEase: { min: 130, max: 350, step: 10 },
+  intervalChangeHard: { min: 0, max: 100, step: 5 },
+  easyBonus: { min: 100, max: 200, step: 5 }
+};
+
+// Relative changes tried for each FSRS weight, and the weights' limits
+const FSRS_STEPS = [0.5, 0.8, 0.95, 1.05, 1.25, 2];
+const FSRS_WEIGHT_LIMITS = { min: 0.001, max: 100 };
+// w[7] (difficulty mean reversion) and w[15] (hard penalty) are fractions
+const FSRS_FRACTION_WEIGHTS = [7, 15];
+
+/**
+ * Group log entries by card, each card's entries oldest first
+ * @param {Object[]} entries - Review log entries
+ * @returns {Object[][]} One history per card
+ */
+export function groupHistories(entries) {
+  const histories = new Map();
+  entries.forEach(entry => {
+    if (!histories.has(entry.cardKey)) {
+      histories.set(entry.cardKey, []);
+    }
+    histories.get(entry.cardKey).push(entry);
+  });
+  return [...histories.values()].map(history => history.sort((a, b) => a.time - b.time));
+}
+
+/**
+ * Replay one card's history under a configuration
+ * Learning steps are skipped: the card enters the replay when it graduates,
+ * or at its first logged review when earlier entries were not kept
+ * @param {Object[]} history - The card's log entries, oldest first
+ * @param {Object} definition - Algorithm from the registry
+ * @param {Object} config - Algorithm configuration
+ * @returns {{predictions: Array<{probability: number, recalled: boolean}>, state: Object|null}} Predicted recall at each review and the card's final state
+ */
+export function replayHistory(history, definition, config) {
+  const predictions = [];
+  let state = null;
+
+  const answer = (entry, current) => {
+    const { interval, state: fields } = definition.review(current, entry.grade, config, entry.time);
+    return {
+      ...current,
+      ...fields,
+      reviewCount: current.reviewCount + 1,
+      interval: Math.min(config.maxIntervalDays, Math.max(1, interval)),
+      lastReview: entry.time
+    };
+  };
+
+  history.forEach(entry => {
+    if (entry.phase === CARD_PHASES.REVIEW) {
+      if (!state) {
+        if (!entry.lastReview || !(entry.lastInterval > 0)) return;
+        // History starts mid-way (compacted or imported): start from the logged interval
+        state = {
+          reviewCount: 1,
+          interval: entry.lastInterval,
+          lastReview: entry.lastReview,
+          ...definition.fromMemory({ stability: entry.lastInterval, difficulty: 0.5 }, config)
+        };
+      }
+      const elapsedDays = (entry.time - state.lastReview) / DAY_MS;
+      if (elapsedDays > 0) {
+        const { stability } = definition.toMemory(state, config);
+        const probability = retrievability(elapsedDays, stability);
+        predictions.push({
+          probability: Math.min(1 - PROBABILITY_LIMIT, Math.max(PROBABILITY_LIMIT, probability)),
+          recalled: entry.grade !== REVIEW_DIFFICULTY.AGAIN
+        });
+      }
+      state = answer(entry, state);
+    } else if (!state && entry.interval >= 1) {
+      // The answer that graduated a new card
+      state = answer(entry, { reviewCount: 0, interval: 0 });
+    } else if (state && entry.phase === CARD_PHASES.RELEARNING && entry.interval >= 1) {
+      // Relearning is over; the lapse interval counts from here
+      state = { ...state, lastReview: entry.time };
+    }
+  });
+
+  return { predictions, state };
+}
+
+/**
+ * Score a configuration against the review histories
+ * @param {Object[][]} histories - Histories from groupHistories
+ * @param {Object} definition - Algorithm from the registry
+ * @param {Object} config - Algorithm configuration
+ * @returns {{loss: number, rmse: number, count: number, states: Array<Object|null>}} Mean log loss, root mean square error, number of predictions and each card's final state
+ */
+export function evaluateConfig(histories, definition, config) {
+  let logLoss = 0;
+  let squaredError = 0;
+  let count = 0;
+  const states = histories.map(history => {
+    const { predictions, state } = replayHistory(history, definition, config);
+    predictions.forEach(({ probability, recalled }) => {
+      logLoss -= Math.log(recalled ? probability : 1 - probability);
+      squaredError += ((recalled ? 1 : 0) - probability) ** 2;
+      count++;
+    });
+    return state;
+  });
+
+  return {
+    loss: count > 0 ? logLoss / count : 0,
+    rmse: count > 0 ? Math.sqrt(squaredError / count) : 0,
+    count,
+    states
+  };
+}
+
+/**
+ * Estimate retention and daily workload of a schedule
+ * The fitted settings are taken as the best description of each card's
+ * memory; a schedule's retention is the recall probability when its next
+ * interval ends, and its workload the reviews per day those intervals need
+ * @param {Array<Object|null>} states - Final card states under the schedule
+ * @param {number[]} stabilities - Stability of each card under the fitted settings
+ * @returns {{retention: number|null, workload: number}} Mean recall at the due date and reviews per day
+ */
+export function estimateOutcome(states, stabilities) {
+  let retentionSum = 0;
+  let workload = 0;
+  let count = 0;
+  states.forEach((state, index) => {
+    if (!state || !(stabilities[index] > 0)) return;
+    retentionSum += retrievability(state.interval, stabilities[index]);
+    workload += 1 / state.interval;
+    count++;
+  });
+  return { retention: count > 0 ? retentionSum / count : null, workload };
+}
+
+/**
+ * Settings the optimizer tunes for an algorithm, as coordinates
+ * @param {Object} definition - Algorithm from the registry
+ * @param {Object} config - Current configuration
+ * @returns {Array<{get: Function, set: Function, candidates: Function}>} Coordinates
+ */
+function getCoordinates(definition, config) {
+  if (definition.id === 'fsrs') {
+    const weights = config.fsrsWeights || DEFAULT_FSRS_WEIGHTS;
+    return weights.map((_, index) => ({
+      get: cfg => cfg.fsrsWeights[index],
+      set: (cfg, value) => ({ ...cfg, fsrsWeights: cfg.fsrsWeights.map((w, i) => i === index ? value : w) }),
+      candidates: value => {
+        const max = FSRS_FRACTION_WEIGHTS.includes(index) ? 1 : FSRS_WEIGHT_LIMITS.max;
+        return FSRS_STEPS.map(step => Math.min(max, Math.max(FSRS_WEIGHT_LIMITS.min, Math.round(value * step * 10000) / 10000)));
+      }
+    }));
+  }
+
+  return Object.entries(SM2_SEARCH_SPACE).map(([key, { min, max, step }]) => ({
+    get: cfg => cfg[key],
+    set: (cfg, value) => ({ ...cfg, [key]: value }),
+    candidates: () => {
+      const values = [];
+      for (let value = min; value <= max; value += step) values.push(value);
+      return values;
+    }
+  }));
+}
+
+/**
+ * Get the settings an optimizer run changes
+ * @param {Object} definition - Algorithm from the registry
+ * @param {Object} config - Configuration
+ * @returns {Object} The tuned settings
+ */
+function pickTuned(definition, config) {
+  if (definition.id === 'fsrs') {
+    return { fsrsWeights: config.fsrsWeights };
+  }
+  return Object.fromEntries(Object.keys(SM2_SEARCH_SPACE).map(key => [key, config[key]]));
+}
+
+/**
+ * Let the page handle input and paint before the next replay
+ * @returns {Promise<void>} Resolves on a later task
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Fit the active algorithm's settings to the review log
+ * Yields to the event loop after every candidate it tries so a page stays
+ * responsive
+ * @param {Object[]} entries - Review log entries
+ * @param {Object} config - Current algorithm configuration
+ * @param {Object} options - Options
+ * @param {number} options.maxRounds - Most coordinate descent rounds
+ * @param {Function} options.onProgress - Called with the round number and best loss after each round
+ * @returns {Promise<Object>} `{ success: false, error }`, or `{ success: true, algorithm, reviews, parameters, current, before, after }` where parameters are the suggested settings (for algorithm.updateConfig), current the settings they replace, and before/after hold loss, rmse, retention and workload
+ */
+export async function optimizeConfig(entries, config, { maxRounds = 5, onProgress = null } = {}) {
+  const definition = getAlgorithm(config.algorithm);
+  const start = { ...DEFAULT_ALGORITHM_CONFIG, ...config };
+  if (definition.id === 'fsrs') {
+    start.fsrsWeights = [...(config.fsrsWeights || DEFAULT_FSRS_WEIGHTS)];
+  }
+
+  const histories = groupHistories(entries);
+  const initial = evaluateConfig(histories, definition, start);
+  if (initial.count < MIN_OPTIMIZER_REVIEWS) {
+    return {
+      success: false,
+      error: `The review log has ${initial.count} reviews of graduated cards; at least ${MIN_OPTIMIZER_REVIEWS} are needed`
+    };
+  }
+
+  let best = start;
+  let bestResult = initial;
+  for (let round = 1; round <= maxRounds; round++) {
+    const lossBefore = bestResult.loss;
+    for (const coordinate of getCoordinates(definition, best)) {
+      for (const value of coordinate.candidates(coordinate.get(best))) {
+        if (value === coordinate.get(best)) continue;
+        const candidate = coordinate.set(best, value);
+        const result = evaluateConfig(histories, definition, candidate);
+        if (result.loss < bestResult.loss) {
+          best = candidate;
+          bestResult = result;
+        }
+        // Each candidate replays the whole log
+        await yieldToEventLoop();
+      }
+    }
+
+    if (onProgress) onProgress(round, bestResult.loss);
+    if (lossBefore - bestResult.loss < 1e-6) break;
+  }
+
+  const stabilities = bestResult.states.map(state => state ? definition.toMemory(state, best).stability : 0);
+  const summarize = result => ({
+    loss: result.loss,
+    rmse: result.rmse,
+    ...estimateOutcome(result.states, stabilities)
+  });
+
+  return {
+    success: true,
+    algorithm: definition.id,
+    reviews: initial.count,
+    parameters: pickTuned(definition, best),
+    current: pickTuned(definition, start),
+    before: summarize(initial),
+    after: summarize(bestResult)
+  };
+}
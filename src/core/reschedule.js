@@ -0,0 +1,185 @@
+/**
+ * Rescheduling of existing cards after a settings change
+ * New settings normally apply from a card's next review. Rescheduling
+ * recomputes the interval of every card in review under the settings and
+ * moves its due date to that interval after its last review, so the time
+ * already waited still counts. Cards with a review log history are replayed
+ * under the settings (which picks up changes such as the easy bonus); others
+ * get their current memory stability stretched to the desired retention and
+ * capped at the maximum interval. The previous entries of moved cards are
+ * kept as one undo batch.
+ * Spreading handles the opposite case, a backlog of overdue cards after time
+ * away: they are given due dates over the next days instead of all being due
+ * at once, with the same undo.
+ */
+
+import { createAlgorithm } from './algorithm.js';
+import { replayHistory } from './optimizer.js';
+import { retentionScale } from './algorithms/fsrs.js';
+import { CARD_PHASES } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recompute one card's interval and algorithm state
+ * @param {Object} engine - Algorithm instance holding the new settings
+ * @param {Object} entry - Card progress
+ * @param {Object[]} history - The card's review log entries, oldest first
+ * @returns {{interval: number, state: Object}} Interval in days and algorithm state fields
+ */
+function recompute(engine, entry, history = []) {
+  const definition = engine.getActiveAlgorithm();
+  const { config } = engine;
+
+  if (history.length > 0) {
+    const { state } = replayHistory(history, definition, config);
+    // Only trust a replay that ends with the card's latest review
+    if (state && state.lastReview === entry.lastReview) {
+      const fields = Object.fromEntries(definition.stateFields.map(field => [field, state[field]]));
+      return { interval: state.interval, state: fields };
+    }
+  }
+
+  const { stability } = definition.toMemory(entry, config);
+  const interval = stability * retentionScale(config.requestRetention);
+  return { interval: Math.min(config.maxIntervalDays, Math.max(1, interval)), state: {} };
+}
+
+/**
+ * Work out which cards a reschedule would move
+ * A card moves when its recomputed interval is further from its stored one
+ * than the load balancer could have shifted it; cards that only differ by
+ * load balancing or rounding keep their due date, as do cards that would
+ * still be shown on the same study day. Cards that are new, in learning or
+ * relearning are left alone
+ * @param {Object} flashcardData - Progress entries by card key
+ * @param {Object} config - Algorithm configuration to reschedule with
+ * @param {Map<string, Object[]>} histories - Review log entries by card key, oldest first
+ * @param {number} now - Current time (overdue cards count from here)
+ * @returns {{changes: Array<{key: string, before: Object, after: Object}>, earlier: number, later: number, unchanged: number}} Changed entries and counts by direction
+ */
+export function planReschedule(flashcardData, config, histories = new Map(), now = Date.now()) {
+  const engine = createAlgorithm(config);
+  const changes = [];
+  let earlier = 0;
+  let later = 0;
+  let unchanged = 0;
+
+  Object.entries(flashcardData).forEach(([key, entry]) => {
+    if (!entry || !entry.reviewCount || !entry.lastReview || engine.getPhase(entry) !== CARD_PHASES.REVIEW) {
+      return;
+    }
+
+    const { interval, state } = recompute(engine, entry, histories.get(key));
+    const rounded = Math.round(interval * 100) / 100;
+    const tolerance = engine.config.enableLoadBalancer ? engine.getFuzzRange(rounded) : 0;
+    if (Math.abs(rounded - (entry.interval || 0)) <= tolerance + 0.01 && entry.interval <= engine.config.maxIntervalDays) {
+      unchanged++;
+      return;
+    }
+
+    const after = { ...entry, ...state, interval: rounded, dueDate: entry.lastReview + rounded * DAY_MS };
+    // Compare the days the card is shown on; an overdue card is shown now
+    const day = time => engine.getStudyDayStart(Math.max(now, time));
+    const move = day(after.dueDate) - day(entry.dueDate || now);
+    if (move === 0) {
+      // Still shown on the same day, so the card is left as it is
+      unchanged++;
+      return;
+    }
+    if (move < 0) {
+      earlier++;
+    } else {
+      later++;
+    }
+    changes.push({ key, before: entry, after });
+  });
+
+  return { changes, earlier, later, unchanged };
+}
+
+/**
+ * Work out how to spread overdue cards over the coming study days
+ * Overdue cards in review (suspended ones aside) are ordered by how likely they are to be forgotten,
+ * most at risk first, and handed out so each day ends up with about the same
+ * number of reviews, counting the cards already due on it. The first share
+ * stays due today; the rest are due at the start of a later study day. Their
+ * interval and last review are kept, so the extra days count as overdue time
+ * when they are answered
+ * @param {Object} flashcardData - Progress entries by card key
+ * @param {Object} config - Algorithm configuration (for the study day and retrievability)
+ * @param {number} days - Number of study days to spread over, today included
+ * @param {number} now - Current time
+ * @returns {{changes: Array<{key: string, before: Object, after: Object}>, overdue: number, perDay: number}} Moved entries, the number of overdue cards and the daily reviews aimed for
+ */
+export function planSpread(flashcardData, config, days, now = Date.now()) {
+  const engine = createAlgorithm(config);
+  const dayCount = Math.max(1, Math.round(days) || 1);
+  const today = engine.getStudyDayStart(now);
+  const dayIndex = time => Math.round((engine.getStudyDayStart(time) - today) / DAY_MS);
+  const loads = new Array(dayCount).fill(0);
+  const overdue = [];
+
+  Object.entries(flashcardData).forEach(([key, entry]) => {
+    if (!entry || !entry.reviewCount || !entry.dueDate || entry.suspended || engine.getPhase(entry) !== CARD_PHASES.REVIEW) {
+      return;
+    }
+    if (entry.dueDate <= now) {
+      overdue.push({ key, entry, recall: engine.getRetrievability(entry, now) });
+    } else if (dayIndex(entry.dueDate) < dayCount) {
+      loads[dayIndex(entry.dueDate)]++;
+    }
+  });
+
+  overdue.sort((a, b) => a.recall - b.recall || a.entry.dueDate - b.entry.dueDate);
+  const perDay = Math.ceil((overdue.length + loads.reduce((sum, load) => sum + load, 0)) / dayCount);
+  const changes = [];
+  let day = 0;
+  overdue.forEach(({ key, entry }) => {
+    while (loads[day] >= perDay) {
+      day++;
+    }
+    loads[day]++;
+    if (day > 0) {
+      changes.push({ key, before: entry, after: { ...entry, dueDate: today + day * DAY_MS } });
+    }
+  });
+
+  return { changes, overdue: overdue.length, perDay };
+}
+
+/**
+ * Build the undo batch for applied changes
+ * @param {Array<{key: string, before: Object, after: Object}>} changes - Changes from planReschedule
+ * @param {number} now - Time the changes were applied
+ * @returns {{createdAt: number, cards: Object}} Entries before the change and the due date each was moved to, by card key
+ */
+export function createUndoBatch(changes, now = Date.now()) {
+  const cards = {};
+  changes.forEach(({ key, before, after }) => {
+    cards[key] = { before, dueDate: after.dueDate, lastReview: after.lastReview };
+  });
+  return { createdAt: now, cards };
+}
+
+/**
+ * Work out what undoing a batch restores
+ * Cards reviewed, reset or moved again since the batch was applied keep
+ * their current progress
+ * @param {Object} flashcardData - Current progress entries by card key
+ * @param {Object} batch - Batch from createUndoBatch
+ * @returns {{restored: Object, skipped: number}} Entries to write back by card key, and the number of cards left alone
+ */
+export function planUndo(flashcardData, batch) {
+  const restored = {};
+  let skipped = 0;
+  Object.entries(batch.cards).forEach(([key, { before, dueDate, lastReview }]) => {
+    const current = flashcardData[key];
+    if (current && current.dueDate === dueDate && current.lastReview === lastReview) {
+      restored[key] = before;
+    } else {
+      skipped++;
+    }
+  });
+  return { restored, skipped };
+}
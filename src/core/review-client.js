@@ -0,0 +1,130 @@
+/**
+ * Client for the review service in the background service worker
+ * Pages never hold their own copy of the scheduling state; every read and
+ * write goes through a message so all tabs see the same progress
+ */
+
+import { STORAGE_KEYS, MESSAGE_ACTIONS } from '../utils/constants.js';
+
+// Storage keys that change which card comes next or the progress counts
+const WATCHED_KEYS = [
+  STORAGE_KEYS.PROGRESS,
+  STORAGE_KEYS.PROGRESS_UPDATED,
+  STORAGE_KEYS.USER_DECKS,
+  STORAGE_KEYS.DECK_SETTINGS,
+  STORAGE_KEYS.USER_CARDS,
+  STORAGE_KEYS.ALGORITHM_CONFIG,
+  STORAGE_KEYS.DEBUG_SETTINGS
+];
+
+class ReviewClient {
+  /**
+   * Send a message to the review service
+   * @param {string} action - Action from MESSAGE_ACTIONS
+   * @param {Object} payload - Additional message fields
+   * @returns {Promise<Object|null>} Response, or null if the request failed
+   */
+  async send(action, payload = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action, ...payload });
+      if (!response || response.error) {
+        console.error(`Review service failed to handle "${action}":`, response?.error);
+        return null;
+      }
+      return response;
+    } catch (error) {
+      console.error(`Error sending "${action}" to the review service:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the next flashcard to review
+   * @returns {Promise<Object|null>} { flashcard, progress } or null
+   */
+  async getNextFlashcard() {
+    const response = await this.send(MESSAGE_ACTIONS.GET_NEXT);
+    return response ? response.next : null;
+  }
+
+  /**
+   * Record a review result
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @param {string} difficulty - Review difficulty
+   * @param {Object} details - Time taken (duration, ms) and page domain, for the review log
+   * @returns {Promise<Object|null>} Updated progress of the card
+   */
+  async recordReview(key, difficulty, details = {}) {
+    const response = await this.send(MESSAGE_ACTIONS.RECORD_REVIEW, { key, difficulty, details });
+    return response ? response.progress : null;
+  }
+
+  /**
+   * Mark a flashcard for later review
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @returns {Promise<boolean>} Success status
+   */
+  async markForLater(key) {
+    const response = await this.send(MESSAGE_ACTIONS.MARK_FOR_LATER, { key });
+    return response !== null;
+  }
+
+  /**
+   * Suspend a card, taking it out of rotation until it is unsuspended
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @returns {Promise<boolean>} Success status
+   */
+  async suspendCard(key) {
+    const response = await this.send(MESSAGE_ACTIONS.SUSPEND_CARD, { key, suspended: true });
+    return response !== null;
+  }
+
+  /**
+   * Bury a card until the next study day
+   * @param {string} key - Flashcard key (deckId/cardId)
+   * @returns {Promise<boolean>} Success status
+   */
+  async buryCard(key) {
+    const response = await this.send(MESSAGE_ACTIONS.BURY_CARD, { key });
+    return response !== null;
+  }
+
+  /**
+   * Get progress and scheduling statistics for the active decks
+   * @returns {Promise<Object|null>} Statistics
+   */
+  async getStats() {
+    const response = await this.send(MESSAGE_ACTIONS.STATS);
+    return response ? response.stats : null;
+  }
+
+  /**
+   * Reset all progress
+   * @returns {Promise<boolean>} Success status
+   */
+  async resetProgress() {
+    const response = await this.send(MESSAGE_ACTIONS.RESET_PROGRESS);
+    return response !== null;
+  }
+
+  /**
+   * Call back whenever progress, cards or the algorithm configuration change,
+   * whichever tab or page made the change
+   * @param {Function} callback - Called with the changed storage keys
+   * @returns {Function} Function that removes the listener
+   */
+  onChange(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'local') return;
+      const keys = Object.keys(changes).filter(key => WATCHED_KEYS.includes(key));
+      if (keys.length > 0) {
+        callback(keys);
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Export singleton instance
+export const reviewClient = new ReviewClient();
@@ -0,0 +1,216 @@
+/**
+ * Append-only review log
+ * Every answer adds one entry to the `reviews` store of the IndexedDB
+ * database, so the history of a card survives calculateReview overwriting
+ * its progress. Entries leave out fields that do not apply (ease under FSRS,
+ * the time taken for imports), and compaction drops the time taken and page
+ * domain from old entries once they are only needed for statistics.
+ */
+
+import { progressStore, requestResult, transactionDone, REVIEW_STORE, META_STORE } from './idb-storage.js';
+import { DEFAULT_REVIEW_LOG_SETTINGS, CARD_PHASES } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries older than this have already been compacted (kept in the meta store)
+const COMPACTED_UNTIL_KEY = 'reviewLogCompactedUntil';
+
+// Fields dropped from compacted entries
+const COMPACTED_FIELDS = ['duration', 'domain'];
+
+/**
+ * Build a log entry from a card's progress before and after a review
+ * @param {string} cardKey - Flashcard key (deckId/cardId)
+ * @param {Object} before - Card progress before the review
+ * @param {Object} after - Card progress after the review
+ * @param {Object} details - Review details
+ * @param {number} details.duration - Milliseconds from showing the card to answering it
+ * @param {string} details.domain - Domain of the page the card was reviewed on
+ * @returns {Object} Log entry (without id)
+ */
+export function createLogEntry(cardKey, before, after, { duration, domain } = {}) {
+  const entry = {
+    cardKey,
+    time: after.lastReview,
+    grade: after.difficulty,
+    // Phase before the answer, so reviews can be told from learning steps
+    phase: before.phase || (before.reviewCount > 0 ? CARD_PHASES.REVIEW : CARD_PHASES.NEW),
+    lastInterval: before.interval || 0,
+    interval: after.interval || 0,
+    lastReview: before.lastReview || null
+  };
+  if (before.ease !== undefined && before.ease !== null) entry.lastEase = before.ease;
+  if (after.ease !== undefined && after.ease !== null) entry.ease = after.ease;
+  if (after.stability !== undefined) entry.stability = after.stability;
+  if (Number.isFinite(duration) && duration >= 0) entry.duration = Math.round(duration);
+  if (domain) entry.domain = domain;
+  return entry;
+}
+
+class ReviewLog {
+  /**
+   * Check whether the log can be used in this context
+   * @returns {boolean} True if IndexedDB is available
+   */
+  isAvailable() {
+    return progressStore.isAvailable();
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - Entry from createLogEntry
+   * @returns {Promise<number>} Id of the new entry
+   */
+  async append(entry) {
+    const db = await progressStore.open();
+    const transaction = db.transaction(REVIEW_STORE, 'readwrite');
+    const done = transactionDone(transaction);
+    const id = await requestResult(transaction.objectStore(REVIEW_STORE).add(entry));
+    await done;
+    return id;
+  }
+
+  /**
+   * Get the history of one card, oldest first
+   * @param {string} cardKey - Flashcard key (deckId/cardId)
+   * @returns {Promise<Object[]>} Entries
+   */
+  async getCardHistory(cardKey) {
+    const db = await progressStore.open();
+    const index = db.transaction(REVIEW_STORE, 'readonly').objectStore(REVIEW_STORE).index('cardKey');
+    const entries = await requestResult(index.getAll(cardKey));
+    return entries.sort((a, b) => a.time - b.time || a.id - b.id);
+  }
+
+  /**
+   * Get entries in a time range, oldest first
+   * @param {Object} range - Time range
+   * @param {number} range.since - Earliest time (inclusive)
+   * @param {number} range.until - Latest time (exclusive)
+   * @returns {Promise<Object[]>} Entries
+   */
+  async getEntries({ since = null, until = null } = {}) {
+    const db = await progressStore.open();
+    const index = db.transaction(REVIEW_STORE, 'readonly').objectStore(REVIEW_STORE).index('time');
+    const keyRange = progressStore.keyRange;
+    let query = null;
+    if (since !== null && until !== null) {
+      query = keyRange.bound(since, until, false, true);
+    } else if (since !== null) {
+      query = keyRange.lowerBound(since);
+    } else if (until !== null) {
+      query = keyRange.upperBound(until, true);
+    }
+    return await requestResult(index.getAll(query));
+  }
+
+  /**
+   * Count the entries
+   * @returns {Promise<number>} Number of entries
+   */
+  async count() {
+    const db = await progressStore.open();
+    return await requestResult(db.transaction(REVIEW_STORE, 'readonly').objectStore(REVIEW_STORE).count());
+  }
+
+  /**
+   * Delete entries by id
+   * @param {number[]} ids - Entry ids
+   * @returns {Promise<void>}
+   */
+  async deleteEntries(ids) {
+    const db = await progressStore.open();
+    const transaction = db.transaction(REVIEW_STORE, 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore(REVIEW_STORE);
+    ids.forEach(id => store.delete(id));
+    await done;
+  }
+
+  /**
+   * Delete all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await progressStore.open();
+    const transaction = db.transaction([REVIEW_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    transaction.objectStore(REVIEW_STORE).clear();
+    transaction.objectStore(META_STORE).delete(COMPACTED_UNTIL_KEY);
+    await done;
+  }
+
+  /**
+   * Apply the retention settings
+   * Deletes entries older than retentionDays and drops the time taken and page
+   * domain from entries older than compactAfterDays. Entries compacted by an
+   * earlier run are not visited again
+   * @param {Object} settings - Review log settings (DEFAULT_REVIEW_LOG_SETTINGS)
+   * @param {number} now - Current time
+   * @returns {Promise<{deleted: number, compacted: number}>} Number of entries changed
+   */
+  async compact(settings = DEFAULT_REVIEW_LOG_SETTINGS, now = Date.now()) {
+    const { retentionDays, compactAfterDays } = { ...DEFAULT_REVIEW_LOG_SETTINGS, ...settings };
+    const db = await progressStore.open();
+    const transaction = db.transaction([REVIEW_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const index = transaction.objectStore(REVIEW_STORE).index('time');
+    const meta = transaction.objectStore(META_STORE);
+    const keyRange = progressStore.keyRange;
+    const result = { deleted: 0, compacted: 0 };
+
+    if (retentionDays > 0) {
+      const cutoff = now - retentionDays * DAY_MS;
+      await this.forEachCursor(index.openCursor(keyRange.upperBound(cutoff, true)), cursor => {
+        cursor.delete();
+        result.deleted++;
+      });
+    }
+
+    if (compactAfterDays > 0) {
+      const cutoff = now - compactAfterDays * DAY_MS;
+      const compactedUntil = (await requestResult(meta.get(COMPACTED_UNTIL_KEY))) ?? -Infinity;
+      if (cutoff > compactedUntil) {
+        const range = compactedUntil === -Infinity
+          ? keyRange.upperBound(cutoff, true)
+          : keyRange.bound(compactedUntil, cutoff, false, true);
+        await this.forEachCursor(index.openCursor(range), cursor => {
+          const entry = cursor.value;
+          if (COMPACTED_FIELDS.some(field => field in entry)) {
+            COMPACTED_FIELDS.forEach(field => delete entry[field]);
+            cursor.update(entry);
+            result.compacted++;
+          }
+        });
+        meta.put(cutoff, COMPACTED_UNTIL_KEY);
+      }
+    }
+
+    await done;
+    return result;
+  }
+
+  /**
+   * Visit every record of a cursor request
+   * @param {IDBRequest} request - Cursor request
+   * @param {Function} visit - Called with each cursor
+   * @returns {Promise<void>} Resolves after the last record
+   */
+  forEachCursor(request, visit) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        visit(cursor);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+// Export singleton instance
+export const reviewLog = new ReviewLog();
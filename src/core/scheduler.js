@@ -2,12 +2,17 @@
  * Review scheduling logic and queue management
  */
 
-import { REVIEW_DIFFICULTY } from '../utils/constants.js';
+import { REVIEW_DIFFICULTY, LEECH_ACTIONS } from '../utils/constants.js';
+import { randomSource } from '../utils/random.js';
+import { getLinkedEase } from './links.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class Scheduler {
   constructor() {
     this.flashcardManager = null;
     this.algorithm = null;
+    this.random = randomSource;
   }
 
   /**
@@ -20,9 +25,21 @@ class Scheduler {
     this.algorithm = algorithmInstance;
   }
 
+  /**
+   * Set the random source that picks among new and unshown cards
+   * The time comes from the algorithm's clock
+   * @param {Object} randomInstance - Random source with next() and pick() (see src/utils/random.js)
+   */
+  setRandom(randomInstance) {
+    this.random = randomInstance;
+  }
+
   /**
    * Get the next flashcard to review
-   * Priority: 1) Due flashcards, 2) Unshown flashcards, 3) Repeat later
+   * Priority: 1) Due learning steps, 2) Due reviews (up to today's review limit),
+   * 3) New flashcards (up to today's new card limit), 4) Reviewed flashcards
+   * that are not done yet, 5) Repeat later. Suspended and buried cards are
+   * left out of every queue
    * @returns {Object|null} Flashcard object with progress data or null
    */
   getNextFlashcard() {
@@ -37,6 +54,12 @@ class Scheduler {
       return dueFlashcard;
     }
 
+    // Then, introduce a new flashcard if today's limit allows
+    const newFlashcard = this.getNewFlashcard();
+    if (newFlashcard) {
+      return newFlashcard;
+    }
+
     // Then, check for unshown flashcards
     const unshownFlashcard = this.getUnshownFlashcard();
     if (unshownFlashcard) {
@@ -52,40 +75,128 @@ class Scheduler {
     return null;
   }
 
+  /**
+   * Check if a card is out of rotation: suspended, or buried until a later time
+   * @param {Object} progress - Flashcard progress
+   * @param {number} now - Current time
+   * @returns {boolean} True if the card must not be shown
+   */
+  isSetAside(progress, now = this.algorithm.clock.now()) {
+    return Boolean(progress.suspended) || progress.buriedUntil > now;
+  }
+
+  /**
+   * Count the new cards introduced and the reviews done in the current study day
+   * Cards are counted once per day, in every deck: a card is new today if its
+   * first review was today, and a review today if it was reviewed today and
+   * introduced on an earlier day
+   * @param {number} now - Current time
+   * @returns {{newCards: number, reviews: number, newRemaining: number, reviewsRemaining: number}} Today's counts and what is left of the limits
+   */
+  getDailyCounts(now = this.algorithm.clock.now()) {
+    const dayStart = this.algorithm.getStudyDayStart(now);
+    const { newCardsPerDay, reviewsPerDay } = this.algorithm.config;
+    let newCards = 0;
+    let reviews = 0;
+
+    Object.values(this.flashcardManager.progress.flashcardData).forEach(entry => {
+      if (!entry || !(entry.lastReview >= dayStart)) return;
+      if (entry.introducedAt >= dayStart) {
+        newCards++;
+      } else {
+        reviews++;
+      }
+    });
+
+    return {
+      newCards,
+      reviews,
+      newRemaining: Math.max(0, (newCardsPerDay ?? Infinity) - newCards),
+      reviewsRemaining: Math.max(0, (reviewsPerDay ?? Infinity) - reviews)
+    };
+  }
+
   /**
    * Get a flashcard that is due for review
+   * Cards in their learning steps come first and are not limited; cards in
+   * review are only returned while today's review limit is not reached
    * @returns {Object|null} Flashcard with progress or null
    */
   getDueFlashcard() {
     if (!this.flashcardManager || !this.algorithm) return null;
 
     const allFlashcards = this.flashcardManager.getAllFlashcards();
-    const progress = this.flashcardManager.progress;
+    const { reviewsRemaining } = this.getDailyCounts();
+    const now = this.algorithm.clock.now();
 
     // Find flashcards that are due
     const dueFlashcards = allFlashcards
       .map(fc => {
-        const fcProgress = this.flashcardManager.getFlashcardProgress(fc.id);
+        const fcProgress = this.flashcardManager.getFlashcardProgress(fc.key);
         return {
           flashcard: fc,
-          progress: fcProgress
+          progress: fcProgress,
+          learning: this.algorithm.isLearning(fcProgress)
         };
       })
-      .filter(({ progress }) => {
-        // Flashcard is due if it has a dueDate and it's passed, or if it's new
-        return !progress.dueDate || this.algorithm.isDue(progress);
+      .filter(({ progress, learning }) => {
+        // New flashcards have no due date; they are introduced by getNewFlashcard
+        return progress.dueDate && this.algorithm.isDue(progress) && (learning || reviewsRemaining > 0) &&
+          !this.isSetAside(progress, now);
       })
       .sort((a, b) => {
-        // Sort by due date (earliest first), or by review count (fewer reviews first)
-        if (a.progress.dueDate && b.progress.dueDate) {
-          return a.progress.dueDate - b.progress.dueDate;
+        // Learning steps first, then by due date (earliest first)
+        if (a.learning !== b.learning) {
+          return a.learning ? -1 : 1;
         }
-        return (a.progress.reviewCount || 0) - (b.progress.reviewCount || 0);
+        return a.progress.dueDate - b.progress.dueDate;
       });
 
     if (dueFlashcards.length > 0) {
       // Return the most urgent flashcard
-      return dueFlashcards[0];
+      const { flashcard, progress } = dueFlashcards[0];
+      return { flashcard, progress };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get keys of active flashcards that were never reviewed
+   * Flashcards marked for later are left to getLaterFlashcard
+   * @returns {Array} Array of flashcard keys
+   */
+  getNewFlashcards() {
+    const laterIds = new Set(this.flashcardManager.progress.repeatLater);
+    const now = this.algorithm.clock.now();
+    return this.flashcardManager.getActiveKeys().filter(id => {
+      const progress = this.flashcardManager.getFlashcardProgress(id);
+      return !laterIds.has(id) && !progress.reviewCount && !this.isSetAside(progress, now);
+    });
+  }
+
+  /**
+   * Get a random new flashcard if today's new card limit is not reached
+   * @returns {Object|null} Flashcard with progress or null
+   */
+  getNewFlashcard() {
+    if (!this.flashcardManager || !this.algorithm) return null;
+
+    if (this.getDailyCounts().newRemaining === 0) {
+      return null;
+    }
+
+    const newIds = this.getNewFlashcards();
+    if (newIds.length === 0) {
+      return null;
+    }
+
+    const selectedId = this.random.pick(newIds);
+    const flashcard = this.flashcardManager.getFlashcardById(selectedId);
+
+    if (flashcard) {
+      const progress = this.flashcardManager.getFlashcardProgress(selectedId);
+      return { flashcard, progress };
     }
 
     return null;
@@ -93,20 +204,25 @@ class Scheduler {
 
   /**
    * Get a random unshown flashcard
+   * Only flashcards that were reviewed before but are not done yet; new
+   * flashcards count towards the daily limit and come from getNewFlashcard
    * @returns {Object|null} Flashcard with progress or null
    */
   getUnshownFlashcard() {
     if (!this.flashcardManager) return null;
 
-    const unshownIds = this.flashcardManager.getUnshownFlashcards();
+    const now = this.algorithm.clock.now();
+    const unshownIds = this.flashcardManager.getUnshownFlashcards().filter(id => {
+      const progress = this.flashcardManager.getFlashcardProgress(id);
+      return progress.reviewCount > 0 && !this.isSetAside(progress, now);
+    });
     
     if (unshownIds.length === 0) {
       return null;
     }
 
     // Select random unshown flashcard
-    const randomIndex = Math.floor(Math.random() * unshownIds.length);
-    const selectedId = unshownIds[randomIndex];
+    const selectedId = this.random.pick(unshownIds);
     const flashcard = this.flashcardManager.getFlashcardById(selectedId);
 
     if (flashcard) {
@@ -124,8 +240,10 @@ class Scheduler {
   getLaterFlashcard() {
     if (!this.flashcardManager) return null;
 
-    const laterIds = this.flashcardManager.progress.repeatLater;
-    
+    const now = this.algorithm.clock.now();
+    const laterIds = this.flashcardManager.getLaterFlashcards()
+      .filter(id => !this.isSetAside(this.flashcardManager.getFlashcardProgress(id), now));
+
     if (laterIds.length === 0) {
       return null;
     }
@@ -144,8 +262,8 @@ class Scheduler {
 
   /**
    * Record a review result and update scheduling
-   * @param {string} flashcardId - Flashcard ID
-   * @param {string} difficulty - Review difficulty (hard/good/easy)
+   * @param {string} flashcardId - Flashcard key (deckId/cardId)
+   * @param {string} difficulty - Review difficulty (again/hard/good/easy)
    */
   async recordReview(flashcardId, difficulty) {
     if (!this.flashcardManager || !this.algorithm) {
@@ -153,25 +271,83 @@ class Scheduler {
       return;
     }
 
-    const currentProgress = this.flashcardManager.getFlashcardProgress(flashcardId);
-    const updatedProgress = this.algorithm.calculateReview(currentProgress, difficulty);
-    
-    await this.flashcardManager.updateFlashcardProgress(flashcardId, updatedProgress);
+    const currentProgress = this.withLinkedEase(flashcardId, this.flashcardManager.getFlashcardProgress(flashcardId));
+    const dueDates = this.flashcardManager.getDueDates(flashcardId);
+    const updatedProgress = this.algorithm.calculateReview(currentProgress, difficulty, dueDates);
+    updatedProgress.updatedAt = this.algorithm.clock.now();
 
-    // If marked as "good" or "easy", mark as done (completed review)
-    if (difficulty === REVIEW_DIFFICULTY.GOOD || difficulty === REVIEW_DIFFICULTY.EASY) {
-      await this.flashcardManager.markAsDone(flashcardId);
-      // Remove from repeat later if it was there
-      await this.flashcardManager.removeFromLater(flashcardId);
+    if (this.algorithm.isNewLeech(currentProgress, updatedProgress)) {
+      updatedProgress.leech = true;
+      if (this.algorithm.config.leechAction === LEECH_ACTIONS.SUSPEND) {
+        updatedProgress.suspended = true;
+      }
     }
 
-    // If marked as "hard", keep it in rotation but don't mark as done
-    // The algorithm will schedule it for earlier review
+    // If marked as "good" or "easy", mark as done and remove from repeat later.
+    // If marked as "again" or "hard", keep it in rotation but don't mark as done;
+    // the algorithm will schedule it for earlier review (minutes for "again").
+    // Cards in their learning steps come due again through their due date.
+    // Everything, siblings buried by the answer included, is saved in one write
+    const passed = difficulty === REVIEW_DIFFICULTY.GOOD || difficulty === REVIEW_DIFFICULTY.EASY;
+    await this.flashcardManager.applyReview(flashcardId, updatedProgress, passed, this.getSiblingBurials(flashcardId));
+  }
+
+  /**
+   * Work out how to bury the siblings of an answered card (its other
+   * direction) until the next study day, so the answer just seen does not
+   * give the sibling away
+   * Suspended siblings and siblings already buried are left alone
+   * @param {string} flashcardId - Flashcard key (deckId/cardId)
+   * @returns {Object} Progress changes by sibling key
+   */
+  getSiblingBurials(flashcardId) {
+    const now = this.algorithm.clock.now();
+    const buriedUntil = this.algorithm.getStudyDayStart(now + DAY_MS);
+    const burials = {};
+    this.flashcardManager.getSiblingKeys(flashcardId).forEach(key => {
+      if (!this.isSetAside(this.flashcardManager.getFlashcardProgress(key), now)) {
+        burials[key] = { buriedUntil, updatedAt: now };
+      }
+    });
+    return burials;
+  }
+
+  /**
+   * Give a card answered for the first time its initial ease from its links
+   * Only applies while the active algorithm keeps an ease (SM-2) and the
+   * Maximum Link Contribution setting is above zero; the contributing card
+   * keys are kept as easeLinks for the card editor
+   * @param {string} flashcardId - Flashcard key (deckId/cardId)
+   * @param {Object} progress - The card's progress
+   * @returns {Object} Progress, with ease and easeLinks set when linked cards contributed
+   */
+  withLinkedEase(flashcardId, progress) {
+    const card = this.flashcardManager.getFlashcardById(flashcardId);
+    if (progress.reviewCount || !card || !card.links ||
+        this.algorithm.config.maxLinkContribution <= 0 ||
+        !this.algorithm.getActiveAlgorithm().stateFields.includes('ease')) {
+      return progress;
+    }
+
+    const { linkedEase, contributors } = getLinkedEase(
+      card,
+      card.deckId,
+      this.flashcardManager.getAllFlashcards(),
+      this.flashcardManager.progress.flashcardData
+    );
+    if (linkedEase === null) {
+      return progress;
+    }
+    return {
+      ...progress,
+      ease: this.algorithm.calculateInitialEase({ linkedEase }),
+      easeLinks: contributors.map(({ key }) => key)
+    };
   }
 
   /**
    * Mark flashcard for later review
-   * @param {string} flashcardId - Flashcard ID
+   * @param {string} flashcardId - Flashcard key (deckId/cardId)
    */
   async markForLater(flashcardId) {
     if (!this.flashcardManager) {
@@ -189,41 +365,110 @@ class Scheduler {
     }
   }
 
+  /**
+   * Suspend a card, or put a suspended card back into rotation
+   * Unsuspending also clears the leech flag: the card is taken to be fixed
+   * @param {string} flashcardId - Flashcard key (deckId/cardId)
+   * @param {boolean} suspended - True to suspend, false to unsuspend
+   */
+  async setSuspended(flashcardId, suspended) {
+    const entry = { ...this.flashcardManager.getFlashcardProgress(flashcardId) };
+    if (suspended) {
+      entry.suspended = true;
+    } else {
+      delete entry.suspended;
+      delete entry.leech;
+    }
+    entry.updatedAt = this.algorithm.clock.now();
+    this.flashcardManager.progress.flashcardData[flashcardId] = entry;
+    await this.flashcardManager.saveProgress([flashcardId]);
+  }
+
+  /**
+   * Bury a card until the next study day starts
+   * Its due date is kept, so it comes back overdue rather than rescheduled
+   * @param {string} flashcardId - Flashcard key (deckId/cardId)
+   */
+  async bury(flashcardId) {
+    const now = this.algorithm.clock.now();
+    const buriedUntil = this.algorithm.getStudyDayStart(now + DAY_MS);
+    await this.flashcardManager.updateFlashcardProgress(flashcardId, { buriedUntil, updatedAt: now });
+  }
+
+  /**
+   * Get the cards flagged as leeches, in every deck
+   * @returns {Array<{key: string, flashcard: Object|null, progress: Object}>} Leeches with their card (null when its deck is off), most failed first
+   */
+  getLeeches() {
+    return Object.entries(this.flashcardManager.progress.flashcardData)
+      .filter(([, entry]) => entry && entry.leech)
+      .map(([key, progress]) => ({ key, flashcard: this.flashcardManager.getFlashcardById(key), progress }))
+      .sort((a, b) => this.algorithm.getLeechCount(b.progress) - this.algorithm.getLeechCount(a.progress));
+  }
+
   /**
    * Get statistics about scheduled reviews
    * @returns {Object} Statistics object
    */
   getSchedulingStats() {
     if (!this.flashcardManager || !this.algorithm) {
-      return { due: 0, new: 0, later: 0, total: 0 };
+      return { due: 0, new: 0, later: 0, total: 0, learning: 0, suspended: 0, buried: 0, leeches: 0, today: { new: 0, review: 0 } };
     }
 
+    const now = this.algorithm.clock.now();
     const allFlashcards = this.flashcardManager.getAllFlashcards();
     const progress = this.flashcardManager.progress;
 
     let dueCount = 0;
     let newCount = 0;
     let laterCount = 0;
+    let learningCount = 0;
+    let suspendedCount = 0;
+    let buriedCount = 0;
+    let leechCount = 0;
 
     allFlashcards.forEach(fc => {
-      const fcProgress = this.flashcardManager.getFlashcardProgress(fc.id);
-      
-      if (fcProgress.reviewCount === 0) {
+      const fcProgress = this.flashcardManager.getFlashcardProgress(fc.key);
+
+      if (fcProgress.leech) {
+        leechCount++;
+      }
+      if (fcProgress.suspended) {
+        suspendedCount++;
+      } else if (this.isSetAside(fcProgress, now)) {
+        buriedCount++;
+      } else if (!fcProgress.reviewCount) {
         newCount++;
       } else if (this.algorithm.isDue(fcProgress)) {
-        dueCount++;
+        if (this.algorithm.isLearning(fcProgress)) {
+          learningCount++;
+        } else {
+          dueCount++;
+        }
       }
 
-      if (progress.repeatLater.includes(fc.id)) {
+      if (progress.repeatLater.includes(fc.key)) {
         laterCount++;
       }
     });
 
+    // What is left for the rest of the study day
+    const { newRemaining, reviewsRemaining } = this.getDailyCounts();
+    const available = this.getNewFlashcards().length;
+
     return {
       due: dueCount,
       new: newCount,
       later: laterCount,
-      total: allFlashcards.length
+      total: allFlashcards.length,
+      learning: learningCount,
+      suspended: suspendedCount,
+      buried: buriedCount,
+      leeches: leechCount,
+      today: {
+        new: Math.min(available, newRemaining),
+        review: Math.min(dueCount, reviewsRemaining)
+      }
     };
   }
 
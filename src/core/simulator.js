@@ -0,0 +1,208 @@
+/**
+ * Workload simulator
+ * Plays out days of study on a copy of the stored progress with a given
+ * algorithm configuration. Every answer goes through calculateReview with the
+ * simulated time, and whether a card is recalled is drawn from a recall model
+ * with a seeded random number generator, so the same inputs and seed always
+ * give the same run. Used by the statistics page and scripts/simulate.js.
+ */
+
+import { createAlgorithm } from './algorithm.js';
+import { createRandom, pickWeighted } from '../utils/random.js';
+import { REVIEW_DIFFICULTY, CARD_PHASES } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety limit on learning step answers per simulated day
+const MAX_LEARNING_ANSWERS_PER_DAY = 10000;
+
+export const RECALL_MODELS = {
+  // Recall probability from the card's stability under the simulated config
+  RETRIEVABILITY: 'retrievability',
+  // The same recall probability for every review
+  FIXED: 'fixed'
+};
+
+export const DEFAULT_RECALL_MODEL = {
+  type: RECALL_MODELS.RETRIEVABILITY,
+  probability: 0.9, // used by the fixed model
+  // How recalled reviews are graded (Again is used for forgotten cards)
+  grades: {
+    [REVIEW_DIFFICULTY.HARD]: 0.15,
+    [REVIEW_DIFFICULTY.GOOD]: 0.75,
+    [REVIEW_DIFFICULTY.EASY]: 0.1
+  }
+};
+
+/**
+ * Probability that a review is recalled under a recall model
+ * @param {Object} engine - Algorithm instance from createAlgorithm
+ * @param {Object} entry - Card progress
+ * @param {number} time - Review time
+ * @param {Object} model - Recall model
+ * @returns {number} Probability from 0 to 1
+ */
+function recallProbability(engine, entry, time, model) {
+  if (model.type === RECALL_MODELS.FIXED) {
+    return model.probability;
+  }
+  return engine.getRetrievability(entry, time) ?? 1;
+}
+
+/**
+ * Check if a card is left out of a simulated day, as the scheduler leaves
+ * out suspended cards and cards buried past the start of the day
+ * @param {Object|undefined} entry - Card progress
+ * @param {number} dayStart - Start of the simulated study day
+ * @returns {boolean} True if the card is not shown that day
+ */
+function isSetAside(entry, dayStart) {
+  return Boolean(entry?.suspended) || entry?.buriedUntil > dayStart;
+}
+
+/**
+ * Average recall probability of the cards in review at a time
+ * @param {Object} engine - Algorithm instance
+ * @param {Object} flashcardData - Progress entries by card key
+ * @param {number} time - Time
+ * @param {Object} model - Recall model
+ * @returns {number|null} Mean probability, or null with no cards in review
+ */
+function collectionRetention(engine, flashcardData, time, model) {
+  let sum = 0;
+  let count = 0;
+  Object.values(flashcardData).forEach(entry => {
+    if (entry.reviewCount > 0 && engine.getPhase(entry) === CARD_PHASES.REVIEW) {
+      sum += recallProbability(engine, entry, time, model);
+      count++;
+    }
+  });
+  return count > 0 ? sum / count : null;
+}
+
+/**
+ * Simulate days of study
+ * Each day shows the due reviews (oldest first, up to reviewsPerDay), then
+ * introduces up to newCardsPerDay new cards, then answers learning and
+ * relearning steps as they come due that day. New cards and learning steps
+ * are answered Good. Suspended cards are never shown and buried cards wait
+ * for the day their burial ends
+ * @param {Object} options - Simulation options
+ * @param {Object} options.flashcardData - Progress entries by card key (not modified)
+ * @param {string[]} options.newCardKeys - Keys of never-reviewed cards, in the order they are introduced
+ * @param {Object} options.config - Algorithm configuration
+ * @param {number} options.days - Days to simulate
+ * @param {number} options.seed - Random seed
+ * @param {number} options.startTime - Time the simulation starts at
+ * @param {Object} options.recallModel - Recall model (see DEFAULT_RECALL_MODEL)
+ * @returns {{days: Object[], totals: Object, flashcardData: Object}} Per-day counts, totals and the final progress
+ */
+export function simulate({
+  flashcardData = {},
+  newCardKeys = [],
+  config = {},
+  days = 30,
+  seed = 1,
+  startTime = Date.now(),
+  recallModel = {}
+}) {
+  const engine = createAlgorithm(config);
+  const model = { ...DEFAULT_RECALL_MODEL, ...recallModel };
+  const random = createRandom(seed);
+  const data = structuredClone(flashcardData);
+  const newQueue = newCardKeys.filter(key => !data[key] || (!data[key].reviewCount && !data[key].suspended));
+  const results = [];
+
+  // Due cards per day for the load balancer and the cards in learning steps,
+  // kept up to date as cards are answered instead of rescanning every card
+  const dueCounts = engine.countDueByDay(Object.values(data).map(entry => entry.dueDate));
+  const learningKeys = new Set(Object.keys(data).filter(key => engine.isLearning(data[key])));
+
+  const answer = (key, difficulty, time) => {
+    const before = data[key] || { reviewCount: 0 };
+    engine.addDueCount(dueCounts, before.dueDate, -1);
+    data[key] = engine.calculateReview(before, difficulty, engine.config.enableLoadBalancer ? dueCounts : [], time);
+    engine.addDueCount(dueCounts, data[key].dueDate, 1);
+    if (engine.isLearning(data[key])) {
+      learningKeys.add(key);
+    } else {
+      learningKeys.delete(key);
+    }
+  };
+
+  let dayStart = engine.getStudyDayStart(startTime);
+  for (let day = 0; day < days; day++) {
+    // Half a day ahead lands in the next study day even across a clock change
+    const dayEnd = engine.getStudyDayStart(dayStart + DAY_MS * 1.5);
+    const counts = { day, date: dayStart, reviews: 0, newCards: 0, learning: 0, lapses: 0 };
+
+    // Reviews of graduated cards
+    const due = Object.keys(data)
+      .filter(key => data[key].reviewCount > 0 && engine.getPhase(data[key]) === CARD_PHASES.REVIEW &&
+        data[key].dueDate < dayEnd && !isSetAside(data[key], dayStart))
+      .sort((a, b) => data[a].dueDate - data[b].dueDate || a.localeCompare(b))
+      .slice(0, engine.config.reviewsPerDay);
+    due.forEach(key => {
+      const time = Math.max(dayStart, data[key].dueDate);
+      const recalled = random() < recallProbability(engine, data[key], time, model);
+      const difficulty = recalled ? pickWeighted(random, model.grades) : REVIEW_DIFFICULTY.AGAIN;
+      if (!recalled) counts.lapses++;
+      answer(key, difficulty, time);
+      counts.reviews++;
+    });
+
+    // New cards
+    const introduced = newQueue.filter(key => !isSetAside(data[key], dayStart)).slice(0, engine.config.newCardsPerDay);
+    introduced.forEach(key => {
+      newQueue.splice(newQueue.indexOf(key), 1);
+      answer(key, REVIEW_DIFFICULTY.GOOD, dayStart);
+      counts.newCards++;
+    });
+
+    // Learning and relearning steps due before the day ends
+    for (let step = 0; step < MAX_LEARNING_ANSWERS_PER_DAY; step++) {
+      let next = null;
+      learningKeys.forEach(key => {
+        const entry = data[key];
+        if (entry.dueDate < dayEnd && !isSetAside(entry, dayStart) &&
+          (!next || entry.dueDate < data[next].dueDate)) {
+          next = key;
+        }
+      });
+      if (!next) break;
+      answer(next, REVIEW_DIFFICULTY.GOOD, Math.max(dayStart, data[next].dueDate));
+      counts.learning++;
+    }
+
+    counts.retention = collectionRetention(engine, data, dayEnd, model);
+    results.push(counts);
+    dayStart = dayEnd;
+  }
+
+  const retained = results.filter(result => result.retention !== null);
+  return {
+    days: results,
+    totals: {
+      reviews: results.reduce((sum, result) => sum + result.reviews, 0),
+      newCards: results.reduce((sum, result) => sum + result.newCards, 0),
+      learning: results.reduce((sum, result) => sum + result.learning, 0),
+      lapses: results.reduce((sum, result) => sum + result.lapses, 0),
+      averageRetention: retained.length > 0
+        ? retained.reduce((sum, result) => sum + result.retention, 0) / retained.length
+        : null
+    },
+    flashcardData: data
+  };
+}
+
+/**
+ * Simulate the same study with two configurations
+ * Both runs use the same progress, recall model and seed
+ * @param {Object} options - Options for simulate (without config)
+ * @param {Object} configA - First configuration
+ * @param {Object} configB - Second configuration
+ * @returns {Object[]} The two simulation results
+ */
+export function compareConfigs(options, configA, configB) {
+  return [configA, configB].map(config => simulate({ ...options, config }));
+}
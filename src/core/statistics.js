@@ -0,0 +1,251 @@
+/**
+ * Review statistics
+ * Pure functions over stored progress (flashcardData) and review log entries,
+ * used by the statistics page. Days are counted in study days: pass
+ * algorithm.getStudyDayStart as dayStart so they roll over at the same hour
+ * the daily limits do.
+ */
+
+import { REVIEW_DIFFICULTY, CARD_PHASES } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards whose interval reached this many days count as mature (as in Anki)
+export const MATURE_INTERVAL_DAYS = 21;
+
+// Upper bounds (in days) of the interval histogram buckets
+export const INTERVAL_BUCKETS = [1, 3, 7, 14, 30, 90, 180, 365, Infinity];
+
+// Width of the ease histogram buckets (ease is stored as a percentage)
+const EASE_BUCKET_SIZE = 10;
+
+/**
+ * Start of the local calendar day containing a time
+ * @param {number} time - Timestamp
+ * @returns {number} Timestamp of local midnight
+ */
+function startOfLocalDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Number of days between two day starts
+ * Rounded so days lengthened or shortened by daylight saving still count as one
+ * @param {number} from - Start of the first day
+ * @param {number} to - Start of the second day
+ * @returns {number} Days from the first to the second
+ */
+function daysBetween(from, to) {
+  return Math.round((to - from) / DAY_MS);
+}
+
+/**
+ * Check if a log entry is a review of a graduated card whose interval had
+ * reached the mature threshold
+ * @param {Object} entry - Review log entry
+ * @returns {boolean} True for mature reviews
+ */
+export function isMatureReview(entry) {
+  return entry.phase === CARD_PHASES.REVIEW && entry.lastInterval >= MATURE_INTERVAL_DAYS;
+}
+
+/**
+ * Check if a log entry counts as recalled (not graded Hard or Again)
+ * @param {Object} entry - Review log entry
+ * @returns {boolean} True if the card was recalled
+ */
+export function isPassed(entry) {
+  return entry.grade === REVIEW_DIFFICULTY.GOOD || entry.grade === REVIEW_DIFFICULTY.EASY;
+}
+
+/**
+ * Count reviews and how many of them were recalled
+ * @param {Object[]} entries - Review log entries
+ * @returns {{total: number, passed: number, rate: number|null}} Counts and pass rate from 0 to 1
+ */
+function passRate(entries) {
+  const passed = entries.filter(isPassed).length;
+  return { total: entries.length, passed, rate: entries.length > 0 ? passed / entries.length : null };
+}
+
+/**
+ * True retention: the share of reviews not graded Hard or Again
+ * Learning steps are left out; young and mature reviews are reported apart
+ * @param {Object[]} entries - Review log entries
+ * @returns {{young: Object, mature: Object, all: Object}} Pass counts and rates
+ */
+export function getTrueRetention(entries) {
+  const reviews = entries.filter(entry => entry.phase === CARD_PHASES.REVIEW);
+  return {
+    young: passRate(reviews.filter(entry => !isMatureReview(entry))),
+    mature: passRate(reviews.filter(isMatureReview)),
+    all: passRate(reviews)
+  };
+}
+
+/**
+ * Count the cards coming due on each of the next days
+ * Overdue cards are counted on the first day
+ * @param {Object} flashcardData - Progress entries by card key
+ * @param {number} days - Number of days to forecast
+ * @param {number} now - Current time
+ * @param {Function} dayStart - Start of the (study) day containing a time
+ * @returns {number[]} Due counts, one per day starting today
+ */
+export function getDueForecast(flashcardData, days, now = Date.now(), dayStart = startOfLocalDay) {
+  const forecast = new Array(days).fill(0);
+  const today = dayStart(now);
+  Object.values(flashcardData).forEach(entry => {
+    if (!entry || !entry.reviewCount || !entry.dueDate) {
+      return;
+    }
+    const day = Math.max(0, daysBetween(today, dayStart(entry.dueDate)));
+    if (day < days) {
+      forecast[day]++;
+    }
+  });
+  return forecast;
+}
+
+/**
+ * Count reviews per day
+ * @param {Object[]} entries - Review log entries
+ * @param {Function} dayStart - Start of the (study) day containing a time
+ * @returns {Map<number, number>} Review count by day start
+ */
+export function getReviewHeatmap(entries, dayStart = startOfLocalDay) {
+  const counts = new Map();
+  entries.forEach(entry => {
+    const day = dayStart(entry.time);
+    counts.set(day, (counts.get(day) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Count the ease factors of reviewed cards in buckets
+ * Cards scheduled by an algorithm without an ease (FSRS) are left out
+ * @param {Object} flashcardData - Progress entries by card key
+ * @returns {Array<{from: number, to: number, count: number}>} Buckets from the lowest to the highest ease, without gaps
+ */
+export function getEaseHistogram(flashcardData) {
+  const eases = Object.values(flashcardData)
+    .filter(entry => entry && entry.reviewCount > 0 && Number.isFinite(entry.ease))
+    .map(entry => entry.ease);
+  if (eases.length === 0) {
+    return [];
+  }
+
+  const first = Math.floor(Math.min(...eases) / EASE_BUCKET_SIZE);
+  const last = Math.floor(Math.max(...eases) / EASE_BUCKET_SIZE);
+  const buckets = [];
+  for (let index = first; index <= last; index++) {
+    buckets.push({ from: index * EASE_BUCKET_SIZE, to: (index + 1) * EASE_BUCKET_SIZE, count: 0 });
+  }
+  eases.forEach(ease => {
+    buckets[Math.floor(ease / EASE_BUCKET_SIZE) - first].count++;
+  });
+  return buckets;
+}
+
+/**
+ * Count the intervals of reviewed cards in the INTERVAL_BUCKETS
+ * @param {Object} flashcardData - Progress entries by card key
+ * @returns {Array<{from: number, to: number, count: number}>} Buckets; a card falls in the first bucket whose `to` its interval does not exceed
+ */
+export function getIntervalHistogram(flashcardData) {
+  const buckets = INTERVAL_BUCKETS.map((to, index) => ({ from: INTERVAL_BUCKETS[index - 1] ?? 0, to, count: 0 }));
+  Object.values(flashcardData).forEach(entry => {
+    if (!entry || !entry.reviewCount) {
+      return;
+    }
+    buckets.find(bucket => (entry.interval || 0) <= bucket.to).count++;
+  });
+  return buckets;
+}
+
+/**
+ * Summarize cards in groups (decks or tags)
+ * @param {Object[]} cards - Cards with key, deckId and tags
+ * @param {Object} flashcardData - Progress entries by card key
+ * @param {Object[]} entries - Review log entries
+ * @param {Function} groupsOf - Names of the groups a card belongs to
+ * @param {number} now - Current time
+ * @returns {Object[]} One row per group: name, cards, reviewed, due, mature, averageEase, reviews, retention
+ */
+export function getBreakdown(cards, flashcardData, entries, groupsOf, now = Date.now()) {
+  const groups = new Map();
+  const keyGroups = new Map();
+
+  cards.forEach(card => {
+    const names = groupsOf(card);
+    keyGroups.set(card.key, names);
+    names.forEach(name => {
+      if (!groups.has(name)) {
+        groups.set(name, { name, cards: 0, reviewed: 0, due: 0, mature: 0, easeSum: 0, easeCount: 0, reviews: [] });
+      }
+      const group = groups.get(name);
+      const entry = flashcardData[card.key];
+      group.cards++;
+      if (!entry || !entry.reviewCount) {
+        return;
+      }
+      group.reviewed++;
+      if (entry.dueDate && entry.dueDate <= now) group.due++;
+      if (entry.interval >= MATURE_INTERVAL_DAYS) group.mature++;
+      if (Number.isFinite(entry.ease)) {
+        group.easeSum += entry.ease;
+        group.easeCount++;
+      }
+    });
+  });
+
+  entries.forEach(entry => {
+    (keyGroups.get(entry.cardKey) || []).forEach(name => groups.get(name).reviews.push(entry));
+  });
+
+  return [...groups.values()]
+    .map(({ easeSum, easeCount, reviews, ...group }) => ({
+      ...group,
+      averageEase: easeCount > 0 ? Math.round(easeSum / easeCount) : null,
+      reviews: reviews.length,
+      retention: getTrueRetention(reviews).all.rate
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Compute everything the statistics page shows
+ * @param {Object} data - Input data
+ * @param {Object[]} data.cards - Cards with key, deckId and tags
+ * @param {Object} data.flashcardData - Progress entries by card key
+ * @param {Object[]} data.entries - Review log entries (all of them; the period is applied here)
+ * @param {number} data.days - Period in days: forecast length and how far back retention looks
+ * @param {number} data.now - Current time
+ * @param {Function} data.dayStart - Start of the (study) day containing a time
+ * @returns {Object} forecast, heatmap, retention, ease, intervals, decks, tags and totals
+ */
+export function computeStatistics({ cards, flashcardData, entries, days = 30, now = Date.now(), dayStart = startOfLocalDay }) {
+  const today = dayStart(now);
+  const since = today - (days - 1) * DAY_MS;
+  const recent = entries.filter(entry => entry.time >= since);
+  const untagged = '(untagged)';
+
+  return {
+    forecast: getDueForecast(flashcardData, days, now, dayStart),
+    heatmap: getReviewHeatmap(entries, dayStart),
+    retention: getTrueRetention(recent),
+    ease: getEaseHistogram(flashcardData),
+    intervals: getIntervalHistogram(flashcardData),
+    decks: getBreakdown(cards, flashcardData, recent, card => [card.deckId], now),
+    tags: getBreakdown(cards, flashcardData, recent, card => card.tags && card.tags.length > 0 ? card.tags : [untagged], now),
+    totals: {
+      cards: cards.length,
+      reviewed: cards.filter(card => flashcardData[card.key]?.reviewCount > 0).length,
+      reviews: recent.length,
+      reviewsToday: entries.filter(entry => entry.time >= today).length
+    }
+  };
+}
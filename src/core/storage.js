@@ -1,13 +1,84 @@
 /**
  * Storage wrapper with error handling and type-safe operations
- * Uses chrome.storage API for extension-wide storage
+ * Uses chrome.storage API for extension-wide storage; progress can be kept in
+ * a per-card IndexedDB store instead (see idb-storage.js)
  */
 
-import { STORAGE_KEYS } from '../utils/constants.js';
+import { STORAGE_KEYS, DEFAULT_REVIEW_LOG_SETTINGS, DEFAULT_DEBUG_SETTINGS } from '../utils/constants.js';
 
 class StorageManager {
   constructor() {
     this.useChromeStorage = typeof chrome !== 'undefined' && chrome.storage;
+    this.progressStore = null;
+    this.progressStoreReady = null;
+    this.legacyArea = null;
+    // Tells this context's own progress writes apart from other contexts'
+    this.contextId = Math.random().toString(36).slice(2);
+    this.progressWrites = 0;
+  }
+
+  /**
+   * Keep progress in a per-card store instead of the flashcards_progress entry
+   * Progress still saved in that entry is moved into the store on first use
+   * @param {Object} store - Progress store (progressStore from idb-storage.js)
+   * @param {Object} legacyArea - Area holding the old entry, with promise-based get/remove
+   */
+  useProgressStore(store, legacyArea = this.useChromeStorage ? chrome.storage.local : null) {
+    this.progressStore = store;
+    this.legacyArea = legacyArea;
+    this.progressStoreReady = null;
+  }
+
+  /**
+   * Get the progress store once the old progress entry has been moved into it
+   * @returns {Promise<Object>} Progress store
+   */
+  async openProgressStore() {
+    if (!this.progressStoreReady) {
+      this.progressStoreReady = (async () => {
+        if (this.legacyArea) {
+          const result = await this.legacyArea.get(STORAGE_KEYS.PROGRESS);
+          const blob = result[STORAGE_KEYS.PROGRESS];
+          if (blob) {
+            if (await this.progressStore.importLegacyProgress(blob)) {
+              console.log('Moved progress into the progress store');
+            }
+            await this.legacyArea.remove(STORAGE_KEYS.PROGRESS);
+          }
+        }
+        return this.progressStore;
+      })().catch(error => {
+        this.progressStoreReady = null;
+        throw error;
+      });
+    }
+    return this.progressStoreReady;
+  }
+
+  /**
+   * Tell other contexts that progress changed
+   * chrome.storage.onChanged does not fire for IndexedDB writes, so a small
+   * entry is updated instead
+   * @param {string[]|null} keys - Changed flashcard keys, or null if all may have changed
+   * @returns {Promise<boolean>} Success status
+   */
+  async notifyProgressChange(keys) {
+    this.progressWrites++;
+    return await this.set(STORAGE_KEYS.PROGRESS_UPDATED, {
+      source: this.contextId,
+      seq: this.progressWrites,
+      updatedAt: Date.now(),
+      keys
+    });
+  }
+
+  /**
+   * Check whether a PROGRESS_UPDATED change was made by this context
+   * @param {Object} change - Storage change ({newValue, oldValue})
+   * @returns {boolean} True if the change came from this context
+   */
+  isOwnProgressChange(change) {
+    return change?.newValue?.source === this.contextId;
   }
 
   /**
@@ -17,6 +88,16 @@ class StorageManager {
    * @returns {Promise<*>} The stored value or default
    */
   async get(key, defaultValue = null) {
+    if (key === STORAGE_KEYS.PROGRESS && this.progressStore) {
+      try {
+        const store = await this.openProgressStore();
+        return (await store.getProgress()) ?? defaultValue;
+      } catch (error) {
+        console.error('Error reading from the progress store:', error);
+        return defaultValue;
+      }
+    }
+
     if (this.useChromeStorage) {
       return new Promise((resolve) => {
         chrome.storage.local.get([key], (result) => {
@@ -50,6 +131,18 @@ class StorageManager {
    * @returns {Promise<boolean>} Success status
    */
   async set(key, value) {
+    if (key === STORAGE_KEYS.PROGRESS && this.progressStore) {
+      try {
+        const store = await this.openProgressStore();
+        await store.replaceProgress(value);
+        await this.notifyProgressChange(null);
+        return true;
+      } catch (error) {
+        console.error('Error writing to the progress store:', error);
+        return false;
+      }
+    }
+
     if (this.useChromeStorage) {
       return new Promise((resolve) => {
         chrome.storage.local.set({ [key]: value }, () => {
@@ -82,6 +175,18 @@ class StorageManager {
    * @returns {Promise<boolean>} Success status
    */
   async remove(key) {
+    if (key === STORAGE_KEYS.PROGRESS && this.progressStore) {
+      try {
+        const store = await this.openProgressStore();
+        await store.clear();
+        await this.notifyProgressChange(null);
+        return true;
+      } catch (error) {
+        console.error('Error clearing the progress store:', error);
+        return false;
+      }
+    }
+
     if (this.useChromeStorage) {
       return new Promise((resolve) => {
         chrome.storage.local.remove([key], () => {
@@ -109,6 +214,10 @@ class StorageManager {
    * @returns {Promise<boolean>} Success status
    */
   async clear() {
+    if (this.progressStore && !(await this.remove(STORAGE_KEYS.PROGRESS))) {
+      return false;
+    }
+
     if (this.useChromeStorage) {
       return new Promise((resolve) => {
         chrome.storage.local.remove(Object.values(STORAGE_KEYS), () => {
@@ -171,6 +280,82 @@ class StorageManager {
     }
   }
 
+  /**
+   * Save the progress of some cards
+   * With a progress store only those cards' records are written, in one
+   * transaction; otherwise the whole progress entry is saved
+   * @param {Object} progress - Full progress data
+   * @param {string[]} keys - Flashcard keys that changed
+   * @param {Function} getTags - Returns a card's tags by key
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveProgressEntries(progress, keys, getTags = () => []) {
+    if (!this.progressStore) {
+      return await this.saveProgress(progress);
+    }
+
+    try {
+      const store = await this.openProgressStore();
+      await store.writeEntries(progress, keys, getTags);
+      await this.notifyProgressChange(keys);
+      return true;
+    } catch (error) {
+      console.error('Error writing card progress:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get user-created decks
+   * @returns {Promise<Object[]>} Array of deck objects with their flashcards
+   */
+  async getUserDecks() {
+    return await this.get(STORAGE_KEYS.USER_DECKS, []);
+  }
+
+  /**
+   * Save user-created decks
+   * @param {Object[]} decks - Array of deck objects
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveUserDecks(decks) {
+    return await this.set(STORAGE_KEYS.USER_DECKS, decks);
+  }
+
+  /**
+   * Get per-deck settings (e.g. enabled state)
+   * @returns {Promise<Object>} Map of deck ID to settings
+   */
+  async getDeckSettings() {
+    return await this.get(STORAGE_KEYS.DECK_SETTINGS, {});
+  }
+
+  /**
+   * Save per-deck settings
+   * @param {Object} settings - Map of deck ID to settings
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveDeckSettings(settings) {
+    return await this.set(STORAGE_KEYS.DECK_SETTINGS, settings);
+  }
+
+  /**
+   * Get user edits to bundled decks
+   * @returns {Promise<Object>} Map of deck ID to { cards: {id: card}, deleted: [ids] }
+   */
+  async getUserCards() {
+    return await this.get(STORAGE_KEYS.USER_CARDS, {});
+  }
+
+  /**
+   * Save user edits to bundled decks
+   * @param {Object} userCards - Map of deck ID to { cards, deleted }
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveUserCards(userCards) {
+    return await this.set(STORAGE_KEYS.USER_CARDS, userCards);
+  }
+
   /**
    * Get excluded pages list
    * @returns {Promise<string[]>} Array of excluded URLs/patterns
@@ -230,6 +415,57 @@ class StorageManager {
     return await this.set(STORAGE_KEYS.ALGORITHM_CONFIG, config);
   }
 
+  /**
+   * Get review log retention settings
+   * @returns {Promise<Object>} Review log settings
+   */
+  async getReviewLogSettings() {
+    return { ...DEFAULT_REVIEW_LOG_SETTINGS, ...await this.get(STORAGE_KEYS.REVIEW_LOG_SETTINGS, {}) };
+  }
+
+  /**
+   * Save review log retention settings
+   * @param {Object} settings - Review log settings
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveReviewLogSettings(settings) {
+    return await this.set(STORAGE_KEYS.REVIEW_LOG_SETTINGS, settings);
+  }
+
+  /**
+   * Get the developer settings (fixed seed and time travel)
+   * @returns {Promise<Object>} Debug settings
+   */
+  async getDebugSettings() {
+    return { ...DEFAULT_DEBUG_SETTINGS, ...await this.get(STORAGE_KEYS.DEBUG_SETTINGS, {}) };
+  }
+
+  /**
+   * Save the developer settings
+   * @param {Object} settings - Debug settings
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveDebugSettings(settings) {
+    return await this.set(STORAGE_KEYS.DEBUG_SETTINGS, settings);
+  }
+
+  /**
+   * Get the undo batch of the last reschedule
+   * @returns {Promise<Object|null>} Batch from createUndoBatch, or null
+   */
+  async getRescheduleUndo() {
+    return await this.get(STORAGE_KEYS.RESCHEDULE_UNDO, null);
+  }
+
+  /**
+   * Save or clear the undo batch of the last reschedule
+   * @param {Object|null} batch - Batch from createUndoBatch; null clears it
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveRescheduleUndo(batch) {
+    return batch ? await this.set(STORAGE_KEYS.RESCHEDULE_UNDO, batch) : await this.remove(STORAGE_KEYS.RESCHEDULE_UNDO);
+  }
+
   /**
    * Check if flashcards are enabled globally
    * @returns {Promise<boolean>} Enabled status
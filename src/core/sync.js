@@ -0,0 +1,296 @@
+/**
+ * Opt-in progress sync through chrome.storage.sync
+ * Progress is split into shards that fit the sync area's per-item quota and
+ * merged per card, so reviews made on two devices are both kept
+ */
+
+import { storage } from './storage.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+// chrome.storage.sync quotas (QUOTA_BYTES_PER_ITEM is 8192; keep headroom)
+export const SYNC_QUOTA = {
+  BYTES: 102400,
+  BYTES_PER_SHARD: 7000,
+  MAX_ITEMS: 512
+};
+
+export const SYNC_META_KEY = 'sync_meta';
+export const SYNC_SHARD_PREFIX = 'sync_progress_';
+
+export const SYNC_STATES = {
+  OK: 'ok',
+  ERROR: 'error',
+  DISABLED: 'disabled'
+};
+
+const encoder = new TextEncoder();
+const byteLength = value => encoder.encode(JSON.stringify(value)).length;
+
+/**
+ * Get a card entry's last review time for comparisons
+ * @param {Object|undefined} entry - flashcardData entry
+ * @returns {number} Last review timestamp, or -Infinity if never reviewed
+ */
+function reviewedAt(entry) {
+  return entry?.lastReview ?? -Infinity;
+}
+
+/**
+ * Get the time a card entry last changed, for picking a winner
+ * Suspending, burying and rescheduling change an entry without reviewing it,
+ * so entries carry updatedAt; entries saved before it existed fall back to
+ * their last review
+ * @param {Object|undefined} entry - flashcardData entry
+ * @returns {number} Last change timestamp, or -Infinity if never changed
+ */
+function changedAt(entry) {
+  return entry?.updatedAt ?? reviewedAt(entry);
+}
+
+/**
+ * Split progress into shards that each fit the per-item quota
+ * Every card key goes to one shard with its flashcardData entry and its
+ * completed / repeatLater membership
+ * @param {Object} progress - Progress data
+ * @param {number} maxBytes - Maximum size of a shard item
+ * @returns {{meta: Object, shards: Object}} Meta item and map of shard key to shard
+ */
+export function shardProgress(progress, maxBytes = SYNC_QUOTA.BYTES_PER_SHARD) {
+  const completed = new Set(progress.completed || []);
+  const repeatLater = new Set(progress.repeatLater || []);
+  const flashcardData = progress.flashcardData || {};
+  const keys = [...new Set([...Object.keys(flashcardData), ...completed, ...repeatLater])];
+  const emptyShard = () => ({ cards: {}, completed: [], repeatLater: [] });
+  const shardList = [];
+  let shard = emptyShard();
+  let size = byteLength(shard) + SYNC_SHARD_PREFIX.length + 4;
+
+  keys.forEach(key => {
+    const keySize = byteLength(key);
+    const entrySize = (key in flashcardData ? keySize + byteLength(flashcardData[key]) + 2 : 0) +
+      (completed.has(key) ? keySize + 1 : 0) +
+      (repeatLater.has(key) ? keySize + 1 : 0);
+
+    if (size + entrySize > maxBytes && Object.keys(shard.cards).length + shard.completed.length + shard.repeatLater.length > 0) {
+      shardList.push(shard);
+      shard = emptyShard();
+      size = byteLength(shard) + SYNC_SHARD_PREFIX.length + 4;
+    }
+
+    if (key in flashcardData) shard.cards[key] = flashcardData[key];
+    if (completed.has(key)) shard.completed.push(key);
+    if (repeatLater.has(key)) shard.repeatLater.push(key);
+    size += entrySize;
+  });
+  shardList.push(shard);
+
+  const shards = {};
+  shardList.forEach((item, index) => {
+    shards[`${SYNC_SHARD_PREFIX}${index}`] = item;
+  });
+
+  return {
+    meta: {
+      shardCount: shardList.length,
+      resetAt: progress.resetAt ?? null,
+      updatedAt: Date.now()
+    },
+    shards
+  };
+}
+
+/**
+ * Rebuild progress from the items of a sync area
+ * Missing shards (e.g. another device is mid-write) are skipped
+ * @param {Object} items - All items of the sync area
+ * @returns {Object|null} Progress data, or null if nothing was synced yet
+ */
+export function unshardProgress(items) {
+  const meta = items[SYNC_META_KEY];
+  if (!meta) {
+    return null;
+  }
+
+  const progress = { completed: [], repeatLater: [], flashcardData: {}, resetAt: meta.resetAt ?? null };
+  for (let index = 0; index < meta.shardCount; index++) {
+    const shard = items[`${SYNC_SHARD_PREFIX}${index}`];
+    if (!shard) continue;
+    Object.assign(progress.flashcardData, shard.cards);
+    progress.completed.push(...shard.completed);
+    progress.repeatLater.push(...shard.repeatLater);
+  }
+  return progress;
+}
+
+/**
+ * Merge two copies of progress
+ * - flashcardData: per card, the entry changed last (updatedAt, else lastReview) wins (ties keep local)
+ * - completed: union of both sides
+ * - repeatLater: union, except cards reviewed on the other side after they were
+ *   marked (the side holding the newer review no longer lists them)
+ * - A progress reset (resetAt) drops everything last changed before it on either side
+ * @param {Object} local - Local progress
+ * @param {Object} remote - Synced progress
+ * @returns {Object} Merged progress
+ */
+export function mergeProgress(local, remote) {
+  const resetAt = Math.max(local.resetAt ?? -Infinity, remote.resetAt ?? -Infinity);
+  const survives = (side, key) =>
+    (side.resetAt ?? -Infinity) >= resetAt || changedAt(side.flashcardData?.[key]) >= resetAt;
+
+  const flashcardData = {};
+  const keys = new Set([...Object.keys(local.flashcardData || {}), ...Object.keys(remote.flashcardData || {})]);
+  keys.forEach(key => {
+    const localEntry = local.flashcardData?.[key];
+    const remoteEntry = remote.flashcardData?.[key];
+    const entry = changedAt(remoteEntry) > changedAt(localEntry) ? remoteEntry : localEntry;
+    if (entry && changedAt(entry) >= resetAt) {
+      flashcardData[key] = entry;
+    }
+  });
+
+  const completed = [...new Set([
+    ...(local.completed || []).filter(key => survives(local, key)),
+    ...(remote.completed || []).filter(key => survives(remote, key))
+  ])];
+
+  // Keep a card in repeatLater if a side that marked it has seen its newest review
+  const repeatLater = [...new Set([...(local.repeatLater || []), ...(remote.repeatLater || [])])].filter(key =>
+    [local, remote].some(side =>
+      (side.repeatLater || []).includes(key) &&
+      survives(side, key) &&
+      reviewedAt(side.flashcardData?.[key]) >= reviewedAt(flashcardData[key])
+    )
+  );
+
+  const merged = { ...local, completed, repeatLater, flashcardData };
+  if (Number.isFinite(resetAt)) {
+    merged.resetAt = resetAt;
+  }
+  return merged;
+}
+
+/**
+ * Compare progress objects ignoring key order
+ * @param {Object} a - Progress data
+ * @param {Object} b - Progress data
+ * @returns {boolean} True if both hold the same data
+ */
+function sameProgress(a, b) {
+  const normalize = progress => JSON.stringify({
+    completed: [...(progress.completed || [])].sort(),
+    repeatLater: [...(progress.repeatLater || [])].sort(),
+    resetAt: progress.resetAt ?? null,
+    flashcardData: Object.keys(progress.flashcardData || {}).sort().map(key => [key, progress.flashcardData[key]])
+  });
+  return normalize(a) === normalize(b);
+}
+
+class SyncManager {
+  constructor() {
+    this.syncArea = typeof chrome !== 'undefined' && chrome.storage?.sync ? chrome.storage.sync : null;
+  }
+
+  /**
+   * Set the sync area (chrome.storage.sync or a stand-in with promise-based get/set/remove)
+   * @param {Object} syncArea - Storage area to sync through
+   */
+  setSyncArea(syncArea) {
+    this.syncArea = syncArea;
+  }
+
+  /**
+   * Check whether sync is turned on
+   * @returns {Promise<boolean>} Enabled status
+   */
+  async isEnabled() {
+    const settings = await storage.get(STORAGE_KEYS.SYNC_SETTINGS, {});
+    return settings.enabled === true;
+  }
+
+  /**
+   * Turn sync on or off; turning it on syncs right away
+   * @param {boolean} enabled - Enable/disable sync
+   * @returns {Promise<Object>} Sync status
+   */
+  async setEnabled(enabled) {
+    await storage.set(STORAGE_KEYS.SYNC_SETTINGS, { enabled });
+    if (enabled) {
+      return await this.sync();
+    }
+    return await this.saveStatus({ state: SYNC_STATES.DISABLED });
+  }
+
+  /**
+   * Get the result of the last sync
+   * @returns {Promise<Object|null>} Status ({state, lastSync, cards, bytes, error})
+   */
+  async getStatus() {
+    return await storage.get(STORAGE_KEYS.SYNC_STATUS, null);
+  }
+
+  /**
+   * Store the result of a sync
+   * @param {Object} status - Sync status
+   * @returns {Promise<Object>} The stored status
+   */
+  async saveStatus(status) {
+    await storage.set(STORAGE_KEYS.SYNC_STATUS, status);
+    return status;
+  }
+
+  /**
+   * Merge local and synced progress and write the result to both sides
+   * @returns {Promise<Object>} Sync status
+   */
+  async sync() {
+    if (!this.syncArea || !(await this.isEnabled())) {
+      return { state: SYNC_STATES.DISABLED };
+    }
+
+    try {
+      const items = await this.syncArea.get(null);
+      const local = await storage.getProgress();
+      const remote = unshardProgress(items);
+      const merged = remote ? mergeProgress(local, remote) : local;
+
+      if (!sameProgress(merged, local)) {
+        await storage.saveProgress(merged);
+      }
+
+      const { meta, shards } = shardProgress(merged);
+      const bytes = byteLength(meta) + Object.values(shards).reduce((sum, shard) => sum + byteLength(shard), 0);
+      if (bytes > SYNC_QUOTA.BYTES || meta.shardCount + 1 > SYNC_QUOTA.MAX_ITEMS) {
+        throw new Error(`Progress is too large to sync (${Math.ceil(bytes / 1024)} KB of ${SYNC_QUOTA.BYTES / 1024} KB)`);
+      }
+
+      if (!remote || !sameProgress(merged, remote)) {
+        await this.syncArea.set({ ...shards, [SYNC_META_KEY]: meta });
+        const staleKeys = Object.keys(items).filter(key =>
+          key.startsWith(SYNC_SHARD_PREFIX) && !(key in shards)
+        );
+        if (staleKeys.length > 0) {
+          await this.syncArea.remove(staleKeys);
+        }
+      }
+
+      return await this.saveStatus({
+        state: SYNC_STATES.OK,
+        lastSync: Date.now(),
+        cards: Object.keys(merged.flashcardData).length,
+        bytes
+      });
+    } catch (error) {
+      console.error('Error syncing progress:', error);
+      const previous = await this.getStatus();
+      return await this.saveStatus({
+        state: SYNC_STATES.ERROR,
+        lastSync: previous?.lastSync ?? null,
+        error: error.message
+      });
+    }
+  }
+}
+
+// Export singleton instance
+export const syncManager = new SyncManager();
@@ -0,0 +1,131 @@
+/**
+ * Backup tab of the options page
+ */
+
+import { backupManager, validateArchive, RESTORE_MODES } from '../core/backup.js';
+
+const restoreState = {
+  archive: null
+};
+
+// Download a backup of all extension data
+async function runBackup() {
+  const archive = await backupManager.createBackup();
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `flashcards-backup-${archive.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Get the selected restore mode
+function getRestoreMode() {
+  return document.querySelector('input[name="restore-mode"]:checked').value;
+}
+
+// Render a list of messages under a heading
+function renderList(container, title, items) {
+  if (items.length === 0) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const list = document.createElement('ul');
+  items.forEach(text => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  });
+
+  container.appendChild(heading);
+  container.appendChild(list);
+}
+
+// Describe a restore diff summary as readable lines
+function describeSummary(summary) {
+  const lines = [
+    `${summary.cardsGained} cards gained`,
+    `${summary.progressAdded} progress entries added`,
+    `${summary.progressOverwritten} progress entries overwritten`,
+    `${summary.exclusionsAdded.length} exclusions added`
+  ];
+  if (summary.cardsRemoved > 0) lines.push(`${summary.cardsRemoved} cards removed`);
+  if (summary.progressRemoved > 0) lines.push(`${summary.progressRemoved} progress entries removed`);
+  if (summary.exclusionsRemoved.length > 0) lines.push(`${summary.exclusionsRemoved.length} exclusions removed`);
+  if (summary.settingsChanged.length > 0) lines.push(`Settings changed: ${summary.settingsChanged.join(', ')}`);
+  return lines;
+}
+
+// Show what restoring the loaded backup would change
+async function previewRestore() {
+  const container = document.getElementById('restore-summary');
+  const button = document.getElementById('restore-btn');
+  container.innerHTML = '';
+  button.hidden = true;
+  if (!restoreState.archive) return;
+
+  const { summary } = await backupManager.previewRestore(restoreState.archive, getRestoreMode());
+  const exported = document.createElement('p');
+  exported.textContent = `Backup from ${new Date(restoreState.archive.exportedAt).toLocaleString()}`;
+  container.appendChild(exported);
+  renderList(container, 'Changes', describeSummary(summary));
+  renderList(container, 'Exclusions added', summary.exclusionsAdded);
+  button.hidden = false;
+}
+
+// Read and validate the chosen backup file
+async function loadRestoreFile(event) {
+  const [file] = event.target.files;
+  const report = document.getElementById('restore-report');
+  report.innerHTML = '';
+  restoreState.archive = null;
+
+  if (file) {
+    let archive = null;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch (error) {
+      console.error('Error parsing backup file:', error);
+    }
+
+    const { valid, errors, warnings } = archive ? validateArchive(archive) : { valid: false, errors: ['File is not valid JSON'], warnings: [] };
+    renderList(report, 'Backup cannot be restored', errors);
+    renderList(report, 'Warnings', warnings);
+    if (valid) {
+      restoreState.archive = archive;
+    }
+  }
+
+  await previewRestore();
+}
+
+// Restore the loaded backup and reload the page with the restored data
+async function runRestore() {
+  const mode = getRestoreMode();
+  const message = mode === RESTORE_MODES.REPLACE
+    ? 'Replace all current data with this backup? This cannot be undone.'
+    : 'Merge this backup into your current data?';
+  if (!restoreState.archive || !confirm(message)) return;
+
+  const { success, errors } = await backupManager.restore(restoreState.archive, mode);
+  if (success) {
+    location.reload();
+    return;
+  }
+
+  const report = document.getElementById('restore-report');
+  report.innerHTML = '';
+  renderList(report, 'Restore failed', errors);
+}
+
+/**
+ * Wire up the Backup tab
+ */
+export function initBackup() {
+  document.getElementById('backup-btn').addEventListener('click', runBackup);
+  document.getElementById('restore-file').addEventListener('change', loadRestoreFile);
+  document.querySelectorAll('input[name="restore-mode"]').forEach(input => {
+    input.addEventListener('change', previewRestore);
+  });
+  document.getElementById('restore-btn').addEventListener('click', runRestore);
+}
@@ -0,0 +1,64 @@
+/**
+ * Developer tab of the options page - fixed random seed and time travel
+ */
+
+import { storage } from '../core/storage.js';
+import { applyDebugSettings } from '../core/debug.js';
+import { clock } from '../utils/clock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Show the simulated time and how far it is ahead of real time
+function renderTime(settings) {
+  const time = new Date(clock.now()).toLocaleString();
+  const days = Math.round(settings.timeOffset / DAY_MS * 10) / 10;
+  document.getElementById('debug-time').textContent = settings.timeOffset
+    ? `Simulated time: ${time} (${days} days ahead)`
+    : `Real time: ${time}`;
+  document.getElementById('debug-reset-time-btn').hidden = !settings.timeOffset;
+}
+
+// Save settings, apply them to this page and show the result
+async function saveSettings(changes) {
+  const settings = { ...(await storage.getDebugSettings()), ...changes };
+  if (!await storage.saveDebugSettings(settings)) {
+    alert('Error saving developer settings');
+    return;
+  }
+  applyDebugSettings(settings);
+  renderTime(settings);
+}
+
+// Save the seed field, with an empty field meaning random
+async function saveSeed(event) {
+  event.preventDefault();
+  const value = document.getElementById('debug-seed').value.trim();
+  await saveSettings({ seed: value === '' ? null : Math.trunc(Number(value)) });
+}
+
+// Move the clock forward by a number of milliseconds
+async function advance(ms) {
+  const settings = await storage.getDebugSettings();
+  await saveSettings({ timeOffset: settings.timeOffset + ms });
+}
+
+/**
+ * Set up the Developer tab
+ */
+export async function initDeveloper() {
+  const settings = await storage.getDebugSettings();
+  document.getElementById('debug-seed').value = settings.seed ?? '';
+  applyDebugSettings(settings);
+  renderTime(settings);
+
+  document.getElementById('debug-seed-form').addEventListener('submit', saveSeed);
+  document.querySelectorAll('[data-advance]').forEach(button => {
+    button.addEventListener('click', () => advance(Number(button.getAttribute('data-advance'))));
+  });
+  document.getElementById('debug-travel-form').addEventListener('submit', event => {
+    event.preventDefault();
+    const days = Number(document.getElementById('debug-travel-days').value);
+    if (days > 0) advance(days * DAY_MS);
+  });
+  document.getElementById('debug-reset-time-btn').addEventListener('click', () => saveSettings({ timeOffset: 0 }));
+}
@@ -0,0 +1,426 @@
+/**
+ * Import / Export tab of the options page
+ */
+
+import { deckRegistry } from '../core/decks.js';
+import { flashcardManager } from '../core/flashcards.js';
+import { IMPORT_FIELDS, previewDelimited, importDelimited, exportDelimited } from '../core/importers/csv.js';
+import { importOsrNotes } from '../core/importers/osr-markdown.js';
+import { importApkg } from '../core/importers/apkg.js';
+
+const PREVIEW_ROWS = 10;
+
+const importState = {
+  source: 'csv',
+  text: null,
+  preview: null,
+  mapping: null,
+  osrFiles: [],
+  osrResult: null,
+  apkgBuffer: null,
+  apkgResult: null
+};
+
+let sqlPromise = null;
+
+// Load sql.js (vendored by `bun run vendor`) the first time a package is read
+function loadSql() {
+  if (!sqlPromise) {
+    sqlPromise = globalThis.initSqlJs({
+      locateFile: file => chrome.runtime.getURL(`src/vendor/${file}`)
+    });
+  }
+  return sqlPromise;
+}
+
+// Fill a <select> with the available decks
+function renderDeckOptions(select) {
+  const selected = select.value;
+  select.innerHTML = '';
+  deckRegistry.getAllDecks().forEach(deck => {
+    const option = document.createElement('option');
+    option.value = deck.id;
+    option.textContent = deck.name;
+    select.appendChild(option);
+  });
+  if (selected && deckRegistry.getDeck(selected)) {
+    select.value = selected;
+  }
+}
+
+// Render one <select> per field for choosing its source column
+function renderMapping() {
+  const container = document.getElementById('import-mapping');
+  const { preview, mapping } = importState;
+  container.innerHTML = '';
+  container.hidden = false;
+
+  IMPORT_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.textContent = field;
+
+    const select = document.createElement('select');
+    const none = document.createElement('option');
+    none.value = '-1';
+    none.textContent = '(not imported)';
+    select.appendChild(none);
+
+    for (let index = 0; index < preview.columnCount; index++) {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = preview.header?.[index] || `Column ${index + 1}`;
+      select.appendChild(option);
+    }
+
+    select.value = String(mapping[field]);
+    select.addEventListener('change', () => {
+      mapping[field] = parseInt(select.value, 10);
+    });
+
+    label.appendChild(select);
+    container.appendChild(label);
+  });
+}
+
+// Render the first rows of the parsed file
+function renderPreview() {
+  const container = document.getElementById('import-preview');
+  const { preview } = importState;
+  container.innerHTML = '';
+
+  const table = document.createElement('table');
+  const headRow = document.createElement('tr');
+  for (let index = 0; index < preview.columnCount; index++) {
+    const th = document.createElement('th');
+    th.textContent = preview.header?.[index] || `Column ${index + 1}`;
+    headRow.appendChild(th);
+  }
+  table.appendChild(headRow);
+
+  preview.rows.slice(0, PREVIEW_ROWS).forEach(fields => {
+    const tr = document.createElement('tr');
+    for (let index = 0; index < preview.columnCount; index++) {
+      const td = document.createElement('td');
+      td.textContent = fields[index] ?? '';
+      td.title = fields[index] ?? '';
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  });
+
+  const summary = document.createElement('p');
+  summary.textContent = `${preview.rows.length} rows found`;
+
+  container.appendChild(table);
+  container.appendChild(summary);
+  document.getElementById('import-btn').hidden = preview.rows.length === 0;
+}
+
+// Re-parse the loaded file with the current delimiter/header options
+function parseImportFile(hasHeader) {
+  if (importState.text === null) return;
+
+  importState.preview = previewDelimited(importState.text, {
+    delimiter: document.getElementById('import-delimiter').value || undefined,
+    hasHeader
+  });
+  importState.mapping = { ...importState.preview.mapping };
+  document.getElementById('import-has-header').checked = importState.preview.header !== null;
+  document.getElementById('import-report').innerHTML = '';
+
+  renderMapping();
+  renderPreview();
+}
+
+// Read the chosen file and show its preview
+async function loadImportFile(event) {
+  const [file] = event.target.files;
+  if (!file) return;
+
+  importState.text = await file.text();
+  parseImportFile(undefined);
+}
+
+// Render a titled list of rows in the import report
+function renderReportList(container, title, items) {
+  if (items.length === 0) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${title} (${items.length})`;
+  const list = document.createElement('ul');
+  items.forEach(({ row, card, reason }) => {
+    const item = document.createElement('li');
+    item.textContent = `Row ${row}: ${reason}${card.question ? ` - "${card.question}"` : ''}`;
+    list.appendChild(item);
+  });
+
+  container.appendChild(heading);
+  container.appendChild(list);
+}
+
+// Import the parsed rows into the target deck
+async function runCsvImport() {
+  const deckId = document.getElementById('import-deck').value;
+  const report = document.getElementById('import-report');
+  if (!importState.preview || !deckId) return;
+
+  if (importState.mapping.question < 0 || importState.mapping.answer < 0) {
+    report.textContent = 'Map both the question and the answer column before importing.';
+    return;
+  }
+
+  const existingCards = flashcardManager.getDeckCards(deckId);
+  const { cards, duplicates, rejected } = importDelimited(importState.preview, importState.mapping, existingCards);
+  await flashcardManager.addCards(deckId, cards);
+
+  report.innerHTML = '';
+  const summary = document.createElement('p');
+  summary.textContent = `Imported ${cards.length} cards into "${deckRegistry.getDeck(deckId).name}".`;
+  report.appendChild(summary);
+  renderReportList(report, 'Duplicates skipped', duplicates);
+  renderReportList(report, 'Rejected rows', rejected);
+
+  document.dispatchEvent(new CustomEvent('flashcards:cards-changed'));
+}
+
+// Get existing cards of a deck (empty for decks that do not exist yet)
+function getExistingCards(deckId) {
+  return deckRegistry.getDeck(deckId) ? flashcardManager.getDeckCards(deckId) : [];
+}
+
+// Parse the chosen Obsidian notes and show a per-deck summary
+function previewOsrImport() {
+  const container = document.getElementById('import-preview');
+  container.innerHTML = '';
+  document.getElementById('import-report').innerHTML = '';
+  if (importState.osrFiles.length === 0) {
+    importState.osrResult = null;
+    document.getElementById('import-btn').hidden = true;
+    return;
+  }
+
+  importState.osrResult = importOsrNotes(importState.osrFiles, {
+    defaultDeckId: document.getElementById('import-deck').value,
+    getExistingCards,
+    deckTag: document.getElementById('osr-deck-tag').value.trim().replace(/^#/, '') || 'flashcards'
+  });
+
+  const summary = document.createElement('p');
+  summary.textContent = `${importState.osrFiles.length} notes read, ${importState.osrResult.skipped.length} cards without a deck tag`;
+
+  container.appendChild(renderDeckTable(importState.osrResult.decks));
+  container.appendChild(summary);
+  document.getElementById('import-btn').hidden = importState.osrResult.decks.length === 0;
+}
+
+// Render the per-deck summary of a multi-deck import
+function renderDeckTable(decks) {
+  const table = document.createElement('table');
+  const headRow = document.createElement('tr');
+  ['Deck', 'New cards', 'With schedule', 'Duplicates', 'Rejected'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  decks.forEach(deck => {
+    const tr = document.createElement('tr');
+    const existing = deckRegistry.getDeck(deck.deckId);
+    [
+      existing ? existing.name : `${deck.deckName} (new deck)`,
+      deck.cards.length,
+      Object.keys(deck.progress).length,
+      deck.duplicates.length,
+      deck.rejected.length
+    ].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+
+  return table;
+}
+
+// Read the chosen markdown files (or folder)
+async function loadOsrFiles(event) {
+  const files = [...event.target.files].filter(file => file.name.endsWith('.md'));
+  importState.osrFiles = await Promise.all(files.map(async file => ({
+    name: file.webkitRelativePath || file.name,
+    text: await file.text()
+  })));
+  previewOsrImport();
+}
+
+// Save the cards and schedules of a multi-deck import, creating missing decks
+async function saveDeckImports(decks, report, description) {
+  for (const deck of decks) {
+    if (!deckRegistry.getDeck(deck.deckId)) {
+      await deckRegistry.createDeck({
+        id: deck.deckId,
+        name: deck.deckName,
+        description
+      });
+    }
+    await flashcardManager.addCards(deck.deckId, deck.cards);
+    await flashcardManager.importProgress(deck.deckId, deck.progress);
+
+    const summary = document.createElement('p');
+    summary.textContent = `Imported ${deck.cards.length} cards into "${deckRegistry.getDeck(deck.deckId).name}" ` +
+      `(${Object.keys(deck.progress).length} with existing schedule).`;
+    report.appendChild(summary);
+    renderReportList(report, 'Duplicates skipped', deck.duplicates);
+    renderReportList(report, 'Rejected cards', deck.rejected);
+  }
+
+  document.getElementById('import-btn').hidden = true;
+  refreshImportExport();
+  document.dispatchEvent(new CustomEvent('flashcards:cards-changed'));
+}
+
+// Import the parsed notes, creating decks for new deck tags
+async function runOsrImport() {
+  const { osrResult } = importState;
+  const report = document.getElementById('import-report');
+  if (!osrResult) return;
+
+  report.innerHTML = '';
+  importState.osrResult = null;
+  await saveDeckImports(osrResult.decks, report, 'Imported from Obsidian');
+  renderReportList(report, 'Cards without a deck tag', osrResult.skipped);
+}
+
+// Read the loaded Anki package and show a per-deck summary
+async function previewApkgImport() {
+  const container = document.getElementById('import-preview');
+  container.innerHTML = '';
+  document.getElementById('import-report').innerHTML = '';
+  importState.apkgResult = null;
+  document.getElementById('import-btn').hidden = true;
+  if (!importState.apkgBuffer) return;
+
+  try {
+    importState.apkgResult = await importApkg(importState.apkgBuffer, {
+      SQL: await loadSql(),
+      defaultDeckId: document.getElementById('import-deck').value,
+      keepDecks: document.getElementById('apkg-keep-decks').checked,
+      getExistingCards
+    });
+  } catch (error) {
+    console.error('Error reading Anki package:', error);
+    container.textContent = `Could not read the package: ${error.message}`;
+    return;
+  }
+
+  const { decks, missingMedia } = importState.apkgResult;
+  const summary = document.createElement('p');
+  summary.textContent = `${decks.reduce((sum, deck) => sum + deck.cards.length, 0)} cards found, ` +
+    `${missingMedia.length} missing media references`;
+
+  container.appendChild(renderDeckTable(decks));
+  container.appendChild(summary);
+  document.getElementById('import-btn').hidden = decks.length === 0;
+}
+
+// Read the chosen .apkg file
+async function loadApkgFile(event) {
+  const [file] = event.target.files;
+  importState.apkgBuffer = file ? await file.arrayBuffer() : null;
+  await previewApkgImport();
+}
+
+// Import the cards and review state of the loaded package
+async function runApkgImport() {
+  const { apkgResult } = importState;
+  const report = document.getElementById('import-report');
+  if (!apkgResult) return;
+
+  report.innerHTML = '';
+  importState.apkgResult = null;
+  await saveDeckImports(apkgResult.decks, report, 'Imported from Anki');
+  renderReportList(report, 'Missing media', apkgResult.missingMedia);
+}
+
+// Run the import for the selected source
+async function runImport() {
+  if (importState.source === 'osr') {
+    await runOsrImport();
+  } else if (importState.source === 'apkg') {
+    await runApkgImport();
+  } else {
+    await runCsvImport();
+  }
+}
+
+// Show the options for the selected import source
+function selectImportSource(source) {
+  importState.source = source;
+  document.querySelectorAll('.import-source-options').forEach(panel => {
+    panel.hidden = panel.id !== `${source}-import-options`;
+  });
+  document.getElementById('import-mapping').hidden = true;
+  document.getElementById('import-preview').innerHTML = '';
+  document.getElementById('import-report').innerHTML = '';
+  document.getElementById('import-btn').hidden = true;
+
+  if (source === 'osr') {
+    previewOsrImport();
+  } else if (source === 'apkg') {
+    previewApkgImport();
+  } else {
+    parseImportFile(undefined);
+  }
+}
+
+// Download the selected deck as CSV or TSV
+function runExport() {
+  const deckId = document.getElementById('export-deck').value;
+  const format = document.getElementById('export-format').value;
+  const header = document.getElementById('export-header').checked;
+  if (!deckId) return;
+
+  const text = exportDelimited(flashcardManager.getDeckCards(deckId), { format, header });
+  const blob = new Blob([text], { type: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${deckId}.${format}`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Refresh deck pickers after decks change
+ */
+export function refreshImportExport() {
+  renderDeckOptions(document.getElementById('import-deck'));
+  renderDeckOptions(document.getElementById('export-deck'));
+}
+
+/**
+ * Wire up the Import / Export tab
+ */
+export function initImportExport() {
+  refreshImportExport();
+
+  document.getElementById('import-source').addEventListener('change', (e) => selectImportSource(e.target.value));
+  document.getElementById('import-deck').addEventListener('change', () => {
+    if (importState.source === 'osr') previewOsrImport();
+    if (importState.source === 'apkg') previewApkgImport();
+  });
+  document.getElementById('import-file').addEventListener('change', loadImportFile);
+  document.getElementById('osr-files').addEventListener('change', loadOsrFiles);
+  document.getElementById('osr-folder').addEventListener('change', loadOsrFiles);
+  document.getElementById('osr-deck-tag').addEventListener('change', previewOsrImport);
+  document.getElementById('apkg-file').addEventListener('change', loadApkgFile);
+  document.getElementById('apkg-keep-decks').addEventListener('change', previewApkgImport);
+  document.getElementById('import-delimiter').addEventListener('change', () => {
+    parseImportFile(document.getElementById('import-has-header').checked);
+  });
+  document.getElementById('import-has-header').addEventListener('change', (e) => {
+    parseImportFile(e.target.checked);
+  });
+  document.getElementById('import-btn').addEventListener('click', runImport);
+  document.getElementById('export-btn').addEventListener('click', runExport);
+}
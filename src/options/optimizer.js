@@ -0,0 +1,126 @@
+/**
+ * Optimize tab of the options page
+ */
+
+import { algorithm } from '../core/algorithm.js';
+import { reviewLog } from '../core/review-log.js';
+import { optimizeConfig } from '../core/optimizer.js';
+
+const optimizerState = {
+  result: null
+};
+
+// Labels of the settings the optimizer tunes
+const PARAMETER_LABELS = {
+  baseEase: 'Base Ease',
+  intervalChangeHard: 'Interval Change (Hard)',
+  easyBonus: 'Easy Bonus'
+};
+
+// Format a rate from 0 to 1 as a percentage
+function formatRate(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 1000) / 10}%`;
+}
+
+// Get [label, current, suggested] rows for the tuned settings
+function describeParameters({ current, parameters }) {
+  if (parameters.fsrsWeights) {
+    return parameters.fsrsWeights.map((weight, index) => [`w${index}`, current.fsrsWeights[index], weight]);
+  }
+  return Object.keys(parameters).map(key => [PARAMETER_LABELS[key] || key, current[key], parameters[key]]);
+}
+
+// Render a table of rows under a header
+function renderTable(container, header, rows) {
+  const table = document.createElement('table');
+  const headerRow = table.createTHead().insertRow();
+  header.forEach(title => {
+    const cell = document.createElement('th');
+    cell.textContent = title;
+    headerRow.appendChild(cell);
+  });
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+  container.appendChild(table);
+}
+
+// Show the suggested settings and what they would change
+function renderResult(result) {
+  const container = document.getElementById('optimizer-result');
+  container.innerHTML = '';
+
+  renderTable(container, ['Setting', 'Current', 'Suggested'], describeParameters(result));
+  renderTable(container, ['', 'Current', 'Suggested'], [
+    ['Prediction error (log loss)', result.before.loss.toFixed(4), result.after.loss.toFixed(4)],
+    ['Prediction error (RMSE)', result.before.rmse.toFixed(4), result.after.rmse.toFixed(4)],
+    ['Expected retention', formatRate(result.before.retention), formatRate(result.after.retention)],
+    ['Reviews per day', result.before.workload.toFixed(1), result.after.workload.toFixed(1)]
+  ]);
+}
+
+// Fit the active algorithm's settings to the review log
+async function runOptimizer() {
+  const status = document.getElementById('optimizer-status');
+  const button = document.getElementById('optimize-btn');
+  const applyButton = document.getElementById('optimizer-apply-btn');
+  document.getElementById('optimizer-result').innerHTML = '';
+  applyButton.hidden = true;
+  optimizerState.result = null;
+
+  button.disabled = true;
+  status.textContent = 'Loading review history...';
+  try {
+    // Settings may have changed in the popup since the page was opened
+    algorithm.configLoaded = false;
+    const config = await algorithm.loadConfig();
+    document.getElementById('optimizer-algorithm').textContent = algorithm.getActiveAlgorithm().name;
+    const entries = await reviewLog.getEntries();
+    const result = await optimizeConfig(entries, config, {
+      onProgress: round => { status.textContent = `Optimizing (round ${round})...`; }
+    });
+
+    if (!result.success) {
+      status.textContent = result.error;
+      return;
+    }
+    status.textContent = `Fitted to ${result.reviews} reviews.`;
+    optimizerState.result = result;
+    renderResult(result);
+    applyButton.hidden = false;
+  } catch (error) {
+    console.error('Error optimizing settings:', error);
+    status.textContent = 'The optimizer failed; see the console for details.';
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Save the suggested settings
+async function applyResult() {
+  if (!optimizerState.result) return;
+  if (!confirm('Replace the current algorithm settings with the suggested ones?')) return;
+
+  await algorithm.updateConfig(optimizerState.result.parameters);
+  document.getElementById('optimizer-apply-btn').hidden = true;
+  document.getElementById('optimizer-status').textContent = 'Suggested settings applied. They are used from the next review.';
+}
+
+/**
+ * Wire up the Optimize tab
+ */
+export async function initOptimizer() {
+  await algorithm.loadConfig();
+  document.getElementById('optimizer-algorithm').textContent = algorithm.getActiveAlgorithm().name;
+  document.getElementById('optimize-btn').addEventListener('click', runOptimizer);
+  document.getElementById('optimizer-apply-btn').addEventListener('click', applyResult);
+
+  if (!reviewLog.isAvailable()) {
+    document.getElementById('optimize-btn').disabled = true;
+    document.getElementById('optimizer-status').textContent = 'The review log is not available in this browser.';
+  }
+}
@@ -0,0 +1,385 @@
+/**
+ * Options page - card editor for bundled and user decks
+ * Runs as an ES module so it can use the core modules directly
+ */
+
+import { deckRegistry, getCardKey, parseCardKey } from '../core/decks.js';
+import { flashcardManager } from '../core/flashcards.js';
+import { storage } from '../core/storage.js';
+import { progressStore } from '../core/idb-storage.js';
+import { createCardId, getSourceCardId } from '../core/card-schema.js';
+import { getLinkedEase } from '../core/links.js';
+import { algorithm } from '../core/algorithm.js';
+import { initImportExport, refreshImportExport } from './import-export.js';
+import { initBackup } from './backup.js';
+import { initReviewLog, showCardHistory } from './review-log.js';
+import { initOptimizer } from './optimizer.js';
+import { initDeveloper } from './developer.js';
+
+const state = {
+  deckId: null,
+  cardId: null, // null while creating a new card
+  search: ''
+};
+
+// Render the deck list in the sidebar
+function renderDecks() {
+  const listElement = document.getElementById('deck-list');
+  const decks = deckRegistry.getAllDecks();
+  listElement.innerHTML = '';
+
+  if (decks.length === 0) {
+    listElement.innerHTML = '<p class="empty-message">No decks</p>';
+    return;
+  }
+
+  decks.forEach(deck => {
+    const item = document.createElement('button');
+    item.className = 'deck-item';
+    item.classList.toggle('active', deck.id === state.deckId);
+
+    const name = document.createElement('span');
+    name.textContent = deck.name;
+    const count = document.createElement('span');
+    count.className = 'deck-count';
+    count.textContent = flashcardManager.getDeckCards(deck.id).length;
+
+    item.appendChild(name);
+    item.appendChild(count);
+    item.addEventListener('click', () => selectDeck(deck.id));
+    listElement.appendChild(item);
+  });
+}
+
+// Render the cards of the selected deck, filtered by the search box
+function renderCards() {
+  const listElement = document.getElementById('card-list');
+  const query = state.search.toLowerCase();
+  const cards = flashcardManager.getDeckCards(state.deckId).filter(card =>
+    !query ||
+    card.id.toLowerCase().includes(query) ||
+    card.question.toLowerCase().includes(query) ||
+    card.answer.toLowerCase().includes(query) ||
+    (card.tags || []).some(tag => tag.toLowerCase().includes(query))
+  );
+  listElement.innerHTML = '';
+
+  if (cards.length === 0) {
+    listElement.innerHTML = '<p class="empty-message">No cards</p>';
+    return;
+  }
+
+  cards.forEach(card => {
+    const item = document.createElement('button');
+    item.className = 'card-item';
+    item.classList.toggle('active', card.id === state.cardId);
+
+    const id = document.createElement('span');
+    id.className = 'card-item-id';
+    id.textContent = card.id;
+    if (card.userEdited) {
+      const badge = document.createElement('span');
+      badge.className = 'card-item-badge';
+      badge.textContent = 'edited';
+      id.appendChild(badge);
+    }
+    if (card.reverse ?? deckRegistry.isReverseEnabled(state.deckId)) {
+      const badge = document.createElement('span');
+      badge.className = 'card-item-badge';
+      badge.textContent = '+ reverse';
+      id.appendChild(badge);
+    }
+
+    const question = document.createElement('span');
+    question.className = 'card-item-question';
+    question.textContent = card.question;
+
+    item.appendChild(id);
+    item.appendChild(question);
+    item.addEventListener('click', () => editCard(card.id));
+    listElement.appendChild(item);
+  });
+}
+
+// Select a deck and show its cards
+function selectDeck(deckId) {
+  const deck = deckRegistry.getDeck(deckId);
+  if (!deck) return;
+
+  state.deckId = deckId;
+  state.cardId = null;
+  document.getElementById('deck-title').textContent = deck.name;
+  document.getElementById('deck-description').textContent = deck.description || '';
+  document.getElementById('delete-deck-btn').hidden = deck.bundled;
+  document.getElementById('deck-reverse').checked = deckRegistry.isReverseEnabled(deckId);
+  document.getElementById('card-form').hidden = true;
+
+  renderDecks();
+  renderCards();
+}
+
+// Fill the editor form with a card (or a blank card when creating)
+function fillForm(card, isNew) {
+  const form = document.getElementById('card-form');
+  form.hidden = false;
+
+  const idInput = document.getElementById('card-id');
+  idInput.value = card.id;
+  idInput.readOnly = !isNew; // Changing the ID would orphan the card's progress
+  document.getElementById('card-question').value = card.question;
+  document.getElementById('card-answer').value = card.answer;
+  document.getElementById('card-tags').value = (card.tags || []).join(', ');
+  document.getElementById('card-links').value = (card.links || []).join(', ');
+  document.getElementById('card-reverse').value = card.reverse === undefined ? '' : String(card.reverse);
+  document.getElementById('card-created-at').value = card.createdAt;
+  document.getElementById('duplicate-card-btn').hidden = isNew;
+  document.getElementById('delete-card-btn').hidden = isNew;
+  showErrors([]);
+  showLinkedEase(isNew ? null : card);
+  showCardHistory(isNew ? null : getCardKey(state.deckId, card.id));
+}
+
+// Show which linked cards gave (or, before the first answer, would give) the card its initial ease
+async function showLinkedEase(card) {
+  const container = document.getElementById('card-links-info');
+  const summary = document.getElementById('card-links-summary');
+  const listElement = document.getElementById('card-links-list');
+  container.hidden = true;
+  listElement.innerHTML = '';
+  if (!card) return;
+
+  const flashcardData = flashcardManager.progress.flashcardData;
+  const progress = flashcardData[getCardKey(state.deckId, card.id)];
+  let contributors;
+  if (progress && progress.reviewCount) {
+    if (!progress.easeLinks) {
+      if (!card.links) return;
+      summary.textContent = 'No linked card had been reviewed when this card was first answered, so it started at the base ease.';
+      container.hidden = false;
+      return;
+    }
+    summary.textContent = 'The initial ease of this card came from these linked cards:';
+    contributors = progress.easeLinks.map(key => ({ key, ease: flashcardData[key]?.ease }));
+  } else {
+    if (!card.links) return;
+    await algorithm.ensureConfigLoaded();
+    const result = getLinkedEase(card, state.deckId, flashcardManager.getAllFlashcards(), flashcardData);
+    if (result.linkedEase === null) {
+      summary.textContent = 'None of the linked cards has been reviewed yet, so this card will start at the base ease.';
+    } else if (!algorithm.getActiveAlgorithm().stateFields.includes('ease') || algorithm.config.maxLinkContribution <= 0) {
+      summary.textContent = 'Linked cards only set the initial ease with an ease-based algorithm and a Maximum Link Contribution above 0%.';
+    } else {
+      const ease = algorithm.calculateInitialEase({ linkedEase: result.linkedEase });
+      summary.textContent = `When first answered, this card will start at ease ${ease} from these linked cards:`;
+    }
+    contributors = result.contributors;
+  }
+
+  contributors.forEach(({ key, ease, links }) => {
+    const item = document.createElement('li');
+    const via = links ? ` via ${links.join(', ')}` : '';
+    item.textContent = `${key}: ease ${ease ?? '-'}${via}`;
+    listElement.appendChild(item);
+  });
+  container.hidden = false;
+}
+
+// Open an existing card in the editor
+function editCard(cardId) {
+  const card = flashcardManager.getDeckCards(state.deckId).find(fc => fc.id === cardId);
+  if (!card) return;
+
+  state.cardId = cardId;
+  fillForm(card, false);
+  renderCards();
+}
+
+// Open a blank card in the editor
+function newCard() {
+  if (!state.deckId) return;
+
+  state.cardId = null;
+  const existingIds = flashcardManager.getDeckCards(state.deckId).map(fc => fc.id);
+  fillForm({
+    id: createCardId(existingIds),
+    question: '',
+    answer: '',
+    tags: [],
+    createdAt: new Date().toISOString()
+  }, true);
+  renderCards();
+}
+
+// Show validation errors under the form
+function showErrors(errors) {
+  const listElement = document.getElementById('card-errors');
+  listElement.innerHTML = '';
+  errors.forEach(({ field, message }) => {
+    const item = document.createElement('li');
+    item.textContent = `${field}: ${message}`;
+    listElement.appendChild(item);
+  });
+}
+
+// Save the card currently in the editor
+async function saveCard(event) {
+  event.preventDefault();
+
+  const isNew = state.cardId === null;
+  const result = await flashcardManager.saveCard(state.deckId, {
+    id: document.getElementById('card-id').value,
+    question: document.getElementById('card-question').value,
+    answer: document.getElementById('card-answer').value,
+    tags: document.getElementById('card-tags').value,
+    links: document.getElementById('card-links').value,
+    reverse: { true: true, false: false }[document.getElementById('card-reverse').value],
+    createdAt: document.getElementById('card-created-at').value.trim()
+  }, { isNew });
+
+  if (!result.success) {
+    showErrors(result.errors);
+    return;
+  }
+
+  renderDecks();
+  editCard(result.card.id);
+}
+
+// Duplicate the card currently in the editor
+async function duplicateCard() {
+  if (!state.cardId) return;
+
+  const result = await flashcardManager.duplicateCard(state.deckId, state.cardId);
+  if (!result.success) {
+    showErrors(result.errors);
+    return;
+  }
+
+  renderDecks();
+  editCard(result.card.id);
+}
+
+// Delete the card currently in the editor
+async function deleteCard() {
+  if (!state.cardId) return;
+  if (!confirm(`Delete card "${state.cardId}" and its progress? This cannot be undone.`)) return;
+
+  await flashcardManager.deleteCard(state.deckId, state.cardId);
+  state.cardId = null;
+  document.getElementById('card-form').hidden = true;
+  renderDecks();
+  renderCards();
+}
+
+// Turn reverse cards on or off for the selected deck
+async function setDeckReverse(event) {
+  if (!state.deckId) return;
+
+  await deckRegistry.setDeckReverse(state.deckId, event.target.checked);
+  flashcardManager.flashcards = flashcardManager.buildActiveFlashcards();
+  renderCards();
+}
+
+// Create a user deck from the sidebar form
+async function createDeck(event) {
+  event.preventDefault();
+  const errorElement = document.getElementById('new-deck-error');
+  errorElement.textContent = '';
+
+  try {
+    const deck = await deckRegistry.createDeck({
+      id: document.getElementById('new-deck-id').value.trim(),
+      name: document.getElementById('new-deck-name').value.trim(),
+      description: document.getElementById('new-deck-description').value.trim()
+    });
+    event.target.reset();
+    refreshImportExport();
+    selectDeck(deck.id);
+  } catch (error) {
+    errorElement.textContent = error.message;
+  }
+}
+
+// Delete the selected user deck
+async function deleteDeck() {
+  const deck = deckRegistry.getDeck(state.deckId);
+  if (!deck || deck.bundled) return;
+  if (!confirm(`Delete deck "${deck.name}" and all its cards? This cannot be undone.`)) return;
+
+  await deckRegistry.deleteDeck(deck.id);
+  refreshImportExport();
+  const [first] = deckRegistry.getAllDecks();
+  if (first) {
+    selectDeck(first.id);
+  } else {
+    renderDecks();
+  }
+}
+
+// Switch between the Cards, Import / Export, Backup and Optimize tabs
+function showTab(tabId) {
+  document.querySelectorAll('.options-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.getAttribute('data-tab') === tabId);
+  });
+  document.querySelectorAll('.options-panel').forEach(panel => {
+    panel.hidden = panel.id !== tabId;
+  });
+}
+
+// Initialize options page
+async function init() {
+  // Progress lives in the same IndexedDB store the service worker uses
+  storage.useProgressStore(progressStore);
+  await flashcardManager.init();
+  initImportExport();
+  initBackup();
+  initReviewLog();
+  initOptimizer();
+  initDeveloper();
+
+  document.querySelectorAll('.options-tab').forEach(tab => {
+    tab.addEventListener('click', () => showTab(tab.getAttribute('data-tab')));
+  });
+  // Other pages link to a tab with its id as the hash (e.g. options.html#backup-tab)
+  if (location.hash && document.getElementById(location.hash.slice(1))?.classList.contains('options-panel')) {
+    showTab(location.hash.slice(1));
+  }
+  // Imports add cards outside the editor
+  document.addEventListener('flashcards:cards-changed', () => {
+    renderDecks();
+    renderCards();
+  });
+
+  document.getElementById('card-form').addEventListener('submit', saveCard);
+  document.getElementById('new-card-btn').addEventListener('click', newCard);
+  document.getElementById('duplicate-card-btn').addEventListener('click', duplicateCard);
+  document.getElementById('delete-card-btn').addEventListener('click', deleteCard);
+  document.getElementById('new-deck-form').addEventListener('submit', createDeck);
+  document.getElementById('delete-deck-btn').addEventListener('click', deleteDeck);
+  document.getElementById('deck-reverse').addEventListener('change', setDeckReverse);
+  document.getElementById('card-search').addEventListener('input', (e) => {
+    state.search = e.target.value;
+    renderCards();
+  });
+
+  const [first] = deckRegistry.getAllDecks();
+  if (first) {
+    selectDeck(first.id);
+  } else {
+    renderDecks();
+  }
+  // The popup's leech list links to a card as options.html#card=deckId/cardId;
+  // a generated reverse card opens the card it was made from
+  if (location.hash.startsWith('#card=')) {
+    const { deckId, cardId } = parseCardKey(decodeURIComponent(location.hash.slice('#card='.length)));
+    selectDeck(deckId);
+    editCard(getSourceCardId(cardId));
+  }
+}
+
+// Run initialization when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -0,0 +1,125 @@
+/**
+ * Review history of the card editor and review log settings of the Backup tab
+ */
+
+import { reviewLog } from '../core/review-log.js';
+import { storage } from '../core/storage.js';
+
+// Format an interval in days the way the popup formats learning steps
+function formatInterval(days) {
+  if (!days) return '0';
+  const minutes = days * 24 * 60;
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(days * 10) / 10}d`;
+}
+
+// Format an answer time in milliseconds
+function formatDuration(ms) {
+  if (ms === undefined) return '';
+  return ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.round(ms / 60000)}m`;
+}
+
+// Describe a before/after pair, or just the value when it did not change
+function describeChange(before, after, format = String) {
+  if (after === undefined) return '';
+  if (before === undefined || before === after) return format(after);
+  return `${format(before)} → ${format(after)}`;
+}
+
+/**
+ * Show the review history of a card under the editor
+ * @param {string|null} cardKey - Flashcard key, or null to hide the history
+ */
+export async function showCardHistory(cardKey) {
+  const container = document.getElementById('card-history');
+  const tableContainer = document.getElementById('card-history-table');
+  container.hidden = true;
+  tableContainer.innerHTML = '';
+  if (!cardKey || !reviewLog.isAvailable()) return;
+
+  let entries;
+  try {
+    entries = await reviewLog.getCardHistory(cardKey);
+  } catch (error) {
+    console.error('Error loading review history:', error);
+    return;
+  }
+  container.hidden = false;
+
+  if (entries.length === 0) {
+    tableContainer.innerHTML = '<p class="empty-message">Not reviewed yet</p>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  const header = table.createTHead().insertRow();
+  ['Date', 'Grade', 'Interval', 'Ease', 'Time', 'Page'].forEach(title => {
+    const cell = document.createElement('th');
+    cell.textContent = title;
+    header.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  // Newest first
+  entries.slice().reverse().forEach(entry => {
+    const row = body.insertRow();
+    [
+      new Date(entry.time).toLocaleString(),
+      entry.grade,
+      describeChange(entry.lastInterval, entry.interval, formatInterval),
+      describeChange(entry.lastEase, entry.ease),
+      formatDuration(entry.duration),
+      entry.domain || ''
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+  tableContainer.appendChild(table);
+}
+
+// Show how many entries the log holds
+async function renderCount() {
+  const note = document.getElementById('review-log-count');
+  try {
+    const count = await reviewLog.count();
+    note.textContent = `The review log holds ${count} ${count === 1 ? 'entry' : 'entries'}.`;
+  } catch (error) {
+    console.error('Error counting review log entries:', error);
+  }
+}
+
+// Save the retention settings from the form
+async function saveSettings(event) {
+  event.preventDefault();
+  const read = id => Math.max(0, Math.round(Number(document.getElementById(id).value) || 0));
+  await storage.saveReviewLogSettings({
+    retentionDays: read('review-log-retention'),
+    compactAfterDays: read('review-log-compact-after')
+  });
+}
+
+// Apply the saved settings now instead of at the next browser start
+async function compactNow() {
+  const settings = await storage.getReviewLogSettings();
+  const { deleted, compacted } = await reviewLog.compact(settings);
+  alert(`Deleted ${deleted} and compacted ${compacted} review log entries.`);
+  await renderCount();
+}
+
+/**
+ * Wire up the review log settings and load them into the form
+ */
+export async function initReviewLog() {
+  if (!reviewLog.isAvailable()) {
+    document.getElementById('review-log-form').hidden = true;
+    return;
+  }
+
+  const settings = await storage.getReviewLogSettings();
+  document.getElementById('review-log-retention').value = settings.retentionDays;
+  document.getElementById('review-log-compact-after').value = settings.compactAfterDays;
+  document.getElementById('review-log-form').addEventListener('submit', saveSettings);
+  document.getElementById('review-log-compact-btn').addEventListener('click', compactNow);
+  await renderCount();
+}
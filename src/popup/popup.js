@@ -5,23 +5,53 @@
 
 const STORAGE_KEYS = {
   PROGRESS: 'flashcards_progress',
+  PROGRESS_UPDATED: 'flashcards_progress_updated',
   EXCLUDED_PAGES: 'excluded_pages',
   ALGORITHM_CONFIG: 'algorithm_config',
   ENABLED: 'flashcards_enabled',
   STOP_DURATION: 'flashcards_stop_duration',
-  STOP_UNTIL: 'flashcards_stop_until'
+  STOP_UNTIL: 'flashcards_stop_until',
+  USER_DECKS: 'user_decks',
+  DECK_SETTINGS: 'deck_settings',
+  SYNC_SETTINGS: 'sync_settings',
+  SYNC_STATUS: 'sync_status',
+  RESCHEDULE_UNDO: 'reschedule_undo',
+  USER_CARDS: 'user_cards'
 };
 
+// Mirrors BUNDLED_DECKS in src/utils/constants.js
+const BUNDLED_DECKS = [
+  { id: 'default', name: 'Python', path: 'src/data/flashcards.json' }
+];
+
 const DEFAULT_ALGORITHM_CONFIG = {
-  algorithm: "OSR's variant of SM-2",
+  algorithm: 'sm2',
   baseEase: 250,
   intervalChangeHard: 50,
   easyBonus: 130,
+  lapseIntervalPercent: 0,
+  requestRetention: 0.9,
+  fsrsWeights: null,
+  learningSteps: [1, 10],
+  relearningSteps: [10],
+  newCardsPerDay: 20,
+  reviewsPerDay: 200,
+  dayRolloverHour: 4,
   enableLoadBalancer: true,
+  loadBalancerDayWeights: [100, 100, 100, 100, 100, 100, 100],
   maxIntervalDays: 36525,
-  maxLinkContribution: 50
+  maxLinkContribution: 50,
+  leechThreshold: 8,
+  leechCountsHard: false,
+  leechAction: 'suspend'
 };
 
+// Mirrors the algorithm registry in src/core/algorithms/registry.js
+const ALGORITHMS = [
+  { id: 'sm2', name: "OSR's variant of SM-2" },
+  { id: 'fsrs', name: 'FSRS' }
+];
+
 const DEFAULT_STOP_DURATION = 10; // minutes
 
 // Storage helper functions
@@ -59,21 +89,140 @@ async function getCurrentTab() {
 }
 
 // Load and display progress
+// Counts come from the service worker, which knows the active decks
 async function loadProgress() {
-  const progress = await getStorage(STORAGE_KEYS.PROGRESS, {
-    completed: [],
-    repeatLater: [],
-    flashcardData: {}
+  let stats = null;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'stats' });
+    stats = response?.stats || null;
+  } catch (error) {
+    console.error('Error loading progress stats:', error);
+  }
+
+  document.getElementById('stat-completed').textContent = stats ? stats.completed : '-';
+  document.getElementById('stat-total').textContent = stats ? stats.total : '-';
+  document.getElementById('stat-progress').textContent = stats ? `${stats.progress}%` : '-';
+  document.getElementById('stat-new-today').textContent = stats ? stats.scheduling.today.new : '-';
+  document.getElementById('stat-reviews-today').textContent = stats ? stats.scheduling.today.review : '-';
+  showBacklog(stats);
+}
+
+// Offer to spread the overdue cards when more are due than can be reviewed today
+function showBacklog(stats) {
+  const backlog = document.getElementById('backlog');
+  const { due = 0, today } = stats?.scheduling || {};
+  backlog.hidden = !stats || due <= today.review;
+  if (!backlog.hidden) {
+    document.getElementById('backlog-status').textContent = `${due} reviews are due, ${today.review} of them fit in today's limit`;
+  }
+}
+
+// Give the overdue cards due dates over the coming days
+async function spreadOverdue() {
+  const days = parseInt(document.getElementById('spread-days').value);
+  if (!(days >= 2)) return;
+  try {
+    const { result } = await chrome.runtime.sendMessage({ action: 'spreadOverdue', days });
+    await loadProgress();
+    await loadRescheduleUndo();
+    document.getElementById('backlog').hidden = false;
+    document.getElementById('backlog-status').textContent =
+      `Moved ${result.moved} of ${result.overdue} overdue cards, about ${result.perDay} reviews a day`;
+  } catch (error) {
+    console.error('Error spreading overdue cards:', error);
+    document.getElementById('backlog-status').textContent = 'Spreading failed';
+  }
+}
+
+// Load and display decks with on/off toggles
+async function loadDecks() {
+  const userDecks = await getStorage(STORAGE_KEYS.USER_DECKS, []);
+  const deckSettings = await getStorage(STORAGE_KEYS.DECK_SETTINGS, {});
+  const decks = [...BUNDLED_DECKS, ...userDecks];
+  const listElement = document.getElementById('decks-list');
+
+  if (decks.length === 0) {
+    listElement.innerHTML = '<p class="empty-message">No decks available</p>';
+    return;
+  }
+
+  listElement.innerHTML = decks.map(deck => {
+    const enabled = deckSettings[deck.id]?.enabled !== false;
+    return `
+      <div class="deck-item">
+        <span class="deck-name" title="${deck.description || ''}">${deck.name}</span>
+        <label class="toggle-switch">
+          <input type="checkbox" data-deck-id="${deck.id}" ${enabled ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+    `;
+  }).join('');
+
+  listElement.querySelectorAll('input[data-deck-id]').forEach(input => {
+    input.addEventListener('change', async () => {
+      const deckId = input.getAttribute('data-deck-id');
+      const settings = await getStorage(STORAGE_KEYS.DECK_SETTINGS, {});
+      settings[deckId] = { ...settings[deckId], enabled: input.checked };
+      await setStorage(STORAGE_KEYS.DECK_SETTINGS, settings);
+    });
+  });
+}
+
+// Load and display the leeches with buttons to fix, unsuspend or delete them
+async function loadLeeches() {
+  const listElement = document.getElementById('leeches-list');
+  let leeches = [];
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getLeeches' });
+    leeches = response?.leeches || [];
+  } catch (error) {
+    console.error('Error loading leeches:', error);
+  }
+
+  listElement.innerHTML = '';
+  if (leeches.length === 0) {
+    listElement.innerHTML = '<p class="empty-message">No leeches</p>';
+    return;
+  }
+
+  leeches.forEach(leech => {
+    const item = document.createElement('div');
+    item.className = 'leech-item';
+
+    const question = document.createElement('span');
+    question.className = 'leech-question';
+    question.textContent = leech.question ?? leech.key;
+    question.title = `${leech.key}: forgotten ${leech.lapses} times, Hard ${leech.hardCount} times${leech.suspended ? ', suspended' : ''}`;
+
+    const button = (label, onClick) => {
+      const element = document.createElement('button');
+      element.className = 'remove-btn';
+      element.textContent = label;
+      element.addEventListener('click', onClick);
+      return element;
+    };
+    const edit = button('Edit', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`src/options/options.html#card=${encodeURIComponent(leech.key)}`) });
+    });
+    const unsuspend = button(leech.suspended ? 'Unsuspend' : 'Clear', async () => {
+      await chrome.runtime.sendMessage({ action: 'suspendCard', key: leech.key, suspended: false });
+      await loadLeeches();
+      await loadProgress();
+    });
+    const remove = button('Delete', async () => {
+      const message = leech.reverse
+        ? 'Stop creating this reverse card and delete its progress? The card it was made from is kept.'
+        : 'Delete this card and its progress?';
+      if (!confirm(`${message}\n\n${question.textContent}`)) return;
+      await chrome.runtime.sendMessage({ action: 'deleteCard', key: leech.key });
+      await loadLeeches();
+      await loadProgress();
+    });
+
+    item.append(question, edit, unsuspend, remove);
+    listElement.appendChild(item);
   });
-  
-  // Get total from flashcards data (we'll need to fetch this)
-  // For now, use a default or fetch from storage
-  const total = 10; // This should come from flashcard data
-  
-  document.getElementById('stat-completed').textContent = progress.completed.length;
-  document.getElementById('stat-total').textContent = total;
-  const progressPercent = total > 0 ? Math.round((progress.completed.length / total) * 100) : 0;
-  document.getElementById('stat-progress').textContent = `${progressPercent}%`;
 }
 
 // Load and display excluded pages
@@ -107,38 +256,207 @@ async function loadExcludedPages() {
   });
 }
 
+// Get the registry id of a stored algorithm (older configs stored its name)
+function getAlgorithmId(value) {
+  const match = ALGORITHMS.find(item => item.id === value || item.name === value);
+  return match ? match.id : DEFAULT_ALGORITHM_CONFIG.algorithm;
+}
+
+// Show only the settings of the selected algorithm
+function showAlgorithmFields(algorithmId) {
+  document.querySelectorAll('.algorithm-fields').forEach(group => {
+    group.hidden = group.getAttribute('data-algorithm') !== algorithmId;
+  });
+}
+
+// Show a desired retention (0.7 - 0.99) as a percentage
+function setRetentionLabel(retention) {
+  document.getElementById('request-retention-value').textContent = `${Math.round(retention * 100)}%`;
+}
+
+// Ask the service worker how many reviews a day the desired retention costs
+async function updateWorkloadEstimate() {
+  const retention = parseFloat(document.getElementById('request-retention').value);
+  const element = document.getElementById('workload-estimate');
+  try {
+    const { workload } = await chrome.runtime.sendMessage({ action: 'estimateWorkload', retention });
+    element.textContent = `About ${workload.estimate} reviews per day (${workload.current} at the saved setting)`;
+  } catch (error) {
+    console.error('Error estimating workload:', error);
+    element.textContent = '';
+  }
+}
+
+// Minutes per unit in learning step inputs such as "1m 10m 1d"
+const STEP_UNITS = { m: 1, h: 60, d: 1440 };
+
+// Format learning steps (minutes) for an input, e.g. [1, 10, 1440] -> "1m 10m 1d"
+function formatSteps(steps) {
+  return steps.map(minutes => {
+    if (minutes >= STEP_UNITS.d && minutes % STEP_UNITS.d === 0) return `${minutes / STEP_UNITS.d}d`;
+    if (minutes >= STEP_UNITS.h && minutes % STEP_UNITS.h === 0) return `${minutes / STEP_UNITS.h}h`;
+    return `${minutes}m`;
+  }).join(' ');
+}
+
+// Parse learning steps from an input; returns null if a step is not understood
+function parseSteps(text) {
+  const steps = [];
+  for (const token of text.trim().split(/[\s,]+/).filter(Boolean)) {
+    const match = token.match(/^(\d+(?:\.\d+)?)([mhd]?)$/i);
+    if (!match) return null;
+    steps.push(parseFloat(match[1]) * STEP_UNITS[(match[2] || 'm').toLowerCase()]);
+  }
+  return steps;
+}
+
+// Show load balancer weights in the weekday inputs (Sunday first)
+function setDayWeights(weights) {
+  document.querySelectorAll('#day-weights input').forEach(input => {
+    input.value = weights[parseInt(input.getAttribute('data-day'))];
+  });
+}
+
+// Read load balancer weights from the weekday inputs
+function getDayWeights() {
+  const weights = [...DEFAULT_ALGORITHM_CONFIG.loadBalancerDayWeights];
+  document.querySelectorAll('#day-weights input').forEach(input => {
+    const value = parseInt(input.value);
+    if (!Number.isNaN(value)) {
+      weights[parseInt(input.getAttribute('data-day'))] = value;
+    }
+  });
+  return weights;
+}
+
 // Load algorithm settings
 async function loadAlgorithmSettings() {
-  const config = await getStorage(STORAGE_KEYS.ALGORITHM_CONFIG, DEFAULT_ALGORITHM_CONFIG);
+  const config = { ...DEFAULT_ALGORITHM_CONFIG, ...await getStorage(STORAGE_KEYS.ALGORITHM_CONFIG, DEFAULT_ALGORITHM_CONFIG) };
   const stopDuration = await getStorage(STORAGE_KEYS.STOP_DURATION, DEFAULT_STOP_DURATION);
 
+  const algorithmId = getAlgorithmId(config.algorithm);
+  document.getElementById('algorithm-select').value = algorithmId;
+  showAlgorithmFields(algorithmId);
+  document.getElementById('request-retention').value = config.requestRetention;
+  setRetentionLabel(config.requestRetention);
+
   document.getElementById('base-ease').value = config.baseEase;
   document.getElementById('interval-change-hard').value = config.intervalChangeHard;
   document.getElementById('interval-change-hard-value').textContent = config.intervalChangeHard;
   document.getElementById('easy-bonus').value = config.easyBonus;
+  document.getElementById('lapse-interval').value = config.lapseIntervalPercent;
+  document.getElementById('lapse-interval-value').textContent = config.lapseIntervalPercent;
+  document.getElementById('learning-steps').value = formatSteps(config.learningSteps);
+  document.getElementById('relearning-steps').value = formatSteps(config.relearningSteps);
+  document.getElementById('new-per-day').value = config.newCardsPerDay;
+  document.getElementById('reviews-per-day').value = config.reviewsPerDay;
+  document.getElementById('day-rollover').value = config.dayRolloverHour;
   document.getElementById('load-balancer').checked = config.enableLoadBalancer;
+  setDayWeights(config.loadBalancerDayWeights);
   document.getElementById('max-interval').value = config.maxIntervalDays;
   document.getElementById('max-link-contribution').value = config.maxLinkContribution;
   document.getElementById('max-link-contribution-value').textContent = config.maxLinkContribution;
+  document.getElementById('leech-threshold').value = config.leechThreshold;
+  document.getElementById('leech-counts-hard').checked = config.leechCountsHard;
+  document.getElementById('leech-action').value = config.leechAction;
   document.getElementById('stop-duration').value = stopDuration;
 }
 
-// Save algorithm settings
-async function saveAlgorithmSettings() {
-  const config = {
-    ...DEFAULT_ALGORITHM_CONFIG,
+// Read the algorithm settings form over the stored settings
+function readAlgorithmSettings(stored) {
+  return {
+    ...stored,
+    algorithm: document.getElementById('algorithm-select').value,
     baseEase: parseInt(document.getElementById('base-ease').value),
     intervalChangeHard: parseInt(document.getElementById('interval-change-hard').value),
     easyBonus: parseInt(document.getElementById('easy-bonus').value),
+    lapseIntervalPercent: parseInt(document.getElementById('lapse-interval').value),
+    learningSteps: parseSteps(document.getElementById('learning-steps').value) || stored.learningSteps,
+    relearningSteps: parseSteps(document.getElementById('relearning-steps').value) || stored.relearningSteps,
+    newCardsPerDay: parseInt(document.getElementById('new-per-day').value),
+    reviewsPerDay: parseInt(document.getElementById('reviews-per-day').value),
+    dayRolloverHour: parseInt(document.getElementById('day-rollover').value),
+    requestRetention: parseFloat(document.getElementById('request-retention').value),
     enableLoadBalancer: document.getElementById('load-balancer').checked,
+    loadBalancerDayWeights: getDayWeights(),
     maxIntervalDays: parseInt(document.getElementById('max-interval').value),
-    maxLinkContribution: parseInt(document.getElementById('max-link-contribution').value)
+    maxLinkContribution: parseInt(document.getElementById('max-link-contribution').value),
+    leechThreshold: parseInt(document.getElementById('leech-threshold').value),
+    leechCountsHard: document.getElementById('leech-counts-hard').checked,
+    leechAction: document.getElementById('leech-action').value
   };
+}
+
+// Describe how many cards a reschedule moves
+function describeReschedule({ changed, earlier, later }) {
+  if (changed === 0) {
+    return 'no cards need to move';
+  }
+  return `${changed} cards change: ${earlier} come due earlier, ${later} later`;
+}
+
+// Show the undo button while there is a reschedule to undo
+async function loadRescheduleUndo() {
+  const batch = await getStorage(STORAGE_KEYS.RESCHEDULE_UNDO, null);
+  const button = document.getElementById('undo-reschedule-btn');
+  button.hidden = !batch;
+  if (batch) {
+    button.title = `${Object.keys(batch.cards).length} cards rescheduled ${new Date(batch.createdAt).toLocaleString()}`;
+  }
+}
+
+// Count the cards the settings in the form would move
+async function previewReschedule() {
+  const stored = { ...DEFAULT_ALGORITHM_CONFIG, ...await getStorage(STORAGE_KEYS.ALGORITHM_CONFIG, DEFAULT_ALGORITHM_CONFIG) };
+  const status = document.getElementById('reschedule-status');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'previewReschedule', config: readAlgorithmSettings(stored) });
+    status.textContent = `Preview: ${describeReschedule(response.preview)}`;
+  } catch (error) {
+    console.error('Error previewing reschedule:', error);
+    status.textContent = 'Preview failed';
+  }
+}
+
+// Put the cards moved by the last reschedule back
+async function undoReschedule() {
+  const status = document.getElementById('reschedule-status');
+  try {
+    const { result } = await chrome.runtime.sendMessage({ action: 'undoReschedule' });
+    status.textContent = result.skipped > 0
+      ? `Restored ${result.restored} cards; ${result.skipped} reviewed since keep their new schedule`
+      : `Restored ${result.restored} cards`;
+  } catch (error) {
+    console.error('Error undoing reschedule:', error);
+    status.textContent = 'Undo failed';
+  }
+  await loadRescheduleUndo();
+  await loadProgress();
+}
+
+// Save algorithm settings
+async function saveAlgorithmSettings() {
+  const stored = { ...DEFAULT_ALGORITHM_CONFIG, ...await getStorage(STORAGE_KEYS.ALGORITHM_CONFIG, DEFAULT_ALGORITHM_CONFIG) };
+  const config = readAlgorithmSettings(stored);
 
   const stopDuration = parseInt(document.getElementById('stop-duration').value);
 
-  await setStorage(STORAGE_KEYS.ALGORITHM_CONFIG, config);
+  const applyToExisting = document.getElementById('apply-existing');
+  if (applyToExisting.checked) {
+    // The service worker saves the settings (converting cards on an algorithm switch) and moves the cards
+    const { result } = await chrome.runtime.sendMessage({ action: 'rescheduleCards', config });
+    document.getElementById('reschedule-status').textContent = `Rescheduled: ${describeReschedule(result)}`;
+    applyToExisting.checked = false;
+    await loadRescheduleUndo();
+    await loadProgress();
+  } else if (config.algorithm !== getAlgorithmId(stored.algorithm)) {
+    // The service worker converts every card's state to the new algorithm
+    await chrome.runtime.sendMessage({ action: 'switchAlgorithm', config });
+  } else {
+    await setStorage(STORAGE_KEYS.ALGORITHM_CONFIG, config);
+  }
   await setStorage(STORAGE_KEYS.STOP_DURATION, stopDuration);
+  updateWorkloadEstimate();
   
   // Show success message
   const btn = document.getElementById('save-settings-btn');
@@ -164,6 +482,28 @@ function resetSetting(settingName) {
     case 'easyBonus':
       document.getElementById('easy-bonus').value = DEFAULT_ALGORITHM_CONFIG.easyBonus;
       break;
+    case 'loadBalancerDayWeights':
+      setDayWeights(DEFAULT_ALGORITHM_CONFIG.loadBalancerDayWeights);
+      break;
+    case 'lapseIntervalPercent':
+      document.getElementById('lapse-interval').value = DEFAULT_ALGORITHM_CONFIG.lapseIntervalPercent;
+      document.getElementById('lapse-interval-value').textContent = DEFAULT_ALGORITHM_CONFIG.lapseIntervalPercent;
+      break;
+    case 'learningSteps':
+      document.getElementById('learning-steps').value = formatSteps(DEFAULT_ALGORITHM_CONFIG.learningSteps);
+      break;
+    case 'relearningSteps':
+      document.getElementById('relearning-steps').value = formatSteps(DEFAULT_ALGORITHM_CONFIG.relearningSteps);
+      break;
+    case 'newCardsPerDay':
+      document.getElementById('new-per-day').value = DEFAULT_ALGORITHM_CONFIG.newCardsPerDay;
+      break;
+    case 'reviewsPerDay':
+      document.getElementById('reviews-per-day').value = DEFAULT_ALGORITHM_CONFIG.reviewsPerDay;
+      break;
+    case 'dayRolloverHour':
+      document.getElementById('day-rollover').value = DEFAULT_ALGORITHM_CONFIG.dayRolloverHour;
+      break;
     case 'maxIntervalDays':
       document.getElementById('max-interval').value = DEFAULT_ALGORITHM_CONFIG.maxIntervalDays;
       break;
@@ -171,31 +511,108 @@ function resetSetting(settingName) {
       document.getElementById('max-link-contribution').value = DEFAULT_ALGORITHM_CONFIG.maxLinkContribution;
       document.getElementById('max-link-contribution-value').textContent = DEFAULT_ALGORITHM_CONFIG.maxLinkContribution;
       break;
+    case 'leechThreshold':
+      document.getElementById('leech-threshold').value = DEFAULT_ALGORITHM_CONFIG.leechThreshold;
+      break;
+    case 'leechAction':
+      document.getElementById('leech-action').value = DEFAULT_ALGORITHM_CONFIG.leechAction;
+      break;
+    case 'requestRetention':
+      document.getElementById('request-retention').value = DEFAULT_ALGORITHM_CONFIG.requestRetention;
+      setRetentionLabel(DEFAULT_ALGORITHM_CONFIG.requestRetention);
+      updateWorkloadEstimate();
+      break;
     case 'stopDuration':
       document.getElementById('stop-duration').value = DEFAULT_STOP_DURATION;
       break;
   }
 }
 
+// Describe the last sync result
+function describeSyncStatus(enabled, status) {
+  if (!enabled) {
+    return 'Sync is off';
+  }
+  if (!status || !status.lastSync && status.state !== 'error') {
+    return 'Not synced yet';
+  }
+  const lastSync = status.lastSync ? new Date(status.lastSync).toLocaleString() : 'never';
+  if (status.state === 'error') {
+    return `Sync failed: ${status.error} (last successful sync: ${lastSync})`;
+  }
+  return `Last synced ${lastSync} - ${status.cards} cards, ${(status.bytes / 1024).toFixed(1)} KB`;
+}
+
+// Load sync toggle and status
+async function loadSyncStatus() {
+  const settings = await getStorage(STORAGE_KEYS.SYNC_SETTINGS, {});
+  const status = await getStorage(STORAGE_KEYS.SYNC_STATUS, null);
+  const enabled = settings.enabled === true;
+  const statusElement = document.getElementById('sync-status');
+
+  document.getElementById('sync-enabled').checked = enabled;
+  document.getElementById('sync-now-btn').disabled = !enabled;
+  statusElement.textContent = describeSyncStatus(enabled, status);
+  statusElement.classList.toggle('sync-error', enabled && status?.state === 'error');
+}
+
 // Initialize popup
 async function init() {
   // Load all data
   await loadProgress();
+  await loadDecks();
+  await loadLeeches();
+  await loadSyncStatus();
   await loadExcludedPages();
   await loadAlgorithmSettings();
+  await loadRescheduleUndo();
+  updateWorkloadEstimate();
 
   // Event listeners
   document.getElementById('reset-progress-btn').addEventListener('click', async () => {
-    if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
-      await setStorage(STORAGE_KEYS.PROGRESS, {
-        completed: [],
-        repeatLater: [],
-        flashcardData: {}
-      });
+    if (confirm('Are you sure you want to reset all progress? This cannot be undone.\n\nUse "Backup / Restore" first to keep a copy.')) {
+      await chrome.runtime.sendMessage({ action: 'resetProgress' });
       await loadProgress();
     }
   });
 
+  document.getElementById('edit-cards-btn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // The service worker syncs when the setting changes
+  document.getElementById('sync-enabled').addEventListener('change', async (e) => {
+    await setStorage(STORAGE_KEYS.SYNC_SETTINGS, { enabled: e.target.checked });
+    await loadSyncStatus();
+  });
+
+  document.getElementById('sync-now-btn').addEventListener('click', async () => {
+    document.getElementById('sync-status').textContent = 'Syncing...';
+    await chrome.runtime.sendMessage({ action: 'syncNow' });
+    await loadSyncStatus();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && STORAGE_KEYS.SYNC_STATUS in changes) {
+      loadSyncStatus();
+    }
+    // Reviews in open tabs, deck toggles, synced progress and daily limits change the counts
+    if (areaName === 'local' && [STORAGE_KEYS.PROGRESS, STORAGE_KEYS.PROGRESS_UPDATED, STORAGE_KEYS.USER_DECKS, STORAGE_KEYS.DECK_SETTINGS, STORAGE_KEYS.ALGORITHM_CONFIG].some(key => key in changes)) {
+      loadProgress();
+    }
+    if (areaName === 'local' && [STORAGE_KEYS.PROGRESS, STORAGE_KEYS.PROGRESS_UPDATED, STORAGE_KEYS.USER_CARDS].some(key => key in changes)) {
+      loadLeeches();
+    }
+  });
+
+  document.getElementById('stats-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/stats/stats.html') });
+  });
+
+  document.getElementById('backup-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/options/options.html#backup-tab') });
+  });
+
   document.getElementById('exclude-current-btn').addEventListener('click', async () => {
     const tab = await getCurrentTab();
     if (tab && tab.url) {
@@ -246,16 +663,32 @@ async function init() {
   });
 
   document.getElementById('save-settings-btn').addEventListener('click', saveAlgorithmSettings);
+  document.getElementById('preview-reschedule-btn').addEventListener('click', previewReschedule);
+  document.getElementById('undo-reschedule-btn').addEventListener('click', undoReschedule);
+  document.getElementById('spread-overdue-btn').addEventListener('click', spreadOverdue);
+
+  document.getElementById('algorithm-select').addEventListener('change', (e) => {
+    showAlgorithmFields(e.target.value);
+  });
 
   // Range input updates
   document.getElementById('interval-change-hard').addEventListener('input', (e) => {
     document.getElementById('interval-change-hard-value').textContent = e.target.value;
   });
 
+  document.getElementById('lapse-interval').addEventListener('input', (e) => {
+    document.getElementById('lapse-interval-value').textContent = e.target.value;
+  });
+
   document.getElementById('max-link-contribution').addEventListener('input', (e) => {
     document.getElementById('max-link-contribution-value').textContent = e.target.value;
   });
 
+  document.getElementById('request-retention').addEventListener('input', (e) => {
+    setRetentionLabel(parseFloat(e.target.value));
+    updateWorkloadEstimate();
+  });
+
   // Reset buttons
   document.querySelectorAll('.reset-btn').forEach(btn => {
     btn.addEventListener('click', () => {
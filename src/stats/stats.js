@@ -0,0 +1,347 @@
+/**
+ * Statistics page - due forecast, review heatmap, retention, breakdowns and
+ * the workload simulator
+ * Runs as an ES module and reads progress and the review log directly,
+ * like the options page
+ */
+
+import { deckRegistry, getCardKey } from '../core/decks.js';
+import { flashcardManager } from '../core/flashcards.js';
+import { algorithm } from '../core/algorithm.js';
+import { storage } from '../core/storage.js';
+import { progressStore } from '../core/idb-storage.js';
+import { reviewLog } from '../core/review-log.js';
+import { reviewClient } from '../core/review-client.js';
+import { computeStatistics } from '../core/statistics.js';
+import { compareConfigs } from '../core/simulator.js';
+import { loadDebugSettings } from '../core/debug.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEATMAP_WEEKS = 53;
+
+const state = {
+  days: 30,
+  cards: [],
+  entries: []
+};
+
+// Format a rate from 0 to 1 as a percentage
+function formatRate(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 1000) / 10}%`;
+}
+
+// Format an interval bucket bound in days
+function formatDays(days) {
+  if (days === Infinity) return '';
+  if (days >= 365) return `${Math.round(days / 365)}y`;
+  if (days >= 30) return `${Math.round(days / 30)}mo`;
+  return `${days}d`;
+}
+
+// Render a bar chart of labelled counts
+// Charts shown side by side pass the same max so their bars compare
+function renderBars(container, bars, max = Math.max(...bars.map(bar => bar.count))) {
+  container.innerHTML = '';
+  if (bars.every(bar => bar.count === 0)) {
+    container.innerHTML = '<p class="empty-message">Nothing to show yet</p>';
+    return;
+  }
+
+  bars.forEach(({ label, count, title }) => {
+    const column = document.createElement('div');
+    column.className = 'bar-column';
+    column.title = title || `${label}: ${count}`;
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.style.height = `${max > 0 ? (count / max) * 100 : 0}%`;
+    const text = document.createElement('span');
+    text.className = 'bar-label';
+    text.textContent = label;
+
+    column.appendChild(bar);
+    column.appendChild(text);
+    container.appendChild(column);
+  });
+}
+
+// Render the summary tiles
+function renderSummary(stats) {
+  const tiles = [
+    ['Cards', stats.totals.cards],
+    ['Reviewed', stats.totals.reviewed],
+    ['Reviews today', stats.totals.reviewsToday],
+    [`Reviews (${state.days}d)`, stats.totals.reviews],
+    ['Young retention', formatRate(stats.retention.young.rate)],
+    ['Mature retention', formatRate(stats.retention.mature.rate)]
+  ];
+  const container = document.getElementById('stats-summary');
+  container.innerHTML = '';
+  tiles.forEach(([label, value]) => {
+    const tile = document.createElement('div');
+    tile.className = 'summary-tile';
+    const valueElement = document.createElement('span');
+    valueElement.className = 'summary-value';
+    valueElement.textContent = value;
+    const labelElement = document.createElement('span');
+    labelElement.className = 'summary-label';
+    labelElement.textContent = label;
+    tile.appendChild(valueElement);
+    tile.appendChild(labelElement);
+    container.appendChild(tile);
+  });
+  container.title = `Retention counts reviews of graduated cards not graded Hard or Again; mature cards had an interval of 21 days or more. ` +
+    `${stats.retention.mature.passed}/${stats.retention.mature.total} mature, ${stats.retention.young.passed}/${stats.retention.young.total} young.`;
+}
+
+// Render the review heatmap, one column per week ending today
+function renderHeatmap(heatmap) {
+  const container = document.getElementById('review-heatmap');
+  container.innerHTML = '';
+  const today = algorithm.getStudyDayStart();
+  const max = Math.max(0, ...heatmap.values());
+  // Start on the weekday that puts today in the last column
+  const first = today - ((HEATMAP_WEEKS - 1) * 7 + new Date(today).getDay()) * DAY_MS;
+
+  for (let index = 0; index < HEATMAP_WEEKS * 7; index++) {
+    const day = algorithm.getStudyDayStart(first + index * DAY_MS + DAY_MS / 2);
+    const cell = document.createElement('div');
+    cell.className = 'heatmap-cell';
+    if (day > today) {
+      cell.classList.add('heatmap-future');
+    } else {
+      const count = heatmap.get(day) || 0;
+      const level = count === 0 || max === 0 ? 0 : Math.ceil((count / max) * 4);
+      cell.classList.add(`heatmap-level-${level}`);
+      cell.title = `${new Date(day).toLocaleDateString()}: ${count} reviews`;
+    }
+    container.appendChild(cell);
+  }
+}
+
+// Render a breakdown table (decks or tags)
+function renderTable(container, rows, nameOf = name => name) {
+  container.innerHTML = '';
+  if (rows.length === 0) {
+    container.innerHTML = '<p class="empty-message">No cards</p>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  const header = table.createTHead().insertRow();
+  ['Name', 'Cards', 'Reviewed', 'Due', 'Mature', 'Avg. ease', `Reviews (${state.days}d)`, 'Retention'].forEach(title => {
+    const cell = document.createElement('th');
+    cell.textContent = title;
+    header.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(row => {
+    const cells = [
+      nameOf(row.name),
+      row.cards,
+      row.reviewed,
+      row.due,
+      row.mature,
+      row.averageEase === null ? '-' : `${row.averageEase}%`,
+      row.reviews,
+      formatRate(row.retention)
+    ];
+    const tableRow = body.insertRow();
+    cells.forEach(text => {
+      tableRow.insertCell().textContent = text;
+    });
+  });
+  container.appendChild(table);
+}
+
+// Compute and render everything for the selected period
+function render() {
+  const stats = computeStatistics({
+    cards: state.cards,
+    flashcardData: flashcardManager.progress.flashcardData,
+    entries: state.entries,
+    days: state.days,
+    now: algorithm.clock.now(),
+    dayStart: time => algorithm.getStudyDayStart(time)
+  });
+
+  renderSummary(stats);
+  renderBars(document.getElementById('forecast-chart'), stats.forecast.map((count, day) => ({
+    label: day % Math.ceil(state.days / 15) === 0 ? (day === 0 ? 'Today' : `+${day}`) : '',
+    count,
+    title: `${day === 0 ? 'Today' : `In ${day} days`}: ${count} cards`
+  })));
+  renderHeatmap(stats.heatmap);
+  renderBars(document.getElementById('ease-chart'), stats.ease.map(bucket => ({
+    label: `${bucket.from}`,
+    count: bucket.count,
+    title: `Ease ${bucket.from}-${bucket.to - 1}%: ${bucket.count} cards`
+  })));
+  renderBars(document.getElementById('interval-chart'), stats.intervals.map(bucket => ({
+    label: bucket.to === Infinity ? `>${formatDays(bucket.from)}` : `≤${formatDays(bucket.to)}`,
+    count: bucket.count
+  })));
+  renderTable(document.getElementById('deck-table'), stats.decks, id => deckRegistry.getDeck(id)?.name || id);
+  renderTable(document.getElementById('tag-table'), stats.tags);
+}
+
+// Read the simulator form: run length, seed and config B
+function readSimulatorForm() {
+  const number = id => Number(document.getElementById(id).value);
+  return {
+    days: Math.min(365, Math.max(1, number('sim-days') || 1)),
+    seed: number('sim-seed') || 0,
+    config: {
+      ...algorithm.config,
+      algorithm: document.getElementById('sim-algorithm').value,
+      requestRetention: Math.min(0.99, Math.max(0.7, number('sim-retention') / 100)),
+      newCardsPerDay: Math.max(0, number('sim-new-cards')),
+      reviewsPerDay: Math.max(1, number('sim-reviews'))
+    }
+  };
+}
+
+// Render one simulated series for both runs, side by side on the same scale
+function renderSimulatedSeries(container, title, runs, valueOf, describe) {
+  const series = runs.map(run => run.days.map(valueOf));
+  const max = Math.max(...series.flat());
+  series.forEach((values, index) => {
+    const heading = document.createElement('h3');
+    heading.textContent = `${title} (${index === 0 ? 'A' : 'B'})`;
+    const chart = document.createElement('div');
+    chart.className = 'bar-chart';
+    const column = document.createElement('div');
+    column.appendChild(heading);
+    column.appendChild(chart);
+    container.appendChild(column);
+
+    renderBars(chart, values.map((count, day) => ({
+      label: day % Math.ceil(values.length / 10) === 0 ? `+${day}` : '',
+      count,
+      title: `Day ${day + 1}: ${describe(count)}`
+    })), max);
+  });
+}
+
+// Run the simulator with the saved settings (A) and the form's settings (B)
+function runSimulator(event) {
+  event.preventDefault();
+  const { days, seed, config } = readSimulatorForm();
+  const activeKeys = flashcardManager.getActiveKeys();
+  const flashcardData = flashcardManager.progress.flashcardData;
+  const runs = compareConfigs({
+    flashcardData: Object.fromEntries(activeKeys.filter(key => flashcardData[key]).map(key => [key, flashcardData[key]])),
+    newCardKeys: activeKeys,
+    days,
+    seed,
+    startTime: algorithm.clock.now()
+  }, algorithm.config, config);
+
+  const [a, b] = runs.map(run => run.totals);
+  const summary = document.getElementById('simulator-summary');
+  summary.innerHTML = '';
+  const table = document.createElement('table');
+  const header = table.createTHead().insertRow();
+  ['', 'A (saved)', 'B'].forEach(text => {
+    const cell = document.createElement('th');
+    cell.textContent = text;
+    header.appendChild(cell);
+  });
+  const body = table.createTBody();
+  [
+    ['Reviews', a.reviews, b.reviews],
+    ['Reviews per day', (a.reviews / days).toFixed(1), (b.reviews / days).toFixed(1)],
+    ['New cards', a.newCards, b.newCards],
+    ['Learning steps', a.learning, b.learning],
+    ['Forgotten', a.lapses, b.lapses],
+    ['Average retention', formatRate(a.averageRetention), formatRate(b.averageRetention)]
+  ].forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+  summary.appendChild(table);
+
+  const charts = document.getElementById('simulator-charts');
+  charts.innerHTML = '';
+  renderSimulatedSeries(charts, 'Reviews', runs, day => day.reviews, count => `${count} reviews`);
+  renderSimulatedSeries(charts, 'New cards', runs, day => day.newCards, count => `${count} new cards`);
+  renderSimulatedSeries(charts, 'Predicted retention', runs,
+    day => day.retention === null ? 0 : Math.round(day.retention * 1000) / 10,
+    count => `${count}%`);
+}
+
+// Fill the simulator form with the saved settings
+function initSimulator() {
+  const select = document.getElementById('sim-algorithm');
+  algorithm.getAvailableAlgorithms().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = algorithm.config.algorithm;
+  document.getElementById('sim-retention').value = Math.round(algorithm.config.requestRetention * 100);
+  document.getElementById('sim-new-cards').value = algorithm.config.newCardsPerDay;
+  document.getElementById('sim-reviews').value = algorithm.config.reviewsPerDay;
+  document.getElementById('simulator-form').addEventListener('submit', runSimulator);
+}
+
+// Load the cards of every deck (disabled decks and generated reverse cards included) and the review log
+async function loadData() {
+  await flashcardManager.init();
+  await loadDebugSettings();
+  // Settings may have changed in the popup since the page was opened
+  algorithm.configLoaded = false;
+  await algorithm.loadConfig();
+  state.cards = deckRegistry.getAllDecks().flatMap(deck =>
+    flashcardManager.getScheduledCards(deck.id).map(card => ({
+      key: getCardKey(deck.id, card.id),
+      deckId: deck.id,
+      tags: card.tags || []
+    }))
+  );
+
+  state.entries = [];
+  if (reviewLog.isAvailable()) {
+    try {
+      state.entries = await reviewLog.getEntries();
+    } catch (error) {
+      console.error('Error loading the review log:', error);
+    }
+  }
+}
+
+// Initialize statistics page
+async function init() {
+  // Progress lives in the same IndexedDB store the service worker uses
+  storage.useProgressStore(progressStore);
+  await loadData();
+  render();
+  initSimulator();
+
+  document.querySelectorAll('.stats-period').forEach(button => {
+    button.addEventListener('click', () => {
+      state.days = Number(button.getAttribute('data-days'));
+      document.querySelectorAll('.stats-period').forEach(other => {
+        other.classList.toggle('active', other === button);
+      });
+      render();
+    });
+  });
+
+  // Reviews, card edits and settings changes made while the page is open
+  reviewClient.onChange(async () => {
+    await loadData();
+    render();
+  });
+}
+
+// Run initialization when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
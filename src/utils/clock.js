@@ -0,0 +1,64 @@
+/**
+ * Clock used for scheduling
+ * The algorithm, scheduler and overlay read the time from a clock instead of
+ * Date.now(), so tests can fix it and the time travel developer mode can move
+ * it forward
+ */
+
+class Clock {
+  /**
+   * @param {number|null} fixedTime - Time the clock stays at, or null to follow the system clock
+   */
+  constructor(fixedTime = null) {
+    this.fixedTime = fixedTime;
+    this.offset = 0;
+  }
+
+  /**
+   * Get the current time
+   * @returns {number} Timestamp in milliseconds
+   */
+  now() {
+    return (this.fixedTime ?? Date.now()) + this.offset;
+  }
+
+  /**
+   * Run the clock ahead of (or behind) the system clock
+   * @param {number} offset - Milliseconds to add to the time
+   */
+  setOffset(offset) {
+    this.offset = Number.isFinite(offset) ? offset : 0;
+  }
+
+  /**
+   * Stop the clock at a time
+   * @param {number|null} time - Timestamp, or null to follow the system clock again
+   */
+  setFixedTime(time) {
+    this.fixedTime = time;
+  }
+
+  /**
+   * Move a fixed clock forward
+   * @param {number} ms - Milliseconds to advance
+   */
+  advance(ms) {
+    if (this.fixedTime === null) {
+      this.offset += ms;
+    } else {
+      this.fixedTime += ms;
+    }
+  }
+}
+
+// Shared clock, moved by the time travel developer setting
+export const clock = new Clock();
+
+/**
+ * Create a separate clock
+ * @param {number|null} fixedTime - Time the clock stays at, or null to follow the system clock
+ * @returns {Clock} Clock
+ */
+export function createClock(fixedTime = null) {
+  return new Clock(fixedTime);
+}
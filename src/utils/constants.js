@@ -5,22 +5,108 @@
 // Storage keys
 export const STORAGE_KEYS = {
   PROGRESS: 'flashcards_progress',
+  // Bumped on every write to the IndexedDB progress store, so other contexts hear about it
+  PROGRESS_UPDATED: 'flashcards_progress_updated',
   EXCLUDED_PAGES: 'excluded_pages',
   ALGORITHM_CONFIG: 'algorithm_config',
   ENABLED: 'flashcards_enabled',
   STOP_DURATION: 'flashcards_stop_duration',
-  STOP_UNTIL: 'flashcards_stop_until'
+  STOP_UNTIL: 'flashcards_stop_until',
+  USER_DECKS: 'user_decks',
+  DECK_SETTINGS: 'deck_settings',
+  USER_CARDS: 'user_cards',
+  SCHEMA_VERSION: 'schema_version',
+  SYNC_SETTINGS: 'sync_settings',
+  SYNC_STATUS: 'sync_status',
+  REVIEW_LOG_SETTINGS: 'review_log_settings',
+  // Entries of the cards moved by the last reschedule, for undo
+  RESCHEDULE_UNDO: 'reschedule_undo',
+  DEBUG_SETTINGS: 'debug_settings'
 };
 
+// Messages handled by the service worker, which owns the scheduling state
+export const MESSAGE_ACTIONS = {
+  GET_NEXT: 'getNext',
+  RECORD_REVIEW: 'recordReview',
+  MARK_FOR_LATER: 'markForLater',
+  STATS: 'stats',
+  RESET_PROGRESS: 'resetProgress',
+  GET_PROGRESS: 'getProgress',
+  SWITCH_ALGORITHM: 'switchAlgorithm',
+  ESTIMATE_WORKLOAD: 'estimateWorkload',
+  PREVIEW_RESCHEDULE: 'previewReschedule',
+  RESCHEDULE_CARDS: 'rescheduleCards',
+  UNDO_RESCHEDULE: 'undoReschedule',
+  SPREAD_OVERDUE: 'spreadOverdue',
+  SUSPEND_CARD: 'suspendCard',
+  BURY_CARD: 'buryCard',
+  GET_LEECHES: 'getLeeches',
+  DELETE_CARD: 'deleteCard',
+  SYNC_NOW: 'syncNow'
+};
+
+// Deck shipped with the extension that legacy (un-namespaced) progress belongs to
+export const DEFAULT_DECK_ID = 'default';
+
+// Decks bundled with the extension (paths are relative to the extension root)
+export const BUNDLED_DECKS = [
+  {
+    id: DEFAULT_DECK_ID,
+    name: 'Python',
+    description: 'Python basics bundled with the extension',
+    path: 'src/data/flashcards.json'
+  }
+];
+
+// Separator between deck id and card id in progress keys (e.g. "default/fc-001")
+export const CARD_KEY_SEPARATOR = '/';
+
+// Appended to a card id for its generated reverse card (e.g. "default/fc-001~reverse");
+// "~" is not allowed in card ids, so it cannot clash with a stored card
+export const REVERSE_CARD_SUFFIX = '~reverse';
+
 // Default algorithm configuration (matching the image settings)
 export const DEFAULT_ALGORITHM_CONFIG = {
-  algorithm: "OSR's variant of SM-2",
+  algorithm: 'sm2', // id in the algorithm registry (src/core/algorithms/registry.js)
+  // SM-2
   baseEase: 250, // minimum = 130, preferably approximately 250
   intervalChangeHard: 50, // newInterval = oldInterval * intervalChange / 100
   easyBonus: 130, // minimum = 100%
+  lapseIntervalPercent: 0, // interval after a lapse = oldInterval * lapseIntervalPercent / 100, at least 1 day
+  // FSRS
+  fsrsWeights: null, // null = default FSRS-4.5 parameters
+  // All algorithms
+  requestRetention: 0.9, // desired retention: recall probability when a card comes due
+  learningSteps: [1, 10], // minutes; new cards graduate after the last step
+  relearningSteps: [10], // minutes; lapsed cards return to review after the last step
+  newCardsPerDay: 20, // new cards introduced per study day
+  reviewsPerDay: 200, // cards in review shown per study day (learning steps are not limited)
+  dayRolloverHour: 4, // local hour at which the study day starts
   enableLoadBalancer: true,
+  loadBalancerDayWeights: [100, 100, 100, 100, 100, 100, 100], // % of a normal day's reviews, Sunday first
   maxIntervalDays: 36525, // default = 100 years
-  maxLinkContribution: 50 // Maximum contribution of weighted ease of linked notes
+  maxLinkContribution: 50, // Maximum contribution of weighted ease of linked cards (see links.js)
+  leechThreshold: 8, // lapses that make a card a leech (again every half as many after); 0 = off
+  leechCountsHard: false, // count Hard answers in review towards the leech threshold too
+  leechAction: 'suspend' // LEECH_ACTIONS: what happens to a card that becomes a leech
+};
+
+// What happens to a card that becomes a leech
+export const LEECH_ACTIONS = {
+  SUSPEND: 'suspend', // flag it and take it out of rotation
+  FLAG: 'flag' // only flag it
+};
+
+// Review log retention (src/core/review-log.js)
+export const DEFAULT_REVIEW_LOG_SETTINGS = {
+  retentionDays: 0, // delete entries older than this; 0 = keep forever
+  compactAfterDays: 90 // drop the time taken and page domain from older entries; 0 = never
+};
+
+// Developer settings for reproducing scheduling by hand
+export const DEFAULT_DEBUG_SETTINGS = {
+  seed: null, // fixed seed for picking new and unshown cards; null = random
+  timeOffset: 0 // milliseconds the scheduling clock runs ahead of real time (time travel)
 };
 
 // UI defaults
@@ -39,12 +125,22 @@ export const FLASHCARD_STATES = {
 
 // Review difficulty levels
 export const REVIEW_DIFFICULTY = {
+  AGAIN: 'again',
   HARD: 'hard',
   GOOD: 'good',
   EASY: 'easy'
 };
 
-// Default review intervals (in days) for first-time reviews
+// Where a card is in its life cycle (flashcardData.phase)
+// Cards saved before phases existed have none: reviewed cards count as in review
+export const CARD_PHASES = {
+  NEW: 'new',
+  LEARNING: 'learning', // going through the learning steps
+  REVIEW: 'review',
+  RELEARNING: 'relearning' // lapsed, going through the relearning steps
+};
+
+// Default review intervals (in days) for the review that graduates a new card
 export const DEFAULT_INTERVALS = {
   [REVIEW_DIFFICULTY.HARD]: 0.5, // 12 hours
   [REVIEW_DIFFICULTY.GOOD]: 1,
@@ -0,0 +1,86 @@
+/**
+ * Seeded pseudo-random numbers
+ * Simulations and the scheduler draw from these instead of Math.random so the
+ * same seed gives the same run
+ */
+
+/**
+ * Create a random number generator (mulberry32)
+ * @param {number} seed - Any integer; the same seed gives the same sequence
+ * @returns {Function} Returns the next number in [0, 1) on each call
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a key at random in proportion to its weight
+ * @param {Function} random - Generator from createRandom
+ * @param {Object<string, number>} weights - Weight of each key
+ * @returns {string} Chosen key
+ */
+export function pickWeighted(random, weights) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let target = random() * total;
+  for (const [key, weight] of entries) {
+    target -= weight;
+    if (target < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+class RandomSource {
+  /**
+   * @param {number|null} seed - Seed, or null for Math.random
+   */
+  constructor(seed = null) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Start a seeded sequence, or go back to Math.random
+   * Setting the same seed again restarts its sequence
+   * @param {number|null} seed - Seed, or null for Math.random
+   */
+  setSeed(seed) {
+    this.seed = Number.isInteger(seed) ? seed : null;
+    this.generator = this.seed === null ? Math.random : createRandom(this.seed);
+  }
+
+  /**
+   * Get the next number
+   * @returns {number} Number in [0, 1)
+   */
+  next() {
+    return this.generator();
+  }
+
+  /**
+   * Pick an item of a list
+   * @param {Array} items - Items (not empty)
+   * @returns {*} One of the items
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+// Shared random source for the scheduler; the debug seed setting fixes it
+export const randomSource = new RandomSource();
+
+/**
+ * Create a separate random source
+ * @param {number|null} seed - Seed, or null for Math.random
+ * @returns {RandomSource} Random source
+ */
+export function createRandomSource(seed = null) {
+  return new RandomSource(seed);
+}
@@ -0,0 +1,102 @@
+/**
+ * Minimal ZIP reader for importing packages (e.g. Anki .apkg files)
+ * Supports stored and deflated entries using the built-in DecompressionStream
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Find the end-of-central-directory record by scanning back from the end
+ * @param {DataView} view - ZIP file view
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory(view) {
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a ZIP file: end of central directory not found');
+}
+
+/**
+ * Inflate raw deflate data
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Open a ZIP archive
+ * @param {ArrayBuffer} buffer - ZIP file contents
+ * @returns {{names: string[], has: Function, read: Function, readText: Function}} Archive reader;
+ *   read(name) resolves to the entry's bytes
+ */
+export function openZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+  const endOffset = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP file: invalid central directory entry');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const read = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`"${name}" not found in archive`);
+    }
+
+    const header = entry.localHeaderOffset;
+    if (view.getUint32(header, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP file: invalid local header for "${name}"`);
+    }
+    const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+      return data.slice();
+    }
+    if (entry.method === METHOD_DEFLATED) {
+      return await inflateRaw(data);
+    }
+    throw new Error(`Unsupported compression method ${entry.method} for "${name}"`);
+  };
+
+  return {
+    names: [...entries.keys()],
+    has: name => entries.has(name),
+    read,
+    readText: async name => decoder.decode(await read(name))
+  };
+}
@@ -2,9 +2,11 @@
  * Tests for spaced repetition algorithm
  */
 
-import { test, expect } from 'bun:test';
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
 import { algorithm } from '../src/core/algorithm.js';
-import { REVIEW_DIFFICULTY } from '../src/utils/constants.js';
+import { REVIEW_DIFFICULTY, DEFAULT_ALGORITHM_CONFIG, CARD_PHASES } from '../src/utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 test('algorithm calculates review intervals correctly for first review', () => {
   const flashcardData = {
@@ -14,15 +16,19 @@ test('algorithm calculates review intervals correctly for first review', () => {
     lastReview: null
   };
 
+  // Hard and Good stay in the learning steps (minutes), Easy graduates
   const hardResult = algorithm.calculateReview(flashcardData, REVIEW_DIFFICULTY.HARD);
-  expect(hardResult.interval).toBeGreaterThan(0);
+  expect(hardResult.phase).toBe(CARD_PHASES.LEARNING);
+  expect(hardResult.dueDate).toBeGreaterThan(hardResult.lastReview);
   expect(hardResult.reviewCount).toBe(1);
 
   const goodResult = algorithm.calculateReview(flashcardData, REVIEW_DIFFICULTY.GOOD);
-  expect(goodResult.interval).toBeGreaterThan(0);
+  expect(goodResult.phase).toBe(CARD_PHASES.LEARNING);
+  expect(goodResult.dueDate).toBeGreaterThan(hardResult.dueDate);
   expect(goodResult.reviewCount).toBe(1);
 
   const easyResult = algorithm.calculateReview(flashcardData, REVIEW_DIFFICULTY.EASY);
+  expect(easyResult.phase).toBe(CARD_PHASES.REVIEW);
   expect(easyResult.interval).toBeGreaterThan(0);
   expect(easyResult.reviewCount).toBe(1);
 });
@@ -109,3 +115,156 @@ test('algorithm checks if flashcard is due', () => {
   expect(algorithm.isDue({})).toBe(true); // No dueDate means it's due
 });
 
+
+describe('load balancer', () => {
+  const savedConfig = algorithm.config;
+  const savedLoaded = algorithm.configLoaded;
+
+  beforeEach(() => {
+    algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG, enableLoadBalancer: true };
+    algorithm.configLoaded = true;
+  });
+
+  afterEach(() => {
+    algorithm.config = savedConfig;
+    algorithm.configLoaded = savedLoaded;
+  });
+
+  // Review a burst of cards that all get the same 10 day interval
+  const reviewBurst = (count) => {
+    const dueDates = [];
+    for (let i = 0; i < count; i++) {
+      const result = algorithm.calculateReview(
+        { reviewCount: 1, ease: 250, interval: 4, lastReview: Date.now() - 4 * DAY_MS },
+        REVIEW_DIFFICULTY.GOOD,
+        dueDates
+      );
+      dueDates.push(result.dueDate);
+    }
+    return dueDates;
+  };
+
+  const countByDay = (dueDates) => {
+    const counts = new Map();
+    dueDates.forEach(dueDate => {
+      const day = new Date(dueDate).toDateString();
+      counts.set(day, (counts.get(day) || 0) + 1);
+    });
+    return counts;
+  };
+
+  test('leaves short intervals alone', () => {
+    expect(algorithm.getFuzzRange(2)).toBe(0);
+    expect(algorithm.applyLoadBalancer(2, [Date.now() + 2 * DAY_MS])).toBe(2);
+    expect(algorithm.getFuzzRange(10)).toBe(2);
+  });
+
+  test('spreads a burst of same-interval cards evenly', () => {
+    const counts = countByDay(reviewBurst(20));
+
+    // 10 days ± 2 gives five days with four cards each
+    expect(counts.size).toBe(5);
+    expect([...counts.values()]).toEqual([4, 4, 4, 4, 4]);
+  });
+
+  test('moves a card away from a day that is already busy', () => {
+    const now = Date.now();
+    const busy = Array(5).fill(now + 10 * DAY_MS);
+
+    const interval = algorithm.applyLoadBalancer(10, busy, now);
+    expect(interval).not.toBe(10);
+    expect(Math.abs(interval - 10)).toBeLessThanOrEqual(2);
+  });
+
+  test('takes due counts kept up to date instead of due dates', () => {
+    const now = Date.now();
+    const busy = Array(5).fill(now + 10 * DAY_MS);
+    const counts = algorithm.countDueByDay(busy);
+
+    expect(algorithm.applyLoadBalancer(10, counts, now)).toBe(algorithm.applyLoadBalancer(10, busy, now));
+
+    // Taking the busy day's cards off frees it again
+    busy.forEach(dueDate => algorithm.addDueCount(counts, dueDate, -1));
+    expect(algorithm.applyLoadBalancer(10, counts, now)).toBe(10);
+  });
+
+  test('follows the weekday weights', () => {
+    // Keep weekends free
+    algorithm.config.loadBalancerDayWeights = [0, 100, 100, 100, 100, 100, 0];
+
+    const dueDates = reviewBurst(20);
+    dueDates.forEach(dueDate => {
+      expect([0, 6]).not.toContain(new Date(dueDate).getDay());
+    });
+  });
+});
+
+describe('learning steps', () => {
+  const savedConfig = algorithm.config;
+  const savedLoaded = algorithm.configLoaded;
+  const MINUTE_MS = 60 * 1000;
+
+  beforeEach(() => {
+    algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG, enableLoadBalancer: false };
+    algorithm.configLoaded = true;
+  });
+
+  afterEach(() => {
+    algorithm.config = savedConfig;
+    algorithm.configLoaded = savedLoaded;
+  });
+
+  const delay = (result) => result.dueDate - result.lastReview;
+  const newCard = { reviewCount: 0, interval: 0, lastReview: null };
+  const reviewCard = { reviewCount: 5, ease: 250, interval: 20, lastReview: Date.now() - 20 * DAY_MS };
+
+  test('new cards go through the steps before graduating', () => {
+    expect(delay(algorithm.calculateReview(newCard, REVIEW_DIFFICULTY.AGAIN))).toBe(MINUTE_MS);
+    expect(delay(algorithm.calculateReview(newCard, REVIEW_DIFFICULTY.HARD))).toBe(5.5 * MINUTE_MS);
+
+    const firstStep = algorithm.calculateReview(newCard, REVIEW_DIFFICULTY.GOOD);
+    expect(firstStep).toMatchObject({ phase: CARD_PHASES.LEARNING, step: 1, interval: 0 });
+    expect(delay(firstStep)).toBe(10 * MINUTE_MS);
+
+    const graduated = algorithm.calculateReview(firstStep, REVIEW_DIFFICULTY.GOOD);
+    expect(graduated).toMatchObject({ phase: CARD_PHASES.REVIEW, interval: 1, ease: 250, reviewCount: 2 });
+
+    const again = algorithm.calculateReview(firstStep, REVIEW_DIFFICULTY.AGAIN);
+    expect(again).toMatchObject({ phase: CARD_PHASES.LEARNING, step: 0 });
+  });
+
+  test('easy graduates a new card straight away', () => {
+    const result = algorithm.calculateReview(newCard, REVIEW_DIFFICULTY.EASY);
+    expect(result).toMatchObject({ phase: CARD_PHASES.REVIEW, interval: 4 });
+  });
+
+  test('again on a card in review counts a lapse and relearns it', () => {
+    const lapsed = algorithm.calculateReview(reviewCard, REVIEW_DIFFICULTY.AGAIN);
+    expect(lapsed).toMatchObject({ phase: CARD_PHASES.RELEARNING, step: 0, lapses: 1, ease: 230, interval: 1 });
+    expect(delay(lapsed)).toBe(10 * MINUTE_MS);
+
+    const relearned = algorithm.calculateReview(lapsed, REVIEW_DIFFICULTY.GOOD);
+    expect(relearned).toMatchObject({ phase: CARD_PHASES.REVIEW, interval: 1, lapses: 1, ease: 230 });
+    expect(delay(relearned)).toBe(DAY_MS);
+  });
+
+  test('applies the lapse interval percentage', () => {
+    algorithm.config = { ...algorithm.config, lapseIntervalPercent: 50, relearningSteps: [] };
+
+    const lapsed = algorithm.calculateReview({ ...reviewCard, lapses: 2 }, REVIEW_DIFFICULTY.AGAIN);
+    expect(lapsed).toMatchObject({ phase: CARD_PHASES.REVIEW, interval: 10, lapses: 3 });
+    expect(delay(lapsed)).toBe(10 * DAY_MS);
+  });
+
+  test('new cards graduate on the first answer without steps', () => {
+    algorithm.config = { ...algorithm.config, learningSteps: [] };
+
+    expect(algorithm.calculateReview(newCard, REVIEW_DIFFICULTY.GOOD)).toMatchObject({ phase: CARD_PHASES.REVIEW, interval: 1 });
+    expect(algorithm.calculateReview(newCard, REVIEW_DIFFICULTY.AGAIN).phase).toBe(CARD_PHASES.LEARNING);
+  });
+
+  test('reset sends a card back to new', () => {
+    const lapsed = algorithm.calculateReview(reviewCard, REVIEW_DIFFICULTY.AGAIN);
+    expect(algorithm.resetFlashcard(lapsed)).toMatchObject({ phase: CARD_PHASES.NEW, step: 0, lapses: 0, reviewCount: 0 });
+  });
+});
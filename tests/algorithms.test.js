@@ -0,0 +1,234 @@
+/**
+ * Tests for the algorithm registry, FSRS and overdue reviews
+ */
+
+import { describe, test, expect, afterEach } from 'bun:test';
+import { getAlgorithm, normalizeConfig, convertProgress } from '../src/core/algorithms/registry.js';
+import { fsrs, DEFAULT_FSRS_WEIGHTS, retrievability, intervalForRetention, retentionScale } from '../src/core/algorithms/fsrs.js';
+import { sm2 } from '../src/core/algorithms/sm2.js';
+import { algorithm } from '../src/core/algorithm.js';
+import { reviewService } from '../src/background/review-service.js';
+import { storage } from '../src/core/storage.js';
+import { deckRegistry } from '../src/core/decks.js';
+import { scheduler } from '../src/core/scheduler.js';
+import { DEFAULT_ALGORITHM_CONFIG, REVIEW_DIFFICULTY, STORAGE_KEYS } from '../src/utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = 1704067200000;
+const FSRS_CONFIG = { ...DEFAULT_ALGORITHM_CONFIG, algorithm: 'fsrs' };
+
+describe('registry', () => {
+  test('finds algorithms by id and by the name older configs stored', () => {
+    expect(getAlgorithm('fsrs')).toBe(fsrs);
+    expect(getAlgorithm("OSR's variant of SM-2").id).toBe('sm2');
+    expect(getAlgorithm('unknown').id).toBe('sm2');
+  });
+
+  test('clamps settings to their limits', () => {
+    const config = normalizeConfig({
+      ...DEFAULT_ALGORITHM_CONFIG,
+      algorithm: "OSR's variant of SM-2",
+      baseEase: 100,
+      requestRetention: 1.5,
+      fsrsWeights: [1, 2, 3]
+    }, DEFAULT_ALGORITHM_CONFIG);
+
+    expect(config.algorithm).toBe('sm2');
+    expect(config.baseEase).toBe(130);
+    expect(config.requestRetention).toBe(0.99);
+    expect(config.fsrsWeights).toBe(DEFAULT_ALGORITHM_CONFIG.fsrsWeights);
+  });
+
+  test('converts card state both ways and keeps the schedule', () => {
+    const progress = {
+      completed: ['python/fc-1'],
+      repeatLater: [],
+      flashcardData: {
+        'python/fc-1': { reviewCount: 3, ease: 230, interval: 12, lastReview: T0, dueDate: T0 + 12 * DAY_MS },
+        'python/fc-2': { reviewCount: 0, interval: 0, lastReview: null }
+      }
+    };
+
+    const converted = convertProgress(progress, 'sm2', 'fsrs', DEFAULT_ALGORITHM_CONFIG);
+    const card = converted.flashcardData['python/fc-1'];
+    expect(card.ease).toBeUndefined();
+    expect(card.stability).toBe(12);
+    expect(card.fsrsDifficulty).toBeGreaterThan(1);
+    expect(card.dueDate).toBe(T0 + 12 * DAY_MS);
+    expect(converted.flashcardData['python/fc-2']).toBe(progress.flashcardData['python/fc-2']);
+
+    const back = convertProgress(converted, 'fsrs', 'sm2', DEFAULT_ALGORITHM_CONFIG);
+    // SM-2 now keeps the stability the interval was derived from
+    expect(back.flashcardData['python/fc-1']).toEqual({ ...progress.flashcardData['python/fc-1'], stability: 12 });
+  });
+});
+
+describe('FSRS', () => {
+  test('retrievability is 90% after one stability', () => {
+    expect(retrievability(7, 7)).toBeCloseTo(0.9, 10);
+    expect(intervalForRetention(7, 0.9)).toBeCloseTo(7, 10);
+    expect(intervalForRetention(7, 0.8)).toBeGreaterThan(7);
+  });
+
+  test('first review uses the initial stability of the grade', () => {
+    const first = { reviewCount: 0 };
+    expect(fsrs.review(first, REVIEW_DIFFICULTY.HARD, FSRS_CONFIG, T0).state.stability).toBe(DEFAULT_FSRS_WEIGHTS[1]);
+    expect(fsrs.review(first, REVIEW_DIFFICULTY.GOOD, FSRS_CONFIG, T0).interval).toBeCloseTo(DEFAULT_FSRS_WEIGHTS[2], 10);
+    expect(fsrs.review(first, REVIEW_DIFFICULTY.EASY, FSRS_CONFIG, T0).state.stability).toBe(DEFAULT_FSRS_WEIGHTS[3]);
+  });
+
+  test('stability grows most for easy and least for hard', () => {
+    const entry = { reviewCount: 1, stability: 4, fsrsDifficulty: 5, lastReview: T0 };
+    const now = T0 + 4 * DAY_MS;
+    const hard = fsrs.review(entry, REVIEW_DIFFICULTY.HARD, FSRS_CONFIG, now).state;
+    const good = fsrs.review(entry, REVIEW_DIFFICULTY.GOOD, FSRS_CONFIG, now).state;
+    const easy = fsrs.review(entry, REVIEW_DIFFICULTY.EASY, FSRS_CONFIG, now).state;
+
+    expect(good.stability).toBeGreaterThan(4);
+    expect(hard.stability).toBeLessThan(good.stability);
+    expect(easy.stability).toBeGreaterThan(good.stability);
+    expect(hard.fsrsDifficulty).toBeGreaterThan(easy.fsrsDifficulty);
+  });
+
+  test('a lower desired retention gives longer intervals', () => {
+    const entry = { reviewCount: 1, stability: 4, fsrsDifficulty: 5, lastReview: T0 };
+    const now = T0 + 4 * DAY_MS;
+    const high = fsrs.review(entry, REVIEW_DIFFICULTY.GOOD, { ...FSRS_CONFIG, requestRetention: 0.95 }, now);
+    const low = fsrs.review(entry, REVIEW_DIFFICULTY.GOOD, { ...FSRS_CONFIG, requestRetention: 0.8 }, now);
+    expect(low.interval).toBeGreaterThan(high.interval);
+  });
+});
+
+describe('desired retention', () => {
+  const savedConfig = algorithm.config;
+
+  afterEach(() => {
+    algorithm.config = savedConfig;
+    algorithm.configLoaded = false;
+  });
+
+  test('leaves SM-2 intervals unchanged at 90%', () => {
+    expect(retentionScale(0.9)).toBe(1);
+    const result = sm2.review({ reviewCount: 2, interval: 10, ease: 250 }, REVIEW_DIFFICULTY.GOOD, DEFAULT_ALGORITHM_CONFIG);
+    expect(result.interval).toBe(25);
+    expect(result.state).toEqual({ ease: 250, stability: 25 });
+  });
+
+  test('derives SM-2 intervals from the stability without compounding', () => {
+    const config = { ...DEFAULT_ALGORITHM_CONFIG, requestRetention: 0.8 };
+    const first = sm2.review({ reviewCount: 2, interval: 10, ease: 250 }, REVIEW_DIFFICULTY.GOOD, config);
+    expect(first.interval).toBeCloseTo(25 * retentionScale(0.8), 6);
+    expect(first.interval).toBeGreaterThan(25);
+
+    // The next review grows the stability, not the stretched interval
+    const second = sm2.review({ reviewCount: 3, interval: first.interval, ...first.state }, REVIEW_DIFFICULTY.GOOD, config);
+    expect(second.state.stability).toBe(62.5);
+    expect(second.interval).toBeCloseTo(62.5 * retentionScale(0.8), 6);
+  });
+
+  test('predicts recall at the due date from the stability', () => {
+    const config = { ...DEFAULT_ALGORITHM_CONFIG, requestRetention: 0.85 };
+    const { interval, state } = sm2.review({ reviewCount: 2, interval: 10, ease: 250 }, REVIEW_DIFFICULTY.GOOD, config);
+    expect(retrievability(interval, state.stability)).toBeCloseTo(0.85, 6);
+  });
+
+  test('estimates fewer reviews a day for a lower target', () => {
+    algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG };
+    const flashcardData = {
+      'python/fc-1': { reviewCount: 3, interval: 2, stability: 2, ease: 250 },
+      'python/fc-2': { reviewCount: 3, interval: 5, ease: 250 },
+      'python/fc-3': { reviewCount: 0 }
+    };
+
+    expect(algorithm.estimateWorkload(flashcardData)).toBe(0.7);
+    expect(algorithm.estimateWorkload(flashcardData, 0.8)).toBeLessThan(0.7);
+    expect(algorithm.estimateWorkload(flashcardData, 0.97)).toBeGreaterThan(0.7);
+  });
+});
+
+describe('overdue reviews', () => {
+  // Reviewed at T0 with a 10 day interval
+  const entry = { reviewCount: 3, interval: 10, stability: 10, ease: 250, lastReview: T0 };
+  const review = (difficulty, daysLater, config = DEFAULT_ALGORITHM_CONFIG) =>
+    sm2.review(entry, difficulty, config, T0 + daysLater * DAY_MS).state.stability;
+
+  test('credits SM-2 Good and Easy with the overdue days, Hard with part of them', () => {
+    // 20 days overdue
+    expect(review(REVIEW_DIFFICULTY.GOOD, 10)).toBe(25);
+    expect(review(REVIEW_DIFFICULTY.GOOD, 30)).toBe((10 + 10) * 2.5);
+    expect(review(REVIEW_DIFFICULTY.EASY, 30)).toBe((10 + 20) * 2.5 * DEFAULT_ALGORITHM_CONFIG.easyBonus / 100);
+    expect(review(REVIEW_DIFFICULTY.HARD, 30)).toBe((10 + 5) * DEFAULT_ALGORITHM_CONFIG.intervalChangeHard / 100);
+    expect(review(REVIEW_DIFFICULTY.AGAIN, 30)).toBe(review(REVIEW_DIFFICULTY.AGAIN, 10));
+  });
+
+  test('gives no credit for early reviews', () => {
+    expect(review(REVIEW_DIFFICULTY.GOOD, 5)).toBe(25);
+  });
+
+  test('converts the overdue days to stability at the desired retention', () => {
+    const config = { ...DEFAULT_ALGORITHM_CONFIG, requestRetention: 0.8 };
+    expect(review(REVIEW_DIFFICULTY.EASY, 30, config)).toBeCloseTo((10 + 20 / retentionScale(0.8)) * 2.5 * config.easyBonus / 100, 3);
+  });
+
+  test('FSRS grows stability more the longer a recalled card was overdue', () => {
+    const card = { reviewCount: 3, interval: 10, stability: 10, fsrsDifficulty: 5, lastReview: T0 };
+    const onTime = fsrs.review(card, REVIEW_DIFFICULTY.GOOD, FSRS_CONFIG, T0 + 10 * DAY_MS).state.stability;
+    expect(fsrs.review(card, REVIEW_DIFFICULTY.GOOD, FSRS_CONFIG, T0 + 30 * DAY_MS).state.stability).toBeGreaterThan(onTime);
+  });
+});
+
+describe('switching algorithms', () => {
+  const savedConfig = algorithm.config;
+
+  afterEach(() => {
+    algorithm.config = savedConfig;
+    algorithm.configLoaded = false;
+  });
+
+  test('reviews use the configured algorithm', () => {
+    algorithm.config = { ...FSRS_CONFIG, learningSteps: [], enableLoadBalancer: false };
+    algorithm.configLoaded = true;
+
+    const result = algorithm.calculateReview({ reviewCount: 0 }, REVIEW_DIFFICULTY.GOOD);
+    expect(result.stability).toBe(DEFAULT_FSRS_WEIGHTS[2]);
+    expect(result.ease).toBeUndefined();
+    expect(result.interval).toBeCloseTo(DEFAULT_FSRS_WEIGHTS[2], 2);
+  });
+
+  test('the review service converts stored progress', async () => {
+    const local = {
+      [STORAGE_KEYS.ALGORITHM_CONFIG]: { ...DEFAULT_ALGORITHM_CONFIG, algorithm: "OSR's variant of SM-2" },
+      [STORAGE_KEYS.PROGRESS]: {
+        completed: ['python/fc-1'],
+        repeatLater: [],
+        flashcardData: {
+          'python/fc-1': { reviewCount: 2, ease: 250, interval: 6, lastReview: T0, dueDate: T0 + 6 * DAY_MS }
+        }
+      }
+    };
+    const schedulerDependencies = [scheduler.flashcardManager, scheduler.algorithm];
+    storage.get = async (key, defaultValue) => key in local ? structuredClone(local[key]) : defaultValue;
+    storage.set = async (key, value) => { local[key] = structuredClone(value); return true; };
+    deckRegistry.loadBundledDecks = async () => [
+      { id: 'python', name: 'Python', bundled: true, flashcards: [{ id: 'fc-1', question: 'Q', answer: 'A', tags: [] }] }
+    ];
+    reviewService.ready = null;
+    reviewService.queue = Promise.resolve();
+    reviewService.stale = { progress: false, cards: false, config: false };
+
+    try {
+      await reviewService.switchAlgorithm({ ...local[STORAGE_KEYS.ALGORITHM_CONFIG], algorithm: 'fsrs' });
+    } finally {
+      delete storage.get;
+      delete storage.set;
+      delete deckRegistry.loadBundledDecks;
+      scheduler.setDependencies(...schedulerDependencies);
+    }
+
+    expect(local[STORAGE_KEYS.ALGORITHM_CONFIG].algorithm).toBe('fsrs');
+    const card = local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-1'];
+    expect(card.stability).toBe(6);
+    expect(card.ease).toBeUndefined();
+    expect(card.dueDate).toBe(T0 + 6 * DAY_MS);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Tests for Anki .apkg import
+ */
+
+import { test, expect, beforeAll } from 'bun:test';
+import { deflateRawSync } from 'node:zlib';
+import initSqlJs from 'sql.js';
+import { openZip } from '../src/utils/zip.js';
+import { importApkg, ankiCardToProgress } from '../src/core/importers/apkg.js';
+import { algorithm } from '../src/core/algorithm.js';
+import { CARD_PHASES, DEFAULT_ALGORITHM_CONFIG } from '../src/utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CREATED = 1700000000; // collection creation, seconds
+const LAST_REVIEW = 1700864000000;
+
+let SQL;
+
+beforeAll(async () => {
+  SQL = await initSqlJs();
+});
+
+// Build a ZIP archive; entries with deflate: true are compressed
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data, deflate }) => {
+    const nameBytes = encoder.encode(name);
+    const stored = deflate ? new Uint8Array(deflateRawSync(data)) : data;
+    const local = new Uint8Array(30 + nameBytes.length + stored.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(8, deflate ? 8 : 0, true);
+    localView.setUint32(18, stored.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(stored, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(10, deflate ? 8 : 0, true);
+    centralView.setUint32(20, stored.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, nameBytes.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  });
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, end];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip.buffer;
+}
+
+// Build a legacy-schema (collection.anki2) collection
+function buildCollection() {
+  const db = new SQL.Database();
+  db.run(`
+    CREATE TABLE col (id integer primary key, crt integer, models text, decks text);
+    CREATE TABLE notes (id integer primary key, mid integer, tags text, flds text);
+    CREATE TABLE cards (id integer primary key, nid integer, did integer, ord integer, type integer,
+      queue integer, due integer, ivl integer, factor integer, reps integer, lapses integer,
+      odue integer, odid integer);
+    CREATE TABLE revlog (id integer primary key, cid integer);
+  `);
+
+  const models = {
+    10: { id: 10, name: 'Basic (and reversed card)', type: 0 },
+    20: { id: 20, name: 'Cloze', type: 1 }
+  };
+  const decks = {
+    1: { id: 1, name: 'Default' },
+    2: { id: 2, name: 'Languages::Spanish' },
+    3: { id: 3, name: 'Filtered' }
+  };
+  db.run('INSERT INTO col VALUES (1, ?, ?, ?)', [CREATED, JSON.stringify(models), JSON.stringify(decks)]);
+
+  const notes = [
+    [100, 10, ' spanish vocab ', 'el perro\x1fthe <b>dog</b>'],
+    [200, 20, '', 'The {{c1::GIL::lock}} limits {{c2::threads}}\x1fPython detail'],
+    [300, 10, '', 'Picture <img src="dog.png">\x1fSound [sound:bark.mp3]']
+  ];
+  notes.forEach(note => db.run('INSERT INTO notes VALUES (?, ?, ?, ?)', note));
+
+  const cards = [
+    // id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses, odue, odid
+    [1001, 100, 2, 0, 2, 2, 20, 15, 2300, 6, 1, 0, 0], // review card, due day 20
+    [1002, 100, 2, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0], // new reversed card
+    [2001, 200, 3, 0, 2, 2, 0, 7, 2500, 3, 0, 12, 1], // review card in a filtered deck
+    [2002, 200, 1, 1, 1, 1, 1700900000, -600, 2500, 1, 0, 0, 0], // learning card, due in seconds
+    [3001, 300, 1, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0]
+  ];
+  cards.forEach(card => db.run('INSERT INTO cards VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', card));
+  db.run('INSERT INTO revlog VALUES (?, 1001), (?, 1001)', [LAST_REVIEW - DAY_MS, LAST_REVIEW]);
+
+  const bytes = db.export();
+  db.close();
+  return bytes;
+}
+
+function buildPackage() {
+  return buildZip([
+    { name: 'collection.anki2', data: buildCollection() },
+    { name: 'media', data: new TextEncoder().encode(JSON.stringify({ 0: 'dog.png' })), deflate: true },
+    { name: '0', data: new Uint8Array([1, 2, 3]) }
+  ]);
+}
+
+test('openZip reads stored and deflated entries', async () => {
+  const zip = openZip(buildZip([
+    { name: 'a.txt', data: new TextEncoder().encode('stored') },
+    { name: 'b.txt', data: new TextEncoder().encode('deflated '.repeat(20)), deflate: true }
+  ]));
+
+  expect(zip.names).toEqual(['a.txt', 'b.txt']);
+  expect(await zip.readText('a.txt')).toBe('stored');
+  expect(await zip.readText('b.txt')).toBe('deflated '.repeat(20));
+  await expect(zip.read('missing')).rejects.toThrow('not found');
+  expect(() => openZip(new ArrayBuffer(10))).toThrow('Not a ZIP file');
+});
+
+test('importApkg keeps Anki decks, tags and card templates', async () => {
+  const { decks } = await importApkg(buildPackage(), { SQL, defaultDeckId: 'default' });
+  const byId = Object.fromEntries(decks.map(deck => [deck.deckId, deck]));
+
+  expect(Object.keys(byId).sort()).toEqual(['anki-default', 'anki-languages-spanish']);
+  expect(byId['anki-languages-spanish'].deckName).toBe('Languages::Spanish');
+
+  const spanish = byId['anki-languages-spanish'].cards;
+  expect(spanish.map(card => [card.id, card.question, card.answer])).toEqual([
+    ['anki-1001', 'el perro', 'the dog'],
+    ['anki-1002', 'the dog', 'el perro']
+  ]);
+  expect(spanish[0].tags).toEqual(['spanish', 'vocab']);
+
+  // The filtered-deck card goes back to its original deck
+  const cloze = byId['anki-default'].cards.filter(card => card.id.startsWith('anki-200'));
+  expect(cloze.map(card => card.question)).toEqual([
+    'The [lock] limits threads',
+    'The GIL limits [...]'
+  ]);
+  expect(cloze[0].answer).toBe('The GIL limits threads\n\nPython detail');
+});
+
+test('importApkg puts every card in the target deck when keepDecks is off', async () => {
+  const { decks } = await importApkg(buildPackage(), { SQL, defaultDeckId: 'python', keepDecks: false });
+
+  expect(decks).toHaveLength(1);
+  expect(decks[0].deckId).toBe('python');
+  expect(decks[0].cards).toHaveLength(5);
+});
+
+test('importApkg translates review state into progress', async () => {
+  const { decks } = await importApkg(buildPackage(), { SQL, defaultDeckId: 'default', keepDecks: false });
+  const { progress } = decks[0];
+
+  expect(Object.keys(progress).sort()).toEqual(['anki-1001', 'anki-2001', 'anki-2002']);
+  expect(progress['anki-1001']).toEqual({
+    reviewCount: 6,
+    ease: 230,
+    interval: 15,
+    lastReview: LAST_REVIEW,
+    dueDate: CREATED * 1000 + 20 * DAY_MS,
+    difficulty: null,
+    lapses: 1,
+    phase: CARD_PHASES.REVIEW,
+    step: 0
+  });
+
+  // Filtered decks keep the original due day in odue
+  expect(progress['anki-2001'].dueDate).toBe(CREATED * 1000 + 12 * DAY_MS);
+  expect(progress['anki-2001'].lastReview).toBe(CREATED * 1000 + 5 * DAY_MS);
+
+  // Learning cards are due at a timestamp and have negative (seconds) intervals
+  expect(progress['anki-2002'].dueDate).toBe(1700900000 * 1000);
+  expect(progress['anki-2002'].interval).toBe(0.01);
+  expect(progress['anki-2002'].phase).toBe(CARD_PHASES.LEARNING);
+});
+
+test('importApkg reports media missing from the package', async () => {
+  const { decks, missingMedia } = await importApkg(buildPackage(), { SQL, defaultDeckId: 'default' });
+  const card = decks.flatMap(deck => deck.cards).find(c => c.id === 'anki-3001');
+
+  expect(card.question).toBe('Picture [image: dog.png]');
+  expect(card.answer).toBe('Sound [sound: bark.mp3]');
+  expect(missingMedia).toHaveLength(1);
+  expect(missingMedia[0].row).toBe('card 3001');
+  expect(missingMedia[0].reason).toContain('bark.mp3');
+});
+
+test('importApkg skips cards that already exist', async () => {
+  const { decks } = await importApkg(buildPackage(), {
+    SQL,
+    defaultDeckId: 'default',
+    getExistingCards: deckId => deckId === 'anki-languages-spanish'
+      ? [{ id: 'anki-1001', question: 'el perro', answer: 'the dog' }]
+      : []
+  });
+  const spanish = decks.find(deck => deck.deckId === 'anki-languages-spanish');
+
+  expect(spanish.cards.map(card => card.id)).toEqual(['anki-1002']);
+  expect(spanish.duplicates).toHaveLength(1);
+  expect(spanish.progress).toEqual({});
+});
+
+test('importApkg rejects packages without a readable collection', async () => {
+  const newFormat = buildZip([{ name: 'collection.anki21b', data: new Uint8Array([0]) }]);
+  await expect(importApkg(newFormat, { SQL, defaultDeckId: 'default' })).rejects.toThrow('Support older Anki versions');
+
+  const empty = buildZip([{ name: 'media', data: new TextEncoder().encode('{}') }]);
+  await expect(importApkg(empty, { SQL, defaultDeckId: 'default' })).rejects.toThrow('no collection found');
+});
+
+test('ankiCardToProgress leaves new cards unscheduled', () => {
+  expect(ankiCardToProgress({ type: 0 }, CREATED * 1000)).toBeNull();
+});
+
+test('learning and relearning cards continue through the steps', () => {
+  const saved = { config: algorithm.config, configLoaded: algorithm.configLoaded };
+  algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG, enableLoadBalancer: false };
+  algorithm.configLoaded = true;
+  const due = 1700900000;
+
+  try {
+    // A learning card graduates to a real interval instead of staying at 0
+    let learning = ankiCardToProgress({ type: 1, due, ivl: 0, factor: 2500, reps: 1, lapses: 0 }, CREATED * 1000);
+    expect(learning).toMatchObject({ phase: CARD_PHASES.LEARNING, step: 0, interval: 0 });
+    learning = algorithm.calculateReview(learning, 'good');
+    expect(learning.phase).toBe(CARD_PHASES.LEARNING);
+    learning = algorithm.calculateReview(learning, 'good');
+    expect(learning.phase).toBe(CARD_PHASES.REVIEW);
+    expect(learning.interval).toBeGreaterThan(0);
+
+    // A relearning card returns to review with the interval Anki gave it at the lapse
+    let relearning = ankiCardToProgress({ type: 3, due, ivl: 4, factor: 2300, reps: 9, lapses: 2 }, CREATED * 1000);
+    expect(relearning).toMatchObject({ phase: CARD_PHASES.RELEARNING, step: 0, interval: 4, ease: 230, lapses: 2 });
+    relearning = algorithm.calculateReview(relearning, 'good');
+    expect(relearning).toMatchObject({ phase: CARD_PHASES.REVIEW, interval: 4 });
+  } finally {
+    algorithm.config = saved.config;
+    algorithm.configLoaded = saved.configLoaded;
+  }
+});
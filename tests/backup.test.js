@@ -0,0 +1,147 @@
+/**
+ * Tests for backup and restore
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { backupManager, validateArchive, mergeData, diffData, buildArchive, BACKUP_VERSION, RESTORE_MODES } from '../src/core/backup.js';
+import { storage } from '../src/core/storage.js';
+import { migrateData } from '../src/core/migrations.js';
+import { STORAGE_KEYS } from '../src/utils/constants.js';
+
+const current = {
+  [STORAGE_KEYS.PROGRESS]: {
+    completed: ['default/fc-001'],
+    repeatLater: [],
+    flashcardData: {
+      'default/fc-001': { interval: 3, ease: 250 },
+      'default/fc-002': { interval: 1, ease: 250 }
+    }
+  },
+  [STORAGE_KEYS.EXCLUDED_PAGES]: ['https://mail.example.com/*'],
+  [STORAGE_KEYS.ALGORITHM_CONFIG]: { baseEase: 260 },
+  [STORAGE_KEYS.USER_DECKS]: [
+    { id: 'sql', name: 'SQL', flashcards: [{ id: 'fc-001', question: 'Q', answer: 'A' }] }
+  ]
+};
+
+const backup = {
+  [STORAGE_KEYS.PROGRESS]: {
+    completed: ['default/fc-002', 'sql/fc-002'],
+    repeatLater: ['default/fc-003'],
+    flashcardData: {
+      'default/fc-002': { interval: 8, ease: 270 },
+      'sql/fc-002': { interval: 2, ease: 250 }
+    }
+  },
+  [STORAGE_KEYS.EXCLUDED_PAGES]: ['https://mail.example.com/*', 'https://bank.example.com/*'],
+  [STORAGE_KEYS.ALGORITHM_CONFIG]: { baseEase: 230 },
+  [STORAGE_KEYS.USER_DECKS]: [
+    { id: 'sql', name: 'SQL', flashcards: [{ id: 'fc-002', question: 'Q2', answer: 'A2' }] },
+    { id: 'go', name: 'Go', flashcards: [{ id: 'fc-001', question: 'Go Q', answer: 'Go A' }] }
+  ],
+  [STORAGE_KEYS.USER_CARDS]: {
+    default: { cards: { 'fc-001': { id: 'fc-001', question: 'Edited', answer: 'A' } }, deleted: ['fc-009'] }
+  }
+};
+
+test('validateArchive accepts a current backup', () => {
+  expect(validateArchive(buildArchive(backup))).toEqual({ valid: true, errors: [], warnings: [] });
+});
+
+test('validateArchive rejects foreign files, newer versions and malformed entries', () => {
+  expect(validateArchive({ hello: 'world' }).errors).toEqual(['Not a flashcards backup file']);
+
+  const newer = { ...buildArchive(backup), version: BACKUP_VERSION + 1 };
+  expect(validateArchive(newer).valid).toBe(false);
+  expect(validateArchive(newer).errors[0]).toContain('newer version');
+
+  const malformed = buildArchive({
+    [STORAGE_KEYS.PROGRESS]: { completed: 'all' },
+    [STORAGE_KEYS.EXCLUDED_PAGES]: [1, 2],
+    something_else: true
+  });
+  const result = validateArchive(malformed);
+  expect(result.valid).toBe(false);
+  expect(result.errors).toHaveLength(2);
+  expect(result.warnings).toEqual(['Unknown entry "something_else" will be ignored']);
+});
+
+test('mergeData adds backup entries and keeps current settings', () => {
+  const merged = mergeData(current, backup);
+  const progress = merged[STORAGE_KEYS.PROGRESS];
+
+  expect(progress.completed).toEqual(['default/fc-001', 'default/fc-002', 'sql/fc-002']);
+  expect(progress.repeatLater).toEqual(['default/fc-003']);
+  expect(progress.flashcardData['default/fc-001']).toEqual({ interval: 3, ease: 250 });
+  expect(progress.flashcardData['default/fc-002']).toEqual({ interval: 8, ease: 270 });
+  expect(merged[STORAGE_KEYS.EXCLUDED_PAGES]).toHaveLength(2);
+  expect(merged[STORAGE_KEYS.ALGORITHM_CONFIG]).toEqual({ baseEase: 260 });
+
+  const sql = merged[STORAGE_KEYS.USER_DECKS].find(deck => deck.id === 'sql');
+  expect(sql.flashcards.map(card => card.id)).toEqual(['fc-001', 'fc-002']);
+  expect(merged[STORAGE_KEYS.USER_DECKS].map(deck => deck.id)).toEqual(['sql', 'go']);
+});
+
+test('diffData summarizes a merge', () => {
+  const summary = diffData(current, mergeData(current, backup));
+
+  expect(summary.cardsGained).toBe(3); // sql/fc-002, go/fc-001, edited default/fc-001
+  expect(summary.cardsRemoved).toBe(0);
+  expect(summary.progressAdded).toBe(1);
+  expect(summary.progressOverwritten).toBe(1);
+  expect(summary.progressRemoved).toBe(0);
+  expect(summary.exclusionsAdded).toEqual(['https://bank.example.com/*']);
+  expect(summary.settingsChanged).toEqual([]);
+});
+
+test('diffData summarizes a replace', () => {
+  const summary = diffData(current, backup);
+
+  expect(summary.cardsRemoved).toBe(1); // sql/fc-001
+  expect(summary.progressRemoved).toBe(1); // default/fc-001
+  expect(summary.settingsChanged).toEqual([STORAGE_KEYS.ALGORITHM_CONFIG]);
+});
+
+describe('backupManager', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = structuredClone(current);
+    storage.get = async (key, defaultValue) => key in stored ? structuredClone(stored[key]) : defaultValue;
+    storage.set = async (key, value) => { stored[key] = value; return true; };
+    storage.remove = async (key) => { delete stored[key]; return true; };
+  });
+
+  afterEach(() => {
+    // Drop the instance overrides so the prototype methods are used again
+    delete storage.get;
+    delete storage.set;
+    delete storage.remove;
+  });
+
+  test('createBackup includes every stored entry', async () => {
+    const archive = await backupManager.createBackup();
+
+    expect(archive.version).toBe(BACKUP_VERSION);
+    expect(Object.keys(archive.data).sort()).toEqual(Object.keys(current).sort());
+  });
+
+  test('replace restores the backup exactly, migrated to the current schema', async () => {
+    const { success, summary } = await backupManager.restore(buildArchive(backup), RESTORE_MODES.REPLACE);
+
+    expect(success).toBe(true);
+    expect(stored).toEqual(migrateData(backup).data);
+    expect(summary.cardsRemoved).toBe(1);
+  });
+
+  test('merge keeps current data and does not write invalid archives', async () => {
+    await backupManager.restore(buildArchive(backup), RESTORE_MODES.MERGE);
+    expect(stored[STORAGE_KEYS.PROGRESS].flashcardData['default/fc-001']).toEqual({ interval: 3, ease: 250 });
+    expect(stored[STORAGE_KEYS.USER_CARDS]).toEqual(backup[STORAGE_KEYS.USER_CARDS]);
+
+    const before = structuredClone(stored);
+    const result = await backupManager.restore({ format: 'other' }, RESTORE_MODES.REPLACE);
+    expect(result.success).toBe(false);
+    expect(stored).toEqual(before);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for card schema validation, user card merging and generated reverse
+ * cards
+ */
+
+import { test, expect } from 'bun:test';
+import { validateFlashcard, normalizeFlashcard, createCardId } from '../src/core/card-schema.js';
+import { deckRegistry } from '../src/core/decks.js';
+import { flashcardManager } from '../src/core/flashcards.js';
+import { storage } from '../src/core/storage.js';
+
+const validCard = {
+  id: 'fc-001',
+  question: 'Q1',
+  answer: 'A1',
+  tags: ['syntax'],
+  createdAt: '2025-12-07T18:30:56.348640'
+};
+
+test('valid flashcards pass schema validation', () => {
+  expect(validateFlashcard(validCard)).toEqual({ valid: true, errors: [] });
+});
+
+test('schema validation reports every invalid field', () => {
+  const { valid, errors } = validateFlashcard({
+    id: 'bad/id',
+    question: ' ',
+    answer: '',
+    tags: ['has space'],
+    createdAt: 'yesterday'
+  });
+
+  expect(valid).toBe(false);
+  expect(errors.map(error => error.field)).toEqual(['id', 'question', 'answer', 'tags', 'createdAt']);
+});
+
+test('schema validation rejects duplicate IDs', () => {
+  const { errors } = validateFlashcard(validCard, { existingIds: ['fc-001'] });
+  expect(errors[0].field).toBe('id');
+});
+
+test('normalizeFlashcard trims fields and splits tag strings', () => {
+  const card = normalizeFlashcard({ id: ' fc-9 ', question: ' Q ', answer: 'A', tags: 'a, b a' });
+  expect(card.id).toBe('fc-9');
+  expect(card.question).toBe('Q');
+  expect(card.tags).toEqual(['a', 'b']);
+  expect(Date.parse(card.createdAt)).not.toBeNaN();
+});
+
+test('links are optional card IDs, card keys or tags', () => {
+  expect(validateFlashcard({ ...validCard, links: ['fc-002', 'js/fc-001', '#loops'] }).valid).toBe(true);
+
+  const { errors } = validateFlashcard({ ...validCard, links: ['#', 'a/b/c', 'has space'] });
+  expect(errors.map(error => error.field)).toEqual(['links']);
+
+  expect(normalizeFlashcard({ ...validCard, links: 'fc-002, #loops fc-002' }).links).toEqual(['fc-002', '#loops']);
+  expect(normalizeFlashcard({ ...validCard, links: '' })).not.toHaveProperty('links');
+});
+
+test('createCardId picks the next free numbered ID', () => {
+  expect(createCardId(['fc-001', 'fc-010', 'custom'])).toBe('fc-011');
+  expect(createCardId([])).toBe('fc-001');
+});
+
+test('user edits are merged over bundled cards', () => {
+  deckRegistry.decks = [{
+    id: 'default',
+    name: 'Python',
+    bundled: true,
+    flashcards: [
+      validCard,
+      { ...validCard, id: 'fc-002', question: 'Q2' },
+      { ...validCard, id: 'fc-003', question: 'Q3' }
+    ]
+  }];
+  flashcardManager.userCards = {
+    default: {
+      cards: {
+        'fc-002': { ...validCard, id: 'fc-002', question: 'Q2 fixed' },
+        'fc-100': { ...validCard, id: 'fc-100', question: 'New' }
+      },
+      deleted: ['fc-003']
+    }
+  };
+
+  const cards = flashcardManager.getDeckCards('default');
+  expect(cards.map(card => card.id)).toEqual(['fc-001', 'fc-002', 'fc-100']);
+  expect(cards[1].question).toBe('Q2 fixed');
+  expect(cards[1].userEdited).toBe(true);
+  expect(cards[0].userEdited).toBeUndefined();
+});
+
+test('reverse cards follow the deck setting unless a card sets its own', () => {
+  deckRegistry.decks = [{
+    id: 'words',
+    name: 'Words',
+    bundled: false,
+    flashcards: [
+      { ...validCard, id: 'w-1', question: 'term', answer: 'definition' },
+      { ...validCard, id: 'w-2', reverse: false },
+      { ...validCard, id: 'w-3' }
+    ]
+  }];
+  deckRegistry.settings = { words: { reverse: true } };
+  flashcardManager.flashcards = flashcardManager.buildActiveFlashcards();
+
+  expect(flashcardManager.getActiveKeys()).toEqual(['words/w-1', 'words/w-1~reverse', 'words/w-2', 'words/w-3', 'words/w-3~reverse']);
+  expect(flashcardManager.getFlashcardById('words/w-1~reverse')).toMatchObject({
+    question: 'definition',
+    answer: 'term',
+    tags: ['syntax'],
+    reverseOf: 'w-1'
+  });
+  expect(flashcardManager.getSiblingKeys('words/w-1~reverse')).toEqual(['words/w-1']);
+  expect(flashcardManager.getSiblingKeys('words/w-1')).toEqual(['words/w-1~reverse']);
+  expect(flashcardManager.getSiblingKeys('words/w-2')).toEqual([]);
+
+  deckRegistry.settings = {};
+  deckRegistry.decks[0].flashcards[0].reverse = true;
+  flashcardManager.flashcards = flashcardManager.buildActiveFlashcards();
+  expect(flashcardManager.getActiveKeys()).toEqual(['words/w-1', 'words/w-1~reverse', 'words/w-2', 'words/w-3']);
+  expect(validateFlashcard({ ...validCard, reverse: 'yes' }).errors[0].field).toBe('reverse');
+});
+
+test('deleting a reverse card turns reverse off and keeps the card it came from', async () => {
+  deckRegistry.decks = [{ id: 'words', name: 'Words', bundled: true, flashcards: [validCard] }];
+  deckRegistry.settings = { words: { reverse: true } };
+  flashcardManager.userCards = {};
+  const progress = {
+    completed: ['words/fc-001~reverse'],
+    repeatLater: [],
+    flashcardData: { 'words/fc-001': { reviewCount: 2 }, 'words/fc-001~reverse': { reviewCount: 1 } }
+  };
+  storage.saveUserCards = async () => true;
+  flashcardManager.loadProgress = async () => { flashcardManager.progress = progress; };
+  flashcardManager.saveProgress = async () => {};
+  try {
+    expect(await flashcardManager.deleteCard('words', 'fc-001~reverse')).toBe(true);
+
+    expect(flashcardManager.getDeckCards('words')[0]).toMatchObject({ id: 'fc-001', reverse: false });
+    expect(flashcardManager.getActiveKeys()).toEqual(['words/fc-001']);
+    expect(Object.keys(progress.flashcardData)).toEqual(['words/fc-001']);
+    expect(progress.completed).toEqual([]);
+  } finally {
+    delete storage.saveUserCards;
+    delete flashcardManager.loadProgress;
+    delete flashcardManager.saveProgress;
+    deckRegistry.settings = {};
+  }
+});
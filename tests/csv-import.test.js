@@ -0,0 +1,115 @@
+/**
+ * Tests for CSV / TSV import and export
+ */
+
+import { test, expect } from 'bun:test';
+import {
+  parseDelimited,
+  detectDelimiter,
+  previewDelimited,
+  importDelimited,
+  exportDelimited
+} from '../src/core/importers/csv.js';
+
+test('parser handles quoted fields with delimiters, quotes and newlines', () => {
+  const rows = parseDelimited('q,a\r\n"one, two","say ""hi""\nthere"\n\n', ',');
+  expect(rows).toEqual([
+    ['q', 'a'],
+    ['one, two', 'say "hi"\nthere']
+  ]);
+});
+
+test('delimiter is detected from the first line', () => {
+  expect(detectDelimiter('term\tdefinition\n')).toBe('\t');
+  expect(detectDelimiter('a;b;c\n')).toBe(';');
+  expect(detectDelimiter('a,b\n')).toBe(',');
+});
+
+test('headers are recognised and mapped to fields', () => {
+  const preview = previewDelimited('Front,Back,Tags\nWhat is 2+2?,4,math\n');
+  expect(preview.header).toEqual(['Front', 'Back', 'Tags']);
+  expect(preview.mapping).toEqual({ question: 0, answer: 1, tags: 2, id: -1 });
+  expect(preview.rows.length).toBe(1);
+});
+
+test('Quizlet export without header maps term and definition', () => {
+  const preview = previewDelimited('hola\thello\nadiós\tgoodbye\n');
+  expect(preview.header).toBeNull();
+  expect(preview.mapping.question).toBe(0);
+  expect(preview.mapping.answer).toBe(1);
+
+  const { cards } = importDelimited(preview, preview.mapping);
+  expect(cards.map(card => card.question)).toEqual(['hola', 'adiós']);
+  expect(cards.map(card => card.id)).toEqual(['fc-001', 'fc-002']);
+});
+
+test('Anki plain-text export directives are honoured', () => {
+  const text = [
+    '#separator:tab',
+    '#html:true',
+    '#tags column:3',
+    'Capital of <b>France</b>\tParis<br>City of light\tgeo europe'
+  ].join('\n');
+
+  const preview = previewDelimited(text);
+  expect(preview.delimiter).toBe('\t');
+  expect(preview.mapping.tags).toBe(2);
+
+  const { cards } = importDelimited(preview, preview.mapping);
+  expect(cards[0].question).toBe('Capital of France');
+  expect(cards[0].answer).toBe('Paris\nCity of light');
+  expect(cards[0].tags).toEqual(['geo', 'europe']);
+});
+
+test('import reports duplicates and rejected rows', () => {
+  const existing = [{ id: 'fc-001', question: 'Existing question', answer: 'x', tags: [], createdAt: '2024-01-01' }];
+  const preview = previewDelimited([
+    'id,question,answer',
+    'fc-001,New question,a',
+    ',existing  QUESTION,a',
+    ',Fresh,b',
+    ',Fresh,c',
+    ',No answer,'
+  ].join('\n'));
+
+  const { cards, duplicates, rejected } = importDelimited(preview, preview.mapping, existing);
+  expect(cards.map(card => card.question)).toEqual(['Fresh']);
+  expect(cards[0].id).toBe('fc-002');
+  expect(duplicates.map(d => d.row)).toEqual([2, 3, 5]);
+  expect(rejected.map(r => r.row)).toEqual([6]);
+});
+
+test('rows are reported by the line they start on in the file', () => {
+  const text = [
+    '#separator:comma',
+    'question,answer',
+    '"Multi',
+    'line",a',
+    '',
+    'No answer,',
+    '\r',
+    'Also no answer,'
+  ].join('\n');
+  const preview = previewDelimited(text);
+
+  expect(preview.rowLines).toEqual([3, 6, 8]);
+  const { rejected } = importDelimited(preview, preview.mapping);
+  expect(rejected.map(r => r.row)).toEqual([6, 8]);
+});
+
+test('exported cards can be imported back', () => {
+  const cards = [
+    { id: 'fc-001', question: 'Q, with comma', answer: 'line1\nline2', tags: ['a', 'b'], createdAt: '2024-01-01' }
+  ];
+
+  ['csv', 'tsv'].forEach(format => {
+    const preview = previewDelimited(exportDelimited(cards, { format }));
+    const { cards: imported } = importDelimited(preview, preview.mapping);
+    expect(imported[0]).toMatchObject({
+      id: 'fc-001',
+      question: 'Q, with comma',
+      answer: 'line1\nline2',
+      tags: ['a', 'b']
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for deck registry and deck-namespaced progress
+ */
+
+import { test, expect } from 'bun:test';
+import { deckRegistry, getCardKey, parseCardKey } from '../src/core/decks.js';
+import { flashcardManager } from '../src/core/flashcards.js';
+
+const decks = [
+  {
+    id: 'python',
+    name: 'Python',
+    bundled: true,
+    flashcards: [{ id: 'fc-1', question: 'Q1', answer: 'A1', tags: [] }]
+  },
+  {
+    id: 'sql',
+    name: 'SQL',
+    bundled: false,
+    flashcards: [{ id: 'fc-1', question: 'SQL Q1', answer: 'SQL A1', tags: [] }]
+  }
+];
+
+test('card keys are namespaced by deck', () => {
+  expect(getCardKey('sql', 'fc-1')).toBe('sql/fc-1');
+  expect(parseCardKey('sql/fc-1')).toEqual({ deckId: 'sql', cardId: 'fc-1' });
+  expect(parseCardKey('fc-1')).toEqual({ deckId: 'default', cardId: 'fc-1' });
+});
+
+test('disabled decks are excluded from active decks', () => {
+  deckRegistry.decks = decks;
+  deckRegistry.settings = { sql: { enabled: false } };
+
+  expect(deckRegistry.getActiveDecks().map(deck => deck.id)).toEqual(['python']);
+  expect(deckRegistry.isDeckEnabled('python')).toBe(true);
+  expect(deckRegistry.isDeckEnabled('sql')).toBe(false);
+});
+
+test('legacy progress is moved into the default deck namespace', () => {
+  const progress = flashcardManager.namespaceLegacyProgress({
+    completed: ['fc-1', 'sql/fc-2'],
+    repeatLater: ['fc-3'],
+    flashcardData: { 'fc-1': { reviewCount: 1 }, 'sql/fc-2': { reviewCount: 2 } }
+  });
+
+  expect(progress.completed).toEqual(['default/fc-1', 'sql/fc-2']);
+  expect(progress.repeatLater).toEqual(['default/fc-3']);
+  expect(Object.keys(progress.flashcardData)).toEqual(['default/fc-1', 'sql/fc-2']);
+});
+
+test('progress stats only count cards from active decks', () => {
+  flashcardManager.flashcards = [
+    { id: 'fc-1', deckId: 'python', key: 'python/fc-1' },
+    { id: 'fc-2', deckId: 'python', key: 'python/fc-2' }
+  ];
+  flashcardManager.progress = {
+    completed: ['python/fc-1', 'sql/fc-1'],
+    repeatLater: ['sql/fc-1'],
+    flashcardData: {}
+  };
+
+  const stats = flashcardManager.getProgressStats();
+  expect(stats.total).toBe(2);
+  expect(stats.completed).toBe(1);
+  expect(stats.repeatLater).toBe(0);
+  expect(flashcardManager.getUnshownFlashcards()).toEqual(['python/fc-2']);
+});
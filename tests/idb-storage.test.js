@@ -0,0 +1,171 @@
+/**
+ * Tests for the IndexedDB progress store
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { progressStore, progressToRecord, recordsToProgress } from '../src/core/idb-storage.js';
+import { storage } from '../src/core/storage.js';
+import { flashcardManager } from '../src/core/flashcards.js';
+import { STORAGE_KEYS } from '../src/utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = 1704067200000;
+
+const entry = (dueDate) => ({
+  reviewCount: 1,
+  ease: 250,
+  interval: 1,
+  lastReview: dueDate - DAY_MS,
+  dueDate,
+  difficulty: 'good'
+});
+
+const progress = () => ({
+  completed: ['python/fc-1', 'python/fc-2'],
+  repeatLater: ['sql/fc-3', 'python/fc-1'],
+  flashcardData: {
+    'python/fc-1': entry(T0 + DAY_MS),
+    'python/fc-2': entry(T0 + 3 * DAY_MS),
+    'sql/fc-3': entry(T0 + 2 * DAY_MS)
+  }
+});
+
+beforeEach(() => {
+  progressStore.setFactory(new IDBFactory(), IDBKeyRange);
+});
+
+test('records hold one card each and rebuild the same progress', () => {
+  const data = progress();
+  const records = Object.keys(data.flashcardData).map(key => progressToRecord(data, key));
+
+  expect(records[0]).toEqual({
+    key: 'python/fc-1',
+    deckId: 'python',
+    tags: [],
+    completed: true,
+    laterRank: 1,
+    data: data.flashcardData['python/fc-1']
+  });
+  expect(recordsToProgress(records)).toEqual(data);
+});
+
+describe('progressStore', () => {
+  test('returns null while empty', async () => {
+    expect(await progressStore.getProgress()).toBeNull();
+  });
+
+  test('replaces and reads back all progress', async () => {
+    await progressStore.replaceProgress({ ...progress(), resetAt: T0 });
+    expect(await progressStore.getProgress()).toEqual({ ...progress(), resetAt: T0 });
+
+    await progressStore.replaceProgress({ completed: [], repeatLater: [], flashcardData: {} });
+    expect(await progressStore.count()).toBe(0);
+  });
+
+  test('writes single cards and keeps the repeat later order', async () => {
+    await progressStore.replaceProgress(progress());
+
+    const updated = progress();
+    updated.flashcardData['python/fc-1'] = entry(T0 + 5 * DAY_MS);
+    updated.repeatLater.push('python/fc-4');
+    await progressStore.writeEntries(updated, ['python/fc-1', 'python/fc-4']);
+
+    const stored = await progressStore.getProgress();
+    expect(stored.flashcardData['python/fc-1'].dueDate).toBe(T0 + 5 * DAY_MS);
+    expect(stored.repeatLater).toEqual(['sql/fc-3', 'python/fc-1', 'python/fc-4']);
+  });
+
+  test('deletes cards with nothing left to store', async () => {
+    await progressStore.replaceProgress(progress());
+    await progressStore.writeEntries({ completed: [], repeatLater: [], flashcardData: {} }, ['sql/fc-3']);
+
+    expect(await progressStore.count()).toBe(2);
+  });
+
+  test('finds due cards and cards by tag through the indexes', async () => {
+    const tags = { 'python/fc-1': ['loops'], 'python/fc-2': ['loops', 'basics'] };
+    await progressStore.replaceProgress(progress(), key => tags[key]);
+
+    expect(await progressStore.getDueKeys(T0 + 2 * DAY_MS)).toEqual(['python/fc-1', 'sql/fc-3']);
+    expect((await progressStore.getKeysByTag('loops')).sort()).toEqual(['python/fc-1', 'python/fc-2']);
+    expect(await progressStore.getKeysByTag('basics')).toEqual(['python/fc-2']);
+  });
+
+  test('keeps stored tags when progress is replaced without them', async () => {
+    await progressStore.replaceProgress(progress(), key => key === 'python/fc-2' ? ['basics'] : undefined);
+    await progressStore.replaceProgress(progress());
+
+    expect(await progressStore.getKeysByTag('basics')).toEqual(['python/fc-2']);
+  });
+});
+
+describe('storage with a progress store', () => {
+  let legacy;
+  let notifications;
+
+  beforeEach(() => {
+    legacy = { [STORAGE_KEYS.PROGRESS]: progress() };
+    notifications = [];
+    storage.notifyProgressChange = async keys => { notifications.push(keys); return true; };
+    storage.useProgressStore(progressStore, {
+      async get(key) { return key in legacy ? { [key]: structuredClone(legacy[key]) } : {}; },
+      async remove(key) { delete legacy[key]; }
+    });
+  });
+
+  afterEach(() => {
+    delete storage.notifyProgressChange;
+    storage.progressStore = null;
+    storage.progressStoreReady = null;
+    storage.legacyArea = null;
+  });
+
+  test('moves the old progress entry into the store once', async () => {
+    expect(await storage.getProgress()).toEqual(progress());
+    expect(legacy).toEqual({});
+    expect(await progressStore.count()).toBe(3);
+  });
+
+  test('does not import an old entry over existing records', async () => {
+    await progressStore.replaceProgress({ completed: ['sql/fc-9'], repeatLater: [], flashcardData: {} });
+
+    expect((await storage.getProgress()).completed).toEqual(['sql/fc-9']);
+    expect(legacy).toEqual({});
+  });
+
+  test('saves and clears progress through the store and tells other contexts', async () => {
+    await storage.saveProgress({ ...progress(), resetAt: T0 });
+    expect((await storage.get(STORAGE_KEYS.PROGRESS)).resetAt).toBe(T0);
+
+    await storage.remove(STORAGE_KEYS.PROGRESS);
+    expect(await storage.get(STORAGE_KEYS.PROGRESS, 'empty')).toBe('empty');
+    expect(notifications).toEqual([null, null]);
+  });
+
+  test('a review is written as one card record', async () => {
+    flashcardManager.flashcards = [
+      { id: 'fc-1', deckId: 'python', key: 'python/fc-1', tags: ['loops'] }
+    ];
+    await flashcardManager.loadProgress();
+
+    const writes = [];
+    const writeCards = progressStore.writeCards.bind(progressStore);
+    progressStore.writeCards = async records => { writes.push(records); return writeCards(records); };
+
+    try {
+      await flashcardManager.applyReview('python/fc-1', entry(T0 + 9 * DAY_MS), true);
+    } finally {
+      delete progressStore.writeCards;
+    }
+
+    expect(writes).toHaveLength(1);
+    expect(writes[0].map(record => record.key)).toEqual(['python/fc-1']);
+    expect(notifications).toEqual([['python/fc-1']]);
+
+    const stored = await progressStore.getProgress();
+    expect(stored.flashcardData['python/fc-1'].dueDate).toBe(T0 + 9 * DAY_MS);
+    expect(stored.repeatLater).toEqual(['sql/fc-3']);
+    expect(await progressStore.getKeysByTag('loops')).toEqual(['python/fc-1']);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for resolving card links and the weighted ease of linked cards
+ */
+
+import { test, expect } from 'bun:test';
+import { resolveLinks, getLinkedEase } from '../src/core/links.js';
+
+const card = (deckId, id, tags = [], links) => ({ id, deckId, key: `${deckId}/${id}`, tags, ...(links && { links }) });
+
+const cards = [
+  card('python', 'fc-1'),
+  card('python', 'fc-2', ['loops']),
+  card('python', 'fc-3', ['loops']),
+  card('js', 'fc-1', ['loops'])
+];
+
+const reviewed = ease => ({ reviewCount: 3, ease });
+
+test('resolves card IDs, card keys and tags, skipping missing cards and the card itself', () => {
+  const linking = card('python', 'fc-2', ['loops'], ['fc-1', 'js/fc-1', '#loops', 'fc-404']);
+
+  expect(resolveLinks(linking, 'python', cards)).toEqual([
+    { link: 'fc-1', key: 'python/fc-1', weight: 1 },
+    { link: 'js/fc-1', key: 'js/fc-1', weight: 1 },
+    { link: '#loops', key: 'python/fc-3', weight: 0.5 },
+    { link: '#loops', key: 'js/fc-1', weight: 0.5 }
+  ]);
+});
+
+test('weights the ease of reviewed linked cards by their links', () => {
+  const linking = card('python', 'fc-9', [], ['js/fc-1', '#loops']);
+  const flashcardData = {
+    'js/fc-1': reviewed(300),
+    'python/fc-2': reviewed(200),
+    'python/fc-3': { reviewCount: 0, ease: null }
+  };
+  const { linkedEase, contributors } = getLinkedEase(linking, 'python', cards, flashcardData);
+
+  // js/fc-1 is reached directly and through the tag: weight 1 + 1/3
+  expect(linkedEase).toBeCloseTo((300 * 4 / 3 + 200 / 3) / (5 / 3), 6);
+  expect(contributors).toEqual([
+    { key: 'js/fc-1', links: ['js/fc-1', '#loops'], ease: 300, weight: 4 / 3 },
+    { key: 'python/fc-2', links: ['#loops'], ease: 200, weight: 1 / 3 }
+  ]);
+});
+
+test('gives no linked ease without reviewed linked cards', () => {
+  expect(getLinkedEase(card('python', 'fc-9', [], ['fc-1']), 'python', cards, {})).toEqual({ linkedEase: null, contributors: [] });
+  expect(getLinkedEase(card('python', 'fc-9'), 'python', cards, { 'python/fc-1': reviewed(250) }).linkedEase).toBeNull();
+});
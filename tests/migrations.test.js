@@ -0,0 +1,191 @@
+/**
+ * Tests for storage schema migrations
+ */
+
+import { test, expect } from 'bun:test';
+import { readFileSync } from 'node:fs';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { progressStore } from '../src/core/idb-storage.js';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION, migrateData, runMigrations } from '../src/core/migrations.js';
+import { STORAGE_KEYS, DEFAULT_ALGORITHM_CONFIG } from '../src/utils/constants.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const migration = version => MIGRATIONS.find(m => m.version === version);
+
+// In-memory stand-in for chrome.storage.local
+function createArea(initial, { failWrites = false } = {}) {
+  const items = structuredClone(initial);
+  let writes = 0;
+  return {
+    items,
+    async get() {
+      return structuredClone(items);
+    },
+    async set(values) {
+      writes++;
+      if (failWrites && writes === 1) {
+        // Simulate a write that fails halfway through
+        const [firstKey] = Object.keys(values);
+        items[firstKey] = values[firstKey];
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete items[key]);
+    }
+  };
+}
+
+test('migrations are ordered with unique versions', () => {
+  const versions = MIGRATIONS.map(m => m.version);
+  expect(versions).toEqual([...new Set(versions)].sort((a, b) => a - b));
+  expect(CURRENT_SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+});
+
+test('migration 1 namespaces legacy progress into the default deck', () => {
+  const data = migration(1).migrate(fixture('storage-v0.json'));
+  const progress = data[STORAGE_KEYS.PROGRESS];
+
+  expect(progress.completed).toEqual(['default/fc-001', 'default/fc-002']);
+  expect(progress.repeatLater).toEqual(['default/fc-003']);
+  expect(Object.keys(progress.flashcardData)).toEqual(['default/fc-001', 'default/fc-002']);
+  expect(progress.flashcardData['default/fc-001'].ease).toBe(270);
+});
+
+test('migration 2 fills in progress fields and algorithm settings', () => {
+  const data = migration(2).migrate(fixture('storage-v1.json'));
+  const progress = data[STORAGE_KEYS.PROGRESS];
+
+  expect(progress.completed).toEqual(['default/fc-001', 'sql/fc-001']);
+  expect(progress.flashcardData['sql/fc-001']).toEqual({
+    reviewCount: 1,
+    ease: 250,
+    interval: 3,
+    lastReview: null,
+    dueDate: 1704326400000,
+    difficulty: null
+  });
+  expect('sql/fc-broken' in progress.flashcardData).toBe(false);
+
+  // Entries without an ease are not given one, so they keep using the base ease
+  const unseen = migration(2).migrate({
+    [STORAGE_KEYS.PROGRESS]: { completed: [], repeatLater: [], flashcardData: { 'default/fc-009': { reviewCount: 0 } } }
+  });
+  expect(unseen[STORAGE_KEYS.PROGRESS].flashcardData['default/fc-009']).not.toHaveProperty('ease');
+  expect(data[STORAGE_KEYS.USER_DECKS]).toEqual(fixture('storage-v1.json')[STORAGE_KEYS.USER_DECKS]);
+
+  const v0 = migration(2).migrate(fixture('storage-v0.json'));
+  // The stored display name is kept; the algorithm registry still resolves it
+  expect(v0[STORAGE_KEYS.ALGORITHM_CONFIG]).toEqual({ ...DEFAULT_ALGORITHM_CONFIG, algorithm: "OSR's variant of SM-2", baseEase: 240 });
+});
+
+test('migrateData only applies migrations newer than the stored version', () => {
+  const v0 = migrateData(fixture('storage-v0.json'));
+  expect(v0.applied).toEqual([1, 2]);
+  expect(v0.data[STORAGE_KEYS.SCHEMA_VERSION]).toBe(CURRENT_SCHEMA_VERSION);
+  expect(v0.data[STORAGE_KEYS.PROGRESS].completed).toEqual(['default/fc-001', 'default/fc-002']);
+
+  const v1 = migrateData(fixture('storage-v1.json'));
+  expect(v1.applied).toEqual([2]);
+
+  const current = migrateData(v1.data);
+  expect(current.applied).toEqual([]);
+  expect(current.data).toEqual(v1.data);
+});
+
+test('migrateData does not modify its input', () => {
+  const data = fixture('storage-v0.json');
+  const copy = structuredClone(data);
+  migrateData(data);
+  expect(data).toEqual(copy);
+});
+
+test('runMigrations writes the migrated data in one step', async () => {
+  const area = createArea(fixture('storage-v0.json'));
+  const result = await runMigrations(area);
+
+  expect(result).toEqual({ success: true, from: 0, to: CURRENT_SCHEMA_VERSION, applied: [1, 2] });
+  expect(area.items[STORAGE_KEYS.SCHEMA_VERSION]).toBe(CURRENT_SCHEMA_VERSION);
+  expect(area.items[STORAGE_KEYS.PROGRESS].completed).toEqual(['default/fc-001', 'default/fc-002']);
+
+  expect((await runMigrations(area)).applied).toEqual([]);
+});
+
+test('runMigrations leaves data untouched when a step throws', async () => {
+  const original = fixture('storage-v1.json');
+  const area = createArea(original);
+  const failing = [
+    ...MIGRATIONS,
+    { version: CURRENT_SCHEMA_VERSION + 1, migrate: () => { throw new Error('bad data'); } }
+  ];
+
+  const result = await runMigrations(area, failing);
+
+  expect(result.success).toBe(false);
+  expect(result.error).toContain(`schema version ${CURRENT_SCHEMA_VERSION + 1}`);
+  expect(area.items).toEqual(original);
+});
+
+test('runMigrations rolls back to the snapshot when writing fails', async () => {
+  const original = fixture('storage-v0.json');
+  const area = createArea(original, { failWrites: true });
+
+  const result = await runMigrations(area);
+
+  expect(result.success).toBe(false);
+  expect(area.items).toEqual(original);
+});
+
+// Storage area with progress moved into a fresh IndexedDB progress store
+async function createStoredProgress(name) {
+  const { [STORAGE_KEYS.PROGRESS]: progress, ...rest } = fixture(name);
+  progressStore.setFactory(new IDBFactory(), IDBKeyRange);
+  await progressStore.replaceProgress(progress);
+  return createArea(rest);
+}
+
+test('runMigrations migrates progress held in IndexedDB', async () => {
+  const area = await createStoredProgress('storage-v1.json');
+
+  const result = await runMigrations(area, MIGRATIONS, progressStore);
+  const progress = await progressStore.getProgress();
+
+  expect(result.applied).toEqual([2]);
+  expect(area.items[STORAGE_KEYS.SCHEMA_VERSION]).toBe(CURRENT_SCHEMA_VERSION);
+  expect(STORAGE_KEYS.PROGRESS in area.items).toBe(false);
+  expect(progress.completed).toEqual(['default/fc-001', 'sql/fc-001']);
+  expect(Object.keys(progress.flashcardData)).toEqual(['default/fc-001', 'sql/fc-001']);
+});
+
+test('runMigrations restores progress in IndexedDB when writing it fails', async () => {
+  const area = await createStoredProgress('storage-v1.json');
+  const original = await progressStore.getProgress();
+  const areaItems = structuredClone(area.items);
+  let failed = false;
+  const failingStore = Object.create(progressStore, {
+    replaceProgress: {
+      value(progress) {
+        if (!failed) {
+          failed = true;
+          return Promise.reject(new Error('Transaction aborted'));
+        }
+        return progressStore.replaceProgress(progress);
+      }
+    }
+  });
+
+  const result = await runMigrations(area, MIGRATIONS, failingStore);
+
+  expect(result.success).toBe(false);
+  expect(area.items).toEqual(areaItems);
+  expect(await progressStore.getProgress()).toEqual(original);
+});
+
+test('runMigrations skips data from a newer schema', async () => {
+  const area = createArea({ [STORAGE_KEYS.SCHEMA_VERSION]: CURRENT_SCHEMA_VERSION + 5 });
+  const result = await runMigrations(area);
+
+  expect(result.applied).toEqual([]);
+  expect(area.items[STORAGE_KEYS.SCHEMA_VERSION]).toBe(CURRENT_SCHEMA_VERSION + 5);
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for the parameter optimizer
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { replayHistory, evaluateConfig, groupHistories, optimizeConfig, MIN_OPTIMIZER_REVIEWS } from '../src/core/optimizer.js';
+import { getAlgorithm } from '../src/core/algorithms/registry.js';
+import { DEFAULT_FSRS_WEIGHTS } from '../src/core/algorithms/fsrs.js';
+import { DEFAULT_ALGORITHM_CONFIG } from '../src/utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = 1704067200000;
+
+// A card that graduates on T0 and is then reviewed after the given gaps (in days)
+function history(cardKey, gaps, grades = []) {
+  const entries = [{ cardKey, time: T0, grade: 'good', phase: 'learning', lastInterval: 0, interval: 1, lastReview: T0 - 60000 }];
+  let time = T0;
+  gaps.forEach((gap, index) => {
+    const lastReview = time;
+    time += gap * DAY_MS;
+    entries.push({ cardKey, time, grade: grades[index] || 'good', phase: 'review', lastInterval: gap, interval: gap * 2, lastReview });
+  });
+  return entries;
+}
+
+// Cards remembered far longer than the default settings expect
+const wellRemembered = count => Array.from({ length: count }, (_, index) =>
+  history(`deck/fc-${index}`, [3, 10, 30, 90], index % 10 === 0 ? ['good', 'again'] : [])
+).flat();
+
+describe('replay', () => {
+  test('predicts recall at each review of a graduated card', () => {
+    const sm2 = getAlgorithm('sm2');
+    const { predictions, state } = replayHistory(history('deck/fc-1', [1, 2], ['good', 'again']), sm2, DEFAULT_ALGORITHM_CONFIG);
+
+    expect(predictions).toHaveLength(2);
+    // Reviewed exactly when due: 90% by the forgetting curve
+    expect(predictions[0].probability).toBeCloseTo(0.9, 5);
+    expect(predictions[1].recalled).toBe(false);
+    expect(state.reviewCount).toBe(3);
+  });
+
+  test('starts cards whose early history was not kept from the logged interval', () => {
+    const entries = history('deck/fc-1', [5, 10]).slice(2);
+    const { predictions } = replayHistory(entries, getAlgorithm('sm2'), DEFAULT_ALGORITHM_CONFIG);
+
+    expect(predictions).toHaveLength(1);
+    expect(predictions[0].probability).toBeCloseTo(0.9, 1);
+  });
+
+  test('scores log loss over all cards', () => {
+    const histories = groupHistories([...history('deck/fc-1', [1]), ...history('deck/fc-2', [1])]);
+    const result = evaluateConfig(histories, getAlgorithm('sm2'), DEFAULT_ALGORITHM_CONFIG);
+
+    expect(result.count).toBe(2);
+    expect(result.loss).toBeCloseTo(-Math.log(0.9), 5);
+  });
+});
+
+describe('optimizeConfig', () => {
+  test('needs enough reviews', async () => {
+    const result = await optimizeConfig(history('deck/fc-1', [1, 2]), DEFAULT_ALGORITHM_CONFIG);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(`${MIN_OPTIMIZER_REVIEWS}`);
+  });
+
+  test('lengthens SM-2 intervals for cards remembered longer than expected', async () => {
+    const result = await optimizeConfig(wellRemembered(20), DEFAULT_ALGORITHM_CONFIG, { maxRounds: 2 });
+
+    expect(result.success).toBe(true);
+    expect(result.algorithm).toBe('sm2');
+    expect(result.current).toEqual({ baseEase: 250, intervalChangeHard: 50, easyBonus: 130 });
+    expect(result.parameters.baseEase).toBeGreaterThan(250);
+    expect(result.after.loss).toBeLessThan(result.before.loss);
+    // Longer intervals mean fewer reviews per day
+    expect(result.after.workload).toBeLessThan(result.before.workload);
+    expect(result.before.retention).toBeGreaterThan(result.after.retention);
+  });
+
+  test('tunes FSRS weights', async () => {
+    const config = { ...DEFAULT_ALGORITHM_CONFIG, algorithm: 'fsrs' };
+    const rounds = [];
+    const result = await optimizeConfig(wellRemembered(20), config, { maxRounds: 1, onProgress: round => rounds.push(round) });
+
+    expect(result.success).toBe(true);
+    expect(result.parameters.fsrsWeights).toHaveLength(17);
+    // The default weights stand in for an unset fsrsWeights
+    expect(result.current.fsrsWeights).toEqual(DEFAULT_FSRS_WEIGHTS);
+    expect(result.after.loss).toBeLessThan(result.before.loss);
+    expect(rounds).toEqual([1]);
+  });
+
+  test('lets other tasks run between candidates', async () => {
+    const config = { ...DEFAULT_ALGORITHM_CONFIG, algorithm: 'fsrs' };
+    let ticks = 0;
+    const tick = () => {
+      ticks++;
+      timer = setTimeout(tick, 0);
+    };
+    let timer = setTimeout(tick, 0);
+    const rounds = [];
+
+    await optimizeConfig(wellRemembered(20), config, { maxRounds: 1, onProgress: () => rounds.push(ticks) });
+    clearTimeout(timer);
+
+    // Several tasks ran before the first round was over
+    expect(rounds[0]).toBeGreaterThan(10);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for Obsidian Spaced Repetition markdown import
+ */
+
+import { test, expect } from 'bun:test';
+import { parseOsrNote, parseSrComment, importOsrNotes } from '../src/core/importers/osr-markdown.js';
+import { deckIdFromPath } from '../src/core/importers/common.js';
+
+const note = `---
+tags: [flashcards/python]
+---
+# Python
+
+def keyword::Declares a function <!--SR:!2024-01-15,3,270-->
+
+Capital of France:::Paris
+<!--SR:!2024-02-01,10,250!2024-02-05,12,230-->
+
+What does GIL stand for?
+?
+Global Interpreter Lock
+<!--SR:!2024-03-01,20,290-->
+
+Python was created by ==Guido== in ==1991==.
+
+\`\`\`python
+x = {"a::b": 1}
+\`\`\`
+
+SQL cards live elsewhere #flashcards/sql
+?
+Yes
+`;
+
+test('SR comments are parsed into one schedule per sibling', () => {
+  const schedules = parseSrComment('<!--SR:!2024-02-01,10,250!2024-02-05,12,230-->');
+  expect(schedules).toEqual([
+    { dueDate: new Date(2024, 1, 1).getTime(), interval: 10, ease: 250 },
+    { dueDate: new Date(2024, 1, 5).getTime(), interval: 12, ease: 230 }
+  ]);
+  expect(parseSrComment('no comment')).toEqual([]);
+});
+
+test('note cards are parsed for every OSR syntax', () => {
+  const { entries, skipped } = parseOsrNote(note, { fileName: 'python.md' });
+  const cards = entries.map(entry => [entry.card.question, entry.card.answer]);
+
+  expect(skipped).toEqual([]);
+  expect(cards).toEqual([
+    ['def keyword', 'Declares a function'],
+    ['Capital of France', 'Paris'],
+    ['Paris', 'Capital of France'],
+    ['What does GIL stand for?', 'Global Interpreter Lock'],
+    ['Python was created by [...] in 1991.', 'Python was created by Guido in 1991.'],
+    ['Python was created by Guido in [...].', 'Python was created by Guido in 1991.'],
+    ['SQL cards live elsewhere', 'Yes']
+  ]);
+  expect(entries.map(entry => entry.deckPath)).toEqual([
+    'python', 'python', 'python', 'python', 'python', 'python', 'sql'
+  ]);
+  expect(entries[2].schedule.interval).toBe(12);
+  expect(entries[3].schedule.ease).toBe(290);
+  expect(entries[4].schedule).toBeNull();
+});
+
+test('cards without a deck tag are skipped', () => {
+  const { entries, skipped } = parseOsrNote('Q::A\n', { fileName: 'untagged.md' });
+  expect(entries).toEqual([]);
+  expect(skipped[0].row).toBe('untagged.md:1');
+});
+
+test('import groups cards by deck and carries over scheduling', () => {
+  const { decks } = importOsrNotes([{ name: 'python.md', text: note }], {
+    defaultDeckId: 'default',
+    getExistingCards: deckId => deckId === 'python'
+      ? [{ id: 'fc-001', question: 'def keyword', answer: 'x', tags: [], createdAt: '2024-01-01' }]
+      : []
+  });
+
+  const python = decks.find(deck => deck.deckId === 'python');
+  expect(python.duplicates.length).toBe(1);
+  expect(python.cards.length).toBe(5);
+  expect(python.cards[0].id).toBe('fc-002');
+  expect(python.progress['fc-002']).toMatchObject({ interval: 10, ease: 250, reviewCount: 1 });
+  expect(python.progress['fc-002'].lastReview).toBe(new Date(2024, 1, 1).getTime() - 10 * 86400000);
+
+  const sql = decks.find(deck => deck.deckId === 'sql');
+  expect(sql.cards.length).toBe(1);
+  expect(sql.progress).toEqual({});
+});
+
+test('deck tag paths become deck IDs', () => {
+  expect(deckIdFromPath('Python/Basics')).toBe('python-basics');
+  expect(deckIdFromPath('Languages::Spanish')).toBe('languages-spanish');
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for rescheduling existing cards after a settings change and spreading
+ * overdue cards
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { planReschedule, planSpread, createUndoBatch, planUndo } from '../src/core/reschedule.js';
+import { createAlgorithm } from '../src/core/algorithm.js';
+import { createLogEntry } from '../src/core/review-log.js';
+import { DEFAULT_ALGORITHM_CONFIG } from '../src/utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 5, 1, 12).getTime();
+const config = { ...DEFAULT_ALGORITHM_CONFIG, enableLoadBalancer: false };
+
+// A card in review last seen `daysAgo` days ago with the given interval
+function card(interval, daysAgo = 1, fields = {}) {
+  const lastReview = NOW - daysAgo * DAY_MS;
+  return {
+    reviewCount: 4,
+    phase: 'review',
+    interval,
+    stability: interval,
+    ease: 250,
+    lastReview,
+    dueDate: lastReview + interval * DAY_MS,
+    ...fields
+  };
+}
+
+describe('planReschedule', () => {
+  test('leaves cards alone when the settings give the same intervals', () => {
+    const { changes, unchanged } = planReschedule({ 'd/1': card(10), 'd/2': card(100) }, config, new Map(), NOW);
+
+    expect(changes).toHaveLength(0);
+    expect(unchanged).toBe(2);
+  });
+
+  test('caps intervals at a lowered maximum, counting from the last review', () => {
+    const flashcardData = { 'd/long': card(400, 10), 'd/short': card(20, 10) };
+    const { changes, earlier, later } = planReschedule(flashcardData, { ...config, maxIntervalDays: 180 }, new Map(), NOW);
+
+    expect(changes.map(change => change.key)).toEqual(['d/long']);
+    expect(changes[0].after.interval).toBe(180);
+    expect(changes[0].after.dueDate).toBe(flashcardData['d/long'].lastReview + 180 * DAY_MS);
+    expect(earlier).toBe(1);
+    expect(later).toBe(0);
+  });
+
+  test('leaves cards that would still be shown on the same day', () => {
+    // Overdue either way: due 19 days ago, and 50 days ago under the new maximum
+    const flashcardData = { 'd/overdue': card(40, 59), 'd/long': card(400, 10) };
+    const { changes, earlier, later, unchanged } = planReschedule(flashcardData, { ...config, maxIntervalDays: 9 }, new Map(), NOW);
+
+    expect(changes.map(change => change.key)).toEqual(['d/long']);
+    expect(changes).toHaveLength(earlier + later);
+    expect(unchanged).toBe(1);
+  });
+
+  test('stretches intervals to a lower desired retention', () => {
+    const { changes, later } = planReschedule({ 'd/1': card(30) }, { ...config, requestRetention: 0.8 }, new Map(), NOW);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].after.interval).toBeGreaterThan(30);
+    expect(later).toBe(1);
+  });
+
+  test('replays the review log to pick up settings such as the easy bonus', () => {
+    // Answer a new card Easy, then Easy again when due, logging both answers
+    const engine = createAlgorithm(config);
+    const history = [];
+    let entry = { reviewCount: 0 };
+    [NOW - 20 * DAY_MS, NOW - 16 * DAY_MS].forEach(time => {
+      const after = engine.calculateReview(entry, 'easy', [], time);
+      history.push(createLogEntry('d/1', entry, after));
+      entry = after;
+    });
+    const histories = new Map([['d/1', history]]);
+
+    expect(planReschedule({ 'd/1': entry }, config, histories, NOW).changes).toHaveLength(0);
+
+    const { changes } = planReschedule({ 'd/1': entry }, { ...config, easyBonus: 200 }, histories, NOW);
+    expect(changes[0].after.interval).toBeCloseTo(entry.interval * 200 / config.easyBonus, 1);
+    expect(changes[0].after.stability).toBeGreaterThan(entry.stability);
+
+    // A log that does not end with the card's last review is not trusted
+    const stale = new Map([['d/1', history.slice(0, 1)]]);
+    expect(planReschedule({ 'd/1': entry }, { ...config, easyBonus: 200 }, stale, NOW).changes).toHaveLength(0);
+  });
+
+  test('tolerates the days the load balancer may have moved a card', () => {
+    const flashcardData = { 'd/1': card(32) };
+    expect(planReschedule(flashcardData, { ...config, enableLoadBalancer: true, requestRetention: 0.905 }, new Map(), NOW).changes).toHaveLength(0);
+    expect(planReschedule(flashcardData, { ...config, requestRetention: 0.905 }, new Map(), NOW).changes).toHaveLength(1);
+  });
+
+  test('skips new, learning and relearning cards', () => {
+    const flashcardData = {
+      'd/new': { reviewCount: 0 },
+      'd/learning': card(0, 0, { phase: 'learning', step: 1 }),
+      'd/relearning': card(400, 0, { phase: 'relearning', step: 0 })
+    };
+    const result = planReschedule(flashcardData, { ...config, maxIntervalDays: 30 }, new Map(), NOW);
+
+    expect(result.changes).toHaveLength(0);
+    expect(result.unchanged).toBe(0);
+  });
+
+  test('does not change the progress it is given', () => {
+    const flashcardData = { 'd/1': card(400) };
+    const copy = structuredClone(flashcardData);
+    planReschedule(flashcardData, { ...config, maxIntervalDays: 30 }, new Map(), NOW);
+
+    expect(flashcardData).toEqual(copy);
+  });
+});
+
+describe('planSpread', () => {
+  // A card whose 10 day interval ended `daysOverdue` days ago
+  const overdue = daysOverdue => card(10, 10 + daysOverdue);
+
+  test('spreads a backlog evenly, most overdue first', () => {
+    const flashcardData = {};
+    for (let index = 0; index < 9; index++) {
+      flashcardData[`d/${index}`] = overdue(index + 1);
+    }
+    const { changes, overdue: count, perDay } = planSpread(flashcardData, config, 3, NOW);
+
+    expect(count).toBe(9);
+    expect(perDay).toBe(3);
+    expect(changes).toHaveLength(6);
+    // The three most overdue stay due today
+    expect(changes.map(change => change.key)).not.toContain('d/8');
+    const today = new Date(2024, 5, 1, config.dayRolloverHour).getTime();
+    const byDay = changes.map(({ after }) => Math.round((after.dueDate - today) / DAY_MS));
+    expect(byDay.filter(day => day === 1)).toHaveLength(3);
+    expect(byDay.filter(day => day === 2)).toHaveLength(3);
+    // Only the due date moves
+    changes.forEach(({ before, after }) => {
+      expect(after).toEqual({ ...before, dueDate: after.dueDate });
+    });
+  });
+
+  test('counts the cards already due on the coming days', () => {
+    const flashcardData = {
+      'd/1': overdue(5),
+      'd/2': overdue(4),
+      'd/3': overdue(3),
+      'd/4': overdue(2),
+      'd/tomorrow': card(10, 9),
+      'd/tomorrow-2': card(10, 9)
+    };
+    const { changes, perDay } = planSpread(flashcardData, config, 3, NOW);
+
+    expect(perDay).toBe(2);
+    // Tomorrow is already full, so the rest go to the day after
+    expect(changes.map(change => change.key)).toEqual(['d/3', 'd/4']);
+    changes.forEach(({ after }) => {
+      expect(after.dueDate).toBe(new Date(2024, 5, 3, config.dayRolloverHour).getTime());
+    });
+  });
+
+  test('leaves a backlog that fits today alone', () => {
+    expect(planSpread({ 'd/1': overdue(3) }, config, 7, NOW).changes).toHaveLength(0);
+    expect(planSpread({ 'd/1': overdue(3), 'd/2': overdue(2) }, config, 1, NOW).changes).toHaveLength(0);
+  });
+});
+
+describe('undo', () => {
+  test('restores the moved cards as one batch', () => {
+    const flashcardData = { 'd/1': card(400, 10), 'd/2': card(500, 10) };
+    const { changes } = planReschedule(flashcardData, { ...config, maxIntervalDays: 30 }, new Map(), NOW);
+    const batch = createUndoBatch(changes, NOW);
+    const rescheduled = Object.fromEntries(changes.map(({ key, after }) => [key, after]));
+
+    const { restored, skipped } = planUndo(rescheduled, batch);
+    expect(restored).toEqual(flashcardData);
+    expect(skipped).toBe(0);
+  });
+
+  test('keeps cards reviewed since the reschedule', () => {
+    const flashcardData = { 'd/1': card(400, 10), 'd/2': card(500, 10) };
+    const { changes } = planReschedule(flashcardData, { ...config, maxIntervalDays: 30 }, new Map(), NOW);
+    const batch = createUndoBatch(changes, NOW);
+    const current = Object.fromEntries(changes.map(({ key, after }) => [key, after]));
+    current['d/2'] = { ...current['d/2'], lastReview: NOW, dueDate: NOW + 60 * DAY_MS };
+
+    const { restored, skipped } = planUndo(current, batch);
+    expect(Object.keys(restored)).toEqual(['d/1']);
+    expect(skipped).toBe(1);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for the append-only review log
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { reviewLog, createLogEntry } from '../src/core/review-log.js';
+import { progressStore } from '../src/core/idb-storage.js';
+import { reviewService } from '../src/background/review-service.js';
+import { storage } from '../src/core/storage.js';
+import { deckRegistry } from '../src/core/decks.js';
+import { scheduler } from '../src/core/scheduler.js';
+import { algorithm } from '../src/core/algorithm.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = 1704067200000;
+
+const review = (cardKey, time, grade = 'good', extra = {}) => ({
+  cardKey,
+  time,
+  grade,
+  phase: 'review',
+  lastInterval: 1,
+  interval: 3,
+  lastReview: time - DAY_MS,
+  ...extra
+});
+
+beforeEach(() => {
+  progressStore.setFactory(new IDBFactory(), IDBKeyRange);
+});
+
+test('log entries describe the card before and after the answer', () => {
+  const before = { reviewCount: 2, interval: 4, ease: 250, lastReview: T0 - 4 * DAY_MS, phase: 'review' };
+  const after = { reviewCount: 3, interval: 10, ease: 250, lastReview: T0, difficulty: 'good', phase: 'review' };
+
+  expect(createLogEntry('python/fc-1', before, after, { duration: 4200.4, domain: 'example.com' })).toEqual({
+    cardKey: 'python/fc-1',
+    time: T0,
+    grade: 'good',
+    phase: 'review',
+    lastInterval: 4,
+    interval: 10,
+    lastReview: T0 - 4 * DAY_MS,
+    lastEase: 250,
+    ease: 250,
+    duration: 4200,
+    domain: 'example.com'
+  });
+});
+
+test('log entries of new cards leave out what does not apply', () => {
+  const after = { reviewCount: 1, interval: 1 / 1440, lastReview: T0, difficulty: 'again', stability: 0.4 };
+
+  expect(createLogEntry('python/fc-1', {}, after)).toEqual({
+    cardKey: 'python/fc-1',
+    time: T0,
+    grade: 'again',
+    phase: 'new',
+    lastInterval: 0,
+    interval: 1 / 1440,
+    lastReview: null,
+    stability: 0.4
+  });
+});
+
+describe('reviewLog', () => {
+  test('keeps every answer and returns a card history oldest first', async () => {
+    await reviewLog.append(review('python/fc-1', T0 + 2 * DAY_MS, 'easy'));
+    await reviewLog.append(review('python/fc-2', T0 + DAY_MS));
+    await reviewLog.append(review('python/fc-1', T0, 'hard'));
+
+    const history = await reviewLog.getCardHistory('python/fc-1');
+    expect(history.map(entry => entry.grade)).toEqual(['hard', 'easy']);
+    expect(await reviewLog.count()).toBe(3);
+  });
+
+  test('returns entries in a time range', async () => {
+    for (let day = 0; day < 5; day++) {
+      await reviewLog.append(review('python/fc-1', T0 + day * DAY_MS));
+    }
+
+    const entries = await reviewLog.getEntries({ since: T0 + DAY_MS, until: T0 + 3 * DAY_MS });
+    expect(entries.map(entry => entry.time)).toEqual([T0 + DAY_MS, T0 + 2 * DAY_MS]);
+    expect(await reviewLog.getEntries({ since: T0 + 4 * DAY_MS })).toHaveLength(1);
+  });
+
+  test('compaction deletes expired entries and strips details from old ones', async () => {
+    const now = T0 + 100 * DAY_MS;
+    await reviewLog.append(review('python/fc-1', T0, 'good', { duration: 3000, domain: 'a.com' }));
+    await reviewLog.append(review('python/fc-1', now - 40 * DAY_MS, 'good', { duration: 3000, domain: 'a.com' }));
+    await reviewLog.append(review('python/fc-1', now - DAY_MS, 'good', { duration: 3000, domain: 'a.com' }));
+
+    expect(await reviewLog.compact({ retentionDays: 60, compactAfterDays: 30 }, now)).toEqual({ deleted: 1, compacted: 1 });
+
+    const history = await reviewLog.getCardHistory('python/fc-1');
+    expect(history).toHaveLength(2);
+    expect(history[0].duration).toBeUndefined();
+    expect(history[0].domain).toBeUndefined();
+    expect(history[0].grade).toBe('good');
+    expect(history[1].duration).toBe(3000);
+
+    // Already compacted entries are not visited again
+    expect(await reviewLog.compact({ retentionDays: 60, compactAfterDays: 30 }, now)).toEqual({ deleted: 0, compacted: 0 });
+  });
+
+  test('keeps everything when retention is off', async () => {
+    await reviewLog.append(review('python/fc-1', T0, 'good', { duration: 3000 }));
+
+    expect(await reviewLog.compact({ retentionDays: 0, compactAfterDays: 0 }, T0 + 1000 * DAY_MS)).toEqual({ deleted: 0, compacted: 0 });
+    expect((await reviewLog.getCardHistory('python/fc-1'))[0].duration).toBe(3000);
+  });
+});
+
+describe('reviewService with the review log', () => {
+  let local;
+  let schedulerDependencies;
+
+  beforeEach(() => {
+    local = {};
+    schedulerDependencies = [scheduler.flashcardManager, scheduler.algorithm];
+    storage.get = async (key, defaultValue) => key in local ? structuredClone(local[key]) : defaultValue;
+    storage.set = async (key, value) => { local[key] = structuredClone(value); return true; };
+    deckRegistry.loadBundledDecks = async () => [{
+      id: 'python',
+      name: 'Python',
+      bundled: true,
+      flashcards: [{ id: 'fc-1', question: 'Q1', answer: 'A1', tags: [] }]
+    }];
+
+    reviewService.ready = null;
+    reviewService.queue = Promise.resolve();
+    reviewService.stale = { progress: false, cards: false, config: false };
+  });
+
+  afterEach(() => {
+    delete storage.get;
+    delete storage.set;
+    delete deckRegistry.loadBundledDecks;
+    scheduler.setDependencies(...schedulerDependencies);
+    algorithm.configLoaded = false;
+  });
+
+  test('appends one entry per answer', async () => {
+    await reviewService.recordReview('python/fc-1', 'good', { duration: 2500, domain: 'example.com' });
+    await reviewService.recordReview('python/fc-1', 'again');
+
+    const history = await reviewLog.getCardHistory('python/fc-1');
+    expect(history.map(entry => [entry.grade, entry.phase])).toEqual([['good', 'new'], ['again', 'learning']]);
+    expect(history[0]).toMatchObject({ duration: 2500, domain: 'example.com', lastInterval: 0 });
+    expect(history[1].lastInterval).toBe(history[0].interval);
+  });
+});
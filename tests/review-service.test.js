@@ -0,0 +1,226 @@
+/**
+ * Tests for the service worker's review service
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { reviewService } from '../src/background/review-service.js';
+import { storage } from '../src/core/storage.js';
+import { deckRegistry } from '../src/core/decks.js';
+import { scheduler } from '../src/core/scheduler.js';
+import { algorithm } from '../src/core/algorithm.js';
+import { reviewLog } from '../src/core/review-log.js';
+import { clock, createClock } from '../src/utils/clock.js';
+import { STORAGE_KEYS, MESSAGE_ACTIONS } from '../src/utils/constants.js';
+
+const bundledDecks = [
+  {
+    id: 'python',
+    name: 'Python',
+    bundled: true,
+    flashcards: [
+      { id: 'fc-1', question: 'Q1', answer: 'A1', tags: [] },
+      { id: 'fc-2', question: 'Q2', answer: 'A2', tags: [] }
+    ]
+  }
+];
+
+describe('reviewService', () => {
+  let local;
+  let schedulerDependencies;
+
+  beforeEach(() => {
+    local = {};
+    schedulerDependencies = [scheduler.flashcardManager, scheduler.algorithm];
+    storage.get = async (key, defaultValue) => key in local ? structuredClone(local[key]) : defaultValue;
+    storage.set = async (key, value) => { local[key] = structuredClone(value); return true; };
+    storage.remove = async key => { delete local[key]; return true; };
+    reviewLog.isAvailable = () => false;
+    deckRegistry.loadBundledDecks = async () => structuredClone(bundledDecks);
+
+    // Start every test from a fresh service worker
+    reviewService.ready = null;
+    reviewService.queue = Promise.resolve();
+    reviewService.stale = { progress: false, cards: false, config: false };
+  });
+
+  afterEach(() => {
+    // Drop the instance overrides so the prototype methods are used again
+    delete storage.get;
+    delete storage.set;
+    delete storage.remove;
+    delete reviewLog.isAvailable;
+    delete deckRegistry.loadBundledDecks;
+    // Other test files share these singletons
+    scheduler.setDependencies(...schedulerDependencies);
+    algorithm.setClock(clock);
+    algorithm.configLoaded = false;
+  });
+
+  test('keeps concurrent reviews from different tabs', async () => {
+    await Promise.all([
+      reviewService.recordReview('python/fc-1', 'good'),
+      reviewService.recordReview('python/fc-2', 'easy')
+    ]);
+
+    const progress = local[STORAGE_KEYS.PROGRESS];
+    expect(Object.keys(progress.flashcardData).sort()).toEqual(['python/fc-1', 'python/fc-2']);
+    expect(progress.completed.sort()).toEqual(['python/fc-1', 'python/fc-2']);
+  });
+
+  test('reloads progress written elsewhere before the next operation', async () => {
+    await reviewService.recordReview('python/fc-1', 'good');
+
+    // Sync or a restore writes progress that includes a review of fc-2
+    const written = structuredClone(local[STORAGE_KEYS.PROGRESS]);
+    written.flashcardData['python/fc-2'] = { ...written.flashcardData['python/fc-1'] };
+    written.completed.push('python/fc-2');
+    local[STORAGE_KEYS.PROGRESS] = written;
+    reviewService.handleStorageChange({ [STORAGE_KEYS.PROGRESS]: { newValue: written } });
+
+    await reviewService.markForLater('python/fc-1');
+
+    const progress = local[STORAGE_KEYS.PROGRESS];
+    expect(progress.flashcardData['python/fc-2']).toBeDefined();
+    expect(progress.repeatLater).toEqual(['python/fc-1']);
+  });
+
+  test('reloads the cards when decks are turned off', async () => {
+    expect((await reviewService.getStats()).total).toBe(2);
+
+    local[STORAGE_KEYS.DECK_SETTINGS] = { python: { enabled: false } };
+    reviewService.handleStorageChange({ [STORAGE_KEYS.DECK_SETTINGS]: {} });
+
+    expect((await reviewService.getStats()).total).toBe(0);
+    expect(await reviewService.getNext()).toBeNull();
+  });
+
+  test('answers messages', async () => {
+    const { next } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.GET_NEXT });
+    expect(next.flashcard.deckId).toBe('python');
+
+    const review = await reviewService.handleMessage({
+      action: MESSAGE_ACTIONS.RECORD_REVIEW,
+      key: next.flashcard.key,
+      difficulty: 'good'
+    });
+    expect(review.success).toBe(true);
+    expect(review.progress.reviewCount).toBe(1);
+
+    const { stats } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.STATS });
+    expect(stats.completed).toBe(1);
+    expect(stats.scheduling.total).toBe(2);
+
+    expect(await reviewService.handleMessage({ action: MESSAGE_ACTIONS.RESET_PROGRESS })).toEqual({ success: true });
+    const { progress } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.GET_PROGRESS });
+    expect(progress.completed).toEqual([]);
+  });
+
+  test('estimates the workload of a desired retention', async () => {
+    local[STORAGE_KEYS.PROGRESS] = {
+      completed: [],
+      repeatLater: [],
+      flashcardData: { 'python/fc-1': { reviewCount: 3, interval: 4, stability: 4, ease: 250, phase: 'review' } }
+    };
+
+    const { workload } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.ESTIMATE_WORKLOAD, retention: 0.95 });
+    expect(workload.current).toBe(0.3);
+    expect(workload.estimate).toBeGreaterThan(workload.current);
+  });
+
+  test('previews, applies and undoes a reschedule', async () => {
+    const lastReview = Date.now() - 10 * 24 * 60 * 60 * 1000;
+    const entry = { reviewCount: 5, interval: 400, stability: 400, ease: 250, phase: 'review', lastReview, dueDate: lastReview + 400 * 24 * 60 * 60 * 1000 };
+    local[STORAGE_KEYS.PROGRESS] = {
+      completed: ['python/fc-1', 'python/fc-2'],
+      repeatLater: [],
+      flashcardData: { 'python/fc-1': entry, 'python/fc-2': { ...entry, interval: 10, stability: 10 } }
+    };
+    const config = { ...algorithm.config, enableLoadBalancer: false, maxIntervalDays: 30 };
+
+    const { preview } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.PREVIEW_RESCHEDULE, config });
+    expect(preview).toEqual({ changed: 1, earlier: 1, later: 0, unchanged: 1 });
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-1']).toEqual(entry);
+
+    const { result } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.RESCHEDULE_CARDS, config });
+    expect(result.changed).toBe(1);
+    expect(local[STORAGE_KEYS.ALGORITHM_CONFIG].maxIntervalDays).toBe(30);
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-1'].interval).toBe(30);
+    expect(Object.keys(local[STORAGE_KEYS.RESCHEDULE_UNDO].cards)).toEqual(['python/fc-1']);
+    // Dated so sync carries the new due date to other devices
+    const rescheduledAt = local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-1'].updatedAt;
+    expect(rescheduledAt).toBeGreaterThan(lastReview);
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-2'].updatedAt).toBeUndefined();
+
+    const undone = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.UNDO_RESCHEDULE });
+    expect(undone.result).toEqual({ restored: 1, skipped: 0 });
+    const { updatedAt, ...restored } = local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-1'];
+    expect(restored).toEqual(entry);
+    expect(updatedAt).toBeGreaterThanOrEqual(rescheduledAt);
+    expect(local[STORAGE_KEYS.RESCHEDULE_UNDO]).toBeUndefined();
+  });
+
+  test('previews a reschedule at the clock time', async () => {
+    // Overdue by the clock before and after, but not yet due by the system time
+    const now = Date.now() + 60 * 24 * 60 * 60 * 1000;
+    algorithm.setClock(createClock(now));
+    const lastReview = now - 30 * 24 * 60 * 60 * 1000;
+    const entry = { reviewCount: 5, interval: 25, stability: 25, ease: 250, phase: 'review', lastReview, dueDate: lastReview + 25 * 24 * 60 * 60 * 1000 };
+    local[STORAGE_KEYS.PROGRESS] = { completed: ['python/fc-1'], repeatLater: [], flashcardData: { 'python/fc-1': entry } };
+    const config = { ...algorithm.config, enableLoadBalancer: false, maxIntervalDays: 10 };
+
+    const { preview } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.PREVIEW_RESCHEDULE, config });
+    const { result } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.RESCHEDULE_CARDS, config });
+    expect(preview).toEqual({ changed: 0, earlier: 0, later: 0, unchanged: 1 });
+    expect(result).toEqual(preview);
+  });
+
+  test('spreads overdue cards and undoes the spread', async () => {
+    const lastReview = Date.now() - 40 * 24 * 60 * 60 * 1000;
+    const entry = { reviewCount: 5, interval: 10, stability: 10, ease: 250, phase: 'review', lastReview, dueDate: lastReview + 10 * 24 * 60 * 60 * 1000 };
+    local[STORAGE_KEYS.PROGRESS] = {
+      completed: [],
+      repeatLater: [],
+      flashcardData: { 'python/fc-1': entry, 'python/fc-2': { ...entry, interval: 20, stability: 20 } }
+    };
+
+    const { result } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.SPREAD_OVERDUE, days: 2 });
+    expect(result).toEqual({ overdue: 2, moved: 1, perDay: 1 });
+    // The card with the longer interval is less likely forgotten, so it waits
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-1']).toEqual(entry);
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-2'].dueDate).toBeGreaterThan(Date.now());
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-2'].updatedAt).toBeGreaterThan(lastReview);
+
+    const undone = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.UNDO_RESCHEDULE });
+    expect(undone.result).toEqual({ restored: 1, skipped: 0 });
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-2'].dueDate).toBe(entry.dueDate);
+  });
+
+  test('suspends, lists and deletes leeches', async () => {
+    local[STORAGE_KEYS.PROGRESS] = {
+      completed: [],
+      repeatLater: [],
+      flashcardData: { 'python/fc-1': { reviewCount: 9, lapses: 8, leech: true, suspended: true, phase: 'review' } }
+    };
+
+    const { leeches } = await reviewService.handleMessage({ action: MESSAGE_ACTIONS.GET_LEECHES });
+    expect(leeches).toEqual([{ key: 'python/fc-1', question: 'Q1', lapses: 8, hardCount: 0, suspended: true, reverse: false }]);
+    expect((await reviewService.getStats()).scheduling.suspended).toBe(1);
+
+    await reviewService.handleMessage({ action: MESSAGE_ACTIONS.SUSPEND_CARD, key: 'python/fc-2' });
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-2'].suspended).toBe(true);
+
+    await reviewService.handleMessage({ action: MESSAGE_ACTIONS.DELETE_CARD, key: 'python/fc-1' });
+    expect(local[STORAGE_KEYS.USER_CARDS].python.deleted).toEqual(['fc-1']);
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['python/fc-1']).toBeUndefined();
+    expect((await reviewService.handleMessage({ action: MESSAGE_ACTIONS.GET_LEECHES })).leeches).toEqual([]);
+  });
+
+  test('leaves unknown actions to other handlers', () => {
+    expect(reviewService.handleMessage({ action: MESSAGE_ACTIONS.SYNC_NOW })).toBeNull();
+  });
+
+  test('keeps running after a failed operation', async () => {
+    await expect(reviewService.enqueue(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect((await reviewService.getStats()).total).toBe(2);
+  });
+});
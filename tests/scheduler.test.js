@@ -0,0 +1,420 @@
+/**
+ * Tests for daily limits and study days in the scheduler, suspending, burying
+ * and leeches, sibling burying, linked cards' ease, and the clock and random
+ * source it schedules with
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { scheduler } from '../src/core/scheduler.js';
+import { flashcardManager } from '../src/core/flashcards.js';
+import { algorithm } from '../src/core/algorithm.js';
+import { applyDebugSettings } from '../src/core/debug.js';
+import { clock, createClock } from '../src/utils/clock.js';
+import { randomSource, createRandomSource } from '../src/utils/random.js';
+import { DEFAULT_ALGORITHM_CONFIG, CARD_PHASES, REVIEW_DIFFICULTY, LEECH_ACTIONS } from '../src/utils/constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const cards = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `fc-${i}`,
+  deckId: 'python',
+  key: `python/fc-${i}`,
+  question: `Q${i}`,
+  answer: `A${i}`
+}));
+
+// A card that is due, last reviewed on an earlier day
+const dueReview = (now) => ({
+  reviewCount: 3,
+  ease: 250,
+  interval: 3,
+  lastReview: now - 3 * DAY_MS,
+  dueDate: now - HOUR_MS,
+  phase: CARD_PHASES.REVIEW,
+  introducedAt: now - 30 * DAY_MS
+});
+
+describe('daily limits', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      dependencies: [scheduler.flashcardManager, scheduler.algorithm],
+      flashcards: flashcardManager.flashcards,
+      progress: flashcardManager.progress,
+      config: algorithm.config,
+      configLoaded: algorithm.configLoaded
+    };
+    scheduler.setDependencies(flashcardManager, algorithm);
+    algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG, newCardsPerDay: 2, reviewsPerDay: 2 };
+    algorithm.configLoaded = true;
+    flashcardManager.flashcards = cards(10);
+    flashcardManager.progress = { completed: [], repeatLater: [], flashcardData: {} };
+  });
+
+  afterEach(() => {
+    scheduler.setDependencies(...saved.dependencies);
+    flashcardManager.flashcards = saved.flashcards;
+    flashcardManager.progress = saved.progress;
+    algorithm.config = saved.config;
+    algorithm.configLoaded = saved.configLoaded;
+  });
+
+  test('study days start at the rollover hour', () => {
+    const beforeRollover = new Date(2024, 0, 2, 3, 30).getTime();
+    const afterRollover = new Date(2024, 0, 2, 4, 30).getTime();
+
+    expect(algorithm.getStudyDayStart(beforeRollover)).toBe(new Date(2024, 0, 1, 4).getTime());
+    expect(algorithm.getStudyDayStart(afterRollover)).toBe(new Date(2024, 0, 2, 4).getTime());
+  });
+
+  test('counts reviews before the rollover hour towards the previous day', () => {
+    const now = new Date(2024, 0, 2, 10).getTime();
+    flashcardManager.progress.flashcardData = {
+      'python/fc-0': { ...dueReview(now), lastReview: new Date(2024, 0, 2, 3).getTime() },
+      'python/fc-1': { ...dueReview(now), lastReview: new Date(2024, 0, 2, 5).getTime() },
+      'python/fc-2': { reviewCount: 1, lastReview: now - HOUR_MS, introducedAt: now - HOUR_MS }
+    };
+
+    expect(scheduler.getDailyCounts(now)).toEqual({ newCards: 1, reviews: 1, newRemaining: 1, reviewsRemaining: 1 });
+  });
+
+  test('introduces no more new cards than the daily limit', () => {
+    const now = Date.now();
+    ['python/fc-0', 'python/fc-1'].forEach(key => {
+      flashcardManager.progress.flashcardData[key] = {
+        reviewCount: 2,
+        lastReview: now,
+        introducedAt: now,
+        dueDate: now + DAY_MS,
+        phase: CARD_PHASES.REVIEW
+      };
+      flashcardManager.progress.completed.push(key);
+    });
+
+    expect(scheduler.getNextFlashcard()).toBeNull();
+    expect(scheduler.getSchedulingStats().today).toEqual({ new: 0, review: 0 });
+
+    algorithm.config.newCardsPerDay = 3;
+    expect(scheduler.getNextFlashcard().progress.reviewCount).toBe(0);
+    expect(scheduler.getSchedulingStats().today.new).toBe(1);
+  });
+
+  test('stops showing due reviews at the daily limit but keeps learning steps', () => {
+    const now = Date.now();
+    const data = flashcardManager.progress.flashcardData;
+    for (let i = 0; i < 5; i++) {
+      data[`python/fc-${i}`] = dueReview(now);
+    }
+    expect(scheduler.getSchedulingStats().today.review).toBe(2);
+
+    // Two reviews already done today
+    data['python/fc-5'] = { ...dueReview(now), lastReview: now, dueDate: now + DAY_MS };
+    data['python/fc-6'] = { ...dueReview(now), lastReview: now, dueDate: now + DAY_MS };
+    expect(scheduler.getDueFlashcard()).toBeNull();
+    expect(scheduler.getSchedulingStats().today.review).toBe(0);
+
+    data['python/fc-7'] = { ...dueReview(now), phase: CARD_PHASES.RELEARNING, lastReview: now - 10 * 60 * 1000, dueDate: now - 1000 };
+    expect(scheduler.getDueFlashcard().flashcard.key).toBe('python/fc-7');
+  });
+
+  test('does not treat never-reviewed cards as due', () => {
+    expect(scheduler.getDueFlashcard()).toBeNull();
+    expect(scheduler.getSchedulingStats()).toMatchObject({ new: 10, today: { new: 2, review: 0 } });
+  });
+});
+
+describe('suspending, burying and leeches', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      dependencies: [scheduler.flashcardManager, scheduler.algorithm],
+      flashcards: flashcardManager.flashcards,
+      progress: flashcardManager.progress,
+      saveProgress: flashcardManager.saveProgress,
+      config: algorithm.config,
+      configLoaded: algorithm.configLoaded
+    };
+    scheduler.setDependencies(flashcardManager, algorithm);
+    algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG, enableLoadBalancer: false, leechThreshold: 4 };
+    algorithm.configLoaded = true;
+    flashcardManager.flashcards = cards(3);
+    flashcardManager.progress = { completed: [], repeatLater: [], flashcardData: {} };
+    flashcardManager.saveProgress = async () => {};
+  });
+
+  afterEach(() => {
+    scheduler.setDependencies(...saved.dependencies);
+    flashcardManager.flashcards = saved.flashcards;
+    flashcardManager.progress = saved.progress;
+    delete flashcardManager.saveProgress;
+    algorithm.config = saved.config;
+    algorithm.configLoaded = saved.configLoaded;
+  });
+
+  test('keeps suspended cards out of every queue until unsuspended', async () => {
+    const now = Date.now();
+    const data = flashcardManager.progress.flashcardData;
+    data['python/fc-0'] = dueReview(now);
+    flashcardManager.progress.repeatLater.push('python/fc-0');
+    await scheduler.setSuspended('python/fc-0', true);
+    await scheduler.setSuspended('python/fc-1', true);
+    await scheduler.setSuspended('python/fc-2', true);
+
+    expect(scheduler.getNextFlashcard()).toBeNull();
+    expect(scheduler.getSchedulingStats()).toMatchObject({ due: 0, new: 0, suspended: 3 });
+
+    await scheduler.setSuspended('python/fc-0', false);
+    expect(scheduler.getNextFlashcard().flashcard.key).toBe('python/fc-0');
+    expect(data['python/fc-0']).toEqual({ ...dueReview(now), updatedAt: expect.any(Number) });
+  });
+
+  test('buries a card until the next study day', async () => {
+    const now = new Date(2024, 0, 2, 12).getTime();
+    algorithm.setClock(createClock(now));
+    try {
+      flashcardManager.flashcards = cards(1);
+      flashcardManager.progress.flashcardData['python/fc-0'] = dueReview(now);
+      await scheduler.bury('python/fc-0');
+
+      expect(flashcardManager.progress.flashcardData['python/fc-0'].buriedUntil).toBe(new Date(2024, 0, 3, 4).getTime());
+      // Burying changes the card without a review, so sync goes by updatedAt
+      expect(flashcardManager.progress.flashcardData['python/fc-0'].updatedAt).toBe(now);
+      expect(scheduler.getNextFlashcard()).toBeNull();
+      expect(scheduler.getSchedulingStats().buried).toBe(1);
+
+      algorithm.clock.advance(16 * HOUR_MS);
+      expect(scheduler.getNextFlashcard().flashcard.key).toBe('python/fc-0');
+    } finally {
+      algorithm.setClock(clock);
+    }
+  });
+
+  test('suspends a card that reaches the leech threshold, and again every half threshold', async () => {
+    const now = Date.now();
+    const data = flashcardManager.progress.flashcardData;
+    data['python/fc-0'] = { ...dueReview(now), lapses: 3 };
+
+    await scheduler.recordReview('python/fc-0', REVIEW_DIFFICULTY.AGAIN);
+    expect(data['python/fc-0']).toMatchObject({ lapses: 4, leech: true, suspended: true });
+    expect(scheduler.getLeeches().map(leech => leech.key)).toEqual(['python/fc-0']);
+
+    // Fixed and unsuspended; the next lapse does not reach the next threshold
+    await scheduler.setSuspended('python/fc-0', false);
+    expect(algorithm.isNewLeech({ lapses: 4 }, { lapses: 5 })).toBe(false);
+    expect(algorithm.isNewLeech({ lapses: 5 }, { lapses: 6 })).toBe(true);
+    expect(scheduler.getLeeches()).toEqual([]);
+  });
+
+  test('buries the sibling of an answered card until the next study day', async () => {
+    const now = new Date(2024, 0, 2, 12).getTime();
+    algorithm.setClock(createClock(now));
+    try {
+      flashcardManager.flashcards = [
+        ...cards(1),
+        { ...cards(1)[0], id: 'fc-0~reverse', key: 'python/fc-0~reverse', question: 'A0', answer: 'Q0', reverseOf: 'fc-0' }
+      ];
+      const data = flashcardManager.progress.flashcardData;
+      data['python/fc-0'] = dueReview(now);
+      data['python/fc-0~reverse'] = dueReview(now);
+
+      await scheduler.recordReview('python/fc-0', REVIEW_DIFFICULTY.GOOD);
+      expect(data['python/fc-0~reverse'].buriedUntil).toBe(new Date(2024, 0, 3, 4).getTime());
+      expect(data['python/fc-0'].buriedUntil).toBeUndefined();
+      expect(scheduler.getNextFlashcard()).toBeNull();
+
+      // A new sibling is held back too, and comes back the next study day
+      delete data['python/fc-0~reverse'];
+      await scheduler.recordReview('python/fc-0', REVIEW_DIFFICULTY.GOOD);
+      expect(scheduler.getNewFlashcards()).toEqual([]);
+      algorithm.clock.advance(DAY_MS);
+      expect(scheduler.getNewFlashcards()).toEqual(['python/fc-0~reverse']);
+    } finally {
+      algorithm.setClock(clock);
+    }
+  });
+
+  test('saves the answer and the buried sibling in one write', async () => {
+    const saves = [];
+    flashcardManager.saveProgress = async keys => {
+      saves.push({ keys, data: structuredClone(flashcardManager.progress.flashcardData) });
+    };
+    flashcardManager.flashcards = [
+      ...cards(1),
+      { ...cards(1)[0], id: 'fc-0~reverse', key: 'python/fc-0~reverse', question: 'A0', answer: 'Q0', reverseOf: 'fc-0' }
+    ];
+    flashcardManager.progress.flashcardData['python/fc-0'] = dueReview(Date.now());
+
+    await scheduler.recordReview('python/fc-0', REVIEW_DIFFICULTY.GOOD);
+
+    expect(saves.map(save => save.keys)).toEqual([['python/fc-0', 'python/fc-0~reverse']]);
+    expect(saves[0].data['python/fc-0'].reviewCount).toBe(4);
+    expect(saves[0].data['python/fc-0~reverse'].buriedUntil).toBeGreaterThan(Date.now());
+  });
+
+  test('can count Hard answers and only flag leeches', async () => {
+    algorithm.config = { ...algorithm.config, leechCountsHard: true, leechAction: LEECH_ACTIONS.FLAG };
+    const now = Date.now();
+    const data = flashcardManager.progress.flashcardData;
+    data['python/fc-0'] = { ...dueReview(now), lapses: 2, hardCount: 1 };
+
+    await scheduler.recordReview('python/fc-0', REVIEW_DIFFICULTY.HARD);
+    expect(data['python/fc-0']).toMatchObject({ hardCount: 2, leech: true });
+    expect(data['python/fc-0'].suspended).toBeUndefined();
+
+    algorithm.config.leechThreshold = 0;
+    expect(algorithm.isNewLeech({ lapses: 0 }, { lapses: 10 })).toBe(false);
+  });
+});
+
+describe('linked cards', () => {
+  let saved;
+
+  // fc-0 links to fc-1 directly and to the cards tagged "loops"
+  const linkedCards = () => [
+    { id: 'fc-0', deckId: 'python', key: 'python/fc-0', question: 'Q0', answer: 'A0', tags: [], links: ['fc-1', '#loops'] },
+    { id: 'fc-1', deckId: 'python', key: 'python/fc-1', question: 'Q1', answer: 'A1', tags: [] },
+    { id: 'fc-2', deckId: 'python', key: 'python/fc-2', question: 'Q2', answer: 'A2', tags: ['loops'] },
+    { id: 'fc-3', deckId: 'python', key: 'python/fc-3', question: 'Q3', answer: 'A3', tags: ['loops'] }
+  ];
+
+  beforeEach(() => {
+    saved = {
+      dependencies: [scheduler.flashcardManager, scheduler.algorithm],
+      flashcards: flashcardManager.flashcards,
+      progress: flashcardManager.progress,
+      config: algorithm.config,
+      configLoaded: algorithm.configLoaded
+    };
+    scheduler.setDependencies(flashcardManager, algorithm);
+    algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG, enableLoadBalancer: false };
+    algorithm.configLoaded = true;
+    flashcardManager.flashcards = linkedCards();
+    const now = Date.now();
+    flashcardManager.progress = {
+      completed: [],
+      repeatLater: [],
+      flashcardData: {
+        'python/fc-1': { ...dueReview(now), ease: 310 },
+        'python/fc-2': { ...dueReview(now), ease: 270 }
+      }
+    };
+    flashcardManager.saveProgress = async () => {};
+  });
+
+  afterEach(() => {
+    scheduler.setDependencies(...saved.dependencies);
+    flashcardManager.flashcards = saved.flashcards;
+    flashcardManager.progress = saved.progress;
+    delete flashcardManager.saveProgress;
+    algorithm.config = saved.config;
+    algorithm.configLoaded = saved.configLoaded;
+  });
+
+  test('a new card starts from the weighted ease of its reviewed linked cards', async () => {
+    await scheduler.recordReview('python/fc-0', REVIEW_DIFFICULTY.GOOD);
+    const entry = flashcardManager.progress.flashcardData['python/fc-0'];
+
+    // fc-1 weighs 1 and fc-2 half of the tag link (fc-3 is not reviewed yet),
+    // so the linked ease is about 297 and half of it over the base ease counts
+    expect(entry.ease).toBe(273);
+    expect(entry.easeLinks).toEqual(['python/fc-1', 'python/fc-2']);
+
+    // Only the first answer takes the links into account
+    flashcardManager.progress.flashcardData['python/fc-1'].ease = 130;
+    await scheduler.recordReview('python/fc-0', REVIEW_DIFFICULTY.GOOD);
+    expect(flashcardManager.progress.flashcardData['python/fc-0'].ease).toBe(273);
+  });
+
+  test('leaves the base ease when links cannot contribute', async () => {
+    algorithm.config = { ...algorithm.config, maxLinkContribution: 0 };
+    expect(scheduler.withLinkedEase('python/fc-0', { reviewCount: 0 })).toEqual({ reviewCount: 0 });
+
+    algorithm.config = { ...algorithm.config, maxLinkContribution: 50, algorithm: 'fsrs' };
+    expect(scheduler.withLinkedEase('python/fc-0', { reviewCount: 0 })).toEqual({ reviewCount: 0 });
+
+    algorithm.config = { ...algorithm.config, algorithm: DEFAULT_ALGORITHM_CONFIG.algorithm };
+    expect(scheduler.withLinkedEase('python/fc-3', { reviewCount: 0 })).toEqual({ reviewCount: 0 });
+  });
+});
+
+describe('clock and random source', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      dependencies: [scheduler.flashcardManager, scheduler.algorithm],
+      flashcards: flashcardManager.flashcards,
+      progress: flashcardManager.progress,
+      config: algorithm.config,
+      configLoaded: algorithm.configLoaded
+    };
+    scheduler.setDependencies(flashcardManager, algorithm);
+    algorithm.config = { ...DEFAULT_ALGORITHM_CONFIG, enableLoadBalancer: false };
+    algorithm.configLoaded = true;
+    flashcardManager.flashcards = cards(10);
+    flashcardManager.progress = { completed: [], repeatLater: [], flashcardData: {} };
+  });
+
+  afterEach(() => {
+    scheduler.setDependencies(...saved.dependencies);
+    scheduler.setRandom(randomSource);
+    algorithm.setClock(clock);
+    applyDebugSettings({});
+    flashcardManager.flashcards = saved.flashcards;
+    flashcardManager.progress = saved.progress;
+    algorithm.config = saved.config;
+    algorithm.configLoaded = saved.configLoaded;
+  });
+
+  test('a fixed clock gives exact due dates', () => {
+    const now = new Date(2024, 0, 2, 12).getTime();
+    const fixed = createClock(now);
+    algorithm.setClock(fixed);
+
+    const result = algorithm.calculateReview({ ...dueReview(now), stability: 3 }, 'good');
+    expect(result.lastReview).toBe(now);
+    expect(result.dueDate).toBe(now + result.interval * DAY_MS);
+    expect(algorithm.isDue(result)).toBe(false);
+
+    fixed.advance(result.interval * DAY_MS);
+    expect(algorithm.isDue(result)).toBe(true);
+    expect(algorithm.getDaysUntilReview(result)).toBe(0);
+  });
+
+  test('counts the daily limits on the clock day', () => {
+    const now = new Date(2024, 0, 2, 12).getTime();
+    const fixed = createClock(now);
+    algorithm.setClock(fixed);
+    flashcardManager.progress.flashcardData['python/fc-0'] = { ...dueReview(now), lastReview: now - HOUR_MS };
+
+    expect(scheduler.getDailyCounts().reviews).toBe(1);
+    fixed.advance(DAY_MS);
+    expect(scheduler.getDailyCounts().reviews).toBe(0);
+  });
+
+  test('the same seed picks new cards in the same order', () => {
+    const picks = seed => {
+      scheduler.setRandom(createRandomSource(seed));
+      return Array.from({ length: 5 }, () => scheduler.getNewFlashcard().flashcard.key);
+    };
+
+    expect(picks(11)).toEqual(picks(11));
+    expect(picks(11)).not.toEqual(picks(12));
+  });
+
+  test('debug settings move the shared clock and fix the shared seed', () => {
+    const before = clock.now();
+    applyDebugSettings({ seed: 5, timeOffset: 3 * DAY_MS });
+    expect(clock.now() - before).toBeGreaterThanOrEqual(3 * DAY_MS);
+    const first = [randomSource.next(), randomSource.next()];
+
+    applyDebugSettings({ seed: 5, timeOffset: 3 * DAY_MS });
+    expect([randomSource.next(), randomSource.next()]).toEqual(first);
+
+    applyDebugSettings({});
+    expect(clock.now() - before).toBeLessThan(DAY_MS);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the workload simulator and the seeded random numbers it uses
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { simulate, compareConfigs, RECALL_MODELS } from '../src/core/simulator.js';
+import { createRandom, pickWeighted } from '../src/utils/random.js';
+import { algorithm } from '../src/core/algorithm.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Noon, clear of the day rollover hour
+const START = new Date(2024, 0, 1, 12).getTime();
+
+const newCards = count => Array.from({ length: count }, (_, index) => `deck/fc-${index}`);
+
+// Cards graduated a while ago, all due on the first day
+function reviewCards(count) {
+  return Object.fromEntries(newCards(count).map(key => [key, {
+    reviewCount: 3,
+    phase: 'review',
+    interval: 10,
+    stability: 10,
+    ease: 250,
+    lastReview: START - 10 * DAY_MS,
+    dueDate: START - DAY_MS
+  }]));
+}
+
+describe('seeded random numbers', () => {
+  test('the same seed gives the same sequence', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const sequence = [a(), a(), a()];
+
+    expect([b(), b(), b()]).toEqual(sequence);
+    expect(c()).not.toBe(sequence[0]);
+    sequence.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('picks keys in proportion to their weights', () => {
+    const random = createRandom(1);
+    const counts = { a: 0, b: 0, never: 0 };
+    for (let index = 0; index < 1000; index++) {
+      counts[pickWeighted(random, { a: 3, b: 1, never: 0 })]++;
+    }
+
+    expect(counts.never).toBe(0);
+    expect(counts.a).toBeGreaterThan(650);
+    expect(counts.a).toBeLessThan(850);
+  });
+});
+
+describe('simulator', () => {
+  test('the same inputs and seed give the same run', () => {
+    const options = { flashcardData: reviewCards(30), newCardKeys: newCards(60), days: 30, seed: 7, startTime: START };
+
+    const first = simulate(options);
+    expect(simulate(options)).toEqual(first);
+    expect(simulate({ ...options, seed: 8 }).totals).not.toEqual(first.totals);
+  });
+
+  test('does not change the progress it starts from or the shared configuration', () => {
+    const flashcardData = reviewCards(5);
+    const copy = structuredClone(flashcardData);
+    const config = algorithm.config;
+
+    simulate({ flashcardData, days: 10, startTime: START, config: { requestRetention: 0.8 } });
+
+    expect(flashcardData).toEqual(copy);
+    expect(algorithm.config).toBe(config);
+  });
+
+  test('keeps to the daily new card and review limits', () => {
+    const result = simulate({
+      flashcardData: reviewCards(50),
+      newCardKeys: newCards(80),
+      config: { newCardsPerDay: 10, reviewsPerDay: 20 },
+      days: 10,
+      startTime: START
+    });
+
+    result.days.forEach(day => {
+      expect(day.newCards).toBeLessThanOrEqual(10);
+      expect(day.reviews).toBeLessThanOrEqual(20);
+    });
+    // The review backlog fills the first days
+    expect(result.days[0].reviews).toBe(20);
+    // Cards already reviewed are not introduced again
+    expect(result.totals.newCards).toBe(30);
+  });
+
+  test('introduces new cards and graduates them through the learning steps', () => {
+    const result = simulate({ newCardKeys: newCards(5), days: 3, startTime: START });
+
+    expect(result.days[0].newCards).toBe(5);
+    expect(result.days[0].learning).toBeGreaterThan(0);
+    Object.values(result.flashcardData).forEach(entry => {
+      expect(entry.phase).toBe('review');
+    });
+  });
+
+  test('leaves out suspended cards, and buried cards until their burial ends', () => {
+    const buriedUntil = algorithm.getStudyDayStart(START + DAY_MS);
+    const flashcardData = reviewCards(3);
+    flashcardData['deck/fc-0'].suspended = true;
+    flashcardData['deck/fc-1'].buriedUntil = buriedUntil;
+    flashcardData['deck/new-0'] = { reviewCount: 0, suspended: true };
+    flashcardData['deck/new-1'] = { reviewCount: 0, buriedUntil };
+
+    const result = simulate({
+      flashcardData,
+      newCardKeys: ['deck/new-0', 'deck/new-1'],
+      days: 2,
+      startTime: START,
+      recallModel: { type: RECALL_MODELS.FIXED, probability: 1 }
+    });
+
+    expect(result.days.map(day => [day.reviews, day.newCards])).toEqual([[1, 0], [1, 1]]);
+    expect(result.flashcardData['deck/fc-0']).toEqual(flashcardData['deck/fc-0']);
+    expect(result.flashcardData['deck/new-0']).toEqual(flashcardData['deck/new-0']);
+  });
+
+  test('a fixed recall model of 1 never forgets', () => {
+    const result = simulate({
+      flashcardData: reviewCards(20),
+      days: 60,
+      startTime: START,
+      recallModel: { type: RECALL_MODELS.FIXED, probability: 1 }
+    });
+
+    expect(result.totals.reviews).toBeGreaterThan(0);
+    expect(result.totals.lapses).toBe(0);
+  });
+
+  test('a lower desired retention means fewer reviews and lower predicted retention', () => {
+    const [high, low] = compareConfigs(
+      { flashcardData: reviewCards(50), newCardKeys: newCards(150), days: 90, seed: 3, startTime: START },
+      { requestRetention: 0.95 },
+      { requestRetention: 0.8 }
+    );
+
+    expect(low.totals.reviews).toBeLessThan(high.totals.reviews);
+    expect(low.totals.averageRetention).toBeLessThan(high.totals.averageRetention);
+    expect(high.days).toHaveLength(90);
+    expect(high.days[89].retention).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the statistics computed from progress and the review log
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  getTrueRetention,
+  getDueForecast,
+  getReviewHeatmap,
+  getEaseHistogram,
+  getIntervalHistogram,
+  getBreakdown,
+  computeStatistics
+} from '../src/core/statistics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = 1704067200000; // 2024-01-01 00:00 UTC
+
+// UTC days keep the tests independent of the machine's time zone
+const utcDay = time => time - (time % DAY_MS);
+
+const card = (interval, dueDate, extra = {}) => ({
+  reviewCount: 3,
+  interval,
+  ease: 250,
+  lastReview: dueDate - interval * DAY_MS,
+  dueDate,
+  ...extra
+});
+
+const log = (cardKey, time, grade, lastInterval, phase = 'review') => ({
+  cardKey, time, grade, lastInterval, interval: lastInterval * 2, phase
+});
+
+describe('true retention', () => {
+  test('counts Good and Easy as recalled and splits young from mature', () => {
+    const retention = getTrueRetention([
+      log('a/1', T0, 'good', 30),
+      log('a/1', T0, 'hard', 25),
+      log('a/2', T0, 'easy', 21),
+      log('a/2', T0, 'again', 3),
+      log('a/3', T0, 'good', 5),
+      log('a/3', T0, 'again', 0, 'learning')
+    ]);
+
+    expect(retention.mature).toEqual({ total: 3, passed: 2, rate: 2 / 3 });
+    expect(retention.young).toEqual({ total: 2, passed: 1, rate: 0.5 });
+    expect(retention.all.total).toBe(5);
+  });
+
+  test('has no rate without reviews', () => {
+    expect(getTrueRetention([]).mature.rate).toBeNull();
+  });
+});
+
+describe('due forecast', () => {
+  test('counts cards per day and puts overdue cards on today', () => {
+    const now = T0 + 10 * 60 * 60 * 1000;
+    const forecast = getDueForecast({
+      'a/1': card(3, T0 - 2 * DAY_MS),
+      'a/2': card(3, T0 + 2 * 60 * 60 * 1000),
+      'a/3': card(5, T0 + 2 * DAY_MS),
+      'a/4': card(5, T0 + 2 * DAY_MS + 1000),
+      'a/5': card(40, T0 + 40 * DAY_MS),
+      'a/6': { reviewCount: 0, dueDate: null }
+    }, 30, now, utcDay);
+
+    expect(forecast).toHaveLength(30);
+    expect(forecast.slice(0, 3)).toEqual([2, 0, 2]);
+    expect(forecast.reduce((sum, count) => sum + count, 0)).toBe(4);
+  });
+});
+
+describe('histograms', () => {
+  test('counts reviews per day', () => {
+    const heatmap = getReviewHeatmap([
+      log('a/1', T0 + 1000, 'good', 1),
+      log('a/2', T0 + 5000, 'good', 1),
+      log('a/1', T0 + DAY_MS, 'good', 1)
+    ], utcDay);
+
+    expect([...heatmap.entries()]).toEqual([[T0, 2], [T0 + DAY_MS, 1]]);
+  });
+
+  test('buckets ease without gaps and skips cards without an ease', () => {
+    const histogram = getEaseHistogram({
+      'a/1': card(3, T0, { ease: 250 }),
+      'a/2': card(3, T0, { ease: 255 }),
+      'a/3': card(3, T0, { ease: 280 }),
+      'a/4': card(3, T0, { ease: undefined, stability: 4 })
+    });
+
+    expect(histogram.map(bucket => [bucket.from, bucket.count])).toEqual([[250, 2], [260, 0], [270, 0], [280, 1]]);
+  });
+
+  test('buckets intervals', () => {
+    const histogram = getIntervalHistogram({
+      'a/1': card(1, T0),
+      'a/2': card(10, T0),
+      'a/3': card(500, T0),
+      'a/4': { reviewCount: 0 }
+    });
+
+    expect(histogram.filter(bucket => bucket.count > 0).map(bucket => [bucket.to, bucket.count]))
+      .toEqual([[1, 1], [14, 1], [Infinity, 1]]);
+  });
+});
+
+describe('breakdowns', () => {
+  const cards = [
+    { key: 'python/1', deckId: 'python', tags: ['loops'] },
+    { key: 'python/2', deckId: 'python', tags: ['loops', 'basics'] },
+    { key: 'sql/1', deckId: 'sql', tags: [] }
+  ];
+  const flashcardData = {
+    'python/1': card(30, T0 - DAY_MS, { ease: 260 }),
+    'python/2': card(3, T0 + DAY_MS, { ease: 240 })
+  };
+  const entries = [
+    log('python/1', T0 - 2 * DAY_MS, 'good', 10),
+    log('python/2', T0 - 2 * DAY_MS, 'hard', 2)
+  ];
+
+  test('summarizes cards and reviews per deck', () => {
+    const decks = getBreakdown(cards, flashcardData, entries, fc => [fc.deckId], T0);
+
+    expect(decks).toEqual([
+      { name: 'python', cards: 2, reviewed: 2, due: 1, mature: 1, averageEase: 250, reviews: 2, retention: 0.5 },
+      { name: 'sql', cards: 1, reviewed: 0, due: 0, mature: 0, averageEase: null, reviews: 0, retention: null }
+    ]);
+  });
+
+  test('counts a card under each of its tags', () => {
+    const stats = computeStatistics({ cards, flashcardData, entries, days: 30, now: T0, dayStart: utcDay });
+
+    expect(stats.tags.map(row => [row.name, row.cards, row.reviews])).toEqual([
+      ['(untagged)', 1, 0],
+      ['basics', 1, 1],
+      ['loops', 2, 2]
+    ]);
+    expect(stats.totals).toEqual({ cards: 3, reviewed: 2, reviews: 2, reviewsToday: 0 });
+  });
+
+  test('only counts reviews inside the period', () => {
+    const stats = computeStatistics({ cards, flashcardData, entries, days: 1, now: T0, dayStart: utcDay });
+
+    expect(stats.totals.reviews).toBe(0);
+    expect(stats.retention.all.total).toBe(0);
+    expect(stats.heatmap.size).toBe(1);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Tests for cross-device progress sync
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import {
+  syncManager,
+  shardProgress,
+  unshardProgress,
+  mergeProgress,
+  SYNC_META_KEY,
+  SYNC_SHARD_PREFIX,
+  SYNC_STATES
+} from '../src/core/sync.js';
+import { storage } from '../src/core/storage.js';
+import { STORAGE_KEYS } from '../src/utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = 1704067200000;
+
+const entry = (lastReview, interval = 1) => ({
+  reviewCount: 1,
+  ease: 250,
+  interval,
+  lastReview,
+  dueDate: lastReview + interval * DAY_MS,
+  difficulty: 'good'
+});
+
+// In-memory stand-in for chrome.storage.sync that enforces the per-item quota
+function createSyncArea() {
+  const items = {};
+  return {
+    items,
+    writes: 0,
+    async get() {
+      return structuredClone(items);
+    },
+    async set(values) {
+      this.writes++;
+      Object.entries(values).forEach(([key, value]) => {
+        if (key.length + JSON.stringify(value).length > 8192) {
+          throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded for "${key}"`);
+        }
+      });
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete items[key]);
+    }
+  };
+}
+
+test('shardProgress splits large progress into items under the quota', () => {
+  const flashcardData = {};
+  const completed = [];
+  for (let i = 0; i < 400; i++) {
+    flashcardData[`default/fc-${i}`] = entry(T0 + i);
+    completed.push(`default/fc-${i}`);
+  }
+  const progress = { completed, repeatLater: ['default/fc-7'], flashcardData };
+
+  const { meta, shards } = shardProgress(progress);
+
+  expect(meta.shardCount).toBeGreaterThan(1);
+  Object.entries(shards).forEach(([key, shard]) => {
+    expect(key.length + JSON.stringify(shard).length).toBeLessThanOrEqual(8192);
+  });
+
+  const restored = unshardProgress({ [SYNC_META_KEY]: meta, ...shards });
+  expect(restored.flashcardData).toEqual(flashcardData);
+  expect(restored.completed.sort()).toEqual([...completed].sort());
+  expect(restored.repeatLater).toEqual(['default/fc-7']);
+});
+
+test('unshardProgress returns null before the first sync', () => {
+  expect(unshardProgress({})).toBeNull();
+});
+
+test('mergeProgress keeps the latest review of each card', () => {
+  const local = {
+    completed: ['default/a', 'default/b'],
+    repeatLater: [],
+    flashcardData: { 'default/a': entry(T0 + DAY_MS, 3), 'default/b': entry(T0) }
+  };
+  const remote = {
+    completed: ['default/b', 'sql/c'],
+    repeatLater: [],
+    flashcardData: { 'default/b': entry(T0 + 2 * DAY_MS, 5), 'sql/c': entry(T0) }
+  };
+
+  const merged = mergeProgress(local, remote);
+
+  expect(merged.flashcardData['default/a'].interval).toBe(3);
+  expect(merged.flashcardData['default/b'].interval).toBe(5);
+  expect(merged.flashcardData['sql/c']).toEqual(entry(T0));
+  expect(merged.completed.sort()).toEqual(['default/a', 'default/b', 'sql/c']);
+});
+
+test('mergeProgress keeps changes made without a review', () => {
+  const local = { completed: ['default/a'], repeatLater: [], flashcardData: { 'default/a': entry(T0, 30) } };
+  // Rescheduled on the other device without a new review
+  const rescheduled = {
+    completed: ['default/a'],
+    repeatLater: [],
+    flashcardData: { 'default/a': { ...entry(T0, 10), updatedAt: T0 + DAY_MS } }
+  };
+
+  expect(mergeProgress(local, rescheduled).flashcardData['default/a'].interval).toBe(10);
+  expect(mergeProgress(rescheduled, local).flashcardData['default/a'].interval).toBe(10);
+
+  // Answered later on the first device
+  local.flashcardData['default/a'] = { ...entry(T0 + 2 * DAY_MS, 4), updatedAt: T0 + 2 * DAY_MS };
+  expect(mergeProgress(local, rescheduled).flashcardData['default/a'].interval).toBe(4);
+});
+
+test('mergeProgress merges a card suspended on another device', () => {
+  const local = { completed: ['default/a'], repeatLater: [], flashcardData: { 'default/a': entry(T0) } };
+  const suspended = {
+    completed: ['default/a'],
+    repeatLater: [],
+    flashcardData: { 'default/a': { ...entry(T0), suspended: true, updatedAt: T0 + DAY_MS } }
+  };
+
+  expect(mergeProgress(local, suspended).flashcardData['default/a'].suspended).toBe(true);
+  expect(mergeProgress(suspended, local).flashcardData['default/a'].suspended).toBe(true);
+
+  // Unsuspended later on the first device
+  local.flashcardData['default/a'] = { ...entry(T0), updatedAt: T0 + 2 * DAY_MS };
+  expect(mergeProgress(local, suspended).flashcardData['default/a'].suspended).toBeUndefined();
+});
+
+test('mergeProgress drops repeatLater when the card was reviewed later elsewhere', () => {
+  const local = {
+    completed: ['default/a'],
+    repeatLater: ['default/a', 'default/new'],
+    flashcardData: { 'default/a': entry(T0) }
+  };
+  const remote = {
+    completed: ['default/a'],
+    repeatLater: ['default/b'],
+    flashcardData: { 'default/a': entry(T0 + DAY_MS), 'default/b': entry(T0) }
+  };
+
+  const merged = mergeProgress(local, remote);
+
+  // a was marked on this device but reviewed on the other one afterwards
+  expect(merged.repeatLater.sort()).toEqual(['default/b', 'default/new']);
+  expect(mergeProgress(remote, local).repeatLater.sort()).toEqual(['default/b', 'default/new']);
+});
+
+test('mergeProgress honours a progress reset on either side', () => {
+  const resetAt = T0 + DAY_MS;
+  const local = { completed: [], repeatLater: [], flashcardData: {}, resetAt };
+  const remote = {
+    completed: ['default/old', 'default/new'],
+    repeatLater: ['default/old'],
+    flashcardData: { 'default/old': entry(T0), 'default/new': entry(resetAt + 1000) }
+  };
+
+  const merged = mergeProgress(local, remote);
+
+  expect(Object.keys(merged.flashcardData)).toEqual(['default/new']);
+  expect(merged.completed).toEqual(['default/new']);
+  expect(merged.repeatLater).toEqual([]);
+  expect(merged.resetAt).toBe(resetAt);
+});
+
+test('mergeProgress keeps new cards set aside after a reset', () => {
+  const resetAt = T0 + DAY_MS;
+  const local = { completed: [], repeatLater: [], flashcardData: {}, resetAt };
+  const remote = {
+    completed: ['default/old'],
+    repeatLater: [],
+    flashcardData: {
+      'default/old': entry(T0),
+      'default/new': { suspended: true, updatedAt: resetAt + 1000 },
+      'default/buried': { buriedUntil: resetAt + DAY_MS, updatedAt: resetAt + 2000 }
+    }
+  };
+
+  const merged = mergeProgress(local, remote);
+
+  expect(Object.keys(merged.flashcardData).sort()).toEqual(['default/buried', 'default/new']);
+  expect(merged.flashcardData['default/new'].suspended).toBe(true);
+  expect(merged.flashcardData['default/buried'].buriedUntil).toBe(resetAt + DAY_MS);
+  expect(merged.completed).toEqual([]);
+});
+
+test('mergeProgress keeps a new sibling buried by an answer after a reset', () => {
+  const resetAt = T0 + DAY_MS;
+  const answeredAt = resetAt + 1000;
+  const local = { completed: [], repeatLater: [], flashcardData: {}, resetAt };
+  const remote = {
+    completed: ['default/a'],
+    repeatLater: [],
+    flashcardData: {
+      'default/a': { ...entry(answeredAt), updatedAt: answeredAt },
+      'default/a~reverse': { buriedUntil: resetAt + DAY_MS, updatedAt: answeredAt }
+    }
+  };
+
+  const merged = mergeProgress(local, remote);
+
+  expect(merged.flashcardData).toEqual(remote.flashcardData);
+});
+
+describe('syncManager', () => {
+  let local;
+  let syncArea;
+
+  beforeEach(() => {
+    local = {
+      [STORAGE_KEYS.SYNC_SETTINGS]: { enabled: true },
+      [STORAGE_KEYS.PROGRESS]: {
+        completed: ['default/a'],
+        repeatLater: [],
+        flashcardData: { 'default/a': entry(T0) }
+      }
+    };
+    storage.get = async (key, defaultValue) => key in local ? structuredClone(local[key]) : defaultValue;
+    storage.set = async (key, value) => { local[key] = structuredClone(value); return true; };
+    storage.saveProgress = async (progress) => storage.set(STORAGE_KEYS.PROGRESS, progress);
+    syncArea = createSyncArea();
+    syncManager.setSyncArea(syncArea);
+  });
+
+  afterEach(() => {
+    // Drop the instance overrides so the prototype methods are used again
+    delete storage.get;
+    delete storage.set;
+    delete storage.saveProgress;
+  });
+
+  test('does nothing while sync is off', async () => {
+    local[STORAGE_KEYS.SYNC_SETTINGS] = { enabled: false };
+
+    expect((await syncManager.sync()).state).toBe(SYNC_STATES.DISABLED);
+    expect(syncArea.writes).toBe(0);
+  });
+
+  test('pushes local progress on the first sync and records the status', async () => {
+    const status = await syncManager.sync();
+
+    expect(status.state).toBe(SYNC_STATES.OK);
+    expect(status.cards).toBe(1);
+    expect(local[STORAGE_KEYS.SYNC_STATUS]).toEqual(status);
+    expect(unshardProgress(syncArea.items).flashcardData).toEqual(local[STORAGE_KEYS.PROGRESS].flashcardData);
+  });
+
+  test('merges reviews from two devices', async () => {
+    await syncManager.sync();
+
+    // The other device reviews a new card and pushes
+    const other = unshardProgress(syncArea.items);
+    other.flashcardData['default/b'] = entry(T0 + DAY_MS);
+    other.completed.push('default/b');
+    const { meta, shards } = shardProgress(other);
+    await syncArea.set({ ...shards, [SYNC_META_KEY]: meta });
+
+    // Meanwhile this device reviews card a again
+    local[STORAGE_KEYS.PROGRESS].flashcardData['default/a'] = entry(T0 + 2 * DAY_MS, 4);
+
+    await syncManager.sync();
+
+    const progress = local[STORAGE_KEYS.PROGRESS];
+    expect(Object.keys(progress.flashcardData).sort()).toEqual(['default/a', 'default/b']);
+    expect(progress.flashcardData['default/a'].interval).toBe(4);
+    expect(unshardProgress(syncArea.items)).toEqual({ ...progress, resetAt: null });
+  });
+
+  test('merges a card suspended on another device', async () => {
+    await syncManager.sync();
+
+    // The other device suspends card a without reviewing it and pushes
+    const other = unshardProgress(syncArea.items);
+    other.flashcardData['default/a'] = { ...other.flashcardData['default/a'], suspended: true, updatedAt: T0 + DAY_MS };
+    const { meta, shards } = shardProgress(other);
+    await syncArea.set({ ...shards, [SYNC_META_KEY]: meta });
+
+    await syncManager.sync();
+
+    expect(local[STORAGE_KEYS.PROGRESS].flashcardData['default/a'].suspended).toBe(true);
+  });
+
+  test('does not write again when nothing changed', async () => {
+    await syncManager.sync();
+    const writes = syncArea.writes;
+
+    await syncManager.sync();
+    expect(syncArea.writes).toBe(writes);
+  });
+
+  test('removes shards that are no longer used', async () => {
+    await syncArea.set({
+      [SYNC_META_KEY]: { shardCount: 1, resetAt: null },
+      [`${SYNC_SHARD_PREFIX}0`]: { cards: {}, completed: [], repeatLater: [] },
+      [`${SYNC_SHARD_PREFIX}5`]: { cards: {}, completed: [], repeatLater: [] }
+    });
+
+    await syncManager.sync();
+    expect(Object.keys(syncArea.items).sort()).toEqual([SYNC_META_KEY, `${SYNC_SHARD_PREFIX}0`]);
+  });
+
+  test('reports errors in the status', async () => {
+    syncArea.set = async () => { throw new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'); };
+
+    const status = await syncManager.sync();
+    expect(status.state).toBe(SYNC_STATES.ERROR);
+    expect(status.error).toContain('quota exceeded');
+  });
+});